@@ -1,24 +1,25 @@
 // Keycloak Admin API helper (uses client credentials)
+// Plain-function facade over the shared KeycloakAdminClient (services/keycloak-admin-client.js),
+// which caches the admin token, renews it on 401 and throws KeycloakAdminError
 // Env required:
 // - KEYCLOAK_URL
 // - KEYCLOAK_REALM (target realm where users live)
 // - KEYCLOAK_ADMIN_REALM (defaults to 'master')
 // - KEYCLOAK_ADMIN_CLIENT_ID, KEYCLOAK_ADMIN_CLIENT_SECRET (service account with realm-management: manage-users)
+// Optional:
+// - KEYCLOAK_USERS_PAGE_SIZE (default 100) - page size for iterateUsers()/getAllUsers()
 
+const adminClient = require('../services/keycloak-admin-client');
+const { KeycloakAdminError } = adminClient;
+
+// Cached client-credentials admin token (for callers that talk to Keycloak themselves)
 async function getAdminToken() {
-  const url = `${process.env.KEYCLOAK_URL}/realms/${process.env.KEYCLOAK_ADMIN_REALM || 'master'}/protocol/openid-connect/token`;
-  const body = new URLSearchParams();
-  body.set('grant_type', 'client_credentials');
-  body.set('client_id', process.env.KEYCLOAK_ADMIN_CLIENT_ID || '');
-  body.set('client_secret', process.env.KEYCLOAK_ADMIN_CLIENT_SECRET || '');
-
-  const resp = await fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Admin token error ${resp.status}: ${text}`);
-  }
-  const json = await resp.json();
-  return json.access_token;
+  return adminClient.getToken();
+}
+
+// Drop the cached admin token (e.g. after the admin client's credentials changed)
+function clearAdminTokenCache() {
+  adminClient.clearToken();
 }
 
 // Create a new user (admin)
@@ -43,158 +44,100 @@ async function addUser(userRepresentation) {
   if (!userRepresentation || typeof userRepresentation !== 'object') {
     throw new Error('userRepresentation is required');
   }
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users`;
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(userRepresentation)
-  });
-  if (resp.status !== 201) {
-    const text = await resp.text();
-    throw new Error(`Create user error ${resp.status}: ${text}`);
-  }
-
-  // Keycloak returns Location header with the created user's URL ending in ID
-  const location = resp.headers.get('location') || resp.headers.get('Location');
-  if (location) {
-    const parts = location.split('/');
-    const id = parts[parts.length - 1];
-    if (id) return id;
-  }
-
-  // Fallback: try to look up by username (not ideal if duplicates are allowed)
-  // This fallback avoids a secondary list call; consumers can fetch as needed.
-  return null;
+  return adminClient.createUser(userRepresentation);
 }
 
 async function logoutUserSessions(keycloakUserId) {
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${encodeURIComponent(keycloakUserId)}/logout`;
-  const resp = await fetch(url, { method: 'POST', headers: { Authorization: `Bearer ${token}` } });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Logout user sessions error ${resp.status}: ${text}`);
-  }
+  await adminClient.logoutUser(keycloakUserId);
   return true;
 }
 
 // Fetch current user representation (admin)
 async function getUserById(keycloakUserId) {
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${encodeURIComponent(keycloakUserId)}`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Get user error ${resp.status}: ${text}`);
-  }
-  return resp.json();
+  return adminClient.getUser(keycloakUserId);
+}
+
+// Get user by exact username, null if there is none
+async function getUserByUsername(username) {
+  return adminClient.getUserByUsername(username);
 }
 
 // Fetch user OIDC sessions (admin)
 async function getUserOidcSessions(keycloakUserId) {
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${encodeURIComponent(keycloakUserId)}/sessions`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Get user sessions error ${resp.status}: ${text}`);
-  }
-  return resp.json();
+  return adminClient.getUserSessions(keycloakUserId);
+}
+
+// Fetch the realm roles a user holds, including composite/group roles (admin) - role names
+async function getUserRealmRoles(keycloakUserId) {
+  const roles = await adminClient.getUserRealmRoles(keycloakUserId);
+  return roles.map(role => role.name);
 }
 
 // Fetch a client by UUID to resolve clientId/name for friendly display
 async function getClientByUuid(clientUuid) {
   if (!clientUuid) throw new Error('clientUuid is required');
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/clients/${encodeURIComponent(clientUuid)}`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Get client error ${resp.status}: ${text}`);
-  }
-  return resp.json();
+  return adminClient.getClient(clientUuid);
 }
 
 // Update user's email and verification flag (preserving other fields)
 async function updateUserEmail(keycloakUserId, newEmail, emailVerified = true) {
-  const token = await getAdminToken();
-  // Load current rep to avoid wiping fields
-  const current = await getUserById(keycloakUserId);
-  const body = {
-    ...current,
-    email: newEmail,
-    emailVerified: !!emailVerified,
-  };
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${encodeURIComponent(keycloakUserId)}`;
-  const resp = await fetch(url, {
-    method: 'PUT',
-    headers: {
-      Authorization: `Bearer ${token}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(body)
-  });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Update user email error ${resp.status}: ${text}`);
-  }
+  await adminClient.patchUser(keycloakUserId, { email: newEmail, emailVerified: !!emailVerified }, 'Update user email');
   return true;
 }
 
-//module.exports = { getAdminToken, logoutUserSessions, getUserById, getUserOidcSessions, getClientByUuid, updateUserEmail, addUser };
-
-// the rest is for OPTION TEST #2  - edSc8
 // Delete a user from Keycloak
 async function deleteUser(keycloakUserId) {
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${encodeURIComponent(keycloakUserId)}`;
-  const resp = await fetch(url, {
-    method: 'DELETE',
-    headers: {
-      Authorization: `Bearer ${token}`
-    }
-  });
-  if (resp.status !== 204 && resp.status !== 200) {
-    const text = await resp.text();
-    throw new Error(`Delete user error ${resp.status}: ${text}`);
-  }
+  await adminClient.deleteUser(keycloakUserId);
   return true;
 }
 
-// Get user by username (search)
-async function getUserByUsername(username) {
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users?username=${encodeURIComponent(username)}`;
-  const resp = await fetch(url, {
-    headers: {
-      Authorization: `Bearer ${token}`
-    }
-  });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Get user by username error ${resp.status}: ${text}`);
-  }
-  const users = await resp.json();
-  return users && users.length > 0 ? users[0] : null;
+// Fetch one page of users in realm (admin)
+// filters: search (prefix match on username/email/first/last name, Keycloak's default),
+// username, exact, q (attribute query "key:value key2:value2"), enabled, briefRepresentation
+async function getUsersPage(options) {
+  return adminClient.listUsers(options);
 }
 
-//module.exports = { getAdminToken, logoutUserSessions, getUserById, getUserOidcSessions, getClientByUuid, updateUserEmail, addUser, deleteUser, getUserByUsername };
+// Stream all users in realm page by page (first/max), so large realms are neither truncated at
+// Keycloak's default page size nor loaded at once:
+//   for await (const user of iterateUsers({ usernamePrefixes: ['test-'] })) { ... }
+// options:
+// - usernamePrefixes: only usernames starting with one of these (searched server-side per prefix)
+// - createdBefore: only users created before this time (ms) - applied to each page as it arrives
+// - attributes: { key: value } attribute query (server-side, q=)
+// - pageSize: default KEYCLOAK_USERS_PAGE_SIZE or 100
+function iterateUsers(options) {
+  return adminClient.iterateUsers(options);
+}
 
-// Fetch all users in realm (admin)
-async function getAllUsers() {
-  const token = await getAdminToken();
-  const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users`;
-  const resp = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
-  if (!resp.ok) {
-    const text = await resp.text();
-    throw new Error(`Get all users error ${resp.status}: ${text}`);
+// Fetch users in realm (admin)
+// Without first/max every user (all pages, iterateUsers options apply); with first/max one page
+async function getAllUsers(options) {
+  if (options && (options.first !== undefined || options.max !== undefined)) {
+    return getUsersPage(options);
+  }
+  const users = [];
+  for await (const user of iterateUsers(options)) {
+    users.push(user);
   }
-  return resp.json();
+  return users;
 }
 
-module.exports = { getAdminToken, logoutUserSessions, getUserById, getUserOidcSessions, getClientByUuid, updateUserEmail, addUser, getAllUsers, deleteUser };
-
+module.exports = {
+  adminClient,
+  KeycloakAdminError,
+  getAdminToken,
+  clearAdminTokenCache,
+  logoutUserSessions,
+  getUserById,
+  getUserByUsername,
+  getUserOidcSessions,
+  getUserRealmRoles,
+  getClientByUuid,
+  updateUserEmail,
+  addUser,
+  getAllUsers,
+  getUsersPage,
+  iterateUsers,
+  deleteUser
+};
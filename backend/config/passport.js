@@ -1,6 +1,8 @@
 const passport = require('passport');
 const KeycloakStrategy = require('passport-keycloak-oauth2-oidc').Strategy;
 const database = require('../services/databaseService');
+const jwtVerifier = require('../services/jwt-verifier');
+const { extractRolesFromClaims } = require('../middleware/authorization');
 
 passport.use('keycloak', new KeycloakStrategy({
   clientID: process.env.KEYCLOAK_CLIENT_ID,
@@ -18,6 +20,10 @@ passport.use('keycloak', new KeycloakStrategy({
     console.log('Refresh Token:', refreshToken ? 'Present' : 'Missing');
     console.log('ID Token:', idToken ? 'Present' : 'Missing');
     console.log('Profile received:', JSON.stringify(profile, null, 2));
+
+    // Roles are read from the access token - only trust one that verifies against the
+    // realm JWKS and was issued to this client
+    const claims = await jwtVerifier.verify(accessToken, { authorizedParty: process.env.KEYCLOAK_CLIENT_ID });
     
     // Extract user information from Keycloak profile
     const keycloakId = profile.id;
@@ -52,7 +58,13 @@ passport.use('keycloak', new KeycloakStrategy({
       await database.updateUserLogin(keycloakId);
     }
 
-    // Add tokens to user object for potential future use
+    // Refresh Keycloak realm/client roles (used by requireRole guards)
+    const roles = extractRolesFromClaims(claims);
+    await database.updateUserRoles(keycloakId, roles);
+    user.roles = roles;
+
+    // Tokens ride on the user object until /auth/keycloak/callback hands them to
+    // TokenService (services/session-tokens.js establish), which strips them again
     user.accessToken = accessToken;
     user.refreshToken = refreshToken;
     user.id_token = idToken;
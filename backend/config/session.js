@@ -0,0 +1,141 @@
+/**
+ * Session Configuration
+ *
+ * Builds express-session options from the environment: persistent store
+ * (see services/session-store) and cookie settings.
+ *
+ * Cookie:
+ * - SESSION_COOKIE_NAME: default connect.sid
+ * - SESSION_COOKIE_SECURE: true | false | auto (default: true in production, false otherwise)
+ *   "auto" follows req.secure - set TRUST_PROXY when TLS ends at a reverse proxy
+ * - SESSION_COOKIE_HTTPONLY: default true
+ * - SESSION_COOKIE_SAMESITE: lax (default) | strict | none ("none" forces secure)
+ * - SESSION_COOKIE_DOMAIN: parent domain to share the cookie across subdomains, e.g. .example.com
+ * - SESSION_MAX_AGE_MS: default 24 hours
+ *
+ * Proxy:
+ * - TRUST_PROXY: true | false | number of hops | IP/subnet list (Express "trust proxy");
+ *   also sets the session's proxy flag
+ */
+
+const { createSessionStore } = require('../services/session-store');
+
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+const DEFAULT_COOKIE_NAME = 'connect.sid';
+
+/**
+ * Parse a boolean env var
+ * @param {string} name
+ * @param {boolean} defaultValue
+ * @returns {boolean}
+ */
+function envBool(name, defaultValue) {
+  const value = (process.env[name] || '').toLowerCase();
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return defaultValue;
+}
+
+/**
+ * Cookie options for express-session
+ * @returns {Object}
+ */
+function getSessionCookieOptions() {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  let sameSite = (process.env.SESSION_COOKIE_SAMESITE || 'lax').toLowerCase();
+  if (!SAME_SITE_VALUES.includes(sameSite)) {
+    console.warn(`[Session] Invalid SESSION_COOKIE_SAMESITE "${sameSite}", using "lax"`);
+    sameSite = 'lax';
+  }
+
+  let secure = (process.env.SESSION_COOKIE_SECURE || '').toLowerCase() === 'auto'
+    ? 'auto'
+    : envBool('SESSION_COOKIE_SECURE', isProduction);
+
+  // Browsers reject SameSite=None cookies that are not Secure
+  if (sameSite === 'none' && secure === false) {
+    console.warn('[Session] SESSION_COOKIE_SAMESITE=none requires secure cookies - enabling secure');
+    secure = true;
+  }
+
+  const cookie = {
+    secure,
+    httpOnly: envBool('SESSION_COOKIE_HTTPONLY', true),
+    sameSite,
+    maxAge: parseInt(process.env.SESSION_MAX_AGE_MS || String(24 * 60 * 60 * 1000), 10) // 24 hours
+  };
+
+  if (process.env.SESSION_COOKIE_DOMAIN) {
+    cookie.domain = process.env.SESSION_COOKIE_DOMAIN;
+  }
+
+  return cookie;
+}
+
+/**
+ * Name of the session cookie
+ * @returns {string}
+ */
+function getSessionCookieName() {
+  return process.env.SESSION_COOKIE_NAME || DEFAULT_COOKIE_NAME;
+}
+
+/**
+ * Clear the session cookie. Browsers only drop it when name, domain, path, secure and
+ * sameSite match the cookie express-session set.
+ * @param {Object} req
+ * @param {Object} res
+ */
+function clearSessionCookie(req, res) {
+  const { maxAge, secure, ...options } = getSessionCookieOptions();
+  res.clearCookie(getSessionCookieName(), {
+    ...options,
+    path: '/',
+    secure: secure === 'auto' ? !!req.secure : secure
+  });
+}
+
+/**
+ * Parsed TRUST_PROXY for app.set('trust proxy') - unset: undefined (Express default)
+ * @returns {boolean|number|string|undefined}
+ */
+function getTrustProxy() {
+  const value = (process.env.TRUST_PROXY || '').trim();
+  if (!value) return undefined;
+  if (value.toLowerCase() === 'true') return true;
+  if (value.toLowerCase() === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  // e.g. "loopback, 10.0.0.0/8"
+  return value;
+}
+
+/**
+ * Full express-session options
+ * @param {Object} [store] - Session store (default: createSessionStore())
+ * @returns {Object}
+ */
+function getSessionOptions(store = createSessionStore()) {
+  if (!process.env.SESSION_SECRET && process.env.NODE_ENV === 'production') {
+    console.warn('[Session] WARN: SESSION_SECRET not set in production - sessions are signed with a default secret');
+  }
+
+  return {
+    name: getSessionCookieName(),
+    secret: process.env.SESSION_SECRET || 'your-secret-key',
+    store,
+    resave: false,
+    saveUninitialized: false,
+    // Trust X-Forwarded-Proto for secure cookies when behind a proxy
+    proxy: getTrustProxy() === undefined ? undefined : !!getTrustProxy(),
+    cookie: getSessionCookieOptions()
+  };
+}
+
+module.exports = {
+  clearSessionCookie,
+  getSessionCookieName,
+  getSessionCookieOptions,
+  getSessionOptions,
+  getTrustProxy
+};
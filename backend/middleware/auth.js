@@ -1,3 +1,5 @@
+const { isAdmin, requireAdmin } = require('./authorization');
+
 // Middleware to ensure user is authenticated
 function ensureAuthenticated(req, res, next) {
   if (req.isAuthenticated()) {
@@ -22,6 +24,7 @@ function ensureNotAuthenticated(req, res, next) {
 function addUserToLocals(req, res, next) {
   res.locals.user = req.user || null;
   res.locals.isAuthenticated = req.isAuthenticated();
+  res.locals.isAdmin = isAdmin(req.user);
   next();
 }
 
@@ -29,22 +32,6 @@ module.exports = {
   ensureAuthenticated,
   ensureNotAuthenticated,
   addUserToLocals,
-  ensureAdmin: (req, res, next) => {
-    if (!req.isAuthenticated()) {
-      req.session.returnTo = req.originalUrl;
-      return res.redirect('/auth/login');
-    }
-    const adminUsername = process.env.DEMO_ADMIN_USERNAME || 'sysadmin';
-    const isAdmin = req.user?.username === adminUsername;
-    if (!isAdmin) {
-      return res.status(403).render('error', {
-        title: 'Access Denied',
-        message: 'Administrator access required for this page.',
-        user: req.user,
-        isAdmin: false,
-        isAuthenticated: true
-      });
-    }
-    return next();
-  }
-};
\ No newline at end of file
+  // Admin role guard (see middleware/authorization.js)
+  ensureAdmin: requireAdmin
+};
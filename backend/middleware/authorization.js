@@ -0,0 +1,154 @@
+/**
+ * Role-based authorization
+ *
+ * Roles come from the Keycloak access token issued at login:
+ * - realm roles (realm_access.roles) are kept as-is, e.g. "demo-admin"
+ * - client roles (resource_access.<clientId>.roles) are kept as "<clientId>:<role>"
+ *
+ * The flattened list is stored on the user record (users.roles) so it survives
+ * deserializeUser, and is refreshed on every login.
+ *
+ * A bare role name passed to hasRole/requireRole matches either the realm role or
+ * the same-named client role of this app's client (KEYCLOAK_CLIENT_ID), so a role can
+ * be granted at whichever level suits the deployment.
+ *
+ * Admin role: DEMO_ADMIN_ROLE (default: demo-admin). Grant it to each operator in Keycloak.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const DEFAULT_ADMIN_ROLE = 'demo-admin';
+
+/**
+ * Name of the role that grants admin access
+ * @returns {string}
+ */
+function getAdminRole() {
+  return process.env.DEMO_ADMIN_ROLE || DEFAULT_ADMIN_ROLE;
+}
+
+/**
+ * Extract realm and client roles from verified access token claims
+ * @param {Object} claims - Payload returned by services/jwt-verifier.js
+ * @returns {string[]} Flattened roles (realm roles, then "<clientId>:<role>")
+ */
+function extractRolesFromClaims(claims) {
+  if (!claims || typeof claims !== 'object') return [];
+
+  const roles = new Set();
+  for (const role of claims.realm_access?.roles || []) {
+    roles.add(role);
+  }
+  for (const [clientId, access] of Object.entries(claims.resource_access || {})) {
+    for (const role of access?.roles || []) {
+      roles.add(`${clientId}:${role}`);
+    }
+  }
+  return [...roles];
+}
+
+/**
+ * Extract realm and client roles from a Keycloak access token without verifying it
+ * Only for tokens that were already verified - login uses extractRolesFromClaims on the
+ * jwt-verifier result.
+ * @param {string} accessToken
+ * @returns {string[]} Flattened roles (realm roles, then "<clientId>:<role>")
+ */
+function extractRolesFromToken(accessToken) {
+  if (!accessToken) return [];
+  return extractRolesFromClaims(jwt.decode(accessToken));
+}
+
+/**
+ * Roles recorded for a user
+ * @param {Object} user - req.user
+ * @returns {string[]}
+ */
+function getUserRoles(user) {
+  return Array.isArray(user?.roles) ? user.roles : [];
+}
+
+/**
+ * Check whether a user holds a role
+ * @param {Object} user - req.user
+ * @param {string} role - Realm role, app client role, or "<clientId>:<role>"
+ * @returns {boolean}
+ */
+function hasRole(user, role) {
+  const roles = getUserRoles(user);
+  if (roles.includes(role)) return true;
+
+  const clientId = process.env.KEYCLOAK_CLIENT_ID;
+  return !!clientId && !role.includes(':') && roles.includes(`${clientId}:${role}`);
+}
+
+/**
+ * Check whether a user holds the admin role
+ * @param {Object} user - req.user
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  return hasRole(user, getAdminRole());
+}
+
+/**
+ * Whether a request expects a JSON response (API routers, XHR/fetch)
+ */
+function wantsJson(req) {
+  return req.baseUrl?.startsWith('/api') || req.xhr || req.accepts(['html', 'json']) === 'json';
+}
+
+/**
+ * Route guard requiring any of the given roles
+ * Unauthenticated: redirect to login (401 JSON for API requests).
+ * Missing role: 403 error page (403 JSON for API requests).
+ * @param {...string} roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.isAuthenticated || !req.isAuthenticated()) {
+      if (wantsJson(req)) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      req.session.returnTo = req.originalUrl;
+      return res.redirect('/auth/login');
+    }
+
+    if (roles.some(role => hasRole(req.user, role))) {
+      return next();
+    }
+
+    console.warn(`[Authorization] ${req.user?.username} denied ${req.method} ${req.originalUrl} (requires ${roles.join(' or ')})`);
+    if (wantsJson(req)) {
+      return res.status(403).json({ error: 'Forbidden', requiredRoles: roles });
+    }
+    return res.status(403).render('error', {
+      title: 'Access Denied',
+      message: roles.includes(getAdminRole())
+        ? 'Administrator access required for this page.'
+        : 'You do not have permission to access this page.',
+      user: req.user,
+      isAdmin: isAdmin(req.user),
+      isAuthenticated: true
+    });
+  };
+}
+
+/**
+ * Route guard requiring the admin role
+ */
+function requireAdmin(req, res, next) {
+  return requireRole(getAdminRole())(req, res, next);
+}
+
+module.exports = {
+  getAdminRole,
+  extractRolesFromClaims,
+  extractRolesFromToken,
+  getUserRoles,
+  hasRole,
+  isAdmin,
+  requireRole,
+  requireAdmin
+};
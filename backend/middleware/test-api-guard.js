@@ -0,0 +1,204 @@
+/**
+ * Test API Guard
+ *
+ * Protects the /api/test/* surface, which can create and delete real Keycloak users
+ * and mailboxes. A request is let through when ANY of these holds:
+ * - admin session (DEMO_ADMIN_ROLE, see middleware/authorization.js)
+ * - signed service API key (CI, maintenance scripts)
+ * - the route is on the allowlist (DEMO_TEST_API_ALLOWLIST)
+ *
+ * Kill switch (DEMO_TEST_API_ENABLED):
+ * - "false": test surface disabled everywhere (404)
+ * - "true": enabled, even with NODE_ENV=production
+ * - unset: enabled, except with NODE_ENV=production
+ *
+ * Service keys (DEMO_TEST_API_KEYS=keyId:secret,keyId2:secret2) are never sent.
+ * Callers sign each request with HMAC-SHA256 over "<METHOD>\n<path>\n<timestamp>"
+ * and send the X-Test-Api-Key-Id, X-Test-Api-Timestamp and X-Test-Api-Signature headers.
+ * Signatures older than DEMO_TEST_API_MAX_SKEW_SEC (default 300) are rejected.
+ *
+ * Allowlist entries are "METHOD /api/path" or "/api/path" (any method); a trailing "*"
+ * matches a prefix, e.g. "GET /api/test/config-info,/api/test/oidc-stalwart/sogo/*".
+ */
+
+const crypto = require('crypto');
+const { isAdmin } = require('./authorization');
+
+const HEADER_KEY_ID = 'x-test-api-key-id';
+const HEADER_TIMESTAMP = 'x-test-api-timestamp';
+const HEADER_SIGNATURE = 'x-test-api-signature';
+
+/**
+ * Whether the test surface is enabled (kill switch)
+ * @returns {boolean}
+ */
+function isTestApiEnabled() {
+  const flag = (process.env.DEMO_TEST_API_ENABLED || '').toLowerCase();
+  if (flag === 'false') return false;
+  if (flag === 'true') return true;
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Parse DEMO_TEST_API_KEYS into a Map of keyId -> secret
+ * @returns {Map<string, string>}
+ */
+function getServiceKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.DEMO_TEST_API_KEYS || '').split(',')) {
+    const trimmed = entry.trim();
+    const sep = trimmed.indexOf(':');
+    if (sep > 0 && sep < trimmed.length - 1) {
+      keys.set(trimmed.slice(0, sep), trimmed.slice(sep + 1));
+    }
+  }
+  return keys;
+}
+
+/**
+ * Compute the request signature
+ * @param {string} secret
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path without query string, e.g. /api/test/config-info
+ * @param {string|number} timestamp - Unix seconds
+ * @returns {string} Hex HMAC-SHA256
+ */
+function computeSignature(secret, method, path, timestamp) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${method.toUpperCase()}\n${path}\n${timestamp}`)
+    .digest('hex');
+}
+
+/**
+ * Build signed headers for a service request (CI and maintenance scripts)
+ * Uses DEMO_TEST_API_CLIENT_KEY_ID, or the first key in DEMO_TEST_API_KEYS.
+ * @param {string} method
+ * @param {string} path - Request path without query string
+ * @returns {Object} Headers to merge into the request (empty if no key configured)
+ */
+function signTestApiRequest(method, path) {
+  const keys = getServiceKeys();
+  const keyId = process.env.DEMO_TEST_API_CLIENT_KEY_ID || keys.keys().next().value;
+  const secret = keyId && keys.get(keyId);
+  if (!secret) {
+    return {};
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  return {
+    'X-Test-Api-Key-Id': keyId,
+    'X-Test-Api-Timestamp': timestamp,
+    'X-Test-Api-Signature': computeSignature(secret, method, path, timestamp)
+  };
+}
+
+/**
+ * Verify the service signature headers on a request
+ * @param {Object} req
+ * @returns {{ valid: boolean, keyId?: string, reason?: string }}
+ */
+function verifyServiceSignature(req) {
+  const keyId = req.get(HEADER_KEY_ID);
+  const timestamp = req.get(HEADER_TIMESTAMP);
+  const signature = req.get(HEADER_SIGNATURE);
+  if (!keyId && !signature) {
+    return { valid: false, reason: 'no service signature' };
+  }
+  if (!keyId || !timestamp || !signature) {
+    return { valid: false, reason: 'incomplete service signature headers' };
+  }
+
+  const secret = getServiceKeys().get(keyId);
+  if (!secret) {
+    return { valid: false, reason: `unknown key id ${keyId}` };
+  }
+
+  const maxSkewSec = parseInt(process.env.DEMO_TEST_API_MAX_SKEW_SEC || '300', 10);
+  const ts = parseInt(timestamp, 10);
+  if (isNaN(ts) || Math.abs(Math.floor(Date.now() / 1000) - ts) > maxSkewSec) {
+    return { valid: false, reason: 'signature timestamp outside allowed window' };
+  }
+
+  const expected = Buffer.from(computeSignature(secret, req.method, requestPath(req), timestamp), 'hex');
+  const given = Buffer.from(signature, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { valid: false, reason: 'signature mismatch' };
+  }
+  return { valid: true, keyId };
+}
+
+/**
+ * Full request path without the query string (what callers sign)
+ */
+function requestPath(req) {
+  return (req.originalUrl || req.url).split('?')[0];
+}
+
+/**
+ * Parse DEMO_TEST_API_ALLOWLIST
+ * @returns {Array<{ method: string|null, path: string, prefix: boolean }>}
+ */
+function getAllowlist() {
+  return (process.env.DEMO_TEST_API_ALLOWLIST || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const parts = entry.split(/\s+/);
+      const method = parts.length > 1 ? parts[0].toUpperCase() : null;
+      const pattern = parts.length > 1 ? parts[1] : parts[0];
+      const prefix = pattern.endsWith('*');
+      return { method, path: prefix ? pattern.slice(0, -1) : pattern, prefix };
+    });
+}
+
+/**
+ * Whether a request matches the allowlist
+ * @param {Object} req
+ * @returns {boolean}
+ */
+function isAllowlisted(req) {
+  const path = requestPath(req);
+  return getAllowlist().some(rule => {
+    if (rule.method && rule.method !== req.method) return false;
+    return rule.prefix ? path.startsWith(rule.path) : path === rule.path;
+  });
+}
+
+/**
+ * Express middleware guarding the test surface
+ */
+function testApiGuard(req, res, next) {
+  if (!isTestApiEnabled()) {
+    return res.status(404).json({ success: false, error: 'Test API disabled' });
+  }
+
+  const isAuthenticated = typeof req.isAuthenticated === 'function' && req.isAuthenticated();
+  if (isAuthenticated && isAdmin(req.user)) {
+    return next();
+  }
+
+  const signature = verifyServiceSignature(req);
+  if (signature.valid) {
+    req.testApiKeyId = signature.keyId;
+    return next();
+  }
+
+  if (isAllowlisted(req)) {
+    return next();
+  }
+
+  console.warn(`[TestApiGuard] Denied ${req.method} ${requestPath(req)} (${signature.reason})`);
+  return res.status(isAuthenticated ? 403 : 401).json({
+    success: false,
+    error: 'Test API requires an admin session or a signed service key'
+  });
+}
+
+module.exports = {
+  testApiGuard,
+  isTestApiEnabled,
+  signTestApiRequest,
+  computeSignature
+};
@@ -4,6 +4,7 @@ const http = require('http');
 const https = require('https');
 const { ensureAdmin } = require('../middleware/auth');
 const mailcow = require('../services/email/mailcow-client');
+const daemonStatus = require('../services/daemon-status');
 
 const router = express.Router();
 
@@ -50,7 +51,15 @@ router.get('/health/json', ensureAdmin, async (req, res) => {
     };
 
     // DB basic R/W
-    checks.database = { ok: true };
+    try {
+      const databaseService = require('../services/databaseService');
+      const start = Date.now();
+      const db = await databaseService.db();
+      await db.get('SELECT 1 AS ok');
+      checks.database = { ok: true, client: db.client, latencyMs: Date.now() - start };
+    } catch (e) {
+      checks.database = { ok: false, error: e.message };
+    }
 
     // Keycloak token endpoint reachability (HEAD/GET)
     const kcBase = process.env.KEYCLOAK_URL;
@@ -73,6 +82,178 @@ router.get('/health/json', ensureAdmin, async (req, res) => {
   }
 });
 
+/**
+ * Normalize a Stalwart /principal listing - the API returns either an array
+ * or { data: { items, total } } depending on version
+ */
+function stalwartPrincipalItems(principals) {
+  if (Array.isArray(principals)) return principals;
+  if (principals && Array.isArray(principals.items)) return principals.items;
+  return [];
+}
+
+/**
+ * Run a user listing and wrap it as { success, count, users } so that one
+ * failing system doesn't hide the others on the console
+ */
+async function listSource(fn) {
+  try {
+    const users = await fn();
+    return { success: true, count: users.length, users };
+  } catch (e) {
+    return { success: false, count: 0, users: [], error: e.message };
+  }
+}
+
+// Admin console
+router.get('/', ensureAdmin, (req, res) => {
+  res.render('admin-console', { title: 'Admin Console', refreshMs: 15000 });
+});
+
+// Daemon status (cleanup daemon runs standalone, SOGo sync in-process)
+router.get('/daemons/json', ensureAdmin, (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      daemons: {
+        demoSessionCleanup: daemonStatus.getCleanupDaemonStatus(),
+        sogoSync: daemonStatus.getSogoSyncDaemonStatus()
+      }
+    });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// User listings across Keycloak, Stalwart and SOGo
+router.get('/users/json', ensureAdmin, async (req, res) => {
+  const keycloakAdmin = require('../config/keycloak-admin');
+  const stalwartClient = require('../services/email/stalwart-client');
+  const mailServiceConfig = require('../config/mail-service-config');
+
+  const [keycloak, stalwart, sogo] = await Promise.all([
+    listSource(async () => {
+      const users = await keycloakAdmin.getAllUsers();
+      return (users || []).map(u => ({
+        id: u.id,
+        username: u.username,
+        email: u.email || null,
+        enabled: u.enabled,
+        createdAt: u.createdTimestamp ? new Date(u.createdTimestamp).toISOString() : null
+      }));
+    }),
+    mailServiceConfig.getProvider() === 'stalwart'
+      ? listSource(async () => {
+        const r = await stalwartClient.listPrincipals({ types: 'individual' });
+        if (!r.success) throw new Error(r.error || `Stalwart responded ${r.status}`);
+        return stalwartPrincipalItems(r.principals).map(p => ({
+          id: p.id ?? null,
+          name: p.name,
+          emails: Array.isArray(p.emails) ? p.emails : (p.emails ? [p.emails] : []),
+          type: p.type || null
+        }));
+      })
+      : Promise.resolve({ success: true, skipped: true, count: 0, users: [] }),
+    mailServiceConfig.isSogoSelected()
+      ? listSource(async () => {
+        const sogoUserService = require('../services/sogo/sogo-user-service');
+        const users = await sogoUserService.listSogoUsers();
+        return users.map(u => ({ uid: u.c_uid, name: u.c_cn, email: u.mail }));
+      })
+      : Promise.resolve({ success: true, skipped: true, count: 0, users: [] })
+  ]);
+
+  return res.json({ success: true, keycloak, stalwart, sogo });
+});
+
+// Deprovisioning job queue: inspect, retry and discard (dead-letter handling)
+router.get('/deprovisioning/jobs', ensureAdmin, async (req, res) => {
+  try {
+    const jobQueue = require('../services/deprovisioning/job-queue');
+    const { status } = req.query;
+    if (status && !jobQueue.JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${jobQueue.JOB_STATUSES.join(', ')}` });
+    }
+    const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+    const [counts, jobs] = await Promise.all([jobQueue.counts(), jobQueue.list({ status, limit })]);
+    return res.json({ success: true, counts, jobs });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.get('/deprovisioning/jobs/:id', ensureAdmin, async (req, res) => {
+  try {
+    const jobQueue = require('../services/deprovisioning/job-queue');
+    const job = await jobQueue.get(parseInt(req.params.id, 10));
+    if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+    return res.json({ success: true, job });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Requeue a pending/dead job with a fresh attempt budget and run it now
+router.post('/deprovisioning/jobs/:id/retry', ensureAdmin, async (req, res) => {
+  try {
+    const jobQueue = require('../services/deprovisioning/job-queue');
+    const id = parseInt(req.params.id, 10);
+    const requeued = await jobQueue.retry(id);
+    if (!requeued) {
+      const job = await jobQueue.get(id);
+      return job
+        ? res.status(409).json({ success: false, error: `Job is ${job.status}`, job })
+        : res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    console.log(`[admin] Deprovisioning job ${id} retried by ${req.user?.username}`);
+    const job = await jobQueue.process(id) || requeued;
+    return res.json({ success: job.status === 'done', job });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.delete('/deprovisioning/jobs/:id', ensureAdmin, async (req, res) => {
+  try {
+    const jobQueue = require('../services/deprovisioning/job-queue');
+    const id = parseInt(req.params.id, 10);
+    if (!(await jobQueue.discard(id))) {
+      const job = await jobQueue.get(id);
+      return job
+        ? res.status(409).json({ success: false, error: `Job is ${job.status}`, job })
+        : res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    console.log(`[admin] Deprovisioning job ${id} discarded by ${req.user?.username}`);
+    return res.json({ success: true });
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Identity reconciliation: Keycloak vs Stalwart/SOGo/Roundcube diff, and orphan repair
+router.get('/reconciliation/json', ensureAdmin, async (req, res) => {
+  try {
+    const reconciler = require('../services/deprovisioning/reconciliation');
+    return res.json(await reconciler.report());
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+router.post('/reconciliation/repair', ensureAdmin, async (req, res) => {
+  try {
+    const reconciler = require('../services/deprovisioning/reconciliation');
+    const { systems } = req.body || {};
+    if (systems !== undefined && (!Array.isArray(systems) || systems.some(s => !reconciler.ORPHAN_SYSTEMS.includes(s)))) {
+      return res.status(400).json({ success: false, error: `systems must be a subset of ${reconciler.ORPHAN_SYSTEMS.join(', ')}` });
+    }
+    console.log(`[admin] Identity reconciliation repair (${(systems || reconciler.ORPHAN_SYSTEMS).join(', ')}) by ${req.user?.username}`);
+    return res.json(await reconciler.repair({ systems }));
+  } catch (e) {
+    return res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 // Health UI
 router.get('/health', ensureAdmin, async (req, res) => {
   res.render('admin-health', { title: 'System Health', refreshMs: 15000 });
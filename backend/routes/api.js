@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const { ensureAuthenticated } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/authorization');
+const { testApiGuard } = require('../middleware/test-api-guard');
+const sessionTokens = require('../services/session-tokens');
 const nodemailer = require('nodemailer');
 const axios = require('axios');
 const SMTPConnection = require('smtp-connection');
@@ -12,6 +15,9 @@ const http = require('http');
 const PDFDocument = require('pdfkit');
 const mailServiceConfig = require('../config/mail-service-config');
 const mailService = require('../services/email/mail-service-abstraction');
+const manageSieve = require('../services/email/managesieve-client');
+const sieveTemplates = require('../services/email/sieve-templates');
+const stalwartForwarding = require('../services/email/stalwart-forwarding');
 
 const { spawn } = require('child_process');
 
@@ -190,8 +196,7 @@ router.get('/emails/defaults', ensureAuthenticated, async (req, res) => {
       }
     } else {
       // For Stalwart, check if OAuth token is available
-      const tokenService = require('../services/tokenService');
-      const accessToken = await tokenService.getValidAccessToken(req.user.keycloak_id, req.session);
+      const accessToken = await sessionTokens.getAccessToken(req);
 
       if (!accessToken) {
         console.warn('[api.js - /emails/defaults] Cannot get valid access token');
@@ -250,15 +255,8 @@ router.post('/mail/verify-only', ensureAuthenticated, async (req, res) => {
 
 
 // System stats endpoint for admin dashboard
-router.get('/system-stats', ensureAuthenticated, async (req, res) => {
+router.get('/system-stats', requireAdmin, async (req, res) => {
   try {
-    // Admin check using username comparison
-    const adminUsername = process.env.DEMO_ADMIN_USERNAME || 'sysadmin';
-    const isAdmin = req.user?.username === adminUsername;
-    if (!isAdmin) {
-      return res.status(403).json({ message: 'Forbidden' });
-    }
-
     // Import systeminformation dynamically to avoid issues
     const si = require('systeminformation');
 
@@ -340,8 +338,8 @@ router.post('/mail/unseen-replaced', ensureAuthenticated, async (req, res) => {
     // Try abstraction layer first
     // Always try abstraction layer first (works for both mailcow and stalwart)
     if (mailService.isConfigured()) {
-      // Try to get access token from session/user (needed for Stalwart/JMAP)
-      const accessToken = req.session.accessToken || req.user.access_token || req.user.accessToken;
+      // Access token from the session (needed for Stalwart/JMAP)
+      const accessToken = await sessionTokens.getAccessToken(req);
       const result = await mailService.getUnseenCount(username, accessToken);
       
       if (result.success) {
@@ -398,87 +396,54 @@ router.post('/mail/unseen-replaced', ensureAuthenticated, async (req, res) => {
 
 
 // Mail notification routes
+
+// JmapError / ImapError code -> HTTP status; other codes fall back per route
+const MAIL_READ_ERROR_STATUS = {
+  token_error: 401,
+  unauthorized: 401,
+  auth_failed: 401,
+  forbidden: 403,
+  not_found: 404,
+  network_error: 503,
+  timeout: 503,
+  closed: 503,
+  unsupported: 503
+};
+
 router.post('/mail/unseen', ensureAuthenticated, async (req, res) => {
   try {
     const { username } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({ error: 'Username is required' });
+    if (username && username !== req.user.username) {
+      return res.status(403).json({ error: 'Unseen count is only available for your own mailbox', unseen_count: 0 });
     }
 
-    const mailService = require('../services/email/mail-service-abstraction');
-    const mailServiceConfig = require('../config/mail-service-config');
-    const provider = mailServiceConfig.getProvider();
-    
-    // For Stalwart: use abstraction layer (JMAP)
-    if (provider === 'stalwart') {
-      if (!mailService.isConfigured()) {
-        return res.status(503).json({ 
-          error: 'Mail service not configured',
-          unseen_count: 0 
-        });
-      }
-
-      console.log('[mail/unseen] seeking access token... from session, user, and database');
-      console.log('[mail/unseen] req.session.keycloakAccessToken', req.session.keycloakAccessToken);
-      console.log('[mail/unseen] req.user.access_token', req.user.access_token);
-      console.log('[mail/unseen] req.user.accessToken', req.user.accessToken);
-
-      // For Stalwart, try to get access token from session/user/database
-
-      const tokenService = require('../services/tokenService');
-      let accessToken = await tokenService.getValidAccessToken(req.user.keycloak_id, req.session);
-
-      console.warn('[mail/unseen] Could not get token');
-
-      const result = await mailService.getUnseenCount(username, accessToken);
-
-      if (result.success) {
-        return res.json({ unseen_count: result.unseen_count || 0 });
-      }
-
-      // If abstraction fails for Stalwart, return error (don't fall back to mail-notifier)
-      console.error('[mail/unseen] Stalwart abstraction layer failed:', result.error);
-      return res.status(500).json({ 
-        error: result.error || 'Failed to get unseen count from Stalwart',
+    if (!mailService.isConfigured()) {
+      return res.status(503).json({ 
+        error: 'Mail service not configured',
         unseen_count: 0 
       });
     }
 
-    // For Mailcow: use mail-notifier service
-    if (provider === 'mailcow') {
-      const mailServiceUrl = process.env.MAIL_NOTIFIER_API_URL || 'http://workinpilot.space:8083';
-      const timeout = parseInt(process.env.MAIL_NOTIFIER_TIMEOUT_MS || '5000', 10);
-      
-      console.log('[mail/unseen] Using mail-notifier for Mailcow, req.user.id:', req.user.id, 'Mail service URL:', mailServiceUrl);
-
-      const response = await axios.post(`${mailServiceUrl}/api/mail/unseen`, {
-        username
-      }, {
-        timeout,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    // Valid (refreshed if needed) access token from the session - JMAP and IMAP XOAUTH2 use it
+    const accessToken = await sessionTokens.getAccessToken(req);
+    if (!accessToken) {
+      console.warn('[mail/unseen] Could not get token');
+    }
+
+    // JMAP or IMAP depending on the provider's capabilities (IMAP also when JMAP is unreachable)
+    const result = await mailService.getUnseenCount(req.user.username, accessToken);
 
-      return res.json(response.data);
+    if (result.success) {
+      return res.json({ unseen_count: result.unseen_count || 0 });
     }
 
-    // Unknown provider
-    return res.status(500).json({ 
-      error: `Unknown mail provider: ${provider}`,
+    console.error(`[mail/unseen] ${mailService.getProvider()} unseen count failed:`, result.error);
+    return res.status(MAIL_READ_ERROR_STATUS[result.code] || 500).json({ 
+      error: result.error || 'Failed to get unseen count',
       unseen_count: 0 
     });
   } catch (error) {
     console.error('Mail unseen count error:', error);
-    
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-      return res.status(503).json({ 
-        error: 'Mail service unavailable',
-        unseen_count: 0 
-      });
-    }
-    
     res.status(500).json({ 
       error: 'Failed to get unseen mail count',
       unseen_count: 0 
@@ -487,90 +452,84 @@ router.post('/mail/unseen', ensureAuthenticated, async (req, res) => {
 });
 
 
+// Recent mail and mailbox status - read from the mail server (JMAP for Stalwart, IMAP for Mailcow)
 
-
-
+/**
+ * @param {*} value - Body or query value
+ * @param {number} fallback
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function pagingNumber(value, fallback, min, max) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? fallback : Math.min(Math.max(number, min), max);
+}
 
 router.post('/mail/recent', ensureAuthenticated, async (req, res) => {
   try {
-    const { username, limit = 10 } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({ error: 'Username is required' });
+    const { username } = req.body;
+    if (username && username !== req.user.username) {
+      return res.status(403).json({ error: 'Recent mail is only available for your own mailbox', recent_mail: [] });
+    }
+    if (!mailService.isConfigured()) {
+      return res.status(503).json({ error: 'Mail service not configured', recent_mail: [] });
     }
 
-    // Get mail service configuration
-    const mailServiceUrl = process.env.MAIL_NOTIFIER_API_URL || 'http://mail.workinpilot.space:8083';
-    const timeout = parseInt(process.env.MAIL_NOTIFIER_TIMEOUT_MS || '5000', 10);
-    
-    console.log('[get-mail-recent.js] req.user.id:', req.user.id, 'Mail service URL:', mailServiceUrl);
-    // console.log('Mail service URL:', mailServiceUrl);
-    // console.log('Environment MAIL_NOTIFIER_API_URL:', process.env.MAIL_NOTIFIER_API_URL);
+    const limit = pagingNumber(req.body.limit, 10, 1, 50);
+    const position = pagingNumber(req.body.position, 0, 0, Number.MAX_SAFE_INTEGER);
+    const result = await mailService.getRecentMail(mailService.accountFromRequest(req), { position, limit });
+    if (!result.success) {
+      return res.status(MAIL_READ_ERROR_STATUS[result.code] || 502).json({
+        error: result.error || 'Failed to get recent mail',
+        code: result.code,
+        recent_mail: []
+      });
+    }
 
-    // Forward request to mail notification service
-    const response = await axios.post(`${mailServiceUrl}/api/mail/recent`, {
-      username,
-      limit
-    }, {
-      timeout,
-      headers: {
-        'Content-Type': 'application/json'
-      }
+    res.json({
+      recent_mail: result.messages,
+      total: result.total,
+      position: result.position,
+      limit,
+      has_more: result.position + result.messages.length < result.total
     });
-
-    res.json(response.data);
   } catch (error) {
     console.error('Mail recent error:', error);
-    
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-      return res.status(503).json({ 
-        error: 'Mail service unavailable',
-        recent_mail: []
-      });
-    }
-    
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to get recent mail',
       recent_mail: []
     });
   }
 });
 
-router.get('/mail/users/status', ensureAuthenticated, async (req, res) => {
+router.get('/mail/users/status', requireAdmin, async (req, res) => {
   try {
-    // Check if user is admin
-    if (!req.user || !req.user.isAdmin) {
-      return res.status(403).json({ error: 'Admin access required' });
+    if (!mailService.isConfigured()) {
+      return res.status(503).json({ error: 'Mail service not configured', users_status: [] });
     }
 
-    // Get mail service configuration
-    const mailServiceUrl = process.env.MAIL_NOTIFIER_API_URL || 'http://mail.workinpilot.space:8083';
-    const timeout = parseInt(process.env.MAIL_NOTIFIER_TIMEOUT_MS || '5000', 10);
-    
-    console.log('[get-mail-users-status.js] req.user.id:', req.user.id, 'Mail service URL:', mailServiceUrl);
-    // console.log('Mail service URL:', mailServiceUrl);
-    // console.log('Environment MAIL_NOTIFIER_API_URL:', process.env.MAIL_NOTIFIER_API_URL);
+    const limit = pagingNumber(req.query.limit, 50, 1, 200);
+    const position = pagingNumber(req.query.position, 0, 0, Number.MAX_SAFE_INTEGER);
+    const result = await mailService.getUsersStatus({ position, limit });
+    if (!result.success) {
+      return res.status(MAIL_READ_ERROR_STATUS[result.code] || 502).json({
+        error: result.error || 'Failed to get mail users status',
+        code: result.code,
+        users_status: []
+      });
+    }
 
-    // Forward request to mail notification service
-    const response = await axios.get(`${mailServiceUrl}/api/mail/users/status`, {
-      timeout,
-      headers: {
-        'Content-Type': 'application/json'
-      }
+    res.json({
+      users_status: result.users,
+      total: result.total,
+      position: result.position,
+      limit,
+      has_more: result.position + result.users.length < result.total
     });
-
-    res.json(response.data);
   } catch (error) {
     console.error('Mail users status error:', error);
-    
-    if (error.code === 'ECONNREFUSED' || error.code === 'ETIMEDOUT') {
-      return res.status(503).json({ 
-        error: 'Mail service unavailable',
-        users_status: []
-      });
-    }
-    
-    res.status(500).json({ 
+    res.status(500).json({
       error: 'Failed to get mail users status',
       users_status: []
     });
@@ -578,6 +537,210 @@ router.get('/mail/users/status', ensureAuthenticated, async (req, res) => {
 });
 
 
+// Sieve filters - ManageSieve as the logged-in user (their own access token)
+
+// ManageSieveError code -> HTTP status (network_error, timeout, closed: 503)
+const SIEVE_ERROR_STATUS = {
+  not_found: 404,
+  active: 409,
+  already_exists: 409,
+  managed: 409,
+  quota: 413,
+  rejected: 400,
+  auth_failed: 401,
+  unsupported: 501,
+  protocol_error: 502
+};
+
+/**
+ * Run fn on an authenticated ManageSieve connection and send its result
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Function} fn - async (connection) => response fields
+ */
+async function sieveRequest(req, res, fn) {
+  const accessToken = await sessionTokens.getAccessToken(req);
+  if (!accessToken) {
+    return res.status(401).json({ success: false, error: 'Access token required - please log in again' });
+  }
+  const intEmailDomain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+  const email = `${req.user.username}@${intEmailDomain}`;
+
+  try {
+    const result = await manageSieve.withConnection(email, accessToken, fn);
+    return res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof manageSieve.ManageSieveError) {
+      console.warn(`[API] Sieve ${req.method} ${req.path} for ${email}: ${error.message}`);
+      return res.status(SIEVE_ERROR_STATUS[error.code] || 503).json({ success: false, error: error.message, code: error.code });
+    }
+    console.error('[API] Sieve error:', error);
+    return res.status(500).json({ success: false, error: 'Sieve request failed' });
+  }
+}
+
+/**
+ * Script text from the request body: { script } or { template, params }
+ * @param {Object} body
+ * @returns {Object} { success, script } or { success: false, error }
+ */
+function sieveScriptFromBody(body = {}) {
+  if (body.template) {
+    return sieveTemplates.renderTemplate(body.template, body.params || {});
+  }
+  if (typeof body.script === 'string' && body.script.trim()) {
+    return { success: true, script: body.script };
+  }
+  return { success: false, error: 'script or template is required' };
+}
+
+/**
+ * The email proxy's script (Stalwart) is changed through the proxy settings only
+ * @param {string} name
+ * @param {Object} res
+ * @returns {boolean} True if the request was refused
+ */
+function refuseManagedSieveScript(name, res) {
+  if (name !== stalwartForwarding.scriptName) return false;
+  res.status(409).json({
+    success: false,
+    error: `"${name}" is managed by the email proxy settings`,
+    code: 'managed'
+  });
+  return true;
+}
+
+/**
+ * Only one script can be active, so switching away from an active email proxy script
+ * would turn forwarding off behind the proxy settings' back
+ * @param {Object} connection - ManageSieve connection
+ * @param {string} name - Script about to become active ('' deactivates)
+ * @throws {ManageSieveError} code 'managed' if the proxy script is active
+ */
+async function ensureManagedSieveScriptStaysActive(connection, name) {
+  const { scriptName } = stalwartForwarding;
+  if (name === scriptName) return;
+  const active = (await connection.listScripts()).find(script => script.active);
+  if (active && active.name === scriptName) {
+    throw new manageSieve.ManageSieveError(
+      `"${scriptName}" is active and managed by the email proxy settings - turn the proxy off first`,
+      { code: 'managed' }
+    );
+  }
+}
+
+/**
+ * GET /api/mail/sieve
+ * List the user's scripts and the server's Sieve extensions
+ */
+router.get('/mail/sieve', ensureAuthenticated, (req, res) => sieveRequest(req, res, async (connection) => {
+  const scripts = await connection.listScripts();
+  const active = scripts.find(script => script.active);
+  return {
+    scripts: scripts.map(script => ({ ...script, managed: script.name === stalwartForwarding.scriptName })),
+    active: active ? active.name : null,
+    extensions: String(connection.capabilities.SIEVE || '').split(/\s+/).filter(Boolean),
+    implementation: connection.capabilities.IMPLEMENTATION || null
+  };
+}));
+
+/**
+ * GET /api/mail/sieve/templates
+ * Built-in filter templates and their parameters
+ */
+router.get('/mail/sieve/templates', ensureAuthenticated, (req, res) => {
+  res.json({ success: true, templates: sieveTemplates.listTemplates() });
+});
+
+/**
+ * POST /api/mail/sieve/check
+ * Validate a script (or rendered template) without storing it
+ * Body: { script } or { template, params }
+ */
+router.post('/mail/sieve/check', ensureAuthenticated, (req, res) => {
+  const source = sieveScriptFromBody(req.body);
+  if (!source.success) {
+    return res.status(400).json({ success: false, error: source.error });
+  }
+  return sieveRequest(req, res, async (connection) => ({
+    valid: true,
+    script: source.script,
+    ...(await connection.checkScript(source.script))
+  }));
+});
+
+/**
+ * GET /api/mail/sieve/scripts/:name
+ */
+router.get('/mail/sieve/scripts/:name', ensureAuthenticated, (req, res) => sieveRequest(req, res, async (connection) => {
+  const { name } = req.params;
+  const script = await connection.getScript(name);
+  const listed = (await connection.listScripts()).find(entry => entry.name === name);
+  return { name, script, active: !!(listed && listed.active) };
+}));
+
+/**
+ * PUT /api/mail/sieve/scripts/:name
+ * Create or replace a script
+ * Body: { script } or { template, params }; activate (optional) makes it the active script
+ */
+router.put('/mail/sieve/scripts/:name', ensureAuthenticated, (req, res) => {
+  const { name } = req.params;
+  if (refuseManagedSieveScript(name, res)) return;
+  const source = sieveScriptFromBody(req.body);
+  if (!source.success) {
+    return res.status(400).json({ success: false, error: source.error });
+  }
+  const activate = req.body.activate === true || req.body.activate === 'true';
+
+  return sieveRequest(req, res, async (connection) => {
+    if (activate) {
+      await ensureManagedSieveScriptStaysActive(connection, name);
+    }
+    const { warnings } = await connection.putScript(name, source.script);
+    if (activate) {
+      await connection.setActive(name);
+    }
+    console.log(`[API] Sieve script "${name}" saved for ${req.user.username}${activate ? ' and activated' : ''}`);
+    return { name, active: activate, warnings };
+  });
+});
+
+/**
+ * POST /api/mail/sieve/active
+ * Body: { name } - script to activate; empty or null deactivates filtering
+ * Refused (409) while the email proxy's script is the active one
+ */
+router.post('/mail/sieve/active', ensureAuthenticated, (req, res) => sieveRequest(req, res, async (connection) => {
+  const name = req.body.name || '';
+  await ensureManagedSieveScriptStaysActive(connection, name);
+  await connection.setActive(name);
+  return { active: name || null };
+}));
+
+/**
+ * DELETE /api/mail/sieve/scripts/:name
+ * An active script is deactivated first
+ */
+router.delete('/mail/sieve/scripts/:name', ensureAuthenticated, (req, res) => {
+  const { name } = req.params;
+  if (refuseManagedSieveScript(name, res)) return;
+
+  return sieveRequest(req, res, async (connection) => {
+    const listed = (await connection.listScripts()).find(entry => entry.name === name);
+    if (listed && listed.active) {
+      await connection.setActive('');
+    }
+    await connection.deleteScript(name);
+    console.log(`[API] Sieve script "${name}" deleted for ${req.user.username}`);
+    return { deleted: name };
+  });
+});
+
+
+// Everything under /api/test requires an admin session, a signed service key or an allowlist entry
+router.use('/test', testApiGuard);
+
 /**
  * GET /api/test/oidc-stalwart/config
  * Get configuration for OIDC/Stalwart test (safe values only, no secrets)
@@ -716,33 +879,21 @@ router.delete('/test/oidc-stalwart/keycloak/delete-user/:userId', async (req, re
     }
 
     const keycloakAdmin = require('../config/keycloak-admin');
-    const axios = require('axios');
-    
-    // Get admin token
-    const token = await keycloakAdmin.getAdminToken();
-    const url = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${encodeURIComponent(userId)}`;
-    
-    const response = await axios.delete(url, {
-      headers: {
-        'Authorization': `Bearer ${token}`
-      },
-      validateStatus: () => true
-    });
+    await keycloakAdmin.deleteUser(userId);
 
-    if (response.status === 204 || response.status === 200) {
-      res.json({
-        success: true,
-        userId,
-        message: 'User deleted successfully from Keycloak'
-      });
-    } else {
-      res.status(response.status).json({
+    res.json({
+      success: true,
+      userId,
+      message: 'User deleted successfully from Keycloak'
+    });
+  } catch (error) {
+    if (error.name === 'KeycloakAdminError' && error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: `Failed to delete user: ${response.status}`,
-        data: response.data
+        error: `Failed to delete user: ${error.status}`,
+        data: error.body
       });
     }
-  } catch (error) {
     console.error('[api/test/oidc-stalwart/keycloak/delete-user] Error:', error);
     res.status(500).json({
       success: false,
@@ -790,24 +941,11 @@ router.post('/test/oidc-stalwart/stalwart/verify-mailbox', async (req, res) => {
       });
     }
 
-    // Get Keycloak admin token
-    const keycloakAdmin = require('../config/keycloak-admin');
-    let adminToken;
-    try {
-      adminToken = await keycloakAdmin.getAdminToken();
-    } catch (error) {
-      return res.status(500).json({
-        success: false,
-        error: `Failed to get Keycloak admin token: ${error.message}`
-      });
-    }
-
     // Use preDeployOidcUserWithAdminToken to trigger OIDC discovery via OAuth
     const stalwartService = require('../services/email/stalwart-service');
     const result = await stalwartService.preDeployOidcUserWithAdminToken(
       email,
       keycloakUserId,
-      adminToken,
       password
     );
     
@@ -851,10 +989,22 @@ router.post('/test/oidc-stalwart/stalwart/send-mail', async (req, res) => {
     let tokenEmail = null;
     
     // If we have a token, verify the sender email matches the token's email
+    // The claims pick the sender, so only a token that verifies against the realm JWKS is used
     if (accessToken) {
+      const jwtVerifier = require('../services/jwt-verifier');
+      let decoded;
+      try {
+        decoded = await jwtVerifier.verify(accessToken);
+      } catch (verifyError) {
+        console.warn(`[api/test/oidc-stalwart/stalwart/send-mail] Access token rejected: ${verifyError.message}`);
+        return res.status(verifyError.code === 'jwks_unavailable' ? 503 : 401).json({
+          success: false,
+          error: 'Invalid access token',
+          code: verifyError.code
+        });
+      }
+
       try {
-        const jwt = require('jsonwebtoken');
-        const decoded = jwt.decode(accessToken);
         if (decoded) {
           // Log all token claims for debugging
           console.log(`[api/test/oidc-stalwart/stalwart/send-mail] Token claims:`, JSON.stringify({
@@ -895,8 +1045,7 @@ router.post('/test/oidc-stalwart/stalwart/send-mail', async (req, res) => {
           }
         }
       } catch (e) {
-        // Token might not be a JWT - that's okay, but we need from address
-        console.error(`[api/test/oidc-stalwart/stalwart/send-mail] Error decoding token: ${e.message}`);
+        console.error(`[api/test/oidc-stalwart/stalwart/send-mail] Error reading token claims: ${e.message}`);
         if (!senderEmail) {
           console.error('[api/test/oidc-stalwart/stalwart/send-mail] Cannot extract email from token and no from address provided');
         }
@@ -1005,6 +1154,150 @@ router.delete('/test/oidc-stalwart/stalwart/delete-mailbox/:email', async (req,
   }
 });
 
+// SOGo user management (sogo_users table)
+// c_uid is the Keycloak username; SOGo matches it against the OIDC preferred_username
+const SOGO_UID_PATTERN = /^[A-Za-z0-9._@-]{1,128}$/;
+const SOGO_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * POST /api/test/oidc-stalwart/sogo/ensure-user
+ * Insert or update a Keycloak user in SOGo's sogo_users table
+ * Body: { username, email?, firstName?, lastName?, keycloakId? }
+ */
+router.post('/test/oidc-stalwart/sogo/ensure-user', async (req, res) => {
+  try {
+    const { keycloakId, username, email, firstName, lastName } = req.body || {};
+
+    if (!username || !SOGO_UID_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid username is required (letters, digits, . _ @ -)'
+      });
+    }
+
+    if (email && !SOGO_EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email address is invalid'
+      });
+    }
+
+    const sogoUserService = require('../services/sogo/sogo-user-service');
+    const result = await sogoUserService.ensureUserInSogo({
+      keycloakId,
+      username,
+      email,
+      firstName,
+      lastName
+    });
+
+    if (!result.success) {
+      console.warn(`[api/test/oidc-stalwart/sogo/ensure-user] Failed for ${username}: ${result.error}`);
+      return res.status(502).json(result);
+    }
+
+    console.log(`[api/test/oidc-stalwart/sogo/ensure-user] OK ${username} (${result.action})`);
+    res.json(result);
+  } catch (error) {
+    console.error('[api/test/oidc-stalwart/sogo/ensure-user] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to ensure SOGo user'
+    });
+  }
+});
+
+/**
+ * GET /api/test/oidc-stalwart/sogo/user-exists/:username
+ * Check whether a user exists in SOGo's sogo_users table
+ */
+router.get('/test/oidc-stalwart/sogo/user-exists/:username', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (!username || !SOGO_UID_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid username is required'
+      });
+    }
+
+    const sogoUserService = require('../services/sogo/sogo-user-service');
+    const exists = await sogoUserService.userExistsInSogo(username);
+
+    res.json({
+      success: true,
+      username,
+      exists
+    });
+  } catch (error) {
+    console.error('[api/test/oidc-stalwart/sogo/user-exists] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to check SOGo user'
+    });
+  }
+});
+
+/**
+ * GET /api/test/oidc-stalwart/sogo/users
+ * List users in SOGo's sogo_users table
+ */
+router.get('/test/oidc-stalwart/sogo/users', async (req, res) => {
+  try {
+    const sogoUserService = require('../services/sogo/sogo-user-service');
+    // listSogoUsers() throws when the database can't be read (getAllSogoUsers() would answer [])
+    const users = await sogoUserService.listSogoUsers();
+
+    res.json({
+      success: true,
+      count: users.length,
+      users
+    });
+  } catch (error) {
+    console.error('[api/test/oidc-stalwart/sogo/users] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to list SOGo users'
+    });
+  }
+});
+
+/**
+ * DELETE /api/test/oidc-stalwart/sogo/delete-user/:username
+ * Delete a user from SOGo's sogo_users table
+ */
+router.delete('/test/oidc-stalwart/sogo/delete-user/:username', async (req, res) => {
+  try {
+    const { username } = req.params;
+
+    if (!username || !SOGO_UID_PATTERN.test(username)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid username is required'
+      });
+    }
+
+    const sogoUserService = require('../services/sogo/sogo-user-service');
+    const result = await sogoUserService.deleteUser(username);
+
+    if (!result.success) {
+      return res.status(502).json(result);
+    }
+
+    res.json({
+      ...result,
+      username
+    });
+  } catch (error) {
+    console.error('[api/test/oidc-stalwart/sogo/delete-user] Error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to delete SOGo user'
+    });
+  }
+});
+
 /**
  * POST /api/test/oidc-stalwart/oidc/authorize
  * Get OIDC authorization URL for Keycloak
@@ -1579,28 +1872,22 @@ This email is sent to verify the complete OIDC registration and mail service int
 if (results.steps.finalUnseenCount.success){
         try {
             const keycloakAdmin = require('../config/keycloak-admin');
-            const deleteUrl = `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${keycloakUserId}`;
-            const adminToken = await keycloakAdmin.getAdminToken();
-            const deleteResponse = await axios.delete(deleteUrl, {
-                headers: {
-                    'Authorization': `Bearer ${adminToken}`
-                },
-                validateStatus: () => true
-            });
+            await keycloakAdmin.deleteUser(keycloakUserId);
 
             cleanupResults.keycloak = {
-                success: deleteResponse.status === 204 || deleteResponse.status === 200,
-                status: deleteResponse.status,
-                message: deleteResponse.status === 204 || deleteResponse.status === 200 
-                    ? 'User deleted from Keycloak successfully'
-                    : `Keycloak deletion returned status ${deleteResponse.status}`
+                success: true,
+                status: 204,
+                message: 'User deleted from Keycloak successfully'
             };
-            console.log(`[OIDC Workflow Test ${workflowId}] ${cleanupResults.keycloak.success ? 'OK' : 'WARN:'} Keycloak cleanup: ${cleanupResults.keycloak.message}`);
+            console.log(`[OIDC Workflow Test ${workflowId}] OK Keycloak cleanup: ${cleanupResults.keycloak.message}`);
         } catch (error) {
             cleanupResults.keycloak = {
                 success: false,
+                status: error.status,
                 error: error.message,
-                message: 'Failed to delete user from Keycloak'
+                message: error.status
+                    ? `Keycloak deletion returned status ${error.status}`
+                    : 'Failed to delete user from Keycloak'
             };
             console.error(`[OIDC Workflow Test ${workflowId}] FAIL Keycloak cleanup error: ${error.message}`);
         }
@@ -1644,11 +1931,7 @@ if (results.steps.finalUnseenCount.success){
         if (keycloakUserId) {
             try {
                 const keycloakAdmin = require('../config/keycloak-admin');
-                const adminToken = await keycloakAdmin.getAdminToken();
-                await axios.delete(
-                    `${process.env.KEYCLOAK_URL}/admin/realms/${process.env.KEYCLOAK_REALM}/users/${keycloakUserId}`,
-                    { headers: { 'Authorization': `Bearer ${adminToken}` }, validateStatus: () => true }
-                );
+                await keycloakAdmin.deleteUser(keycloakUserId);
             } catch (cleanupError) {
                 console.error(`[OIDC Workflow Test ${workflowId}] Keycloak cleanup error:`, cleanupError);
             }
@@ -1,5 +1,6 @@
 const express = require('express');
 const { ensureAuthenticated } = require('../middleware/auth');
+const { isAdmin: checkIsAdmin } = require('../middleware/authorization');
 
 
 const router = express.Router();
@@ -7,7 +8,7 @@ const router = express.Router();
 // Home page (public)
 router.get('/', (req, res) => {
   const isAuthenticated = !!req.user;
-  const isAdmin = isAuthenticated ? checkIsAdmin(req) : false;
+  const isAdmin = isAuthenticated ? checkIsAdmin(req.user) : false;
 
   res.render('index', {
     title: 'Keycloak-Stalwart-SOGo Demo App',
@@ -20,7 +21,7 @@ router.get('/', (req, res) => {
 // Error page (public, accepts query parameters)
 router.get('/error', (req, res) => {
   const isAuthenticated = !!req.user;
-  const isAdmin = isAuthenticated ? checkIsAdmin(req) : false;
+  const isAdmin = isAuthenticated ? checkIsAdmin(req.user) : false;
   
   const title = req.query.title || 'Error';
   const message = req.query.message || 'An error occurred';
@@ -35,11 +36,6 @@ router.get('/error', (req, res) => {
   });
 });
 
-// Admin helper function
-const checkIsAdmin = (req) => {
-  const adminUsername = process.env.DEMO_ADMIN_USERNAME || 'sysadmin';
-  return req.user?.username === adminUsername;
-};
 
 
 //
@@ -2,7 +2,10 @@ const express = require('express');
 const passport = require('../config/passport');
 const { ensureNotAuthenticated } = require('../middleware/auth');
 const mailcowClient = require('../services/email/mailcow-client');
-const tokenService = require('../services/tokenService');
+const sessionTokens = require('../services/session-tokens');
+const backchannelLogout = require('../services/backchannel-logout');
+const logoutPlan = require('../services/logout-plan');
+const { clearSessionCookie } = require('../config/session');
 
 const router = express.Router();
 
@@ -11,12 +14,6 @@ const internalDomain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.sp
 const nextcloudBase = process.env.NEXTCLOUD_URL;
 const mailBase = process.env.MAILCOW_URL;
 
-// Admin helper function
-const checkIsAdmin = (req) => {
-  const adminUsername = process.env.DEMO_ADMIN_USERNAME || 'sysadmin';
-  return req.user?.username === adminUsername;
-};
-
 async function resolveMailcowOwnership(user) {
   try {
     const email = user?.email || '';
@@ -35,7 +32,7 @@ async function resolveMailcowOwnership(user) {
 async function denyAndCleanup(req, res, meta) {
   try { await new Promise(resolve => req.logout(() => resolve())); } catch (_) {}
   try { req.session?.destroy?.(() => {}); } catch (_) {}
-  res.clearCookie('connect.sid');
+  clearSessionCookie(req, res);
   return res.status(403).render('error', {
     title: 'Access Denied',
     message: 'This identity appears to be managed by another instance. Please sign in again.',
@@ -112,8 +109,60 @@ router.get('/keycloak',
 
 );
 
+// Keycloak login callback
+router.get('/keycloak/callback',
+  // keepSessionInfo: passport regenerates the session on login - keep returnTo
+  passport.authenticate('keycloak', { failureRedirect: '/auth/login', failureFlash: true, keepSessionInfo: true }),
+  async (req, res) => {
+    try {
+      // Hand tokens to TokenService (keyed by keycloak_id) and expose them on the session
+      const stored = await sessionTokens.establish(req);
+      if (!stored) {
+        console.warn(`[auth.js - callback] Tokens not stored for ${req.user?.username} - mail features needing a token will be unavailable`);
+      }
+    } catch (error) {
+      console.error('[auth.js - callback] Error storing tokens:', error.message);
+    }
+
+    const returnTo = req.session.returnTo;
+    delete req.session.returnTo;
+    delete req.session.loginHint;
+    return res.redirect(returnTo || process.env.FRONTEND_URL || '/');
+  }
+);
+
 
 
+/**
+ * POST /auth/backchannel-logout
+ * OIDC Back-Channel Logout receiver - Keycloak posts a signed logout_token when a
+ * user's SSO session ends; matching local sessions and refresh tokens are destroyed
+ */
+router.post('/backchannel-logout', async (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  const logoutToken = req.body?.logout_token;
+  if (!logoutToken) {
+    return res.status(400).json({ error: 'invalid_request', error_description: 'logout_token is required' });
+  }
+
+  try {
+    const claims = await backchannelLogout.validateLogoutToken(logoutToken);
+    await backchannelLogout.logoutSessions(req.sessionStore, claims);
+    return res.status(200).end();
+  } catch (error) {
+    console.warn('[auth.js - backchannel-logout] Rejected logout_token:', error.message);
+    if (error.code === 'jwks_unavailable') {
+      return res.status(503).json({ error: 'temporarily_unavailable', error_description: error.message });
+    }
+    if (error.code) {
+      return res.status(400).json({ error: 'invalid_request', error_description: error.message });
+    }
+    console.error('[auth.js - backchannel-logout] Error:', error);
+    return res.status(500).json({ error: 'server_error' });
+  }
+});
+
 // Mail authentication (provider-agnostic)
 router.get('/mailcow', async (req, res) => {
   // Redirect to provider-agnostic route
@@ -163,7 +212,7 @@ router.get('/mail', async (req, res) => {
       // Stalwart: Pre-deploy via Token Exchange (no password required)
       try {
         const stalwartService = require('../services/email/stalwart-service');
-        const keycloakAccessToken = req.session.keycloakAccessToken;
+        const keycloakAccessToken = await sessionTokens.getAccessToken(req);
         
         if (keycloakAccessToken) {
           console.log(`[auth.js - mail] Pre-deploying Stalwart mailbox via Token Exchange for ${userEmail}`);
@@ -259,10 +308,10 @@ router.get('/logout', async (req, res) => {
   }
   
   console.log('Session before logout:', req.session ? 'exists' : 'null');
-  console.log('ID token in session:', req.session?.idToken ? 'present' : 'missing');
-
-  // Capture keycloakId before logout clears req.user
+  // Capture keycloakId and ID token before logout regenerates the session and clears req.user
   const capturedKeycloakId = req.user?.keycloak_id;
+  const capturedIdToken = sessionTokens.getIdToken(req);
+  console.log('ID token in session:', capturedIdToken ? 'present' : 'missing');
 
   // Step 1: Logout from WorkInPilot app
   req.logout((err) => {
@@ -274,7 +323,7 @@ router.get('/logout', async (req, res) => {
     // Invalidate tokens in tokenService before destroying session
     if (capturedKeycloakId && req.session) {
       try {
-        tokenService.invalidateTokens(capturedKeycloakId, req.session);
+        sessionTokens.clear(req, capturedKeycloakId);
         console.log('[logout] TokenService tokens invalidated');
       } catch (tokenError) {
         console.error('[logout] Error invalidating tokens:', tokenError);
@@ -307,8 +356,8 @@ router.get('/logout', async (req, res) => {
       logoutUrl.searchParams.set('post_logout_redirect_uri', postLogoutRedirectUri);
       
       // Add ID token hint if available
-      if (req.session && req.session.idToken) {
-        logoutUrl.searchParams.set('id_token_hint', req.session.idToken);
+      if (capturedIdToken) {
+        logoutUrl.searchParams.set('id_token_hint', capturedIdToken);
         console.log('ID token included in logout request');
       } else {
         console.log('No ID token available for logout - proceeding without it');
@@ -341,7 +390,7 @@ router.get('/logout-simple', async (req, res) => {
     // Invalidate tokens in tokenService before destroying session
     if (capturedKeycloakId && req.session) {
       try {
-        tokenService.invalidateTokens(capturedKeycloakId, req.session);
+        sessionTokens.clear(req, capturedKeycloakId);
         console.log('[logout-simple] TokenService tokens invalidated');
       } catch (tokenError) {
         console.error('[logout-simple] Error invalidating tokens:', tokenError);
@@ -363,60 +412,56 @@ router.get('/logout-simple', async (req, res) => {
 });
 
 // Federated logout across OIDC-enabled apps (front-channel orchestration)
-// Uses Keycloak end-session, then calls service logout URLs via hidden iframes
+// Ends the local session, then the progress page logs out of the webmail client and mail
+// server in hidden iframes (see services/logout-plan.js) and finally ends the Keycloak session
 router.get('/logout-all', async (req, res) => {
   if (!req.isAuthenticated()) {
     return res.redirect('/auth/login');
   }
 
+  // Capture everything needed before logout regenerates the session and clears req.user
+  const capturedKeycloakId = req.user?.keycloak_id;
+  const capturedIdToken = sessionTokens.getIdToken(req);
+  const steps = logoutPlan.buildLogoutPlan(req.user);
+  const keycloakLogoutUrl = logoutPlan.buildKeycloakLogoutUrl({ idTokenHint: capturedIdToken });
+
+  console.log(`[logout-all] Plan for ${req.user?.username}: ${steps.map(s => `${s.id}${s.skipped ? ' (skipped)' : ''}`).join(', ')}, keycloak (id_token_hint ${capturedIdToken ? 'present' : 'missing'})`);
 
+  req.logout((err) => {
+    if (err) {
+      console.error('[logout-all] Logout error:', err);
+      return res.redirect('/');
+    }
 
-  // const ncLogout = process.env.NEXTCLOUD_LOGOUT_URL || '';
-  // Resolve Mail logout URL with user/email placeholders
-  const mailTpl = process.env.MAILCOW_LOGOUT_URL_TEMPLATE || process.env.MAILCOW_LOGOUT_URL || '';
-  const userEmail = req.user?.email || '';
-  const userLocal = userEmail.split('@')[0] || '';
-  const mailLogout = mailTpl
-    .replace(/\$\{USER\}/g, userLocal)
-    .replace(/\$\{EMAIL\}/g, userEmail)
-    .replace(/\{user\}/g, userLocal)
-    .replace(/\{email\}/g, userEmail);
-
-
-  const html = `<!doctype html><html><head><meta charset="utf-8"><title>Signing out…</title>
-  <style>
-    body{font-family:system-ui,-apple-system,Segoe UI,Roboto,sans-serif;margin:0;background:linear-gradient(135deg, #090c9b 0%, #3066be 50%, #b4c5e4 100%);color:#1f2937;min-height:100vh}
-    .backdrop{position:fixed;inset:0;display:flex;align-items:center;justify-content:center;padding:24px}
-    .modal{background:rgba(255,255,255,0.95);backdrop-filter:blur(10px);box-shadow:0 8px 32px rgba(0,0,0,0.1);border-radius:15px;max-width:560px;width:100%;overflow:hidden;border:1px solid rgba(255,255,255,0.2)}
-    .modal-header{padding:16px 20px;border-bottom:1px solid #f0f1f3;font-weight:600;font-size:16px}
-    .modal-body{padding:14px 20px 6px 20px}
-    .summary{margin:0 0 10px 0;font-weight:600;color:#111827}
-    .details{font-size:14px;color:#374151}
-    .row{margin:8px 0}
-    .foot{padding:10px 20px 16px 20px;border-top:1px solid #f0f1f3;color:#6b7280;font-size:12px}
-  </style>
-  </head><body>
-  <div class="backdrop">
-    <div class="modal" role="dialog" aria-modal="true" aria-label="Logout progress">
-      <div class="modal-header">Signing you out…</div>
-      <div class="modal-body">
-        <div class="summary">${ncCleanupSummary}</div>
-        <div class="details">
-          ${mailLogout ? '<div class="row">Mail: logout prepared</div>' : ''}
-          ${ncLogout ? '<div class="row">Nextcloud: logout prepared</div>' : ''}
-          ${ncTokenCleanupStatus}
-          <div class="row">Identity provider (Keycloak): next…</div>
-        </div>
-      </div>
-      <div class="foot">This window will move through logout steps automatically…</div>
-    </div>
-  </div>
-  <script>setTimeout(function(){ window.location.href = ${JSON.stringify(mailLogout.toString())}; }, 1200);</script>
-  <script>setTimeout(function(){ window.location.href = ${JSON.stringify(ncLogout.toString())}; }, 1200);</script>
-  <script>setTimeout(function(){ window.location.href = ${JSON.stringify(kcLogout.toString())}; }, 1200);</script>
-  </body></html>`;
-  res.setHeader('Content-Type', 'text/html; charset=utf-8');
-  res.send(html);
+    if (capturedKeycloakId) {
+      try {
+        sessionTokens.clear(req, capturedKeycloakId);
+      } catch (tokenError) {
+        console.error('[logout-all] Error invalidating tokens:', tokenError);
+        // Non-fatal - continue with logout
+      }
+    }
+
+    const render = () => {
+      res.setHeader('Cache-Control', 'no-store');
+      res.render('logout-progress', {
+        title: 'Signing out…',
+        steps,
+        keycloakLogoutUrl
+      });
+    };
+
+    if (!req.session) {
+      return render();
+    }
+    req.session.destroy((destroyErr) => {
+      if (destroyErr) {
+        console.error('[logout-all] Session destroy error:', destroyErr);
+      }
+      clearSessionCookie(req, res);
+      render();
+    });
+  });
 });
 
 // After IDP logout, front-channel logout other services via iframes then redirect
@@ -432,7 +477,7 @@ router.get('/kc-logout-complete', (req, res) => {
       // Invalidate tokens in tokenService before destroying session
       if (capturedKeycloakId && req.session) {
         try {
-          tokenService.invalidateTokens(capturedKeycloakId, req.session);
+          sessionTokens.clear(req, capturedKeycloakId);
           console.log('[kc-logout-complete] TokenService tokens invalidated');
         } catch (tokenError) {
           console.error('[kc-logout-complete] Error invalidating tokens:', tokenError);
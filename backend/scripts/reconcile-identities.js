@@ -0,0 +1,52 @@
+// Identity reconciliation across Keycloak, Stalwart, SOGo and Roundcube
+// Uses repo's backend/.env via env-loader
+//
+// Usage:
+//   node scripts/reconcile-identities.js                      print the diff report (orphans/missing)
+//   node scripts/reconcile-identities.js --repair             delete orphaned accounts
+//   node scripts/reconcile-identities.js --repair sogo,roundcube
+//                                                              only repair the given systems
+//
+// Exits 1 when a system could not be listed or a repair failed.
+
+async function main() {
+  const { loadEnvironment } = require('../config/env-loader');
+  try {
+    loadEnvironment();
+  } catch (err) {
+    console.error('Failed to load environment:', err.message);
+    process.exit(1);
+  }
+
+  const args = process.argv.slice(2);
+  const reconciler = require('../services/deprovisioning/reconciliation');
+
+  let result;
+  if (args[0] === '--repair') {
+    const systems = args[1] ? args[1].split(',').map(s => s.trim()).filter(Boolean) : undefined;
+    const unknown = (systems || []).filter(system => !reconciler.ORPHAN_SYSTEMS.includes(system));
+    if (unknown.length > 0) {
+      console.error(`Unknown system(s): ${unknown.join(', ')} (expected ${reconciler.ORPHAN_SYSTEMS.join(', ')})`);
+      process.exit(2);
+    }
+    result = await reconciler.repair({ systems });
+  } else if (args.length === 0) {
+    result = await reconciler.report();
+  } else {
+    console.error('Usage: node scripts/reconcile-identities.js [--repair [stalwart,sogo,roundcube]]');
+    process.exit(2);
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+  for (const service of ['../services/sogo/sogo-user-service', '../services/roundcube/roundcube-user-service']) {
+    try {
+      await require(service).close();
+    } catch (_) {}
+  }
+  process.exit(result.success ? 0 : 1);
+}
+
+main().catch((err) => {
+  console.error('Identity reconciliation failed:', err);
+  process.exit(1);
+});
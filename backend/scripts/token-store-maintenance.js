@@ -0,0 +1,63 @@
+// TokenService refresh-token store maintenance
+// Uses repo's backend/.env via env-loader
+//
+// Usage:
+//   node scripts/token-store-maintenance.js rotate            re-encrypt stored tokens with the active key
+//   node scripts/token-store-maintenance.js evict             remove expired tokens now
+//   node scripts/token-store-maintenance.js migrate <backend> copy tokens from another backend
+//                                                              (file|database|redis) into TOKEN_STORE_BACKEND
+
+async function main() {
+  const { loadEnvironment } = require('../config/env-loader');
+  try {
+    loadEnvironment();
+  } catch (err) {
+    console.error('Failed to load environment:', err.message);
+    process.exit(1);
+  }
+
+  const [command, fromBackend] = process.argv.slice(2);
+  const tokenService = require('../services/tokenService');
+
+  let result;
+  switch (command) {
+    case 'rotate':
+      result = await tokenService.rotateKeys();
+      break;
+    case 'evict':
+      result = { evicted: await tokenService.evictExpiredTokens() };
+      break;
+    case 'migrate': {
+      if (!fromBackend) {
+        console.error('migrate requires a source backend (file|database|redis)');
+        process.exit(2);
+      }
+      const { createTokenStore } = require('../services/token-store');
+      const configured = process.env.TOKEN_STORE_BACKEND;
+      process.env.TOKEN_STORE_BACKEND = fromBackend;
+      const source = createTokenStore();
+      process.env.TOKEN_STORE_BACKEND = configured;
+      if (source.name === tokenService.refreshTokenStore.name) {
+        console.error(`Source and target are both "${source.name}"`);
+        process.exit(2);
+      }
+      result = await tokenService.migrateFrom(source);
+      await source.close();
+      break;
+    }
+    default:
+      console.error('Usage: node scripts/token-store-maintenance.js rotate|evict|migrate <backend>');
+      process.exit(2);
+  }
+
+  console.log(JSON.stringify(result, null, 2));
+  await tokenService.close();
+  try {
+    await require('../services/databaseService').close();
+  } catch (_) {}
+}
+
+main().catch((err) => {
+  console.error('Token store maintenance failed:', err);
+  process.exit(1);
+});
@@ -10,12 +10,15 @@ const { spawn } = require('child_process');
 
 // Import configurations and middleware
 const passport = require('./config/passport');
+const { getSessionOptions, getTrustProxy } = require('./config/session');
+const { startSessionSweeper } = require('./services/session-store');
 const { addUserToLocals } = require('./middleware/auth');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const appRoutes = require('./routes/app');
 const apiRoutes = require('./routes/api');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 3010; // Backend fixed on 3010
@@ -75,24 +78,18 @@ app.use(express.static(path.join(__dirname, 'public')));
 app.use(bodyParser.urlencoded({ extended: false, limit: '10mb' }));
 app.use(bodyParser.json({ limit: '10mb' }));
 
-// Session configuration
+// Session configuration (store + cookie settings from env, see config/session.js)
 // For same-domain subdomains (e.g., demo.example.com and workinpilot.cloud),
-// set domain to 'example.com' to allow cookies across subdomains
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'your-secret-key',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: false,
-    // secure: process.env.NODE_ENV === 'production', // true for HTTPS in production
-    // httpOnly: true, // Prevent XSS attacks
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    // sameSite: 'lax', // Allow cross-site requests but maintain CSRF protection
-    // Set domain to parent domain to allow cookies across subdomains
-    // Example: 'example.com' allows cookies on workinpilot.cloud, demo.example.com, etc.
-    // domain: process.env.SESSION_COOKIE_DOMAIN || undefined // e.g., 'example.com'
-  }
-}));
+// set SESSION_COOKIE_DOMAIN to the parent domain to allow cookies across subdomains
+// e.g. TRUST_PROXY=1 when TLS terminates at one reverse proxy
+const trustProxy = getTrustProxy();
+if (trustProxy !== undefined) {
+  app.set('trust proxy', trustProxy);
+}
+const sessionOptions = getSessionOptions();
+startSessionSweeper(sessionOptions.store);
+console.log(`[Session] Store: ${sessionOptions.store.name || 'memory'}, cookie: secure=${sessionOptions.cookie.secure} sameSite=${sessionOptions.cookie.sameSite} domain=${sessionOptions.cookie.domain || '(host)'}`);
+app.use(session(sessionOptions));
 
 // Passport middleware
 app.use(passport.initialize());
@@ -107,6 +104,7 @@ app.use(addUserToLocals);
 // Routes (mount API first to avoid any accidental shadowing)
 app.use('/api', apiRoutes);
 app.use('/auth', authRoutes);
+app.use('/admin', adminRoutes);
 app.use('/', appRoutes);
 
 // API endpoint to check authentication status
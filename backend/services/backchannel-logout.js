@@ -0,0 +1,127 @@
+/**
+ * OIDC Back-Channel Logout
+ *
+ * Handles logout_tokens POSTed by Keycloak to /auth/backchannel-logout when a user's
+ * Keycloak session ends elsewhere (admin logout, keycloakAdmin.logoutUserSessions,
+ * the cleanup daemon, another client's logout).
+ *
+ * Validation (OIDC Back-Channel Logout 1.0, section 2.6):
+ * - signature against the realm JWKS, issuer, audience = KEYCLOAK_CLIENT_ID, iat/exp
+ * - events contains the back-channel logout event
+ * - sid and/or sub present, no nonce
+ * - jti not seen before (replay)
+ *
+ * Local sessions are matched by the Keycloak session id recorded at login
+ * (req.session.keycloakSid, see services/session-tokens.js), or by sub (= keycloak_id,
+ * the Passport user) when the token carries no sid.
+ *
+ * Keycloak client setup: Backchannel logout URL = <APP_URL>/auth/backchannel-logout,
+ * "Backchannel logout session required" ON.
+ */
+
+const { promisify } = require('util');
+const jwtVerifier = require('./jwt-verifier');
+const { JwtVerificationError } = require('./jwt-verifier');
+const tokenService = require('./tokenService');
+
+const BACKCHANNEL_LOGOUT_EVENT = 'http://schemas.openid.net/event/backchannel-logout';
+
+// jti -> expiry (ms), for replay detection
+const seenTokenIds = new Map();
+
+function rememberTokenId(jti, exp) {
+  const now = Date.now();
+  for (const [id, expiresAt] of seenTokenIds) {
+    if (expiresAt <= now) seenTokenIds.delete(id);
+  }
+  if (seenTokenIds.has(jti)) {
+    return false;
+  }
+  // Tokens without exp are remembered for 10 minutes
+  seenTokenIds.set(jti, exp ? exp * 1000 : now + 10 * 60 * 1000);
+  return true;
+}
+
+/**
+ * Validate a logout_token
+ * @param {string} logoutToken
+ * @returns {Promise<Object>} Verified claims ({ sid, sub, ... })
+ * @throws {JwtVerificationError}
+ */
+async function validateLogoutToken(logoutToken) {
+  const claims = await jwtVerifier.verify(logoutToken, {
+    audience: process.env.KEYCLOAK_CLIENT_ID,
+    // exp is optional in the spec; Keycloak sets it, verify() still checks it when present
+    ignoreExpiration: false
+  });
+
+  if (!claims.events || typeof claims.events !== 'object' || !(BACKCHANNEL_LOGOUT_EVENT in claims.events)) {
+    throw new JwtVerificationError('logout_token has no back-channel logout event', 'invalid_token');
+  }
+  if (!claims.sid && !claims.sub) {
+    throw new JwtVerificationError('logout_token has neither sid nor sub', 'invalid_token');
+  }
+  if ('nonce' in claims) {
+    throw new JwtVerificationError('logout_token must not contain a nonce', 'invalid_token');
+  }
+  if (claims.jti && !rememberTokenId(claims.jti, claims.exp)) {
+    throw new JwtVerificationError('logout_token replayed', 'replayed');
+  }
+
+  return claims;
+}
+
+/**
+ * Destroy local sessions matching a Keycloak sid/sub, and the refresh tokens of users
+ * left without any session
+ * @param {Object} sessionStore - express-session store (req.sessionStore)
+ * @param {Object} target
+ * @param {string} [target.sid] - Keycloak session id
+ * @param {string} [target.sub] - Keycloak user id (keycloak_id)
+ * @returns {Promise<Object>} { sessionsDestroyed, refreshTokensRemoved }
+ */
+async function logoutSessions(sessionStore, { sid, sub }) {
+  const all = promisify(sessionStore.all.bind(sessionStore));
+  const destroy = promisify(sessionStore.destroy.bind(sessionStore));
+
+  const sessions = (await all()) || {};
+  const matches = Object.entries(sessions).filter(([, sess]) => {
+    const user = sess?.passport?.user;
+    if (sid) {
+      if (sess?.keycloakSid) return sess.keycloakSid === sid;
+      // Sessions created before sids were recorded: fall back to the user
+      return !!sub && user === sub;
+    }
+    return user === sub;
+  });
+
+  const affectedUsers = new Set(matches.map(([, sess]) => sess?.passport?.user).filter(Boolean));
+  if (!sid && sub) {
+    affectedUsers.add(sub);
+  }
+
+  for (const [localSid] of matches) {
+    await destroy(localSid);
+  }
+
+  // Refresh tokens are stored per user - only drop them when no session of that user is left
+  const destroyed = new Set(matches.map(([localSid]) => localSid));
+  let refreshTokensRemoved = 0;
+  for (const user of affectedUsers) {
+    const stillActive = Object.entries(sessions).some(([localSid, sess]) =>
+      !destroyed.has(localSid) && sess?.passport?.user === user);
+    if (!stillActive) {
+      tokenService.invalidateTokens(user, null);
+      refreshTokensRemoved++;
+    }
+  }
+
+  console.log(`[BackchannelLogout] sid=${sid || '-'} sub=${sub || '-'}: ${matches.length} session(s) destroyed, ${refreshTokensRemoved} refresh token(s) removed`);
+  return { sessionsDestroyed: matches.length, refreshTokensRemoved };
+}
+
+module.exports = {
+  BACKCHANNEL_LOGOUT_EVENT,
+  validateLogoutToken,
+  logoutSessions
+};
@@ -0,0 +1,165 @@
+/**
+ * Daemon Status
+ *
+ * Collects status of the background daemons for the admin console.
+ *
+ * - Demo cleanup daemon runs as a separate process (demo-session-cleanup-daemon-standalone.js),
+ *   so the web server must not require it (its signal handlers expire all demo users).
+ *   The standalone runner publishes getStatus() to a JSON file next to its PID file.
+ * - SOGo sync daemon runs the same way (sogo/sogo-sync-daemon-standalone.js) and publishes its
+ *   status to its own PID and status files; the web server's instance is never started.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CLEANUP_DAEMON_PID_FILE = path.join(__dirname, '..', 'demo-cleanup-daemon.pid');
+const CLEANUP_DAEMON_STATUS_FILE = path.join(__dirname, '..', 'demo-cleanup-daemon.status.json');
+const SOGO_SYNC_DAEMON_PID_FILE = path.join(__dirname, '..', 'sogo-sync-daemon.pid');
+const SOGO_SYNC_DAEMON_STATUS_FILE = path.join(__dirname, '..', 'sogo-sync-daemon.status.json');
+
+/**
+ * Read PID from a PID file and check whether that process is alive
+ * @param {string} pidFile
+ * @returns {{ pid: number|null, alive: boolean }}
+ */
+function readPid(pidFile) {
+  try {
+    if (!fs.existsSync(pidFile)) {
+      return { pid: null, alive: false };
+    }
+    const pid = parseInt(fs.readFileSync(pidFile, 'utf8').trim(), 10);
+    if (isNaN(pid)) {
+      return { pid: null, alive: false };
+    }
+    try {
+      process.kill(pid, 0); // Signal 0 doesn't kill, just checks if process exists
+      return { pid, alive: true };
+    } catch (_) {
+      return { pid, alive: false };
+    }
+  } catch (error) {
+    console.warn('[DaemonStatus] Failed to read PID file:', error.message);
+    return { pid: null, alive: false };
+  }
+}
+
+/**
+ * Write a daemon's status with its PID and publish time
+ * @param {string} statusFile
+ * @param {Object} status - The daemon's getStatus()
+ */
+function writeStatus(statusFile, status) {
+  try {
+    const payload = {
+      ...status,
+      pid: process.pid,
+      publishedAt: new Date().toISOString()
+    };
+    fs.writeFileSync(statusFile, JSON.stringify(payload, null, 2), 'utf8');
+  } catch (error) {
+    console.warn(`[DaemonStatus] Failed to write ${path.basename(statusFile)}:`, error.message);
+  }
+}
+
+/**
+ * @param {string} statusFile
+ */
+function removeStatus(statusFile) {
+  try {
+    if (fs.existsSync(statusFile)) {
+      fs.unlinkSync(statusFile);
+    }
+  } catch (error) {
+    console.warn(`[DaemonStatus] Failed to remove ${path.basename(statusFile)}:`, error.message);
+  }
+}
+
+/**
+ * Status of a standalone daemon from its PID and status files
+ * @param {string} name
+ * @param {string} pidFile
+ * @param {string} statusFile
+ * @returns {Object}
+ */
+function readStandaloneStatus(name, pidFile, statusFile) {
+  const { pid, alive } = readPid(pidFile);
+  let status = null;
+
+  try {
+    if (fs.existsSync(statusFile)) {
+      status = JSON.parse(fs.readFileSync(statusFile, 'utf8'));
+    }
+  } catch (error) {
+    console.warn(`[DaemonStatus] Failed to read ${path.basename(statusFile)}:`, error.message);
+  }
+
+  return {
+    name,
+    mode: 'standalone',
+    pid,
+    processRunning: alive,
+    // A status file left behind by a dead process is reported but flagged stale
+    stale: !!status && !alive,
+    status
+  };
+}
+
+/**
+ * Publish cleanup daemon status (called by the standalone runner)
+ * @param {Object} status - demoSessionCleanupDaemon.getStatus()
+ */
+function writeCleanupDaemonStatus(status) {
+  writeStatus(CLEANUP_DAEMON_STATUS_FILE, status);
+}
+
+/**
+ * Remove the published cleanup daemon status (called on shutdown)
+ */
+function removeCleanupDaemonStatus() {
+  removeStatus(CLEANUP_DAEMON_STATUS_FILE);
+}
+
+/**
+ * Status of the standalone demo cleanup daemon
+ * @returns {Object}
+ */
+function getCleanupDaemonStatus() {
+  return readStandaloneStatus('demo-session-cleanup', CLEANUP_DAEMON_PID_FILE, CLEANUP_DAEMON_STATUS_FILE);
+}
+
+/**
+ * Publish SOGo sync daemon status (called by the standalone runner)
+ * @param {Object} status - sogoSyncDaemon.getStatus()
+ */
+function writeSogoSyncDaemonStatus(status) {
+  writeStatus(SOGO_SYNC_DAEMON_STATUS_FILE, status);
+}
+
+/**
+ * Remove the published SOGo sync daemon status (called on shutdown)
+ */
+function removeSogoSyncDaemonStatus() {
+  removeStatus(SOGO_SYNC_DAEMON_STATUS_FILE);
+}
+
+/**
+ * Status of the standalone SOGo sync daemon
+ * @returns {Object}
+ */
+function getSogoSyncDaemonStatus() {
+  return readStandaloneStatus('sogo-sync', SOGO_SYNC_DAEMON_PID_FILE, SOGO_SYNC_DAEMON_STATUS_FILE);
+}
+
+module.exports = {
+  CLEANUP_DAEMON_PID_FILE,
+  CLEANUP_DAEMON_STATUS_FILE,
+  SOGO_SYNC_DAEMON_PID_FILE,
+  SOGO_SYNC_DAEMON_STATUS_FILE,
+  writeCleanupDaemonStatus,
+  removeCleanupDaemonStatus,
+  getCleanupDaemonStatus,
+  writeSogoSyncDaemonStatus,
+  removeSogoSyncDaemonStatus,
+  getSogoSyncDaemonStatus
+};
@@ -0,0 +1,227 @@
+/**
+ * Schema Migrations
+ *
+ * Ordered list of schema changes for the demo app database.
+ * Each migration carries per-client statements because SQLite and PostgreSQL
+ * differ on identity columns. Applied versions are tracked in schema_migrations.
+ *
+ * To change the schema, append a new migration - never edit an applied one.
+ */
+
+const migrations = [
+  {
+    version: 1,
+    name: 'create_users',
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        keycloak_id TEXT NOT NULL UNIQUE,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        personal_email TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        keycloak_id TEXT NOT NULL UNIQUE,
+        username TEXT NOT NULL UNIQUE,
+        email TEXT,
+        first_name TEXT,
+        last_name TEXT,
+        personal_email TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_login TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    version: 2,
+    name: 'create_user_settings',
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS user_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        wip_email_proxy INTEGER NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS user_settings (
+        user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+        wip_email_proxy INTEGER NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  },
+  {
+    version: 3,
+    name: 'add_user_roles',
+    // JSON array of Keycloak roles captured at login (see middleware/authorization.js)
+    sqlite: ['ALTER TABLE users ADD COLUMN roles TEXT'],
+    postgres: ['ALTER TABLE users ADD COLUMN IF NOT EXISTS roles TEXT']
+  },
+  {
+    version: 4,
+    name: 'create_refresh_tokens',
+    // Encrypted TokenService refresh tokens (see services/token-store); expires_at in epoch ms
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS refresh_tokens (
+        user_key TEXT PRIMARY KEY,
+        ciphertext TEXT NOT NULL,
+        key_id TEXT,
+        expires_at INTEGER,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens (expires_at)'
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS refresh_tokens (
+        user_key TEXT PRIMARY KEY,
+        ciphertext TEXT NOT NULL,
+        key_id TEXT,
+        expires_at BIGINT,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens (expires_at)'
+    ]
+  },
+  {
+    version: 5,
+    name: 'create_sessions',
+    // express-session store (see services/session-store); expires_at in epoch ms
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at)'
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS sessions (
+        sid TEXT PRIMARY KEY,
+        sess TEXT NOT NULL,
+        expires_at BIGINT NOT NULL,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions (expires_at)'
+    ]
+  },
+  {
+    version: 6,
+    name: 'create_deprovisioning_jobs',
+    // Deprovisioning job queue (see services/deprovisioning/job-queue.js); steps is JSON
+    // per-system state, next_attempt_at / locked_until in epoch ms
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS deprovisioning_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        username TEXT NOT NULL,
+        email TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        steps TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at INTEGER NOT NULL,
+        locked_until INTEGER,
+        last_error TEXT,
+        reason TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_deprovisioning_jobs_due ON deprovisioning_jobs (status, next_attempt_at)'
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS deprovisioning_jobs (
+        id SERIAL PRIMARY KEY,
+        user_id TEXT,
+        username TEXT NOT NULL,
+        email TEXT,
+        status TEXT NOT NULL DEFAULT 'pending',
+        steps TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL,
+        next_attempt_at BIGINT NOT NULL,
+        locked_until BIGINT,
+        last_error TEXT,
+        reason TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_deprovisioning_jobs_due ON deprovisioning_jobs (status, next_attempt_at)'
+    ]
+  },
+  {
+    version: 7,
+    name: 'create_event_cursors',
+    // Keycloak event ingestion cursors (see services/sogo/sogo-event-ingestor.js); position is
+    // the last processed event time in epoch ms, seen the JSON keys of events at that time
+    sqlite: [
+      `CREATE TABLE IF NOT EXISTS event_cursors (
+        name TEXT PRIMARY KEY,
+        position INTEGER NOT NULL,
+        seen TEXT NOT NULL DEFAULT '[]',
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS event_cursors (
+        name TEXT PRIMARY KEY,
+        position BIGINT NOT NULL,
+        seen TEXT NOT NULL DEFAULT '[]',
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+      )`
+    ]
+  }
+];
+
+/**
+ * Apply all pending migrations
+ * @param {Object} adapter - SqliteAdapter or PostgresAdapter (connected)
+ * @returns {Promise<number[]>} Versions applied in this run
+ */
+async function runMigrations(adapter) {
+  await adapter.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  const rows = await adapter.all('SELECT version FROM schema_migrations');
+  const applied = new Set(rows.map(r => Number(r.version)));
+  const newlyApplied = [];
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    const statements = migration[adapter.client];
+    if (!statements) {
+      throw new Error(`Migration ${migration.version} has no statements for client "${adapter.client}"`);
+    }
+
+    await adapter.transaction(async (tx) => {
+      for (const sql of statements) {
+        await tx.run(sql);
+      }
+      await tx.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+
+    console.log(`[DatabaseService] Applied migration ${migration.version}: ${migration.name}`);
+    newlyApplied.push(migration.version);
+  }
+
+  return newlyApplied;
+}
+
+module.exports = {
+  migrations,
+  runMigrations
+};
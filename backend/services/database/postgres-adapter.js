@@ -0,0 +1,120 @@
+/**
+ * PostgreSQL Adapter
+ *
+ * Same interface as SqliteAdapter so databaseService can stay client-agnostic.
+ * SQL is written with `?` placeholders and rewritten to `$1, $2, ...` here.
+ */
+
+const { Pool } = require('pg');
+
+/**
+ * Convert `?` placeholders to PostgreSQL positional parameters.
+ * Placeholders inside single-quoted literals are left untouched.
+ * @param {string} sql
+ * @returns {string}
+ */
+function toPositional(sql) {
+  let index = 0;
+  let inLiteral = false;
+  let out = '';
+  for (const ch of sql) {
+    if (ch === "'") inLiteral = !inLiteral;
+    if (ch === '?' && !inLiteral) {
+      index++;
+      out += `$${index}`;
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+class PostgresAdapter {
+  /**
+   * @param {Object} options - pg Pool options (connectionString or host/port/database/user/password)
+   */
+  constructor(options = {}) {
+    this.client = 'postgres';
+    this.options = options;
+    this.pool = null;
+    // Set when this adapter is scoped to a single transaction client
+    this.conn = null;
+  }
+
+  async connect() {
+    if (this.pool) return;
+    this.pool = new Pool({
+      max: 5,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000,
+      ...this.options
+    });
+    // Test connection
+    await this.pool.query('SELECT 1');
+  }
+
+  _query(sql, params = []) {
+    const target = this.conn || this.pool;
+    return target.query(toPositional(sql), params);
+  }
+
+  /**
+   * Execute a statement that does not return rows
+   * @returns {Promise<{ changes: number, lastId: number|null }>}
+   */
+  async run(sql, params = []) {
+    const result = await this._query(sql, params);
+    return { changes: result.rowCount, lastId: null };
+  }
+
+  /**
+   * Execute an INSERT and return the new row id
+   * @returns {Promise<number|null>}
+   */
+  async insert(sql, params = []) {
+    const result = await this._query(`${sql} RETURNING id`, params);
+    return result.rows[0] ? result.rows[0].id : null;
+  }
+
+  async get(sql, params = []) {
+    const result = await this._query(sql, params);
+    return result.rows[0] || null;
+  }
+
+  async all(sql, params = []) {
+    const result = await this._query(sql, params);
+    return result.rows;
+  }
+
+  /**
+   * Run a callback inside a transaction on a dedicated pool client
+   * @param {Function} fn - async (adapter) => any
+   */
+  async transaction(fn) {
+    const conn = await this.pool.connect();
+    const scoped = Object.create(this);
+    scoped.conn = conn;
+    try {
+      await conn.query('BEGIN');
+      const result = await fn(scoped);
+      await conn.query('COMMIT');
+      return result;
+    } catch (error) {
+      await conn.query('ROLLBACK');
+      throw error;
+    } finally {
+      conn.release();
+    }
+  }
+
+  async close() {
+    if (!this.pool) return;
+    const pool = this.pool;
+    this.pool = null;
+    await pool.end();
+  }
+}
+
+PostgresAdapter.toPositional = toPositional;
+
+module.exports = PostgresAdapter;
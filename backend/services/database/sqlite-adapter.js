@@ -0,0 +1,112 @@
+/**
+ * SQLite Adapter
+ *
+ * Thin promise wrapper around sqlite3 used by databaseService.
+ * SQL is written with `?` placeholders (native to SQLite).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+class SqliteAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Database file path (or ':memory:')
+   */
+  constructor(options = {}) {
+    this.client = 'sqlite';
+    this.filename = options.filename;
+    this.db = null;
+  }
+
+  /**
+   * Open the database file (creates parent directory if needed)
+   */
+  async connect() {
+    if (this.db) return;
+
+    if (this.filename !== ':memory:') {
+      const dir = path.dirname(this.filename);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    }
+
+    this.db = await new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(this.filename, (err) => {
+        if (err) return reject(err);
+        resolve(db);
+      });
+    });
+
+    await this.run('PRAGMA foreign_keys = ON');
+  }
+
+  /**
+   * Execute a statement that does not return rows
+   * @returns {Promise<{ changes: number, lastId: number|null }>}
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function onRun(err) {
+        if (err) return reject(err);
+        resolve({ changes: this.changes, lastId: this.lastID ?? null });
+      });
+    });
+  }
+
+  /**
+   * Execute an INSERT and return the new row id
+   * @returns {Promise<number|null>}
+   */
+  async insert(sql, params = []) {
+    const result = await this.run(sql, params);
+    return result.lastId;
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => {
+        if (err) return reject(err);
+        resolve(row || null);
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) return reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  /**
+   * Run a callback inside a transaction
+   * @param {Function} fn - async (adapter) => any
+   */
+  async transaction(fn) {
+    await this.run('BEGIN');
+    try {
+      const result = await fn(this);
+      await this.run('COMMIT');
+      return result;
+    } catch (error) {
+      await this.run('ROLLBACK');
+      throw error;
+    }
+  }
+
+  async close() {
+    if (!this.db) return;
+    const db = this.db;
+    this.db = null;
+    await new Promise((resolve, reject) => {
+      db.close((err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = SqliteAdapter;
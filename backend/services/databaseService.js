@@ -0,0 +1,285 @@
+/**
+ * Database Service
+ *
+ * Local user store for the demo app (users + per-user settings).
+ * Used by the Passport login callback and the mail services.
+ *
+ * Backends (DEMO_DB_CLIENT):
+ * - sqlite (default): file at DEMO_DB_PATH (default: backend/demo.sqlite)
+ * - postgres: DEMO_DB_URL, or DEMO_DB_HOST / DEMO_DB_PORT / DEMO_DB_NAME / DEMO_DB_USER / DEMO_DB_PASSWORD_RAW
+ *
+ * The schema is created and upgraded on first use (see services/database/migrations.js).
+ */
+
+const path = require('path');
+const SqliteAdapter = require('./database/sqlite-adapter');
+const PostgresAdapter = require('./database/postgres-adapter');
+const { runMigrations } = require('./database/migrations');
+
+// user_settings columns that upsertUserSettings may write, with their value type
+const SETTINGS_COLUMNS = {
+  wip_email_proxy: 'boolean'
+};
+
+/**
+ * Decode columns stored as text (roles JSON) on a users row
+ * @param {Object|null} row
+ * @returns {Object|null}
+ */
+function normalizeUser(row) {
+  if (!row) return null;
+  let roles = [];
+  if (row.roles) {
+    try {
+      const parsed = JSON.parse(row.roles);
+      roles = Array.isArray(parsed) ? parsed : [];
+    } catch (_) {
+      roles = [];
+    }
+  }
+  return { ...row, roles };
+}
+
+class DatabaseService {
+  constructor() {
+    this.adapter = null;
+    this.initialized = false;
+    this.initPromise = null;
+  }
+
+  /**
+   * Build the adapter selected by DEMO_DB_CLIENT
+   * @returns {SqliteAdapter|PostgresAdapter}
+   */
+  createAdapter() {
+    const client = (process.env.DEMO_DB_CLIENT || 'sqlite').toLowerCase();
+
+    if (client === 'postgres' || client === 'postgresql') {
+      const options = process.env.DEMO_DB_URL
+        ? { connectionString: process.env.DEMO_DB_URL }
+        : {
+            host: process.env.DEMO_DB_HOST || 'localhost',
+            port: parseInt(process.env.DEMO_DB_PORT || '5432', 10),
+            database: process.env.DEMO_DB_NAME || 'demo',
+            user: process.env.DEMO_DB_USER || 'demo',
+            password: process.env.DEMO_DB_PASSWORD_RAW
+          };
+      return new PostgresAdapter(options);
+    }
+
+    if (client !== 'sqlite') {
+      console.warn(`[DatabaseService] Unknown DEMO_DB_CLIENT "${client}", defaulting to "sqlite"`);
+    }
+
+    const filename = process.env.DEMO_DB_PATH || path.join(__dirname, '..', 'demo.sqlite');
+    return new SqliteAdapter({ filename });
+  }
+
+  /**
+   * Connect and apply pending migrations (safe to call repeatedly)
+   */
+  async initialize() {
+    if (this.initialized) return;
+    if (this.initPromise) return this.initPromise;
+
+    this.initPromise = (async () => {
+      const adapter = this.createAdapter();
+      try {
+        await adapter.connect();
+        await runMigrations(adapter);
+        this.adapter = adapter;
+        this.initialized = true;
+        console.log(`[DatabaseService] ${adapter.client} database initialized`);
+      } catch (error) {
+        console.error(`[DatabaseService] Failed to initialize ${adapter.client} database:`, error.message);
+        try { await adapter.close(); } catch (_) {}
+        throw error;
+      } finally {
+        this.initPromise = null;
+      }
+    })();
+
+    return this.initPromise;
+  }
+
+  /**
+   * @returns {Promise<SqliteAdapter|PostgresAdapter>}
+   */
+  async db() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    return this.adapter;
+  }
+
+  /**
+   * Get user by Keycloak subject ID
+   * @param {string} keycloakId
+   * @returns {Promise<Object|null>}
+   */
+  async getUserByKeycloakId(keycloakId) {
+    const db = await this.db();
+    return normalizeUser(await db.get('SELECT * FROM users WHERE keycloak_id = ?', [keycloakId]));
+  }
+
+  /**
+   * Get user by username
+   * @param {string} username
+   * @returns {Promise<Object|null>}
+   */
+  async getUserByUsername(username) {
+    const db = await this.db();
+    return normalizeUser(await db.get('SELECT * FROM users WHERE username = ?', [username]));
+  }
+
+  /**
+   * Get user by local user ID
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getUserById(userId) {
+    const db = await this.db();
+    return normalizeUser(await db.get('SELECT * FROM users WHERE id = ?', [userId]));
+  }
+
+  /**
+   * Get account record for a user (email, personal_email, ...)
+   * @param {number} userId
+   * @returns {Promise<Object|null>}
+   */
+  async getUserAccount(userId) {
+    return this.getUserById(userId);
+  }
+
+  /**
+   * Create a user (first Keycloak login)
+   * @param {Object} userData
+   * @param {string} userData.keycloakId
+   * @param {string} userData.username
+   * @param {string} [userData.email]
+   * @param {string} [userData.firstName]
+   * @param {string} [userData.lastName]
+   * @returns {Promise<number>} New user ID
+   */
+  async createUser(userData) {
+    const { keycloakId, username, email, firstName, lastName } = userData || {};
+    if (!keycloakId || !username) {
+      throw new Error('keycloakId and username are required');
+    }
+
+    const db = await this.db();
+    const userId = await db.insert(
+      `INSERT INTO users (keycloak_id, username, email, first_name, last_name, last_login)
+       VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+      [keycloakId, username, email || null, firstName || null, lastName || null]
+    );
+    console.log(`[DatabaseService] Created user ${username} (id: ${userId})`);
+    return userId;
+  }
+
+  /**
+   * Record a login for an existing user
+   * @param {string} keycloakId
+   * @returns {Promise<boolean>} True if a user row was updated
+   */
+  async updateUserLogin(keycloakId) {
+    const db = await this.db();
+    const result = await db.run(
+      'UPDATE users SET last_login = CURRENT_TIMESTAMP WHERE keycloak_id = ?',
+      [keycloakId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace the Keycloak roles recorded for a user (refreshed on every login)
+   * @param {string} keycloakId
+   * @param {string[]} roles
+   * @returns {Promise<boolean>} True if a user row was updated
+   */
+  async updateUserRoles(keycloakId, roles) {
+    const db = await this.db();
+    const result = await db.run(
+      'UPDATE users SET roles = ? WHERE keycloak_id = ?',
+      [JSON.stringify(Array.isArray(roles) ? roles : []), keycloakId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Get settings for a user
+   * @param {number} userId
+   * @returns {Promise<Object|null>} Settings row (booleans normalized) or null if none saved
+   */
+  async getUserSettings(userId) {
+    const db = await this.db();
+    const row = await db.get('SELECT * FROM user_settings WHERE user_id = ?', [userId]);
+    if (!row) return null;
+
+    const settings = { ...row };
+    for (const [column, type] of Object.entries(SETTINGS_COLUMNS)) {
+      if (type === 'boolean' && settings[column] !== null && settings[column] !== undefined) {
+        settings[column] = !!Number(settings[column]);
+      }
+    }
+    return settings;
+  }
+
+  /**
+   * Insert or update settings for a user
+   * Only known columns (SETTINGS_COLUMNS) are written; unknown keys are ignored.
+   * @param {number} userId
+   * @param {Object} settings - e.g. { wip_email_proxy: true }
+   * @returns {Promise<Object|null>} Updated settings
+   */
+  async upsertUserSettings(userId, settings = {}) {
+    if (!userId) {
+      throw new Error('userId is required');
+    }
+
+    const columns = Object.keys(settings).filter(key => SETTINGS_COLUMNS[key]);
+    const ignored = Object.keys(settings).filter(key => !SETTINGS_COLUMNS[key]);
+    if (ignored.length) {
+      console.warn(`[DatabaseService] Ignoring unknown user settings: ${ignored.join(', ')}`);
+    }
+
+    const values = columns.map((column) => {
+      const value = settings[column];
+      if (SETTINGS_COLUMNS[column] === 'boolean') {
+        return value ? 1 : 0;
+      }
+      return value;
+    });
+
+    const db = await this.db();
+    const insertColumns = ['user_id', ...columns, 'updated_at'];
+    const placeholders = ['?', ...columns.map(() => '?'), 'CURRENT_TIMESTAMP'];
+    const updates = [...columns.map(c => `${c} = excluded.${c}`), 'updated_at = CURRENT_TIMESTAMP'];
+
+    await db.run(
+      `INSERT INTO user_settings (${insertColumns.join(', ')})
+       VALUES (${placeholders.join(', ')})
+       ON CONFLICT (user_id) DO UPDATE SET ${updates.join(', ')}`,
+      [userId, ...values]
+    );
+
+    return this.getUserSettings(userId);
+  }
+
+  /**
+   * Close the connection (for graceful shutdown and tests)
+   */
+  async close() {
+    if (this.adapter) {
+      await this.adapter.close();
+      this.adapter = null;
+      this.initialized = false;
+      console.log('[DatabaseService] Database connection closed');
+    }
+  }
+}
+
+// Singleton instance
+const databaseService = new DatabaseService();
+
+module.exports = databaseService;
@@ -24,9 +24,14 @@
 // Try multiple locations: current working directory, backend/.env, and project root
 const path = require('path');
 const fs = require('fs');
+const daemonStatus = require('./daemon-status');
 
 // PID file management
-const PID_FILE = path.join(__dirname, '..', 'demo-cleanup-daemon.pid');
+const PID_FILE = daemonStatus.CLEANUP_DAEMON_PID_FILE;
+
+// Status file is read by the admin console (/admin) - the web server must not require the daemon itself
+const STATUS_PUBLISH_INTERVAL_MS = 15000;
+let statusTimer = null;
 
 /**
  * Create PID file for this daemon process
@@ -117,6 +122,12 @@ console.log('[Standalone] Press Ctrl+C to stop');
 
         // Create PID file to indicate daemon is running
         createPidFile();
+
+        // Publish status for the admin console
+        daemonStatus.writeCleanupDaemonStatus(demoSessionCleanupDaemon.getStatus());
+        statusTimer = setInterval(() => {
+            daemonStatus.writeCleanupDaemonStatus(demoSessionCleanupDaemon.getStatus());
+        }, STATUS_PUBLISH_INTERVAL_MS);
     } else {
         console.error('[Standalone] Failed to start daemon. Check configuration.');
         process.exit(1);
@@ -136,8 +147,13 @@ const shutdown = async () => {
     console.log('\n[Standalone] Shutting down gracefully...');
     demoSessionCleanupDaemon.stop();
 
-    // Remove PID file
+    // Remove PID and status files
+    if (statusTimer) {
+        clearInterval(statusTimer);
+        statusTimer = null;
+    }
     removePidFile();
+    daemonStatus.removeCleanupDaemonStatus();
 
     // Expire all sessions before shutdown
     await demoSessionCleanupDaemon.expireAllSessions();
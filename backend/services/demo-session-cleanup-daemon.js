@@ -2,21 +2,29 @@
  * Demo Session Cleanup Daemon
  *
  * Background service that periodically scans Keycloak users and expires demo sessions
- * by deleting users that were created more than DEMO_MAX_SESSION_DURATION_MIN minutes ago.
+ * by deleting the users selected by the expiry policies (services/deprovisioning/expiry-policy.js:
+ * age, idle, max-concurrent; protected users/roles and username prefixes are never touched).
+ * With DEMO_CLEANUP_DRY_RUN=true it only logs - and publishes in getStatus().lastPlan - what
+ * would be deleted.
  *
- * For each expired user:
- * 1. Deletes from Stalwart (FIRST - mailbox via HTTP API using username like working test)
+ * For each expired user a deprovisioning job is queued (services/deprovisioning/job-queue.js)
+ * and run in-process through the pipeline (services/deprovisioning/pipeline.js); failed steps
+ * are retried by later ticks with backoff until the job is done or dead-lettered:
+ * 1. Deletes the mailbox (FIRST - mailService.deleteMailbox, while the Keycloak user still exists)
  * 2. Deletes from Keycloak (SECOND - after Stalwart to avoid auth issues)
- * 3. Deletes from SOGo DB (uses email as identifier since SOGo stores emails in username column)
+ * 3. Deletes from the webmail DB (SOGo / Roundcube)
  *
- * This daemon only handles SOGo demo cleanup. SOGo cleanup is handled by a separate daemon.
+ * By default only users that have a row in the webmail client's user table are expired. The
+ * table is reached through the webmail adapter for DEMO_SSO_MAIL_CLIENT_NAME (services/webmail),
+ * so SOGo and Roundcube deployments behave the same; with any other client nobody is expired
+ * unless DEMO_EXPIRY_REQUIRE_WEBMAIL=false.
  * Only runs when DEMO_MAX_SESSION_DURATION_MIN is set.
  *
  * Key Technical Details:
- * - SOGo DB stores email addresses in the 'username' column (not usernames!)
- * - Stalwart deletion uses HTTP API with username (like working tmp_stalwart_proof.js)
+ * - Webmail rows are looked up by username and email (SOGo keys by username, Roundcube by email)
+ * - No dependency on the web server: deletions call the services directly
  * - "Principal not found" in Stalwart is treated as success (nothing to clean up)
- * - Order matters: Stalwart FIRST, then Keycloak, then SOGo (avoids auth issues)
+ * - Order matters: Stalwart FIRST, then Keycloak, then webmail (avoids auth issues)
  * - Extensive logging distinguishes between actual deletions vs "already deleted" scenarios
  *
  * Stalwart Response Interpretation:
@@ -26,68 +34,10 @@
  */
 
 const keycloakAdmin = require('../config/keycloak-admin');
-const mailService = require('./email/mail-service-abstraction');
-const sogoUserService = require('./sogo/sogo-user-service');
-
-// HTTP client for API calls (similar to working test script)
-const http = require('http');
-const https = require('https');
-
-/**
- * Helper function to make HTTP DELETE request to Stalwart API endpoint
- * (Similar to the working test script approach)
- */
-async function deleteStalwartMailboxViaAPI(email) {
-    return new Promise((resolve, reject) => {
-        // Get API base URL from environment (similar to test script)
-        const apiBase = process.env.API_BASE || process.env.APP_URL || 'http://localhost:3010';
-        console.log(`[DemoSessionCleanupDaemon] API_BASE from env: ${process.env.API_BASE}`);
-        console.log(`[DemoSessionCleanupDaemon] APP_URL from env: ${process.env.APP_URL}`);
-        console.log(`[DemoSessionCleanupDaemon] Using API base: ${apiBase}`);
-
-        // Construct the URL (matching the working test script - uses identifier parameter)
-        const url = `${apiBase}/api/test/oidc-stalwart/stalwart/delete-mailbox/${encodeURIComponent(email)}`;
-        console.log(`[DemoSessionCleanupDaemon] API URL constructed: ${url}`);
-        console.log(`[DemoSessionCleanupDaemon] Making HTTP DELETE request to: ${url}`);
-
-        const protocol = url.startsWith('https:') ? https : http;
-        const req = protocol.request(url, {
-            method: 'DELETE',
-            headers: {
-                'Content-Type': 'application/json'
-            }
-        }, (res) => {
-            let data = '';
-
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const result = JSON.parse(data);
-                    console.log(`[DemoSessionCleanupDaemon] Stalwart API response:`, JSON.stringify(result, null, 2));
-                    resolve(result);
-                } catch (parseError) {
-                    console.error(`[DemoSessionCleanupDaemon] Failed to parse Stalwart API response:`, parseError);
-                    resolve({ success: false, error: `Parse error: ${parseError.message}` });
-                }
-            });
-        });
-
-        req.on('error', (error) => {
-            console.error(`[DemoSessionCleanupDaemon] Stalwart API request error:`, error);
-            reject(error);
-        });
-
-        req.setTimeout(30000, () => {
-            req.destroy();
-            reject(new Error('Stalwart API request timeout'));
-        });
-
-        req.end();
-    });
-}
+const mailServiceConfig = require('../config/mail-service-config');
+const { createWebmailAdapter } = require('./webmail');
+const deprovisioningJobQueue = require('./deprovisioning/job-queue');
+const expiryPolicy = require('./deprovisioning/expiry-policy');
 
 class DemoSessionCleanupDaemon {
     constructor() {
@@ -102,7 +52,9 @@ class DemoSessionCleanupDaemon {
             process.env.DEMO_MAX_SESSION_DURATION_MIN || '15',
             10
         );
+        this.webmailAdapter = createWebmailAdapter();
         this.lastCleanupTime = null;
+        this.lastPlan = null;
         this.stats = {
             totalScanned: 0,
             totalExpired: 0,
@@ -138,7 +90,7 @@ class DemoSessionCleanupDaemon {
         // Test connectivity to required services before starting
         console.log('[DemoSessionCleanupDaemon] Testing connectivity to required services...');
         try {
-            await keycloakAdmin.getAllUsers();
+            await keycloakAdmin.getAllUsers({ max: 1 });
             console.log('[DemoSessionCleanupDaemon] Keycloak connectivity test passed');
         } catch (error) {
             console.error('[DemoSessionCleanupDaemon] Keycloak connectivity test failed:', error.message);
@@ -146,8 +98,12 @@ class DemoSessionCleanupDaemon {
             return false;
         }
 
+        if (!this.webmailAdapter && expiryPolicy.requireWebmail) {
+            console.warn(`[DemoSessionCleanupDaemon] WARN: No webmail adapter for client "${mailServiceConfig.getWebmailClientName()}" - users will not be expired unless DEMO_EXPIRY_REQUIRE_WEBMAIL=false (queued deprovisioning jobs still run)`);
+        }
+
         this.running = true;
-        console.log(`[DemoSessionCleanupDaemon] Starting with interval ${this.intervalMs}ms, max session duration ${this.maxSessionDurationMin} minutes`);
+        console.log(`[DemoSessionCleanupDaemon] Starting with interval ${this.intervalMs}ms, max session duration ${this.maxSessionDurationMin} minutes, webmail ${this.webmailAdapter ? this.webmailAdapter.name : 'none'}`);
 
         // Run immediately on start
         this.tick().catch(err => {
@@ -185,6 +141,7 @@ class DemoSessionCleanupDaemon {
 
     /**
      * Expire all active sessions (for graceful shutdown)
+     * Protected, service-account and prefix-filtered users are kept (see expiry-policy.js).
      */
     async expireAllSessions() {
         if (!this.shouldRun()) {
@@ -195,64 +152,30 @@ class DemoSessionCleanupDaemon {
         console.log('[DemoSessionCleanupDaemon] ** FORCE EXPIRING ALL DEMO SESSIONS (shutdown cleanup)...');
 
         try {
-            // Get all users from Keycloak
-            const keycloakUsers = await keycloakAdmin.getAllUsers();
-            console.log(`[DemoSessionCleanupDaemon] * Found ${keycloakUsers.length} total users for shutdown cleanup`);
+            // Enumerate Keycloak users page by page (age rules don't apply on shutdown)
+            const users = await this.collectUsers(expiryPolicy.enumerationFilters({ force: true }), '[SHUTDOWN] ');
+            console.log(`[DemoSessionCleanupDaemon] * Found ${users.scanned} users for shutdown cleanup`);
+
+            const plan = await this.evaluatePlan(users, { force: true });
 
-            const enabledUsers = keycloakUsers.filter(u => u.enabled !== false);
-            const disabledUsers = keycloakUsers.filter(u => u.enabled === false);
-            console.log(`[DemoSessionCleanupDaemon] User breakdown: ${enabledUsers.length} enabled, ${disabledUsers.length} disabled (will process enabled only)`);
+            if (plan.dryRun) {
+                console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] DRY RUN - nothing deleted`);
+                return;
+            }
 
             let expired = 0;
             let errors = 0;
-
-            // Check each user and expire if needed
-            for (const kcUser of keycloakUsers) {
-                try {
-                    console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Processing user: ${kcUser.username} (enabled: ${kcUser.enabled})`);
-
-                    // Skip disabled users
-                    if (kcUser.enabled === false) {
-                        console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Skipping disabled user: ${kcUser.username}`);
-                        continue;
-                    }
-
-                    // Get full user details to check createdTimestamp
-                    console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Getting full details for: ${kcUser.username}`);
-                    const fullUser = await keycloakAdmin.getUserById(kcUser.id);
-                    const createdTimestamp = fullUser.createdTimestamp;
-
-                    console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] User ${fullUser.username}: createdTimestamp=${createdTimestamp}`);
-
-                    if (!createdTimestamp) {
-                        console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Skipping user ${fullUser.username} - no createdTimestamp`);
-                        continue;
-                    }
-
-                    // Check if user should be expired (treat all as expired for shutdown)
-                    console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Calling shouldExpireUser with force=true for ${fullUser.username}`);
-                    const shouldExpire = await this.shouldExpireUser(fullUser, true); // force=true for shutdown
-
-                    console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Force expire result for ${fullUser.username}: ${shouldExpire}`);
-
-                    if (shouldExpire) {
-                        console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] *** FORCE DELETING USER: ${fullUser.username} ***`);
-                        const result = await this.deleteUser(fullUser);
-                        console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Force delete result for ${fullUser.username}:`, JSON.stringify(result, null, 2));
-                        if (result.success) {
-                            expired++;
-                            console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] OK Successfully force-deleted user: ${fullUser.username}`);
-                        } else {
-                            errors++;
-                            console.error(`[DemoSessionCleanupDaemon] [SHUTDOWN] FAIL Failed to force-delete user ${fullUser.username}:`, result.error);
-                        }
-                    } else {
-                        console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] User ${fullUser.username} should NOT be force-expired (unexpected)`);
-                    }
-                } catch (error) {
+            for (const decision of plan.decisions.filter(d => d.expire)) {
+                const fullUser = users.find(u => u.id === decision.id);
+                console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] *** FORCE DELETING USER: ${fullUser.username} ***`);
+                const result = await this.deleteUser(fullUser, 'daemon shutdown');
+                console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] Force delete result for ${fullUser.username}:`, JSON.stringify(result, null, 2));
+                if (result.success) {
+                    expired++;
+                    console.log(`[DemoSessionCleanupDaemon] [SHUTDOWN] OK Successfully force-deleted user: ${fullUser.username}`);
+                } else {
                     errors++;
-                    console.error(`[DemoSessionCleanupDaemon] [SHUTDOWN] Error processing user ${kcUser.username}:`, error.message);
-                    console.error(`[DemoSessionCleanupDaemon] [SHUTDOWN] Error stack:`, error.stack);
+                    console.error(`[DemoSessionCleanupDaemon] [SHUTDOWN] FAIL Failed to force-delete user ${fullUser.username}:`, result.error);
                 }
             }
 
@@ -282,72 +205,52 @@ class DemoSessionCleanupDaemon {
 
         try {
             console.log('[DemoSessionCleanupDaemon] * Starting cleanup cycle...');
-            console.log(`[DemoSessionCleanupDaemon] Max session duration: ${this.maxSessionDurationMin} minutes`);
+            console.log(`[DemoSessionCleanupDaemon] Expiry policies: ${expiryPolicy.policies.join(', ') || 'none'}${expiryPolicy.dryRun ? ' (DRY RUN)' : ''}`);
 
-            // Fetch all users from Keycloak
-            console.log('[DemoSessionCleanupDaemon] * Fetching all users from Keycloak...');
-            const keycloakUsers = await keycloakAdmin.getAllUsers();
-            console.log(`[DemoSessionCleanupDaemon] * Found ${keycloakUsers.length} total users in Keycloak`);
+            // Users whose earlier deletion failed part-way (may no longer be in Keycloak)
+            await this.processDueJobs();
 
-            // Log user summary
-            const enabledUsers = keycloakUsers.filter(u => u.enabled !== false);
-            const disabledUsers = keycloakUsers.filter(u => u.enabled === false);
-            console.log(`[DemoSessionCleanupDaemon] User breakdown: ${enabledUsers.length} enabled, ${disabledUsers.length} disabled`);
+            // Enumerate Keycloak users page by page, narrowed server-side where the policies allow
+            const filters = expiryPolicy.enumerationFilters();
+            console.log(`[DemoSessionCleanupDaemon] * Fetching users from Keycloak${filters.usernamePrefixes ? ` (prefixes ${filters.usernamePrefixes.join(', ')})` : ''}${filters.createdBefore ? ` (created before ${new Date(filters.createdBefore).toISOString()})` : ''}...`);
+            const users = await this.collectUsers(filters);
+            console.log(`[DemoSessionCleanupDaemon] * Found ${users.scanned} users in Keycloak`);
+
+            const plan = await this.evaluatePlan(users);
+            const toExpire = plan.decisions.filter(d => d.expire);
 
-            let expired = 0;
             let deleted = 0;
             let errors = 0;
 
-            // Check each user for expiration
-            for (const kcUser of keycloakUsers) {
-                try {
-                    console.log(`[DemoSessionCleanupDaemon] Processing user: ${kcUser.username} (enabled: ${kcUser.enabled})`);
-
-                    // Skip disabled users
-                    if (kcUser.enabled === false) {
-                        console.log(`[DemoSessionCleanupDaemon] Skipping disabled user: ${kcUser.username}`);
-                        continue;
-                    }
-
-                    // Get full user details to check createdTimestamp
-                    console.log(`[DemoSessionCleanupDaemon] Getting full details for user: ${kcUser.username}`);
-                    const fullUser = await keycloakAdmin.getUserById(kcUser.id);
-                    console.log(`[DemoSessionCleanupDaemon] Full user details: username=${fullUser.username}, email=${fullUser.email}, createdTimestamp=${fullUser.createdTimestamp}`);
-
-                    const shouldExpire = await this.shouldExpireUser(fullUser);
-                    console.log(`[DemoSessionCleanupDaemon] User ${fullUser.username} shouldExpire result: ${shouldExpire}`);
-
-                    if (shouldExpire) {
-                        expired++;
-                        console.log(`[DemoSessionCleanupDaemon] *** DELETING EXPIRED USER: ${fullUser.username} ***`);
-                        const result = await this.deleteUser(fullUser);
-                        console.log(`[DemoSessionCleanupDaemon] Delete result for ${fullUser.username}:`, JSON.stringify(result, null, 2));
-                        if (result.success) {
-                            deleted++;
-                            console.log(`[DemoSessionCleanupDaemon] OK Successfully deleted user: ${fullUser.username}`);
-                        } else {
-                            errors++;
-                            console.error(`[DemoSessionCleanupDaemon] FAIL Failed to delete user ${fullUser.username}:`, result.error);
-                        }
+            if (plan.dryRun) {
+                console.log(`[DemoSessionCleanupDaemon] DRY RUN - ${toExpire.length} user(s) would be deleted, nothing deleted`);
+            } else {
+                for (const decision of toExpire) {
+                    const fullUser = users.find(u => u.id === decision.id);
+                    console.log(`[DemoSessionCleanupDaemon] *** DELETING EXPIRED USER: ${fullUser.username} (${decision.reasons.join('; ')}) ***`);
+                    const result = await this.deleteUser(fullUser);
+                    console.log(`[DemoSessionCleanupDaemon] Delete result for ${fullUser.username}:`, JSON.stringify(result, null, 2));
+                    if (result.success) {
+                        deleted++;
+                        console.log(`[DemoSessionCleanupDaemon] OK Successfully deleted user: ${fullUser.username}`);
                     } else {
-                        console.log(`[DemoSessionCleanupDaemon] User ${fullUser.username} will NOT be expired`);
+                        errors++;
+                        console.error(`[DemoSessionCleanupDaemon] FAIL Failed to delete user ${fullUser.username}:`, result.error);
                     }
-                } catch (error) {
-                    errors++;
-                    console.error(`[DemoSessionCleanupDaemon] Error processing user ${kcUser.username}:`, error.message);
-                    console.error(`[DemoSessionCleanupDaemon] Error stack:`, error.stack);
                 }
             }
 
-            this.stats.totalScanned += keycloakUsers.length;
+            const expired = plan.dryRun ? 0 : toExpire.length;
+            this.stats.totalScanned += users.scanned;
             this.stats.totalExpired += expired;
             this.stats.totalDeleted += deleted;
             this.stats.totalErrors += errors;
             this.lastCleanupTime = new Date();
 
             console.log(`[DemoSessionCleanupDaemon]  Cleanup cycle complete:`);
-            console.log(`  - Users scanned: ${keycloakUsers.length}`);
-            console.log(`  - Users expired: ${expired}`);
+            console.log(`  - Users scanned: ${users.scanned}`);
+            console.log(`  - Users eligible: ${plan.summary.eligible}`);
+            console.log(`  - Users expired: ${expired}${plan.dryRun ? ` (dry run: ${toExpire.length} would expire)` : ''}`);
             console.log(`  - Users deleted: ${deleted}`);
             console.log(`  - Errors encountered: ${errors}`);
             console.log(`  - Cycle duration: ${(new Date() - this.stats.lastRun) / 1000}s`);
@@ -361,212 +264,113 @@ class DemoSessionCleanupDaemon {
     }
 
     /**
-     * Check if a user should be expired
-     * @param {Object} kcUser - Full Keycloak user object with createdTimestamp
-     * @param {boolean} force - Force expiration (for shutdown)
-     * @returns {Promise<boolean>}
+     * Stream users from Keycloak (keycloakAdmin.iterateUsers) and keep the enabled ones
+     * The listing already carries createdTimestamp/serviceAccountClientId - no per-user lookups.
+     * @param {Object} filters - iterateUsers() options (usernamePrefixes, createdBefore)
+     * @param {string} [logTag] - e.g. "[SHUTDOWN] "
+     * @returns {Promise<Object[]>} Enabled users; `scanned` property counts every user seen
      */
-    async shouldExpireUser(kcUser, force = false) {
-        console.log(`[DemoSessionCleanupDaemon] shouldExpireUser called for ${kcUser.username} with force=${force}`);
-
-        if (force) {
-            console.log(`[DemoSessionCleanupDaemon] FORCE MODE: User ${kcUser.username} will be expired (shutdown cleanup)`);
-            return true;
-        }
-
-        const createdTimestamp = kcUser.createdTimestamp;
-        console.log(`[DemoSessionCleanupDaemon] User ${kcUser.username} createdTimestamp: ${createdTimestamp}`);
-
-        if (!createdTimestamp) {
-            console.log(`[DemoSessionCleanupDaemon] User ${kcUser.username} has no createdTimestamp - cannot expire`);
-            return false;
+    async collectUsers(filters, logTag = '') {
+        const users = [];
+        users.scanned = 0;
+
+        for await (const kcUser of keycloakAdmin.iterateUsers(filters)) {
+            users.scanned++;
+            // Skip disabled users
+            if (kcUser.enabled === false) {
+                console.log(`[DemoSessionCleanupDaemon] ${logTag}Skipping disabled user: ${kcUser.username}`);
+                continue;
+            }
+            users.push(kcUser);
         }
+        return users;
+    }
 
-        // Calculate age in minutes
-        const createdDate = new Date(createdTimestamp);
-        const now = new Date();
-        const ageMinutes = (now - createdDate) / (1000 * 60);
-
-        console.log(`[DemoSessionCleanupDaemon] User ${kcUser.username}:`);
-        console.log(`  - Created: ${createdDate.toISOString()}`);
-        console.log(`  - Now: ${now.toISOString()}`);
-        console.log(`  - Age: ${ageMinutes.toFixed(2)} minutes`);
-        console.log(`  - Max duration: ${this.maxSessionDurationMin} minutes`);
-        console.log(`  - Is old enough: ${ageMinutes > this.maxSessionDurationMin}`);
-
-        // Check if user exists in SOGo DB (this daemon only handles SOGo demo cleanup)
-        // Note: SOGo stores email addresses in the 'username' column (not usernames!)
-        // So we must use kcUser.email for SOGo operations, not kcUser.username
-        let existsInWebmail = false;
-        const userEmail = kcUser.email || `${kcUser.username}@${process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space'}`;
+    /**
+     * Run the expiry policies and keep the outcome for getStatus()
+     * @param {Object[]} users
+     * @param {Object} [options] - { force }
+     * @returns {Promise<Object>} Plan from expiryPolicy.evaluate()
+     */
+    async evaluatePlan(users, options = {}) {
+        const plan = await expiryPolicy.evaluate(users, { ...options, webmailAdapter: this.webmailAdapter });
 
-        try {
-            console.log(`[DemoSessionCleanupDaemon] Checking if user ${kcUser.username} (email: ${userEmail}) exists in SOGo...`);
-            existsInWebmail = await sogoUserService.userExists(userEmail);
-            console.log(`[DemoSessionCleanupDaemon] User ${userEmail} exists in SOGo: ${existsInWebmail}`);
-        } catch (error) {
-            console.error(`[DemoSessionCleanupDaemon] Error checking SOGo existence for ${userEmail}:`, error.message);
-            console.error(`[DemoSessionCleanupDaemon] SOGo check error stack:`, error.stack);
-            return false;
+        for (const decision of plan.decisions) {
+            if (decision.expire) {
+                console.log(`[DemoSessionCleanupDaemon] ${plan.dryRun ? 'WOULD EXPIRE' : 'EXPIRE'} ${decision.username}: ${decision.reasons.join('; ')}`);
+            } else {
+                console.log(`[DemoSessionCleanupDaemon] Keep ${decision.username}: ${decision.excluded || 'no policy matched'}`);
+            }
         }
 
-        const shouldExpire = existsInWebmail && ageMinutes > this.maxSessionDurationMin;
-        console.log(`[DemoSessionCleanupDaemon] FINAL DECISION for ${kcUser.username}:`);
-        console.log(`  - existsInWebmail: ${existsInWebmail}`);
-        console.log(`  - ageMinutes > maxDuration: ${ageMinutes > this.maxSessionDurationMin}`);
-        console.log(`  - SHOULD EXPIRE: ${shouldExpire}`);
-
-        // Only expire if user exists in SOGo DB and is older than max duration
-        return shouldExpire;
+        // Published with the daemon status (admin console) - the would-be deletions in dry-run mode
+        this.lastPlan = {
+            evaluatedAt: plan.evaluatedAt,
+            dryRun: plan.dryRun,
+            force: plan.force,
+            policies: plan.policies,
+            summary: plan.summary,
+            expire: plan.decisions
+                .filter(d => d.expire)
+                .map(({ id, username, email, createdAt, reasons }) => ({ id, username, email, createdAt, reasons }))
+        };
+        return plan;
     }
 
     /**
-     * Delete user from all systems (Keycloak, Stalwart, webmail DB)
+     * Delete user from all systems (mailbox, Keycloak, webmail DB)
+     * Queued as a deprovisioning job first, so steps that fail now are retried by later
+     * ticks (processDueJobs) even though the Keycloak user may already be gone.
      * @param {Object} kcUser - Keycloak user object
-     * @returns {Promise<Object>} Result object
+     * @param {string} [reason] - Recorded on the job
+     * @returns {Promise<Object>} { success, job, message, error? }
      */
-    async deleteUser(kcUser) {
-        const username = kcUser.username;
-        const email = kcUser.email || `${username}@${process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space'}`;
-        const results = {
-            keycloak: null,
-            stalwart: null,
-            webmail: null
-        };
+    async deleteUser(kcUser, reason = 'demo session expired') {
+        console.log(`[DemoSessionCleanupDaemon] * Starting deletion process for user: ${kcUser.username}`);
 
-        console.log(`[DemoSessionCleanupDaemon] * Starting deletion process for user: ${username}`);
-        console.log(`[DemoSessionCleanupDaemon] User details: username=${username}, email=${email}, id=${kcUser.id}`);
-
-        // CRITICAL: Delete Stalwart FIRST, before Keycloak, in case Keycloak deletion affects Stalwart access
-        // 1. Delete from Stalwart (FIRST - most critical for security)
-        if (mailService.getProvider() === 'stalwart') {
-            console.log(`[DemoSessionCleanupDaemon] * Step 1: Deleting mailbox from Stalwart (FIRST - before Keycloak)...`);
-            console.log(`[DemoSessionCleanupDaemon] Using identifier: ${username} (username - based on working test pattern)`);
-            console.log(`[DemoSessionCleanupDaemon] Alternative identifier: ${email} (email)`);
-
-            // Try direct HTTP API call first (like working tmp_stalwart_proof.js)
-            try {
-                console.log(`[DemoSessionCleanupDaemon] Making direct HTTP API call to Stalwart (like working test script)...`);
-                console.log(`[DemoSessionCleanupDaemon] Using username: ${username} (matching working test script pattern)`);
-                const apiResult = await deleteStalwartMailboxViaAPI(username); // Use username like test script
-                console.log(`[DemoSessionCleanupDaemon] Stalwart API result:`, JSON.stringify(apiResult, null, 2));
-
-                if (apiResult.success) {
-                    if (apiResult.message && apiResult.message.includes('not found')) {
-                        console.log(`[DemoSessionCleanupDaemon] [?] Mailbox ${username} not found in Stalwart (may never have been created or already deleted)`);
-                    } else {
-                        console.log(`[DemoSessionCleanupDaemon] OK Mailbox ${username} deleted from Stalwart successfully`);
-                    }
-                    results.stalwart = apiResult;
-                } else {
-                    console.warn(`[DemoSessionCleanupDaemon] [?] Direct API Stalwart deletion failed: ${apiResult.error}`);
-
-                    // Fallback: Try with email
-                    console.log(`[DemoSessionCleanupDaemon] * Fallback: Trying Stalwart API with email: ${email}`);
-                    const emailResult = await deleteStalwartMailboxViaAPI(email);
-                    console.log(`[DemoSessionCleanupDaemon] Stalwart API email fallback result:`, JSON.stringify(emailResult, null, 2));
-
-                    if (emailResult.success) {
-                        if (emailResult.message && emailResult.message.includes('not found')) {
-                            console.log(`[DemoSessionCleanupDaemon] [?] Mailbox ${email} not found in Stalwart (email fallback)`);
-                        } else {
-                            console.log(`[DemoSessionCleanupDaemon] OK Mailbox ${email} deleted from Stalwart successfully (email fallback)`);
-                        }
-                        results.stalwart = emailResult;
-                    } else {
-                        console.warn(`[DemoSessionCleanupDaemon] [?] Stalwart email fallback also failed: ${emailResult.error}`);
-                        // Still set the result so we don't retry endlessly
-                        results.stalwart = emailResult;
-                    }
-                }
-            } catch (error) {
-                console.error(`[DemoSessionCleanupDaemon] FAIL Failed Stalwart API deletion:`, error.message);
-                console.error(`[DemoSessionCleanupDaemon] Stalwart API error stack:`, error.stack);
-                results.stalwart = { success: false, error: error.message };
-            }
-        } else {
-            console.log(`[DemoSessionCleanupDaemon] * Step 1: Skipping Stalwart (provider: ${mailService.getProvider()})`);
-        }
-
-        // 2. Delete from Keycloak (SECOND - after Stalwart to avoid auth issues)
-
-        // 3. Delete from Keycloak (SECOND - after Stalwart to avoid auth issues)
-        console.log(`[DemoSessionCleanupDaemon] * Step 3: Deleting user ${username} from Keycloak...`);
+        let job;
         try {
-            await keycloakAdmin.deleteUser(kcUser.id);
-            results.keycloak = { success: true };
-            console.log(`[DemoSessionCleanupDaemon] OK Keycloak deletion successful for ${username}`);
+            const queued = await deprovisioningJobQueue.enqueue(kcUser, { reason });
+            // An open job still in its backoff is not run (process() returns null)
+            job = await deprovisioningJobQueue.process(queued.id) || queued;
         } catch (error) {
-            console.error(`[DemoSessionCleanupDaemon] FAIL Failed to delete ${username} from Keycloak:`, error.message);
-            console.error(`[DemoSessionCleanupDaemon] Keycloak error stack:`, error.stack);
-            results.keycloak = { success: false, error: error.message };
+            console.error(`[DemoSessionCleanupDaemon] FAIL Deprovisioning ${kcUser.username} aborted:`, error.message);
+            return { success: false, error: error.message };
         }
 
-        // 4. Delete from SOGo DB (this daemon only handles SOGo demo cleanup)
-        // Note: SOGo stores email addresses in the 'username' column (not usernames!)
-        // So we must use email for SOGo operations, not username
-        console.log(`[DemoSessionCleanupDaemon] * Step 3: Deleting user from SOGo DB...`);
-        console.log(`[DemoSessionCleanupDaemon] Using identifier: ${email} (email - SOGo uses email in username column)`);
-        console.log(`[DemoSessionCleanupDaemon] Alternative identifier: ${username} (username)`);
-
-        try {
-            console.log(`[DemoSessionCleanupDaemon] Calling sogoUserService.deleteUser(${email})...`);
-            const sogoResult = await sogoUserService.deleteUser(email);
-            console.log(`[DemoSessionCleanupDaemon] SOGo deleteUser result:`, JSON.stringify(sogoResult, null, 2));
-            results.webmail = sogoResult;
-
-            if (SOGoResult.success) {
-                console.log(`[DemoSessionCleanupDaemon] OK User ${email} deleted from SOGo successfully`);
-                if (sogoResult.deleted === false) {
-                    console.warn(`[DemoSessionCleanupDaemon] [?] SOGo reported: User not found (may already be deleted)`);
-                }
-            } else {
-                console.warn(`[DemoSessionCleanupDaemon] [?] SOGo deletion failed: ${sogoResult.error || sogoResult.message}`);
-                console.warn(`[DemoSessionCleanupDaemon] SOGo result details:`, JSON.stringify(sogoResult, null, 2));
-
-                // Try with username if email failed (though this is unlikely to work based on DB schema)
-                if (!sogoResult.success && email !== username) {
-                    console.log(`[DemoSessionCleanupDaemon] * Retrying SOGo deletion with username: ${username} (fallback)`);
-                    try {
-                        const retryResult = await sogoUserService.deleteUser(username);
-                        console.log(`[DemoSessionCleanupDaemon] SOGo retry with username result:`, JSON.stringify(retryResult, null, 2));
-                        if (retryResult.success) {
-                            console.log(`[DemoSessionCleanupDaemon] OK User ${username} deleted from SOGo on retry`);
-                            results.webmail = retryResult;
-                        } else {
-                            console.warn(`[DemoSessionCleanupDaemon] [?] SOGo retry also failed: ${retryResult.error || retryResult.message}`);
-                        }
-                    } catch (retryError) {
-                        console.error(`[DemoSessionCleanupDaemon] FAIL SOGo retry error:`, retryError.message);
-                    }
-                }
-            }
-        } catch (error) {
-            console.error(`[DemoSessionCleanupDaemon] FAIL Failed to delete ${email} from SOGo:`, error.message);
-            console.error(`[DemoSessionCleanupDaemon] SOGo error stack:`, error.stack);
-            results.webmail = { success: false, error: error.message };
+        console.log(`[DemoSessionCleanupDaemon] * Deletion summary for ${kcUser.username} (job ${job.id}, ${job.status}):`);
+        for (const [name, step] of Object.entries(job.steps)) {
+            console.log(`  - ${name}: ${step.status} (${step.attempts} attempt(s))${step.error ? ` - ${step.error}` : ''}`);
         }
 
-        // Consider success if at least Keycloak deletion succeeded
-        const allSuccess = results.keycloak?.success &&
-            (results.stalwart === null || results.stalwart?.success) &&
-            (results.webmail?.success !== false);
-
-        console.log(`[DemoSessionCleanupDaemon] * Deletion summary for ${username}:`);
-        console.log(`  - Keycloak: ${results.keycloak?.success ? 'OK' : 'FAIL'}`);
-        console.log(`  - Stalwart: ${results.stalwart === null ? 'NA' : (results.stalwart?.success ? 'OK' : 'FAIL')}`);
-        console.log(`  - SOGo: ${results.webmail?.success ? 'OK' : 'FAIL'}`);
-        console.log(`  - Overall success: ${allSuccess ? 'OK' : 'FAIL'}`);
-
+        const success = job.status === 'done';
         return {
-            success: allSuccess,
-            results,
-            message: allSuccess
+            success,
+            job,
+            message: success
                 ? 'User deleted successfully from all systems'
-                : 'User deletion completed with some errors (check details)'
+                : `User deletion incomplete - job ${job.id} is ${job.status === 'dead' ? 'in the dead-letter list' : 'queued for retry'}`,
+            error: success ? undefined : job.lastError
         };
     }
 
+    /**
+     * Retry queued deprovisioning jobs that are due
+     * @returns {Promise<Object|null>} Queue summary, or null if the queue could not be read
+     */
+    async processDueJobs() {
+        try {
+            const summary = await deprovisioningJobQueue.processDue();
+            if (summary.processed > 0) {
+                console.log(`[DemoSessionCleanupDaemon] Deprovisioning retries: ${summary.processed} processed, ${summary.done} done, ${summary.retrying} retrying, ${summary.dead} dead`);
+            }
+            return summary;
+        } catch (error) {
+            console.error('[DemoSessionCleanupDaemon] Error processing deprovisioning jobs:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Get daemon status
      */
@@ -577,6 +381,9 @@ class DemoSessionCleanupDaemon {
             intervalMs: this.intervalMs,
             maxSessionDurationMin: this.maxSessionDurationMin,
             lastCleanupTime: this.lastCleanupTime,
+            dryRun: expiryPolicy.dryRun,
+            policies: expiryPolicy.policies,
+            lastPlan: this.lastPlan,
             isTicking: this.isTicking,
             stats: { ...this.stats }
         };
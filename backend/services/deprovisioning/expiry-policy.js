@@ -0,0 +1,219 @@
+/**
+ * Demo Account Expiry Policies
+ *
+ * Decides which Keycloak users the cleanup daemon deletes. Evaluation has two stages:
+ *
+ * 1. Eligibility - a user is never expired when
+ *    - disabled, or a Keycloak service account (service-account-*)
+ *    - listed in DEMO_EXPIRY_PROTECTED_USERS (usernames/emails)
+ *    - holding a realm role from DEMO_EXPIRY_PROTECTED_ROLES (default: DEMO_ADMIN_ROLE)
+ *    - not matching DEMO_EXPIRY_USERNAME_PREFIXES, when set (e.g. test-,test_oidc_)
+ *    - without a row in the webmail client's user table (DEMO_EXPIRY_REQUIRE_WEBMAIL, default true)
+ *
+ * 2. Rules from DEMO_EXPIRY_POLICIES (default: age) - an eligible user expires when any rule hits:
+ *    - age:            created more than DEMO_MAX_SESSION_DURATION_MIN minutes ago
+ *    - idle:           no Keycloak session activity for DEMO_EXPIRY_IDLE_MIN minutes (the last
+ *                      session's lastAccess; the creation time when no session is left)
+ *    - max-concurrent: more than DEMO_EXPIRY_MAX_ACCOUNTS eligible users remain - oldest first
+ *
+ * A forced evaluation (daemon shutdown) expires every eligible user without checking the rules
+ * or the webmail row. With DEMO_CLEANUP_DRY_RUN=true the daemon only reports the plan.
+ */
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+
+const POLICY_NAMES = ['age', 'idle', 'max-concurrent'];
+
+/**
+ * @param {string} value - Comma-separated list
+ * @returns {string[]} Trimmed, lower-cased, non-empty entries
+ */
+function parseList(value) {
+  return (value || '').split(',').map(entry => entry.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * @param {number} ms
+ * @returns {number} Minutes, one decimal
+ */
+function toMinutes(ms) {
+  return Math.round(ms / 6000) / 10;
+}
+
+class ExpiryPolicyEngine {
+  constructor() {
+    this.loadConfig();
+  }
+
+  /**
+   * Read the policy configuration from the environment
+   */
+  loadConfig() {
+    const requested = parseList(process.env.DEMO_EXPIRY_POLICIES || 'age');
+    const unknown = requested.filter(name => !POLICY_NAMES.includes(name));
+    if (unknown.length > 0) {
+      console.warn(`[ExpiryPolicy] WARN: Ignoring unknown DEMO_EXPIRY_POLICIES entries: ${unknown.join(', ')}`);
+    }
+    this.policies = requested.filter(name => POLICY_NAMES.includes(name));
+    this.maxAgeMin = parseInt(process.env.DEMO_MAX_SESSION_DURATION_MIN || '15', 10);
+    this.maxIdleMin = parseInt(process.env.DEMO_EXPIRY_IDLE_MIN || '30', 10);
+    this.maxAccounts = parseInt(process.env.DEMO_EXPIRY_MAX_ACCOUNTS || '0', 10);
+    this.usernamePrefixes = parseList(process.env.DEMO_EXPIRY_USERNAME_PREFIXES);
+    this.protectedUsers = parseList(process.env.DEMO_EXPIRY_PROTECTED_USERS);
+    this.protectedRoles = parseList(process.env.DEMO_EXPIRY_PROTECTED_ROLES ?? (process.env.DEMO_ADMIN_ROLE || 'demo-admin'));
+    this.requireWebmail = (process.env.DEMO_EXPIRY_REQUIRE_WEBMAIL || 'true').toLowerCase() !== 'false';
+    this.dryRun = (process.env.DEMO_CLEANUP_DRY_RUN || 'false').toLowerCase() === 'true';
+  }
+
+  /**
+   * keycloakAdmin.iterateUsers() options that skip users no policy could expire
+   * - usernamePrefixes: searched server-side
+   * - createdBefore: when age is the only rule, younger users can't expire
+   * @param {Object} [options]
+   * @param {boolean} [options.force]
+   * @param {number} [options.now]
+   * @returns {Object} { usernamePrefixes?, createdBefore? }
+   */
+  enumerationFilters({ force = false, now = Date.now() } = {}) {
+    const filters = {};
+    if (this.usernamePrefixes.length > 0) {
+      filters.usernamePrefixes = this.usernamePrefixes;
+    }
+    if (!force && this.policies.length === 1 && this.policies[0] === 'age') {
+      filters.createdBefore = now - this.maxAgeMin * 60 * 1000;
+    }
+    return filters;
+  }
+
+  /**
+   * Why a user can't be expired, or null if eligible
+   * @param {Object} user - Full Keycloak user
+   * @param {Object} context - { force, webmailAdapter, email }
+   * @returns {Promise<string|null>}
+   */
+  async exclusionReason(user, { force, webmailAdapter, email }) {
+    const username = (user.username || '').toLowerCase();
+
+    if (user.enabled === false) return 'disabled';
+    if (user.serviceAccountClientId || username.startsWith('service-account-')) return 'service account';
+    if (this.protectedUsers.includes(username) || this.protectedUsers.includes((email || '').toLowerCase())) {
+      return 'protected user';
+    }
+    if (this.usernamePrefixes.length > 0 && !this.usernamePrefixes.some(prefix => username.startsWith(prefix))) {
+      return 'username prefix not matched';
+    }
+
+    if (this.requireWebmail && !force) {
+      if (!webmailAdapter) return 'no webmail adapter';
+      if (!(await webmailAdapter.exists({ username: user.username, email }))) return 'no webmail user';
+    }
+
+    if (this.protectedRoles.length > 0) {
+      const roles = (await keycloakAdmin.getUserRealmRoles(user.id)).map(role => role.toLowerCase());
+      const held = this.protectedRoles.find(role => roles.includes(role));
+      if (held) return `protected role ${held}`;
+    }
+    return null;
+  }
+
+  /**
+   * Minutes since the user's last Keycloak session activity
+   * @param {Object} user
+   * @param {number} now
+   * @returns {Promise<number|null>} null when neither sessions nor createdTimestamp are known
+   */
+  async idleMinutes(user, now) {
+    const sessions = (await keycloakAdmin.getUserOidcSessions(user.id)) || [];
+    const lastActivity = Math.max(0, ...sessions.map(session => session.lastAccess || session.start || 0));
+    const since = lastActivity || user.createdTimestamp;
+    return since ? toMinutes(now - since) : null;
+  }
+
+  /**
+   * Evaluate users against the configured policies
+   * @param {Object[]} users - Full Keycloak users (createdTimestamp, enabled, ...)
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Expire every eligible user (shutdown)
+   * @param {Object} [options.webmailAdapter] - services/webmail adapter (for the webmail requirement)
+   * @param {number} [options.now]
+   * @returns {Promise<Object>} { evaluatedAt, dryRun, force, policies, summary, decisions }
+   *   decisions: [{ id, username, email, createdAt, expire, reasons, excluded }]
+   */
+  async evaluate(users, options = {}) {
+    const { force = false, webmailAdapter = null, now = Date.now() } = options;
+    const domain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+    const decisions = [];
+
+    for (const user of users) {
+      const email = user.email || `${user.username}@${domain}`;
+      const decision = {
+        id: user.id,
+        username: user.username,
+        email,
+        createdAt: user.createdTimestamp ? new Date(user.createdTimestamp).toISOString() : null,
+        createdTimestamp: user.createdTimestamp || null,
+        expire: false,
+        reasons: [],
+        excluded: null
+      };
+      decisions.push(decision);
+
+      try {
+        decision.excluded = await this.exclusionReason(user, { force, webmailAdapter, email });
+        if (decision.excluded) continue;
+
+        if (force) {
+          decision.reasons.push('forced (shutdown)');
+          continue;
+        }
+        if (this.policies.includes('age') && user.createdTimestamp) {
+          const ageMin = toMinutes(now - user.createdTimestamp);
+          if (ageMin > this.maxAgeMin) decision.reasons.push(`age ${ageMin} min > ${this.maxAgeMin}`);
+        }
+        if (this.policies.includes('idle')) {
+          const idleMin = await this.idleMinutes(user, now);
+          if (idleMin !== null && idleMin > this.maxIdleMin) decision.reasons.push(`idle ${idleMin} min > ${this.maxIdleMin}`);
+        }
+      } catch (error) {
+        // Can't tell - keep the user this round
+        console.error(`[ExpiryPolicy] Error evaluating ${user.username}:`, error.message);
+        decision.excluded = `evaluation failed: ${error.message}`;
+      }
+    }
+
+    if (!force && this.policies.includes('max-concurrent') && this.maxAccounts > 0) {
+      // Users expired by another rule are gone already; without createdTimestamp sort as newest
+      const remaining = decisions
+        .filter(decision => !decision.excluded && decision.reasons.length === 0)
+        .sort((a, b) => (a.createdTimestamp || Infinity) - (b.createdTimestamp || Infinity));
+      for (const decision of remaining.slice(0, Math.max(0, remaining.length - this.maxAccounts))) {
+        decision.reasons.push(`over ${this.maxAccounts} concurrent accounts (oldest first)`);
+      }
+    }
+
+    for (const decision of decisions) {
+      decision.expire = !decision.excluded && decision.reasons.length > 0;
+      delete decision.createdTimestamp;
+    }
+
+    return {
+      evaluatedAt: new Date(now).toISOString(),
+      dryRun: this.dryRun,
+      force,
+      policies: force ? ['force'] : this.policies,
+      summary: {
+        evaluated: decisions.length,
+        eligible: decisions.filter(decision => !decision.excluded).length,
+        expire: decisions.filter(decision => decision.expire).length
+      },
+      decisions
+    };
+  }
+}
+
+// Singleton instance
+const expiryPolicyEngine = new ExpiryPolicyEngine();
+
+module.exports = expiryPolicyEngine;
+module.exports.ExpiryPolicyEngine = ExpiryPolicyEngine;
+module.exports.POLICY_NAMES = POLICY_NAMES;
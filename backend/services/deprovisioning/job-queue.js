@@ -0,0 +1,297 @@
+/**
+ * Deprovisioning Job Queue
+ *
+ * Persists pending deprovisioning work (deprovisioning_jobs table, via databaseService) so a
+ * user whose deletion failed half-way is retried even after the Keycloak record that drove
+ * the daemon's scan is gone.
+ *
+ * - One job per user: enqueue() returns the open job when one exists
+ * - Per-system state: each pipeline step (mailbox, keycloak, webmail) keeps its own status;
+ *   a retry only re-runs steps that have not completed
+ * - Exponential backoff: DEPROVISION_JOB_BACKOFF_MS (default 60000) doubling per attempt,
+ *   capped at DEPROVISION_JOB_BACKOFF_MAX_MS (default 1 hour)
+ * - Dead letter: after DEPROVISION_JOB_MAX_ATTEMPTS (default 6) failed runs a job is set to
+ *   "dead" and only runs again when an admin retries it (/admin/deprovisioning/jobs)
+ *
+ * Job status: pending | running | done | dead
+ * A running job whose lock (DEPROVISION_JOB_LOCK_MS, default 10 minutes) expired - the
+ * process died mid-run - is picked up again.
+ */
+
+const databaseService = require('../databaseService');
+const deprovisioningPipeline = require('./pipeline');
+const { STEP_ORDER } = require('./pipeline');
+
+const OPEN_STATUSES = ['pending', 'running'];
+const JOB_STATUSES = ['pending', 'running', 'done', 'dead'];
+// Step outcomes that need no further work
+const COMPLETED_STEP_STATUSES = ['ok', 'not_found', 'skipped'];
+
+/**
+ * Row -> job object
+ * @param {Object} row
+ * @returns {Object|null}
+ */
+function toJob(row) {
+  if (!row) return null;
+  let steps = {};
+  try {
+    steps = JSON.parse(row.steps || '{}');
+  } catch (_) {
+    // Unreadable state - every step is retried
+  }
+  return {
+    id: Number(row.id),
+    userId: row.user_id || null,
+    username: row.username,
+    email: row.email || null,
+    status: row.status,
+    steps,
+    attempts: Number(row.attempts),
+    maxAttempts: Number(row.max_attempts),
+    // BIGINT comes back from pg as a string
+    nextAttemptAt: Number(row.next_attempt_at),
+    lockedUntil: row.locked_until === null || row.locked_until === undefined ? null : Number(row.locked_until),
+    lastError: row.last_error || null,
+    reason: row.reason || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+class DeprovisioningJobQueue {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.DEPROVISION_JOB_MAX_ATTEMPTS || '6', 10);
+    this.backoffMs = parseInt(process.env.DEPROVISION_JOB_BACKOFF_MS || '60000', 10);
+    this.backoffMaxMs = parseInt(process.env.DEPROVISION_JOB_BACKOFF_MAX_MS || '3600000', 10);
+    this.lockMs = parseInt(process.env.DEPROVISION_JOB_LOCK_MS || '600000', 10);
+  }
+
+  /**
+   * Delay before the next run after `attempts` failed runs
+   * @param {number} attempts
+   * @returns {number} Milliseconds
+   */
+  getBackoffMs(attempts) {
+    return Math.min(this.backoffMaxMs, this.backoffMs * 2 ** Math.max(0, attempts - 1));
+  }
+
+  /**
+   * Queue a user for deprovisioning (or return the user's open job)
+   * @param {Object} user - Keycloak user ({ id, username, email })
+   * @param {Object} [options]
+   * @param {string} [options.reason] - Why the user is removed (e.g. "session expired")
+   * @returns {Promise<Object>} Job
+   */
+  async enqueue(user, options = {}) {
+    const db = await databaseService.db();
+
+    const existing = await db.get(
+      `SELECT * FROM deprovisioning_jobs
+       WHERE username = ? AND status IN (${OPEN_STATUSES.map(() => '?').join(', ')})
+       ORDER BY id LIMIT 1`,
+      [user.username, ...OPEN_STATUSES]
+    );
+    if (existing) {
+      return toJob(existing);
+    }
+
+    const steps = Object.fromEntries(STEP_ORDER.map(name => [name, { status: 'pending', attempts: 0 }]));
+    const id = await db.insert(
+      `INSERT INTO deprovisioning_jobs (user_id, username, email, status, steps, attempts, max_attempts, next_attempt_at, reason)
+       VALUES (?, ?, ?, 'pending', ?, 0, ?, ?, ?)`,
+      [user.id || null, user.username, user.email || null, JSON.stringify(steps), this.maxAttempts, Date.now(), options.reason || null]
+    );
+    console.log(`[DeprovisioningJobQueue] Queued job ${id} for ${user.username}${options.reason ? ` (${options.reason})` : ''}`);
+    return this.get(id);
+  }
+
+  /**
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    const db = await databaseService.db();
+    return toJob(await db.get('SELECT * FROM deprovisioning_jobs WHERE id = ?', [id]));
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} [filter]
+   * @param {string} [filter.status] - pending | running | done | dead
+   * @param {number} [filter.limit] - Default 100
+   * @returns {Promise<Object[]>}
+   */
+  async list({ status, limit = 100 } = {}) {
+    const db = await databaseService.db();
+    const rows = status
+      ? await db.all('SELECT * FROM deprovisioning_jobs WHERE status = ? ORDER BY id DESC LIMIT ?', [status, limit])
+      : await db.all('SELECT * FROM deprovisioning_jobs ORDER BY id DESC LIMIT ?', [limit]);
+    return rows.map(toJob);
+  }
+
+  /**
+   * Job counts per status
+   * @returns {Promise<Object>} { pending, running, done, dead }
+   */
+  async counts() {
+    const db = await databaseService.db();
+    const rows = await db.all('SELECT status, COUNT(*) AS count FROM deprovisioning_jobs GROUP BY status');
+    const counts = Object.fromEntries(JOB_STATUSES.map(status => [status, 0]));
+    for (const row of rows) {
+      counts[row.status] = Number(row.count);
+    }
+    return counts;
+  }
+
+  /**
+   * Take a job for processing - only one process wins when several try at once
+   * A pending job is only taken once its backoff has elapsed
+   * @param {number} id
+   * @param {number} [now]
+   * @returns {Promise<boolean>} True if this caller holds the lock
+   */
+  async claim(id, now = Date.now()) {
+    const db = await databaseService.db();
+    const result = await db.run(
+      `UPDATE deprovisioning_jobs SET status = 'running', locked_until = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND ((status = 'pending' AND next_attempt_at <= ?) OR (status = 'running' AND locked_until < ?))`,
+      [now + this.lockMs, id, now, now]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Run a job's remaining steps and record the outcome
+   * @param {number} id
+   * @returns {Promise<Object|null>} Updated job, or null if another process holds it or it is not due
+   */
+  async process(id) {
+    if (!(await this.claim(id))) {
+      return null;
+    }
+    const job = await this.get(id);
+
+    const remaining = STEP_ORDER.filter(name => !COMPLETED_STEP_STATUSES.includes(job.steps[name]?.status));
+    let record = null;
+    let runError = null;
+    try {
+      record = await deprovisioningPipeline.run(
+        { id: job.userId, username: job.username, email: job.email },
+        { steps: remaining }
+      );
+    } catch (error) {
+      runError = error.message;
+    }
+
+    const steps = { ...job.steps };
+    const now = new Date().toISOString();
+    for (const step of record?.steps || []) {
+      steps[step.name] = {
+        status: step.status,
+        attempts: (job.steps[step.name]?.attempts || 0) + step.attempts,
+        message: step.message || null,
+        error: step.error || null,
+        updatedAt: now
+      };
+    }
+
+    const attempts = job.attempts + 1;
+    const failed = STEP_ORDER.filter(name => !COMPLETED_STEP_STATUSES.includes(steps[name]?.status));
+    const lastError = runError || failed.map(name => `${name}: ${steps[name]?.error || 'not run'}`).join('; ') || null;
+
+    let status = 'done';
+    let nextAttemptAt = job.nextAttemptAt;
+    if (failed.length > 0) {
+      status = attempts >= job.maxAttempts ? 'dead' : 'pending';
+      nextAttemptAt = Date.now() + this.getBackoffMs(attempts);
+    }
+
+    const db = await databaseService.db();
+    await db.run(
+      `UPDATE deprovisioning_jobs
+       SET status = ?, steps = ?, attempts = ?, next_attempt_at = ?, locked_until = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, JSON.stringify(steps), attempts, nextAttemptAt, status === 'done' ? null : lastError, id]
+    );
+
+    if (status === 'done') {
+      console.log(`[DeprovisioningJobQueue] OK Job ${id} (${job.username}) done after ${attempts} run(s)`);
+    } else if (status === 'dead') {
+      console.error(`[DeprovisioningJobQueue] FAIL Job ${id} (${job.username}) moved to dead letter after ${attempts} run(s): ${lastError}`);
+    } else {
+      console.warn(`[DeprovisioningJobQueue] WARN: Job ${id} (${job.username}) run ${attempts}/${job.maxAttempts} failed, next try ${new Date(nextAttemptAt).toISOString()}: ${lastError}`);
+    }
+    return this.get(id);
+  }
+
+  /**
+   * Process every job that is due (pending and past its backoff, or with an expired lock)
+   * @param {number} [limit] - Max jobs per call (default 50)
+   * @returns {Promise<Object>} { processed, done, retrying, dead }
+   */
+  async processDue(limit = 50) {
+    const db = await databaseService.db();
+    const now = Date.now();
+    const rows = await db.all(
+      `SELECT id FROM deprovisioning_jobs
+       WHERE (status = 'pending' AND next_attempt_at <= ?) OR (status = 'running' AND locked_until < ?)
+       ORDER BY next_attempt_at LIMIT ?`,
+      [now, now, limit]
+    );
+
+    const summary = { processed: 0, done: 0, retrying: 0, dead: 0 };
+    for (const row of rows) {
+      const job = await this.process(Number(row.id));
+      if (!job) continue;
+      summary.processed++;
+      if (job.status === 'done') summary.done++;
+      else if (job.status === 'dead') summary.dead++;
+      else summary.retrying++;
+    }
+    return summary;
+  }
+
+  /**
+   * Make a pending or dead job due now, with a fresh attempt budget
+   * @param {number} id
+   * @returns {Promise<Object|null>} Updated job, or null if the job does not exist or is running/done
+   */
+  async retry(id) {
+    const db = await databaseService.db();
+    const result = await db.run(
+      `UPDATE deprovisioning_jobs SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('pending', 'dead')`,
+      [Date.now(), id]
+    );
+    if (result.changes === 0) {
+      return null;
+    }
+    console.log(`[DeprovisioningJobQueue] Job ${id} requeued`);
+    return this.get(id);
+  }
+
+  /**
+   * Remove a job that is not running (e.g. leftovers an admin cleaned up by hand)
+   * @param {number} id
+   * @returns {Promise<boolean>} True if removed
+   */
+  async discard(id) {
+    const db = await databaseService.db();
+    const result = await db.run(
+      "DELETE FROM deprovisioning_jobs WHERE id = ? AND status <> 'running'",
+      [id]
+    );
+    if (result.changes > 0) {
+      console.log(`[DeprovisioningJobQueue] Job ${id} discarded`);
+    }
+    return result.changes > 0;
+  }
+}
+
+// Singleton instance
+const deprovisioningJobQueue = new DeprovisioningJobQueue();
+
+module.exports = deprovisioningJobQueue;
+module.exports.DeprovisioningJobQueue = DeprovisioningJobQueue;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -0,0 +1,193 @@
+/**
+ * Deprovisioning Pipeline
+ *
+ * Removes a user from every system in-process (no HTTP round trip through the web server),
+ * so the cleanup daemon keeps working while the backend is down.
+ *
+ * Step order (STEP_ORDER):
+ * 1. mailbox  - mailService.deleteMailbox (Stalwart principal / Mailcow mailbox). First, while
+ *               the Keycloak user still exists - Stalwart resolves OIDC principals through it.
+ * 2. keycloak - keycloakAdmin.deleteUser
+ * 3. webmail  - webmail adapter for DEMO_SSO_MAIL_CLIENT_NAME (services/webmail: sogo_users / Roundcube users)
+ *
+ * Every step runs even when an earlier one failed - leftovers in one system should not keep
+ * the others from being cleaned up. Each step is retried DEPROVISION_STEP_RETRIES times
+ * (default 2) with exponential backoff starting at DEPROVISION_RETRY_DELAY_MS (default 1000).
+ *
+ * Step status: ok | not_found (nothing to delete) | skipped (not applicable) | failed
+ */
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const mailService = require('../email/mail-service-abstraction');
+const mailServiceConfig = require('../../config/mail-service-config');
+const { createWebmailAdapter } = require('../webmail');
+
+const STEP_ORDER = ['mailbox', 'keycloak', 'webmail'];
+
+// Result of a step that had nothing to delete
+const NOT_FOUND_PATTERN = /not found/i;
+
+/**
+ * Map a { success, deleted?, message?, error? } service result to a step outcome
+ * @param {Object} result
+ * @returns {Object} { status, message }
+ * @throws {Error} When the service reported a failure (so the step is retried)
+ */
+function outcomeFromResult(result) {
+  if (!result || !result.success) {
+    throw new Error(result?.error || result?.message || 'unknown error');
+  }
+  // Results without a deleted flag (mail providers) only say so in the message
+  const notFound = result.deleted === undefined
+    ? NOT_FOUND_PATTERN.test(result.message || '')
+    : !result.deleted;
+  return { status: notFound ? 'not_found' : 'ok', message: result.message };
+}
+
+/**
+ * Step definitions - run(ctx) returns { status, message } or throws to trigger a retry
+ */
+const STEPS = {
+  mailbox: {
+    system: 'mail',
+    async run({ username, email }) {
+      if (!mailService.isConfigured()) {
+        return { status: 'skipped', message: `${mailService.getProvider()} not configured` };
+      }
+
+      // Principals are normally found by email; older Stalwart principals were named by username
+      const byEmail = outcomeFromResult(await mailService.deleteMailbox(email));
+      if (byEmail.status !== 'not_found' || !username || username === email) {
+        return byEmail;
+      }
+      return outcomeFromResult(await mailService.deleteMailbox(username));
+    }
+  },
+
+  keycloak: {
+    system: 'keycloak',
+    async run({ id, username }) {
+      if (!id) {
+        return { status: 'skipped', message: 'no Keycloak user id' };
+      }
+      try {
+        await keycloakAdmin.deleteUser(id);
+        return { status: 'ok', message: `Keycloak user ${username || id} deleted` };
+      } catch (error) {
+        if (error.status === 404 || error.code === 'not_found') {
+          return { status: 'not_found', message: `Keycloak user ${id} not found` };
+        }
+        throw error;
+      }
+    }
+  },
+
+  webmail: {
+    system: 'webmail',
+    async run({ username, email }) {
+      const clientName = mailServiceConfig.getWebmailClientName();
+      const adapter = createWebmailAdapter(clientName);
+      if (!adapter) {
+        return { status: 'skipped', message: `no user service for webmail client ${clientName}` };
+      }
+
+      // The adapter removes rows keyed by either identifier (SOGo: username, Roundcube: email)
+      const outcome = outcomeFromResult(await adapter.delete({ username, email }));
+      return { status: outcome.status, message: `${clientName}: ${outcome.message}` };
+    }
+  }
+};
+
+class DeprovisioningPipeline {
+  constructor() {
+    this.retries = parseInt(process.env.DEPROVISION_STEP_RETRIES || '2', 10);
+    this.retryDelayMs = parseInt(process.env.DEPROVISION_RETRY_DELAY_MS || '1000', 10);
+  }
+
+  /**
+   * Wait between attempts (separate method so tests can skip the delay)
+   * @param {number} ms
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Run one step with retries
+   * @param {string} name - Step name from STEP_ORDER
+   * @param {Object} identity - { id, username, email }
+   * @returns {Promise<Object>} { name, system, status, attempts, message?, error? }
+   */
+  async runStep(name, identity) {
+    const step = STEPS[name];
+    const maxAttempts = Math.max(1, this.retries + 1);
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        const outcome = await step.run(identity);
+        console.log(`[DeprovisioningPipeline] ${name} for ${identity.username}: ${outcome.status}${outcome.message ? ` (${outcome.message})` : ''}`);
+        return { name, system: step.system, status: outcome.status, attempts: attempt, message: outcome.message };
+      } catch (error) {
+        lastError = error;
+        console.warn(`[DeprovisioningPipeline] WARN: ${name} for ${identity.username} failed (attempt ${attempt}/${maxAttempts}): ${error.message}`);
+        if (attempt < maxAttempts) {
+          await this.sleep(this.retryDelayMs * 2 ** (attempt - 1));
+        }
+      }
+    }
+
+    console.error(`[DeprovisioningPipeline] FAIL ${name} for ${identity.username}: ${lastError.message}`);
+    return { name, system: step.system, status: 'failed', attempts: maxAttempts, error: lastError.message };
+  }
+
+  /**
+   * Deprovision a user from all systems
+   * @param {Object} user - Keycloak user ({ id, username, email })
+   * @param {Object} [options]
+   * @param {string[]} [options.steps] - Subset of STEP_ORDER to run (still run in STEP_ORDER)
+   * @returns {Promise<Object>} { success, userId, username, email, startedAt, finishedAt, steps: [...] }
+   */
+  async run(user, options = {}) {
+    const domain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+    const identity = {
+      id: user.id,
+      username: user.username,
+      email: user.email || (user.username ? `${user.username}@${domain}` : null)
+    };
+    const selected = options.steps || STEP_ORDER;
+    const unknown = selected.filter(name => !STEPS[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown deprovisioning step(s): ${unknown.join(', ')}`);
+    }
+
+    const startedAt = new Date().toISOString();
+    console.log(`[DeprovisioningPipeline] Deprovisioning ${identity.username} (${identity.email}, id ${identity.id})`);
+
+    const steps = [];
+    for (const name of STEP_ORDER.filter(stepName => selected.includes(stepName))) {
+      steps.push(await this.runStep(name, identity));
+    }
+
+    const success = steps.every(step => step.status !== 'failed');
+    console.log(`[DeprovisioningPipeline] ${success ? 'OK' : 'FAIL'} ${identity.username}: ${steps.map(step => `${step.name}=${step.status}`).join(', ')}`);
+
+    return {
+      success,
+      userId: identity.id,
+      username: identity.username,
+      email: identity.email,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      steps
+    };
+  }
+}
+
+// Singleton instance
+const deprovisioningPipeline = new DeprovisioningPipeline();
+
+module.exports = deprovisioningPipeline;
+module.exports.DeprovisioningPipeline = DeprovisioningPipeline;
+module.exports.STEP_ORDER = STEP_ORDER;
@@ -0,0 +1,279 @@
+/**
+ * Identity Reconciliation
+ *
+ * Compares the identities held by Keycloak (the source of truth) with the accounts in
+ * Stalwart, SOGo and Roundcube and reports where they diverge:
+ *
+ * - orphans: accounts with no Keycloak user left (e.g. a deletion that failed half-way
+ *   before the deprovisioning job queue existed, or a user removed by hand in Keycloak)
+ * - missing: Keycloak users without an account in the mail server / selected webmail client.
+ *   Informational only - accounts are provisioned on first login.
+ *
+ * An account matches a Keycloak user when its name or email equals the user's username,
+ * email, or <username>@DEMO_INTERNAL_EMAIL_DOMAIN (case-insensitive).
+ *
+ * Repair mode deletes orphans. Keycloak is listed again right before deleting, so accounts of
+ * users created while the report was built are kept. Accounts in RECONCILE_PROTECTED_ACCOUNTS
+ * (default admin,postmaster,abuse) are never deleted. Nothing is compared - and nothing
+ * repaired - when the Keycloak listing fails.
+ *
+ * Used by scripts/reconcile-identities.js and /admin/reconciliation.
+ */
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const mailServiceConfig = require('../../config/mail-service-config');
+const { createWebmailAdapter, WEBMAIL_CLIENTS } = require('../webmail');
+
+const ORPHAN_SYSTEMS = ['stalwart', 'sogo', 'roundcube'];
+
+/**
+ * @param {string} value
+ * @returns {string|null}
+ */
+function normalize(value) {
+  return value ? String(value).trim().toLowerCase() : null;
+}
+
+/**
+ * Stalwart answers /principal with an array (older releases) or { items, total }
+ * @param {Array|Object} principals
+ * @returns {Object} { items, total }
+ */
+function principalPage(principals) {
+  if (Array.isArray(principals)) return { items: principals, total: principals.length };
+  const items = principals && Array.isArray(principals.items) ? principals.items : [];
+  return { items, total: Number(principals?.total ?? items.length) };
+}
+
+class IdentityReconciler {
+  constructor() {
+    this.pageSize = parseInt(process.env.RECONCILE_PAGE_SIZE || '100', 10);
+    this.protectedAccounts = (process.env.RECONCILE_PROTECTED_ACCOUNTS || 'admin,postmaster,abuse')
+      .split(',')
+      .map(normalize)
+      .filter(Boolean);
+  }
+
+  /**
+   * All Keycloak users, paged
+   * @returns {Promise<Object[]>} [{ id, username, email }]
+   */
+  async listKeycloakUsers() {
+    const users = [];
+    for await (const u of keycloakAdmin.iterateUsers({ pageSize: this.pageSize })) {
+      users.push({ id: u.id, username: u.username, email: u.email || null });
+    }
+    return users;
+  }
+
+  /**
+   * All individual Stalwart principals, paged
+   * @returns {Promise<Object[]>} [{ name, emails }]
+   */
+  async listStalwartPrincipals() {
+    const stalwartClient = require('../email/stalwart-client');
+    const principals = [];
+    for (let page = 1; ; page++) {
+      const r = await stalwartClient.listPrincipals({ types: 'individual', page, limit: this.pageSize });
+      if (!r.success) throw new Error(r.error || `Stalwart responded ${r.status}`);
+      const { items, total } = principalPage(r.principals);
+      principals.push(...items.map(p => ({
+        name: p.name,
+        emails: Array.isArray(p.emails) ? p.emails : (p.emails ? [p.emails] : [])
+      })));
+      if (items.length === 0 || principals.length >= total || Array.isArray(r.principals)) break;
+    }
+    return principals;
+  }
+
+  /**
+   * Run a listing and wrap it as { success, count, items } so that one failing system
+   * doesn't hide the others
+   * @param {boolean} enabled
+   * @param {Function} fn
+   * @param {string} reason - Why the system is skipped when not enabled
+   * @returns {Promise<Object>}
+   */
+  async listSource(enabled, fn, reason) {
+    if (!enabled) {
+      return { success: true, skipped: true, reason, count: 0, items: [] };
+    }
+    try {
+      const items = await fn();
+      return { success: true, count: items.length, items };
+    } catch (error) {
+      console.error(`[IdentityReconciler] FAIL listing: ${error.message}`);
+      return { success: false, count: 0, items: [], error: error.message };
+    }
+  }
+
+  /**
+   * Lower-cased usernames/emails of the given Keycloak users
+   * @param {Object[]} users
+   * @returns {Set<string>}
+   */
+  buildIndex(users) {
+    const domain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+    const index = new Set();
+    for (const user of users) {
+      for (const key of [user.username, user.email, user.username && `${user.username}@${domain}`]) {
+        const value = normalize(key);
+        if (value) index.add(value);
+      }
+    }
+    return index;
+  }
+
+  /**
+   * Build the diff report
+   * @returns {Promise<Object>} { success, generatedAt, sources, orphans, missing, summary, error? }
+   */
+  async report() {
+    const provider = mailServiceConfig.getProvider();
+    const [sogoAdapter, roundcubeAdapter] = WEBMAIL_CLIENTS.map(name => createWebmailAdapter(name));
+    const [keycloak, stalwart, sogo, roundcube] = await Promise.all([
+      this.listSource(true, () => this.listKeycloakUsers()),
+      this.listSource(provider === 'stalwart', () => this.listStalwartPrincipals(), `mail provider is ${provider}`),
+      this.listSource(sogoAdapter.isConfigured(), () => sogoAdapter.list(), 'SOGO_DB_PASSWORD_RAW not set'),
+      this.listSource(roundcubeAdapter.isConfigured(), () => roundcubeAdapter.list(), 'ROUNDCUBE_DB_PASSWORD_RAW not set')
+    ]);
+
+    const sources = Object.fromEntries(
+      Object.entries({ keycloak, stalwart, sogo, roundcube }).map(([name, { items, ...source }]) => [name, source])
+    );
+    const report = {
+      success: Object.values(sources).every(source => source.success),
+      generatedAt: new Date().toISOString(),
+      sources,
+      orphans: { stalwart: [], sogo: [], roundcube: [] },
+      missing: { stalwart: [], sogo: [], roundcube: [] },
+      summary: { orphans: 0, missing: 0 }
+    };
+
+    if (!keycloak.success) {
+      report.error = 'Keycloak users could not be listed - nothing compared';
+      return report;
+    }
+
+    const index = this.buildIndex(keycloak.items);
+    const known = (...keys) => keys.some(key => index.has(normalize(key)));
+
+    report.orphans.stalwart = stalwart.items.filter(p => !known(p.name, ...p.emails));
+    report.orphans.sogo = sogo.items.filter(u => !known(u.id, u.email));
+    report.orphans.roundcube = roundcube.items.filter(u => !known(u.id, u.email));
+
+    // Per Keycloak user: does the system hold one of the user's identifiers?
+    const missingFrom = (source, keysOf) => {
+      const present = new Set(source.items.flatMap(keysOf).map(normalize).filter(Boolean));
+      return keycloak.items
+        .filter(user => ![...this.buildIndex([user])].some(key => present.has(key)))
+        .map(user => ({ id: user.id, username: user.username, email: user.email }));
+    };
+    if (!stalwart.skipped && stalwart.success) {
+      report.missing.stalwart = missingFrom(stalwart, p => [p.name, ...p.emails]);
+    }
+    const webmailClient = mailServiceConfig.getWebmailClientName();
+    if (webmailClient === 'sogo' && !sogo.skipped && sogo.success) {
+      report.missing.sogo = missingFrom(sogo, u => [u.id, u.email]);
+    }
+    if (webmailClient === 'roundcube' && !roundcube.skipped && roundcube.success) {
+      report.missing.roundcube = missingFrom(roundcube, u => [u.id, u.email]);
+    }
+
+    const total = lists => Object.values(lists).reduce((sum, list) => sum + list.length, 0);
+    report.summary = { orphans: total(report.orphans), missing: total(report.missing) };
+    return report;
+  }
+
+  /**
+   * Delete one orphaned account
+   * @param {string} system - stalwart | sogo | roundcube
+   * @param {string} id - Principal name / webmail row id (SOGo c_uid, Roundcube username)
+   * @returns {Promise<Object>} { system, id, status: deleted|not_found|failed, message?, error? }
+   */
+  async deleteOrphan(system, id) {
+    let result;
+    try {
+      if (system === 'stalwart') {
+        const r = await require('../email/stalwart-client').deletePrincipal(id);
+        result = r.status === 404 ? { success: true, deleted: false } : { ...r, deleted: r.success };
+      } else {
+        // A single identifier, so only the orphaned row itself is removed
+        result = await createWebmailAdapter(system).delete({ username: id });
+      }
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+      console.error(`[IdentityReconciler] FAIL deleting ${system} orphan ${id}: ${result.error}`);
+      return { system, id, status: 'failed', error: result.error || 'unknown error' };
+    }
+    const status = result.deleted === false ? 'not_found' : 'deleted';
+    console.log(`[IdentityReconciler] OK ${system} orphan ${id}: ${status}`);
+    return { system, id, status, message: result.message };
+  }
+
+  /**
+   * Build the report and delete the orphans it found
+   * @param {Object} [options]
+   * @param {string[]} [options.systems] - Subset of ORPHAN_SYSTEMS to repair (default all)
+   * @returns {Promise<Object>} Report plus repairs: [{ system, id, status, message?, error? }]
+   */
+  async repair(options = {}) {
+    const systems = options.systems || ORPHAN_SYSTEMS;
+    const unknown = systems.filter(system => !ORPHAN_SYSTEMS.includes(system));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown reconciliation system(s): ${unknown.join(', ')}`);
+    }
+
+    const report = await this.report();
+    report.repairs = [];
+    if (report.error) {
+      return report;
+    }
+
+    // Users created since the report was built must not lose their fresh accounts
+    let index;
+    try {
+      index = this.buildIndex(await this.listKeycloakUsers());
+    } catch (error) {
+      report.success = false;
+      report.error = `Keycloak re-check failed - nothing repaired: ${error.message}`;
+      return report;
+    }
+
+    const candidates = {
+      stalwart: report.orphans.stalwart.map(p => ({ id: p.name, keys: [p.name, ...p.emails] })),
+      sogo: report.orphans.sogo.map(u => ({ id: u.id, keys: [u.id, u.email] })),
+      roundcube: report.orphans.roundcube.map(u => ({ id: u.id, keys: [u.id, u.email] }))
+    };
+
+    for (const system of systems) {
+      for (const { id, keys } of candidates[system]) {
+        const names = keys.map(normalize).filter(Boolean);
+        if (names.some(name => this.protectedAccounts.includes(name) || this.protectedAccounts.includes(name.split('@')[0]))) {
+          report.repairs.push({ system, id, status: 'protected' });
+        } else if (names.some(name => index.has(name))) {
+          report.repairs.push({ system, id, status: 'kept', message: 'Keycloak user appeared since the report' });
+        } else {
+          report.repairs.push(await this.deleteOrphan(system, id));
+        }
+      }
+    }
+
+    const failed = report.repairs.filter(repair => repair.status === 'failed').length;
+    console.log(`[IdentityReconciler] ${failed === 0 ? 'OK' : 'FAIL'} Repair: ${report.repairs.length} orphan(s) handled, ${failed} failed`);
+    if (failed > 0) {
+      report.success = false;
+    }
+    return report;
+  }
+}
+
+// Singleton instance
+const identityReconciler = new IdentityReconciler();
+
+module.exports = identityReconciler;
+module.exports.IdentityReconciler = IdentityReconciler;
+module.exports.ORPHAN_SYSTEMS = ORPHAN_SYSTEMS;
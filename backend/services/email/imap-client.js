@@ -0,0 +1,767 @@
+/**
+ * IMAP Client (RFC 3501)
+ *
+ * The small part of IMAP the backend needs for mailbox overviews: mailbox STATUS, and the
+ * newest messages of a mailbox with sender, subject, date, seen flag and a text preview.
+ *
+ * Authentication:
+ * - { accessToken }: SASL XOAUTH2 with the user's Keycloak token
+ * - { password }: LOGIN (app password, or a Dovecot master user as "<email>*<master>")
+ * loginFor() picks the credentials for a user's own mailbox: XOAUTH2 unless
+ * DEMO_MAIL_IMAP_AUTH=password, which logs in with DEMO_MAIL_IMAP_APP_PASSWORD. It never
+ * falls back to the master user, which can open any mailbox.
+ *
+ * Configuration (Mailcow's Dovecot by default, works for Stalwart too):
+ * - DEMO_MAIL_IMAP_HOST (default: the SMTP host), DEMO_MAIL_IMAP_PORT (default 993)
+ * - DEMO_MAIL_IMAP_SECURITY: tls (default) | starttls | none
+ * - DEMO_MAIL_IMAP_TLS_VERIFY=false accepts self-signed certificates
+ * - DEMO_MAIL_IMAP_TIMEOUT_MS (default 10000)
+ * - DEMO_MAIL_IMAP_MASTER_USER / DEMO_MAIL_IMAP_MASTER_PASSWORD: Dovecot master user for
+ *   admin overviews of other mailboxes (login "<email><separator><master>", separator
+ *   DEMO_MAIL_IMAP_MASTER_SEPARATOR, default "*")
+ *
+ * One connection per call: withConnection() connects, authenticates, runs the callback and
+ * logs out. Failures throw ImapError with a code (auth_failed, rejected, bad_command, closed,
+ * network_error, timeout, unsupported, protocol_error, token_error).
+ */
+
+const net = require('net');
+const tls = require('tls');
+const mailServiceConfig = require('../../config/mail-service-config');
+
+const SECURITY_MODES = ['tls', 'starttls', 'none'];
+const PREVIEW_LENGTH = 200;
+
+class ImapError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { code, responseCode }
+   */
+  constructor(message, { code, responseCode = null } = {}) {
+    super(message);
+    this.name = 'ImapError';
+    this.code = code;
+    this.responseCode = responseCode;
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Quoted string
+ */
+function quoted(value) {
+  if (/[\r\n]/.test(value)) {
+    throw new ImapError('IMAP strings cannot contain line breaks', { code: 'rejected' });
+  }
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * End of the first complete response line, literals included
+ * @param {Buffer} buffer
+ * @returns {number} Index after the CRLF, or -1 while incomplete
+ */
+function frameLine(buffer) {
+  let pos = 0;
+  for (;;) {
+    const crlf = buffer.indexOf('\r\n', pos);
+    if (crlf === -1) return -1;
+    const literal = /\{(\d+)\}$/.exec(buffer.toString('latin1', Math.max(pos, crlf - 16), crlf));
+    if (!literal) return crlf + 2;
+    pos = crlf + 2 + Number(literal[1]);
+    if (pos > buffer.length) return -1;
+  }
+}
+
+/**
+ * Parse response data: atoms and quoted strings -> string, literals -> Buffer, NIL -> null,
+ * parenthesized lists -> arrays. Atoms keep bracketed sections (BODY[1.2]<0>).
+ * @param {Buffer} line - Without the trailing CRLF
+ * @returns {Array}
+ */
+function tokenize(line) {
+  const root = [];
+  const stack = [root];
+  let pos = 0;
+  while (pos < line.length) {
+    const ch = line[pos];
+    const current = stack[stack.length - 1];
+    if (ch === 0x20 || ch === 0x0d || ch === 0x0a) {
+      pos++;
+    } else if (ch === 0x28) { // (
+      const list = [];
+      current.push(list);
+      stack.push(list);
+      pos++;
+    } else if (ch === 0x29) { // )
+      if (stack.length > 1) stack.pop();
+      pos++;
+    } else if (ch === 0x22) { // "
+      const bytes = [];
+      let i = pos + 1;
+      while (i < line.length && line[i] !== 0x22) {
+        if (line[i] === 0x5c) i++;
+        if (i < line.length) bytes.push(line[i]);
+        i++;
+      }
+      current.push(Buffer.from(bytes).toString('utf8'));
+      pos = i + 1;
+    } else if (ch === 0x7b) { // {n}
+      const close = line.indexOf(0x7d, pos);
+      const size = parseInt(line.toString('ascii', pos + 1, close), 10);
+      if (close === -1 || Number.isNaN(size)) {
+        throw new ImapError('Malformed literal in server response', { code: 'protocol_error' });
+      }
+      const start = close + 3;
+      current.push(line.subarray(start, start + size));
+      pos = start + size;
+    } else {
+      let i = pos;
+      let depth = 0;
+      while (i < line.length) {
+        const c = line[i];
+        if (c === 0x5b) depth++;
+        else if (c === 0x5d) depth--;
+        else if (depth === 0 && (c === 0x20 || c === 0x28 || c === 0x29 || c === 0x0d)) break;
+        i++;
+      }
+      const atom = line.toString('utf8', pos, i);
+      current.push(atom.toUpperCase() === 'NIL' ? null : atom);
+      pos = i;
+    }
+  }
+  return root;
+}
+
+/**
+ * @param {string} text - "OK [CODE args] human text"
+ * @returns {Object} { status, code, codeArgs, text }
+ */
+function parseStatus(text) {
+  const match = /^(OK|NO|BAD|BYE|PREAUTH)\b\s?(?:\[([^\]]*)\])?\s?(.*)$/i.exec(text) || [];
+  const [code, ...codeArgs] = (match[2] || '').split(' ').filter(Boolean);
+  return {
+    status: (match[1] || '').toUpperCase(),
+    code: code ? code.toUpperCase() : null,
+    codeArgs,
+    text: match[3] || ''
+  };
+}
+
+/**
+ * @param {string|Buffer|null} value
+ * @returns {string}
+ */
+function text(value) {
+  if (value === null || value === undefined) return '';
+  return Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+}
+
+/**
+ * @param {Buffer} bytes
+ * @param {string} [charset]
+ * @returns {string}
+ */
+function decodeCharset(bytes, charset = 'utf-8') {
+  try {
+    return new TextDecoder(charset || 'utf-8').decode(bytes);
+  } catch (_) {
+    return bytes.toString('utf8');
+  }
+}
+
+/**
+ * Decode RFC 2047 encoded words (=?charset?B|Q?...?=) in a header value
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeWords(value) {
+  return value
+    .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, data) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(data, 'base64')
+        : Buffer.from(data.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+      return decodeCharset(bytes, charset);
+    });
+}
+
+/**
+ * @param {Buffer} raw - Part content as stored
+ * @param {string} encoding - Content-Transfer-Encoding
+ * @param {string} charset
+ * @returns {string}
+ */
+function decodePart(raw, encoding, charset) {
+  let bytes = raw;
+  const transfer = String(encoding || '').toUpperCase();
+  if (transfer === 'BASE64') {
+    const data = raw.toString('latin1').replace(/[^A-Za-z0-9+/=]/g, '');
+    // A partial fetch can end mid-quantum
+    bytes = Buffer.from(data.slice(0, data.length - (data.length % 4)), 'base64');
+  } else if (transfer === 'QUOTED-PRINTABLE') {
+    bytes = Buffer.from(raw.toString('latin1')
+      .replace(/=\r?\n/g, '')
+      .replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+  }
+  return decodeCharset(bytes, charset).replace(/�+$/, '');
+}
+
+/**
+ * @param {string} content
+ * @param {boolean} html
+ * @returns {string} Single-line preview
+ */
+function toPreview(content, html) {
+  let plain = content;
+  if (html) {
+    plain = plain
+      .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/gi, ' ')
+      .replace(/&lt;/gi, '<')
+      .replace(/&gt;/gi, '>')
+      .replace(/&quot;/gi, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/gi, '&');
+  }
+  return plain.replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH);
+}
+
+/**
+ * First text part of a BODYSTRUCTURE, text/plain preferred over text/html
+ * @param {Array} structure
+ * @param {number[]} [path]
+ * @returns {Object|null} { section, html, encoding, charset }
+ */
+function findTextPart(structure, path = []) {
+  if (!Array.isArray(structure)) return null;
+  if (Array.isArray(structure[0])) {
+    let html = null;
+    for (let i = 0; Array.isArray(structure[i]); i++) {
+      const found = findTextPart(structure[i], [...path, i + 1]);
+      if (found && !found.html) return found;
+      html = html || found;
+    }
+    return html;
+  }
+  if (text(structure[0]).toUpperCase() !== 'TEXT') return null;
+  const subtype = text(structure[1]).toUpperCase();
+  if (subtype !== 'PLAIN' && subtype !== 'HTML') return null;
+  const params = Array.isArray(structure[2]) ? structure[2] : [];
+  let charset = 'utf-8';
+  for (let i = 0; i < params.length; i += 2) {
+    if (text(params[i]).toLowerCase() === 'charset') charset = text(params[i + 1]);
+  }
+  return {
+    section: path.length ? path.join('.') : '1',
+    html: subtype === 'HTML',
+    encoding: text(structure[5]),
+    charset
+  };
+}
+
+/**
+ * @param {Array|null} addresses - ENVELOPE address list
+ * @returns {Object|null} { name, email } of the first address
+ */
+function firstAddress(addresses) {
+  const [address] = Array.isArray(addresses) ? addresses : [];
+  if (!Array.isArray(address)) return null;
+  const [name, , mailbox, host] = address;
+  return {
+    name: name ? decodeWords(text(name)) : null,
+    email: mailbox && host ? `${text(mailbox)}@${text(host)}` : text(mailbox) || null
+  };
+}
+
+/**
+ * @param {Array} pairs - FETCH attribute list [KEY, value, ...]
+ * @returns {Object} { KEY: value } with upper-case keys
+ */
+function fetchAttributes(pairs) {
+  const attributes = {};
+  for (let i = 0; i < pairs.length; i += 2) {
+    attributes[text(pairs[i]).toUpperCase()] = pairs[i + 1];
+  }
+  return attributes;
+}
+
+class ImapConnection {
+  /**
+   * @param {Object} options - { host, port, security, verifyTls, timeoutMs }
+   */
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.error = null;
+    this.wake = null;
+    this.tag = 0;
+    this.capabilities = new Set();
+
+    this.onData = (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.notify();
+    };
+    this.onError = (error) => {
+      this.error = this.error || (error instanceof ImapError
+        ? error
+        : new ImapError(`IMAP connection to ${options.host}:${options.port} failed: ${error.message}`, { code: 'network_error' }));
+      this.notify();
+    };
+    this.onClose = () => {
+      this.error = this.error || new ImapError('IMAP connection closed by the server', { code: 'closed' });
+      this.notify();
+    };
+  }
+
+  notify() {
+    const wake = this.wake;
+    this.wake = null;
+    if (wake) wake();
+  }
+
+  /**
+   * @param {Object} socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+    socket.setTimeout(this.options.timeoutMs, () => {
+      socket.destroy(new ImapError(`IMAP timeout after ${this.options.timeoutMs}ms`, { code: 'timeout' }));
+    });
+  }
+
+  /**
+   * @param {Object} socket
+   */
+  detach(socket) {
+    socket.removeListener('data', this.onData);
+    socket.removeListener('error', this.onError);
+    socket.removeListener('close', this.onClose);
+    socket.setTimeout(0);
+  }
+
+  /**
+   * Connect, read the greeting, switch to TLS and read the capabilities
+   */
+  async open() {
+    const { host, port, security, verifyTls } = this.options;
+    this.attach(security === 'tls'
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized: verifyTls })
+      : net.connect({ host, port }));
+
+    const greeting = parseStatus((await this.readLine()).toString('utf8').replace(/^\* /, ''));
+    if (greeting.status !== 'OK' && greeting.status !== 'PREAUTH') {
+      throw new ImapError(`IMAP greeting: ${greeting.text || greeting.status}`, { code: 'closed' });
+    }
+    await this.capability();
+
+    if (security === 'starttls') {
+      if (!this.capabilities.has('STARTTLS')) {
+        throw new ImapError(`${host}:${port} does not offer STARTTLS`, { code: 'unsupported' });
+      }
+      await this.command('STARTTLS');
+      const plain = this.socket;
+      this.detach(plain);
+      this.attach(tls.connect({ socket: plain, servername: host, rejectUnauthorized: verifyTls }));
+      await this.capability();
+    }
+  }
+
+  /**
+   * @returns {Promise<Buffer>} Next response line (literals included, CRLF removed)
+   */
+  async readLine() {
+    for (;;) {
+      const end = frameLine(this.buffer);
+      if (end !== -1) {
+        const line = this.buffer.subarray(0, end - 2);
+        this.buffer = this.buffer.subarray(end);
+        return line;
+      }
+      if (this.error) throw this.error;
+      await new Promise(resolve => { this.wake = resolve; });
+    }
+  }
+
+  /**
+   * @param {string} data
+   */
+  write(data) {
+    if (this.error) throw this.error;
+    this.socket.write(data);
+  }
+
+  /**
+   * Run a tagged command
+   * @param {string} command - e.g. 'UID SEARCH ALL'
+   * @param {Object} [options]
+   * @param {Function} [options.onContinue] - (text) => line to send on a "+" continuation
+   * @param {string} [options.label] - Used instead of the command in error messages (credentials)
+   * @returns {Promise<Object>} { untagged: Array[], status, code, text }
+   */
+  async command(command, { onContinue, label } = {}) {
+    const tag = `A${++this.tag}`;
+    this.write(`${tag} ${command}\r\n`);
+    const untagged = [];
+    for (;;) {
+      const line = await this.readLine();
+      const head = line.toString('latin1', 0, Math.min(line.length, 64));
+
+      if (head.startsWith('+')) {
+        if (!onContinue) {
+          throw new ImapError(`Unexpected continuation for ${label || command}`, { code: 'protocol_error' });
+        }
+        this.write(`${onContinue(line.toString('utf8').replace(/^\+ ?/, ''))}\r\n`);
+      } else if (head.startsWith('* ')) {
+        const data = line.subarray(2);
+        const status = parseStatus(data.toString('utf8'));
+        if (!status.status) {
+          untagged.push(tokenize(data));
+        } else if (status.status === 'BYE') {
+          this.error = new ImapError(`IMAP server closed the connection: ${status.text}`, { code: 'closed' });
+        }
+      } else if (head.startsWith(`${tag} `)) {
+        const status = parseStatus(line.toString('utf8').slice(tag.length + 1));
+        if (status.status === 'OK') {
+          return { untagged, ...status };
+        }
+        throw new ImapError(`${label || command.split(' ')[0]} failed: ${status.text || status.status}`, {
+          code: status.code === 'AUTHENTICATIONFAILED' ? 'auth_failed' : status.status === 'BAD' ? 'bad_command' : 'rejected',
+          responseCode: status.code
+        });
+      }
+    }
+  }
+
+  /**
+   * Refresh the capability list
+   * @returns {Promise<Set<string>>}
+   */
+  async capability() {
+    const { untagged } = await this.command('CAPABILITY');
+    const line = untagged.find(tokens => text(tokens[0]).toUpperCase() === 'CAPABILITY') || [];
+    this.capabilities = new Set(line.slice(1).map(item => text(item).toUpperCase()));
+    return this.capabilities;
+  }
+
+  /**
+   * SASL XOAUTH2 with an access token
+   * @param {string} user
+   * @param {string} accessToken
+   */
+  async authenticateXoauth2(user, accessToken) {
+    if (!this.capabilities.has('AUTH=XOAUTH2')) {
+      throw new ImapError('IMAP server does not offer XOAUTH2', { code: 'unsupported' });
+    }
+    const initial = Buffer.from(`user=${user}\x01auth=Bearer ${accessToken}\x01\x01`).toString('base64');
+    const saslIr = this.capabilities.has('SASL-IR');
+    let sent = saslIr;
+    let detail = null;
+    try {
+      await this.command(saslIr ? `AUTHENTICATE XOAUTH2 ${initial}` : 'AUTHENTICATE XOAUTH2', {
+        label: 'AUTHENTICATE',
+        onContinue: (challenge) => {
+          if (!sent) {
+            sent = true;
+            return initial;
+          }
+          // Error details (JSON); an empty response ends the exchange
+          try {
+            detail = JSON.parse(Buffer.from(challenge, 'base64').toString()).status || null;
+          } catch (_) {
+            // Reported through the NO text
+          }
+          return '';
+        }
+      });
+    } catch (error) {
+      if (error.code === 'rejected' || error.code === 'auth_failed') {
+        throw new ImapError(`Authentication failed for ${user}: ${detail || error.message}`, { code: 'auth_failed', responseCode: error.responseCode });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * LOGIN with a password
+   * @param {string} user
+   * @param {string} password
+   */
+  async login(user, password) {
+    if (this.capabilities.has('LOGINDISABLED')) {
+      throw new ImapError('IMAP LOGIN is disabled on this connection', { code: 'unsupported' });
+    }
+    try {
+      await this.command(`LOGIN ${quoted(user)} ${quoted(password)}`, { label: 'LOGIN' });
+    } catch (error) {
+      if (error.code === 'rejected') {
+        throw new ImapError(`Authentication failed for ${user}: ${error.message}`, { code: 'auth_failed', responseCode: error.responseCode });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} [mailbox]
+   * @param {string[]} [items] - STATUS items
+   * @returns {Promise<Object>} e.g. { messages, unseen } (lower-case item names)
+   */
+  async status(mailbox = 'INBOX', items = ['MESSAGES', 'UNSEEN']) {
+    const { untagged } = await this.command(`STATUS ${quoted(mailbox)} (${items.join(' ')})`);
+    const line = untagged.find(tokens => text(tokens[0]).toUpperCase() === 'STATUS') || [];
+    const values = Array.isArray(line[2]) ? line[2] : [];
+    const result = {};
+    for (let i = 0; i < values.length; i += 2) {
+      result[text(values[i]).toLowerCase()] = Number(text(values[i + 1]));
+    }
+    return result;
+  }
+
+  /**
+   * Open a mailbox read-only
+   * @param {string} [mailbox]
+   * @returns {Promise<Object>} { exists }
+   */
+  async examine(mailbox = 'INBOX') {
+    const { untagged } = await this.command(`EXAMINE ${quoted(mailbox)}`);
+    const exists = untagged.find(tokens => text(tokens[1]).toUpperCase() === 'EXISTS');
+    return { exists: exists ? Number(exists[0]) : 0 };
+  }
+
+  /**
+   * @param {string} [criteria]
+   * @returns {Promise<number[]>} UIDs
+   */
+  async uidSearch(criteria = 'ALL') {
+    const { untagged } = await this.command(`UID SEARCH ${criteria}`);
+    return untagged
+      .filter(tokens => text(tokens[0]).toUpperCase() === 'SEARCH')
+      .flatMap(tokens => tokens.slice(1).map(Number));
+  }
+
+  /**
+   * @param {number[]} uids
+   * @param {string} items - FETCH items, e.g. '(UID FLAGS ENVELOPE)'
+   * @returns {Promise<Object[]>} Attributes per message ({ UID, FLAGS, ... })
+   */
+  async uidFetch(uids, items) {
+    if (uids.length === 0) return [];
+    const { untagged } = await this.command(`UID FETCH ${uids.join(',')} ${items}`);
+    return untagged
+      .filter(tokens => text(tokens[1]).toUpperCase() === 'FETCH' && Array.isArray(tokens[2]))
+      .map(tokens => fetchAttributes(tokens[2]));
+  }
+
+  /**
+   * Newest messages of a mailbox, normalized
+   * @param {Object} [options] - mailbox (default INBOX), position (0 = newest), limit
+   * @returns {Promise<Object>} { total, position, limit, messages: [{ id, from, subject, date, preview, seen }] }
+   */
+  async listMessages({ mailbox = 'INBOX', position = 0, limit = 10 } = {}) {
+    await this.examine(mailbox);
+    const uids = (await this.uidSearch('ALL')).sort((a, b) => b - a);
+    const page = uids.slice(position, position + limit);
+
+    const messages = new Map();
+    for (const attributes of await this.uidFetch(page, '(UID FLAGS INTERNALDATE ENVELOPE BODYSTRUCTURE)')) {
+      const uid = Number(text(attributes.UID));
+      const envelope = attributes.ENVELOPE || [];
+      const flags = (attributes.FLAGS || []).map(flag => text(flag).toLowerCase());
+      const date = new Date(text(attributes.INTERNALDATE) || text(envelope[0]));
+      messages.set(uid, {
+        message: {
+          id: String(uid),
+          from: firstAddress(envelope[2]),
+          subject: envelope[1] ? decodeWords(text(envelope[1])) : '',
+          date: Number.isNaN(date.getTime()) ? null : date.toISOString(),
+          preview: '',
+          seen: flags.includes('\\seen')
+        },
+        part: findTextPart(attributes.BODYSTRUCTURE)
+      });
+    }
+
+    // Previews: one partial fetch per body section in use (BODY.PEEK keeps \Seen unchanged)
+    const bySection = new Map();
+    for (const [uid, { part }] of messages) {
+      if (!part) continue;
+      if (!bySection.has(part.section)) bySection.set(part.section, []);
+      bySection.get(part.section).push(uid);
+    }
+    for (const [section, sectionUids] of bySection) {
+      for (const attributes of await this.uidFetch(sectionUids, `(UID BODY.PEEK[${section}]<0.${PREVIEW_LENGTH * 8}>)`)) {
+        const entry = messages.get(Number(text(attributes.UID)));
+        const raw = Object.entries(attributes).find(([key]) => key.startsWith('BODY['));
+        if (entry && raw && raw[1]) {
+          const content = decodePart(Buffer.isBuffer(raw[1]) ? raw[1] : Buffer.from(text(raw[1])), entry.part.encoding, entry.part.charset);
+          entry.message.preview = toPreview(content, entry.part.html);
+        }
+      }
+    }
+
+    return {
+      total: uids.length,
+      position,
+      limit,
+      messages: page.filter(uid => messages.has(uid)).map(uid => messages.get(uid).message)
+    };
+  }
+
+  /**
+   * Log out and close (never throws)
+   */
+  async logout() {
+    try {
+      if (!this.error) await this.command('LOGOUT');
+    } catch (_) {
+      // Closing anyway
+    } finally {
+      this.close();
+    }
+  }
+
+  close() {
+    if (!this.socket) return;
+    this.detach(this.socket);
+    this.socket.on('error', () => {});
+    this.socket.destroy();
+    this.socket = null;
+    this.error = this.error || new ImapError('IMAP connection closed', { code: 'closed' });
+  }
+}
+
+class ImapClient {
+  /**
+   * @param {Object} [options] - Overrides for host, port, security, verifyTls, timeoutMs
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.config = mailServiceConfig;
+  }
+
+  get host() {
+    return this.options.host || process.env.DEMO_MAIL_IMAP_HOST || this.config.getConfig().smtpHost;
+  }
+
+  get port() {
+    return this.options.port || parseInt(process.env.DEMO_MAIL_IMAP_PORT || '993', 10);
+  }
+
+  get security() {
+    return this.options.security || (process.env.DEMO_MAIL_IMAP_SECURITY || 'tls').toLowerCase();
+  }
+
+  get verifyTls() {
+    if (this.options.verifyTls !== undefined) return this.options.verifyTls;
+    return (process.env.DEMO_MAIL_IMAP_TLS_VERIFY || 'true').toLowerCase() !== 'false';
+  }
+
+  get timeoutMs() {
+    return this.options.timeoutMs || parseInt(process.env.DEMO_MAIL_IMAP_TIMEOUT_MS || '10000', 10);
+  }
+
+  get authMode() {
+    return this.options.authMode || (process.env.DEMO_MAIL_IMAP_AUTH || 'xoauth2').toLowerCase();
+  }
+
+  isConfigured() {
+    return !!this.host && SECURITY_MODES.includes(this.security);
+  }
+
+  /**
+   * Login for the user's own mailbox
+   * @param {string} email
+   * @param {string|null} accessToken - The user's token (used in xoauth2 mode)
+   * @returns {Object|null} { user, auth } for connect(), null when no credentials are available
+   */
+  loginFor(email, accessToken) {
+    if (this.authMode === 'password') {
+      const appPassword = process.env.DEMO_MAIL_IMAP_APP_PASSWORD;
+      return appPassword ? { user: email, auth: { password: appPassword } } : null;
+    }
+    return accessToken ? { user: email, auth: { accessToken } } : null;
+  }
+
+  /**
+   * Login for another account through the master user
+   * @param {string} email
+   * @returns {Object|null} { user, auth } for connect(), null when no master user is configured
+   */
+  masterLogin(email) {
+    const { DEMO_MAIL_IMAP_MASTER_USER: master, DEMO_MAIL_IMAP_MASTER_PASSWORD: password } = process.env;
+    if (!master || !password) return null;
+    const separator = process.env.DEMO_MAIL_IMAP_MASTER_SEPARATOR || '*';
+    return { user: `${email}${separator}${master}`, auth: { password } };
+  }
+
+  /**
+   * Open an authenticated connection
+   * @param {string} user - Login name (email)
+   * @param {Object} auth - { accessToken } (XOAUTH2) or { password } (LOGIN)
+   * @returns {Promise<ImapConnection>}
+   */
+  async connect(user, auth) {
+    if (!this.isConfigured()) {
+      throw new ImapError('IMAP not configured (DEMO_MAIL_IMAP_HOST / DEMO_MAIL_IMAP_SECURITY)', { code: 'unsupported' });
+    }
+    const connection = new ImapConnection({
+      host: this.host,
+      port: this.port,
+      security: this.security,
+      verifyTls: this.verifyTls,
+      timeoutMs: this.timeoutMs
+    });
+    try {
+      await connection.open();
+      if (auth.accessToken) {
+        await connection.authenticateXoauth2(user, auth.accessToken);
+      } else {
+        await connection.login(user, auth.password || '');
+      }
+      return connection;
+    } catch (error) {
+      connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * INBOX totals of the user's own mailbox (STATUS MESSAGES UNSEEN)
+   * @param {string} email
+   * @param {string|null} accessToken
+   * @returns {Promise<Object>} { messages, unseen }
+   */
+  async getInboxStatus(email, accessToken) {
+    const login = this.loginFor(email, accessToken);
+    if (!login) {
+      throw new ImapError('No IMAP credentials - access token required (or DEMO_MAIL_IMAP_AUTH=password)', { code: 'token_error' });
+    }
+    return this.withConnection(login.user, login.auth, connection => connection.status('INBOX'));
+  }
+
+  /**
+   * Run fn with an authenticated connection, logging out afterwards
+   * @param {string} user
+   * @param {Object} auth
+   * @param {Function} fn - async (connection) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async withConnection(user, auth, fn) {
+    const connection = await this.connect(user, auth);
+    try {
+      return await fn(connection);
+    } finally {
+      await connection.logout();
+    }
+  }
+}
+
+module.exports = new ImapClient();
+module.exports.ImapClient = ImapClient;
+module.exports.ImapConnection = ImapConnection;
+module.exports.ImapError = ImapError;
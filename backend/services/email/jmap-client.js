@@ -0,0 +1,493 @@
+/**
+ * JMAP Mail Client (RFC 8620 / RFC 8621)
+ *
+ * Mailbox, email, thread and submission calls against Stalwart's JMAP API as the logged-in
+ * user. Callers pass the user as { key, session } (keycloak_id and req.session, see
+ * JmapClient.userFromRequest); every call takes a valid access token from TokenService,
+ * which refreshes it when it is about to expire. Admin overviews pass { impersonate: email }
+ * instead and authenticate as that account through the Stalwart master user
+ * (STALWART_MASTER_USER / STALWART_MASTER_SECRET).
+ *
+ * - The JMAP session resource (/jmap/session) is cached per user for JMAP_SESSION_TTL_MS
+ *   (default 5 minutes) and dropped early when a response reports a new sessionState or the
+ *   server answers 401 (the call is then retried once with a fresh session)
+ * - Every failure is a JmapError: request-level problems (HTTP status, RFC 7807 problem
+ *   details) and method-level errors (["error", { type }]) map to the codes used by
+ *   KeycloakAdminError; SetErrors of Email/set and EmailSubmission/set are reported per id
+ */
+
+const axios = require('axios');
+const mailServiceConfig = require('../../config/mail-service-config');
+const tokenService = require('../tokenService');
+
+const CAPABILITIES = {
+  core: 'urn:ietf:params:jmap:core',
+  mail: 'urn:ietf:params:jmap:mail',
+  submission: 'urn:ietf:params:jmap:submission'
+};
+
+// JMAP error / SetError types -> JmapError codes
+const ERROR_CODES = {
+  unknownMethod: 'unknown_method',
+  unknownCapability: 'unknown_method',
+  invalidArguments: 'bad_request',
+  invalidResultReference: 'bad_request',
+  invalidProperties: 'bad_request',
+  invalidPatch: 'bad_request',
+  unsupportedFilter: 'bad_request',
+  unsupportedSort: 'bad_request',
+  anchorNotFound: 'bad_request',
+  invalidEmail: 'bad_request',
+  noRecipients: 'bad_request',
+  invalidRecipients: 'bad_request',
+  notJSON: 'bad_request',
+  notRequest: 'bad_request',
+  forbidden: 'forbidden',
+  accountReadOnly: 'forbidden',
+  forbiddenFrom: 'forbidden',
+  forbiddenMailFrom: 'forbidden',
+  forbiddenToSend: 'forbidden',
+  notFound: 'not_found',
+  accountNotFound: 'not_found',
+  accountNotSupportedByMethod: 'not_found',
+  stateMismatch: 'conflict',
+  alreadyExists: 'conflict',
+  cannotCalculateChanges: 'conflict',
+  limit: 'limit',
+  requestTooLarge: 'limit',
+  tooManyChanges: 'limit',
+  overQuota: 'limit',
+  tooLarge: 'limit',
+  rateLimit: 'limit',
+  tooManyRecipients: 'limit',
+  serverFail: 'server_error',
+  serverUnavailable: 'server_error',
+  serverPartialFail: 'server_error'
+};
+
+class JmapError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.code - bad_request, unauthorized, forbidden, not_found, conflict,
+   *   limit, unknown_method, server_error, http_error, token_error or network_error
+   * @param {string} [details.type] - JMAP error type, e.g. invalidArguments
+   * @param {string} [details.method] - e.g. Email/set
+   * @param {number} [details.status] - HTTP status (0 when no response arrived)
+   * @param {Object} [details.setErrors] - { id: SetError } for partially failed /set calls
+   */
+  constructor(message, { code, type = null, method = null, status = 0, setErrors = null } = {}) {
+    super(message);
+    this.name = 'JmapError';
+    this.code = code;
+    this.type = type;
+    this.method = method;
+    this.status = status;
+    this.setErrors = setErrors;
+  }
+}
+
+/**
+ * @param {number} status
+ * @returns {string} JmapError code
+ */
+function codeForStatus(status) {
+  switch (status) {
+    case 400: return 'bad_request';
+    case 401: return 'unauthorized';
+    case 403: return 'forbidden';
+    case 404: return 'not_found';
+    case 413: return 'limit';
+    case 429: return 'limit';
+    default: return status >= 500 ? 'server_error' : 'http_error';
+  }
+}
+
+/**
+ * @param {string} type - JMAP error type or problem URN (urn:ietf:params:jmap:error:<type>)
+ * @returns {string} JmapError code
+ */
+function codeForType(type) {
+  return ERROR_CODES[String(type || '').replace('urn:ietf:params:jmap:error:', '')] || 'server_error';
+}
+
+/**
+ * Throw if a /set call left any of its ids unprocessed
+ * @param {string} method
+ * @param {Object} result - /set response arguments
+ * @param {string} field - notCreated, notUpdated or notDestroyed
+ */
+function assertSet(method, result, field) {
+  const failed = result[field] || {};
+  const ids = Object.keys(failed);
+  if (ids.length === 0) return;
+  const first = failed[ids[0]];
+  throw new JmapError(
+    `${method} failed for ${ids.length} item${ids.length > 1 ? 's' : ''}: ${first.type}${first.description ? ` - ${first.description}` : ''}`,
+    { code: codeForType(first.type), type: first.type, method, setErrors: failed }
+  );
+}
+
+class JmapClient {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Default: the mail service base URL (STALWART_URL)
+   * @param {number} [options.sessionTtlMs] - JMAP_SESSION_TTL_MS
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.config = mailServiceConfig;
+    this.tokenService = tokenService;
+    this.sessions = new Map(); // session key -> { session, expiresAt }
+  }
+
+  get baseUrl() {
+    return (this.options.baseUrl || this.config.getBaseUrl() || '').replace(/\/$/, '');
+  }
+
+  get sessionTtlMs() {
+    return this.options.sessionTtlMs || parseInt(process.env.JMAP_SESSION_TTL_MS || '300000', 10);
+  }
+
+  /**
+   * @param {Object} req - Logged-in request
+   * @returns {Object} { key, session } for the calls below
+   */
+  static userFromRequest(req) {
+    return { key: req.user && req.user.keycloak_id, session: req.session };
+  }
+
+  // ---- Transport ----
+
+  /**
+   * @param {Object} user - { key, session }
+   * @returns {Promise<string>}
+   */
+  async getAccessToken(user) {
+    const token = user && user.key
+      ? await this.tokenService.getValidAccessToken(user.key, user.session)
+      : null;
+    if (!token) {
+      throw new JmapError('No valid access token - please log in again', { code: 'token_error' });
+    }
+    return token;
+  }
+
+  /**
+   * @param {Object} user - { key, session } or { impersonate }
+   * @returns {Promise<string>} Authorization header value
+   */
+  async getAuthorization(user) {
+    if (user && user.impersonate) {
+      const { STALWART_MASTER_USER: masterUser, STALWART_MASTER_SECRET: masterSecret } = process.env;
+      if (!masterUser || !masterSecret) {
+        throw new JmapError('Stalwart master user not configured (STALWART_MASTER_USER/STALWART_MASTER_SECRET)', { code: 'token_error' });
+      }
+      return `Basic ${Buffer.from(`${user.impersonate}%${masterUser}:${masterSecret}`).toString('base64')}`;
+    }
+    return `Bearer ${await this.getAccessToken(user)}`;
+  }
+
+  /**
+   * @param {Object} user
+   * @returns {string} Session cache key
+   */
+  sessionKey(user) {
+    return user.impersonate ? `master:${user.impersonate}` : user.key;
+  }
+
+  /**
+   * JMAP session resource, cached per user
+   * @param {Object} user
+   * @param {string} authorization - Authorization header value
+   * @param {boolean} [refresh] - Ignore the cache
+   * @returns {Promise<Object>} Session with apiUrl and accountId (primary mail account)
+   */
+  async getSession(user, authorization, refresh = false) {
+    const key = this.sessionKey(user);
+    const cached = this.sessions.get(key);
+    if (cached && cached.expiresAt <= Date.now()) {
+      this.sessions.delete(key);
+    } else if (!refresh && cached) {
+      return cached.session;
+    }
+
+    let res;
+    try {
+      res = await axios.get(`${this.baseUrl}/jmap/session`, {
+        headers: { Authorization: authorization },
+        validateStatus: () => true
+      });
+    } catch (error) {
+      throw new JmapError(`JMAP session error: ${error.message}`, { code: 'network_error' });
+    }
+    if (res.status !== 200) {
+      throw new JmapError(`JMAP session error ${res.status}`, { code: codeForStatus(res.status), status: res.status });
+    }
+
+    const accountId = res.data.primaryAccounts && res.data.primaryAccounts[CAPABILITIES.mail];
+    if (!accountId) {
+      throw new JmapError('JMAP session has no mail account', { code: 'not_found', status: res.status });
+    }
+    const session = {
+      ...res.data,
+      apiUrl: res.data.apiUrl || `${this.baseUrl}/jmap`,
+      accountId
+    };
+    this.pruneSessions();
+    this.sessions.set(key, { session, expiresAt: Date.now() + this.sessionTtlMs });
+    return session;
+  }
+
+  /**
+   * Drop expired sessions, including those of users who never come back
+   */
+  pruneSessions() {
+    const now = Date.now();
+    for (const [key, { expiresAt }] of this.sessions) {
+      if (expiresAt <= now) {
+        this.sessions.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Forget a user's cached session (e.g. on logout)
+   * @param {string} userKey - keycloak_id, or master:<email> for impersonated sessions
+   */
+  clearSession(userKey) {
+    this.sessions.delete(userKey);
+  }
+
+  /**
+   * Send one JMAP request; accountId is added to every call
+   * @param {Object} user - { key, session } or { impersonate }
+   * @param {Array[]} methodCalls - [[method, args, callId], ...]
+   * @param {string[]} [using] - Capabilities besides core and mail
+   * @returns {Promise<Array[]>} methodResponses; the first method error is thrown as JmapError
+   */
+  async request(user, methodCalls, using = []) {
+    const authorization = await this.getAuthorization(user);
+    let res;
+    let session;
+    for (let attempt = 0; ; attempt++) {
+      session = await this.getSession(user, authorization, attempt > 0);
+      const calls = methodCalls.map(([method, args, callId]) => [method, { accountId: session.accountId, ...args }, callId]);
+      try {
+        res = await axios.post(session.apiUrl, {
+          using: [CAPABILITIES.core, CAPABILITIES.mail, ...using],
+          methodCalls: calls
+        }, {
+          headers: { Authorization: authorization, 'Content-Type': 'application/json' },
+          validateStatus: () => true
+        });
+      } catch (error) {
+        throw new JmapError(`JMAP ${methodCalls[0][0]} error: ${error.message}`, { code: 'network_error', method: methodCalls[0][0] });
+      }
+      if (res.status !== 401 || attempt > 0) break;
+      // Session (or the token it was fetched with) no longer accepted - fetch it again once
+      this.clearSession(this.sessionKey(user));
+    }
+
+    if (res.status !== 200) {
+      // Request-level errors come as RFC 7807 problem details
+      const problem = res.data && typeof res.data === 'object' ? res.data : {};
+      const detail = problem.detail || problem.title || (typeof res.data === 'string' ? res.data : '');
+      throw new JmapError(`JMAP ${methodCalls[0][0]} error ${res.status}${detail ? `: ${detail}` : ''}`, {
+        code: problem.type ? codeForType(problem.type) : codeForStatus(res.status),
+        type: problem.type || null,
+        method: methodCalls[0][0],
+        status: res.status
+      });
+    }
+
+    if (res.data.sessionState && res.data.sessionState !== session.state) {
+      // Accounts or capabilities changed - fetch the session again next time
+      this.clearSession(this.sessionKey(user));
+    }
+
+    const responses = res.data.methodResponses || [];
+    for (const [name, args, callId] of responses) {
+      if (name !== 'error') continue;
+      const call = methodCalls.find(([, , id]) => id === callId) || methodCalls[0];
+      throw new JmapError(`JMAP ${call[0]} error: ${args.type}${args.description ? ` - ${args.description}` : ''}`, {
+        code: codeForType(args.type),
+        type: args.type,
+        method: call[0],
+        status: res.status
+      });
+    }
+    return responses;
+  }
+
+  /**
+   * One method call
+   * @param {Object} user
+   * @param {string} method
+   * @param {Object} args
+   * @param {string[]} [using]
+   * @returns {Promise<Object>} Response arguments
+   */
+  async call(user, method, args, using = []) {
+    const [[, result]] = await this.request(user, [[method, args, 'c1']], using);
+    return result;
+  }
+
+  // ---- Mailboxes ----
+
+  /**
+   * @param {Object} user
+   * @param {Object} [options] - ids (null = all), properties
+   * @returns {Promise<Object[]>}
+   */
+  async getMailboxes(user, { ids = null, properties } = {}) {
+    const result = await this.call(user, 'Mailbox/get', { ids, properties });
+    return result.list || [];
+  }
+
+  /**
+   * @param {Object} user
+   * @param {string} role - inbox, drafts, sent, trash, junk, archive
+   * @returns {Promise<Object|null>}
+   */
+  async getMailboxByRole(user, role) {
+    const mailboxes = await this.getMailboxes(user, { properties: ['id', 'name', 'role', 'totalEmails', 'unreadEmails'] });
+    return mailboxes.find(mailbox => mailbox.role === role) || null;
+  }
+
+  // ---- Emails ----
+
+  /**
+   * @param {Object} user
+   * @param {Object} [options]
+   * @param {Object} [options.filter] - FilterCondition, e.g. { inMailbox, hasKeyword: '$seen' }
+   * @param {Object[]} [options.sort] - Default newest first
+   * @param {number} [options.position]
+   * @param {number} [options.limit]
+   * @param {boolean} [options.collapseThreads]
+   * @returns {Promise<Object>} { ids, position, total, queryState }
+   */
+  async queryEmails(user, { filter, sort = [{ property: 'receivedAt', isAscending: false }], position = 0, limit = 20, collapseThreads = false } = {}) {
+    const result = await this.call(user, 'Email/query', {
+      filter, sort, position, limit, collapseThreads, calculateTotal: true
+    });
+    return { ids: result.ids || [], position: result.position, total: result.total, queryState: result.queryState };
+  }
+
+  /**
+   * @param {Object} user
+   * @param {string[]} ids
+   * @param {Object} [options] - properties, fetchTextBodyValues, maxBodyValueBytes
+   * @returns {Promise<Object>} { list, notFound }
+   */
+  async getEmails(user, ids, { properties, fetchTextBodyValues, maxBodyValueBytes } = {}) {
+    const result = await this.call(user, 'Email/get', { ids, properties, fetchTextBodyValues, maxBodyValueBytes });
+    return { list: result.list || [], notFound: result.notFound || [] };
+  }
+
+  /**
+   * Email/set update with a patch per email
+   * @param {Object} user
+   * @param {Object} update - { emailId: PatchObject }
+   * @returns {Promise<string[]>} Updated ids
+   */
+  async updateEmails(user, update) {
+    const result = await this.call(user, 'Email/set', { update });
+    assertSet('Email/set', result, 'notUpdated');
+    return Object.keys(result.updated || {});
+  }
+
+  /**
+   * Set or clear keywords
+   * @param {Object} user
+   * @param {string[]} ids
+   * @param {Object} flags - { seen, flagged, answered, draft } and/or { keywords: { $custom: true } };
+   *   false removes the keyword
+   * @returns {Promise<string[]>}
+   */
+  async setFlags(user, ids, { keywords = {}, ...flags }) {
+    const patch = {};
+    for (const [name, value] of Object.entries(flags)) {
+      if (value !== undefined) patch[`keywords/$${name}`] = value ? true : null;
+    }
+    for (const [name, value] of Object.entries(keywords)) {
+      patch[`keywords/${name}`] = value ? true : null;
+    }
+    return this.updateEmails(user, Object.fromEntries(ids.map(id => [id, patch])));
+  }
+
+  /**
+   * Move emails into one mailbox (removing them from all others)
+   * @param {Object} user
+   * @param {string[]} ids
+   * @param {string} mailboxId
+   * @returns {Promise<string[]>}
+   */
+  async moveEmails(user, ids, mailboxId) {
+    return this.updateEmails(user, Object.fromEntries(ids.map(id => [id, { mailboxIds: { [mailboxId]: true } }])));
+  }
+
+  /**
+   * Delete emails permanently
+   * @param {Object} user
+   * @param {string[]} ids
+   * @returns {Promise<string[]>} Destroyed ids
+   */
+  async destroyEmails(user, ids) {
+    const result = await this.call(user, 'Email/set', { destroy: ids });
+    assertSet('Email/set', result, 'notDestroyed');
+    return result.destroyed || [];
+  }
+
+  // ---- Threads ----
+
+  /**
+   * @param {Object} user
+   * @param {string[]} ids
+   * @returns {Promise<Object[]>} [{ id, emailIds }]
+   */
+  async getThreads(user, ids) {
+    const result = await this.call(user, 'Thread/get', { ids });
+    return result.list || [];
+  }
+
+  // ---- Submission ----
+
+  /**
+   * Send an existing email (e.g. a draft); on success it moves to the Sent mailbox
+   * @param {Object} user
+   * @param {string} emailId
+   * @param {Object} [options]
+   * @param {string} [options.identityId] - Default: the account's first identity
+   * @param {Object} [options.envelope] - { mailFrom, rcptTo } (default: from the headers)
+   * @returns {Promise<Object>} Created EmailSubmission ({ id, ... })
+   */
+  async submitEmail(user, emailId, { identityId, envelope } = {}) {
+    let identity = identityId;
+    if (!identity) {
+      const identities = await this.call(user, 'Identity/get', { ids: null }, [CAPABILITIES.submission]);
+      identity = identities.list && identities.list[0] && identities.list[0].id;
+      if (!identity) {
+        throw new JmapError('No sending identity for this account', { code: 'not_found', method: 'Identity/get' });
+      }
+    }
+    const sent = await this.getMailboxByRole(user, 'sent');
+
+    const [[, result]] = await this.request(user, [['EmailSubmission/set', {
+      create: { send: { identityId: identity, emailId, envelope } },
+      onSuccessUpdateEmail: {
+        '#send': {
+          'keywords/$draft': null,
+          ...(sent ? { mailboxIds: { [sent.id]: true } } : {})
+        }
+      }
+    }, 'c1']], [CAPABILITIES.submission]);
+    assertSet('EmailSubmission/set', result, 'notCreated');
+    return result.created.send;
+  }
+}
+
+module.exports = new JmapClient();
+module.exports.JmapClient = JmapClient;
+module.exports.JmapError = JmapError;
+module.exports.CAPABILITIES = CAPABILITIES;
@@ -6,12 +6,17 @@
  */
 
 const mailServiceConfig = require('../../config/mail-service-config');
+const imapClient = require('./imap-client');
+
+// Unseen count failures that mean JMAP could not be reached (IMAP is tried instead)
+const JMAP_UNREACHABLE_CODES = ['network_error', 'server_error'];
 
 class MailServiceAbstraction {
   constructor() {
     this.config = mailServiceConfig;
     this.provider = this.config.getProvider();
     this.service = null;
+    this.imap = imapClient;
     this.initializeService();
   }
 
@@ -83,17 +88,57 @@ class MailServiceAbstraction {
     return await this.service.sendMail(options);
   }
 
+  /**
+   * Protocols the provider offers for reading mailboxes
+   * @returns {Object} { jmap: boolean, imap: boolean }
+   */
+  getCapabilities() {
+    return (this.service && this.service.capabilities) || { jmap: false, imap: true };
+  }
+
   /**
    * Get unseen mail count for a user
-   * Used by mail-notifier service
+   * JMAP where the provider has it (Stalwart), IMAP STATUS otherwise (Mailcow) and whenever
+   * JMAP cannot be reached
    * 
    * @param {string} username - Username to check
-   * @param {string} [accessToken] - OAuth access token (for Stalwart/JMAP)
-   * @returns {Promise<Object>} { success: boolean, unseen_count?: number, error?: string }
+   * @param {string} [accessToken] - OAuth access token (JMAP, IMAP XOAUTH2)
+   * @returns {Promise<Object>} { success: boolean, unseen_count?: number, source?: string, error?: string }
    */
   async getUnseenCount(username, accessToken = null) {
     console.log(`[MailServiceAbstraction] getUnseenCount(${username}) - Provider: ${this.provider}`);
-    return await this.service.getUnseenCount(username, accessToken);
+    const capabilities = this.getCapabilities();
+
+    if (capabilities.jmap) {
+      const result = await this.service.getUnseenCount(username, accessToken);
+      if (result.success) {
+        return { ...result, source: 'jmap' };
+      }
+      if (!capabilities.imap || !JMAP_UNREACHABLE_CODES.includes(result.code)) {
+        return result;
+      }
+      console.warn(`[MailServiceAbstraction] WARN: JMAP unreachable for ${username} (${result.error}) - using IMAP`);
+    }
+
+    return await this.getUnseenCountViaImap(username, accessToken);
+  }
+
+  /**
+   * Unseen count from IMAP STATUS (XOAUTH2 or the configured app password, see ImapClient.loginFor)
+   * @param {string} username
+   * @param {string} [accessToken]
+   * @returns {Promise<Object>} { success, unseen_count, total_count, source } or { success: false, error, code, unseen_count: 0 }
+   */
+  async getUnseenCountViaImap(username, accessToken = null) {
+    const intEmailDomain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+    const email = `${username}@${intEmailDomain}`;
+    try {
+      const status = await this.imap.getInboxStatus(email, accessToken);
+      return { success: true, unseen_count: status.unseen || 0, total_count: status.messages || 0, source: 'imap' };
+    } catch (error) {
+      console.error(`[MailServiceAbstraction] IMAP unseen count for ${email} FAIL: ${error.message}`);
+      return { success: false, error: error.message, code: error.code, unseen_count: 0 };
+    }
   }
 
   /**
@@ -111,6 +156,59 @@ class MailServiceAbstraction {
     return await this.service.configureProxy(userId, personalEmail, username, enableProxy);
   }
 
+  /**
+   * Get email proxy status for a user
+   * 
+   * @param {number} userId - User ID
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { enabled, internalEmail, personalEmail, configured, forwarding? }
+   */
+  async getProxyStatus(userId, username) {
+    console.log(`[MailServiceAbstraction] getProxyStatus(${userId}) - Provider: ${this.provider}`);
+    return await this.service.getProxyStatus(userId, username);
+  }
+
+  /**
+   * The logged-in user's mailbox as passed to getRecentMail
+   * @param {Object} req - Logged-in request
+   * @returns {Object} { key, session, username, email }
+   */
+  accountFromRequest(req) {
+    const intEmailDomain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+    return {
+      key: req.user && req.user.keycloak_id,
+      session: req.session,
+      username: req.user && req.user.username,
+      email: req.user ? `${req.user.username}@${intEmailDomain}` : null
+    };
+  }
+
+  /**
+   * Newest messages of the user's inbox, newest first
+   * Stalwart reads them over JMAP, Mailcow over IMAP - both with the user's own token
+   * 
+   * @param {Object} account - { key, session, username, email } (see accountFromRequest)
+   * @param {Object} [options] - { position, limit }
+   * @returns {Promise<Object>} { success, total, position, limit, messages: [{ id, from: { name, email }, subject, date, preview, seen }] }
+   *   or { success: false, error, code }
+   */
+  async getRecentMail(account, options = {}) {
+    console.log(`[MailServiceAbstraction] getRecentMail(${account.username}) - Provider: ${this.provider}`);
+    return await this.service.getRecentMail(account, options);
+  }
+
+  /**
+   * Inbox totals of all mailboxes (admin overview)
+   * 
+   * @param {Object} [options] - { position, limit }
+   * @returns {Promise<Object>} { success, total, position, limit, users: [{ username, email, total_count, unseen_count, error? }] }
+   *   or { success: false, error, code }
+   */
+  async getUsersStatus(options = {}) {
+    console.log(`[MailServiceAbstraction] getUsersStatus() - Provider: ${this.provider}`);
+    return await this.service.getUsersStatus(options);
+  }
+
   /**
    * Delete a mailbox/user account
    * @param {string} email
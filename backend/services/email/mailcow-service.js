@@ -10,6 +10,8 @@ const mailcowVerification = require('./mailcow-verification.js');
 const mailboxProxyConfig = require('./mailbox-proxy-config.js');
 const nodemailer = require('nodemailer');
 const mailServiceConfig = require('../../config/mail-service-config');
+const imapClient = require('./imap-client.js');
+const tokenService = require('../tokenService');
 
 class MailcowService {
   constructor() {
@@ -17,6 +19,10 @@ class MailcowService {
     this.mailcowVerification = mailcowVerification;
     this.mailboxProxyConfig = mailboxProxyConfig;
     this.config = mailServiceConfig;
+    this.imap = imapClient;
+    this.tokenService = tokenService;
+    // Protocols for reading mailboxes - without JMAP the abstraction reads the unseen count over IMAP
+    this.capabilities = { jmap: false, imap: true };
   }
 
   isConfigured() {
@@ -117,25 +123,6 @@ class MailcowService {
     }
   }
 
-  /**
-   * Get unseen mail count for a user
-   * This is handled by mail-notifier service, but we provide the interface
-   * 
-   * @param {string} username - Username to check
-   * @param {string} [accessToken] - OAuth access token (not used for Mailcow)
-   * @returns {Promise<Object>}
-   */
-  async getUnseenCount(username, accessToken = null) {
-    // Mailcow unseen count is handled by mail-notifier service via docker exec
-    // This method is provided for interface consistency
-    // Actual implementation should route through mail-notifier API
-    return {
-      success: false,
-      error: 'Not implemented',
-      message: 'Mailcow unseen count is handled by mail-notifier service'
-    };
-  }
-
   /**
    * Configure email proxy for a user
    * @param {number} userId - User ID
@@ -148,6 +135,89 @@ class MailcowService {
     return await this.mailboxProxyConfig.configureUserProxy(userId, personalEmail, username, enableProxy);
   }
 
+  /**
+   * Get proxy status for a user
+   * @param {number} userId - User ID
+   * @param {string} [username] - Username (unused - Mailcow maps are not read back)
+   * @returns {Promise<Object>}
+   */
+  async getProxyStatus(userId, username) {
+    return await this.mailboxProxyConfig.getProxyStatus(userId);
+  }
+
+  /**
+   * Newest inbox messages over IMAP, authenticated with the user's token (XOAUTH2) or the
+   * configured app password (see ImapClient.loginFor)
+   * @param {Object} account - { key, session, username, email }
+   * @param {Object} [options] - { position, limit }
+   * @returns {Promise<Object>} { success, total, position, limit, messages } or { success: false, error, code }
+   */
+  async getRecentMail(account, { position = 0, limit = 10 } = {}) {
+    try {
+      const token = this.imap.authMode === 'xoauth2' && account.key
+        ? await this.tokenService.getValidAccessToken(account.key, account.session)
+        : null;
+      const login = this.imap.loginFor(account.email, token);
+      if (!login) {
+        return { success: false, error: 'No valid access token - please log in again', code: 'token_error' };
+      }
+      const page = await this.imap.withConnection(login.user, login.auth, connection =>
+        connection.listMessages({ position, limit })
+      );
+      return { success: true, ...page };
+    } catch (error) {
+      console.error(`[MailcowService] Recent mail for ${account.email} FAIL: ${error.message}`);
+      return { success: false, error: error.message, code: error.code || 'server_error' };
+    }
+  }
+
+  /**
+   * Mailboxes of the internal domain with their inbox totals. Counts come from IMAP STATUS
+   * through the Dovecot master user; without one only the API's message count is known.
+   * @param {Object} [options] - { position, limit } over the mailbox list
+   * @returns {Promise<Object>} { success, total, position, limit, users: [{ username, email, total_count, unseen_count, error? }] }
+   */
+  async getUsersStatus({ position = 0, limit = 50 } = {}) {
+    const domain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+    const result = await this.mailcowClient.getMailboxes(domain);
+    if (!result.success) {
+      return { success: false, error: result.error || `Mailcow responded ${result.status}`, code: result.status ? 'server_error' : 'network_error' };
+    }
+    // Mailcow answers {} for a domain without mailboxes and a bare object for a single one
+    let mailboxes = [];
+    if (Array.isArray(result.mailboxes)) {
+      mailboxes = result.mailboxes;
+    } else if (result.mailboxes && result.mailboxes.username) {
+      mailboxes = [result.mailboxes];
+    }
+    const page = mailboxes.slice(position, position + limit);
+
+    const users = [];
+    for (const mailbox of page) {
+      const email = mailbox.username;
+      const status = {
+        username: mailbox.local_part || String(email).split('@')[0],
+        email,
+        total_count: mailbox.messages !== undefined ? Number(mailbox.messages) : null,
+        unseen_count: null
+      };
+      const login = this.imap.masterLogin(email);
+      if (login) {
+        try {
+          const counts = await this.imap.withConnection(login.user, login.auth, connection => connection.status('INBOX'));
+          status.total_count = counts.messages;
+          status.unseen_count = counts.unseen;
+        } catch (error) {
+          console.warn(`[MailcowService] WARN: Mailbox status for ${email}: ${error.message}`);
+          status.error = error.message;
+        }
+      }
+      users.push(status);
+    }
+
+    return { success: true, total: mailboxes.length, position, limit, users };
+  }
+
   /**
    * Delete a mailbox/user account
    * @param {string} email
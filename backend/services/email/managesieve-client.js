@@ -0,0 +1,530 @@
+/**
+ * ManageSieve Client (RFC 5804)
+ *
+ * Lists, reads, uploads, activates and deletes a user's Sieve scripts on the mail server,
+ * authenticated with the user's own Keycloak access token (SASL OAUTHBEARER, RFC 7628, or
+ * XOAUTH2). Works with Stalwart and Mailcow (Dovecot Pigeonhole) alike.
+ *
+ * Configuration:
+ * - DEMO_MAIL_SIEVE_HOST (default: the SMTP host), DEMO_MAIL_SIEVE_PORT (default 4190)
+ * - DEMO_MAIL_SIEVE_SECURITY: starttls (default) | tls | none
+ * - DEMO_MAIL_SIEVE_SASL: oauthbearer | xoauth2 (default: what the server offers, OAUTHBEARER first)
+ * - DEMO_MAIL_SIEVE_TLS_VERIFY=false accepts self-signed certificates
+ * - DEMO_MAIL_SIEVE_TIMEOUT_MS (default 10000)
+ *
+ * One connection per request: withConnection() connects, authenticates, runs the callback
+ * and logs out. Failures throw ManageSieveError with a code (see ERROR_CODES).
+ */
+
+const net = require('net');
+const tls = require('tls');
+const mailServiceConfig = require('../../config/mail-service-config');
+
+const OAUTH_MECHANISMS = ['OAUTHBEARER', 'XOAUTH2'];
+const SECURITY_MODES = ['starttls', 'tls', 'none'];
+
+// RFC 5804 response codes -> ManageSieveError codes
+const ERROR_CODES = {
+  NONEXISTENT: 'not_found',
+  ACTIVE: 'active',
+  ALREADYEXISTS: 'already_exists',
+  QUOTA: 'quota',
+  'QUOTA/MAXSCRIPTS': 'quota',
+  'QUOTA/MAXSIZE': 'quota'
+};
+
+class ManageSieveError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { code, responseCode }
+   */
+  constructor(message, { code, responseCode = null } = {}) {
+    super(message);
+    this.name = 'ManageSieveError';
+    this.code = code;
+    this.responseCode = responseCode;
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Quoted string (no CR/LF allowed)
+ */
+function quoted(value) {
+  if (/[\r\n]/.test(value)) {
+    throw new ManageSieveError('Script names cannot contain line breaks', { code: 'rejected' });
+  }
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Non-synchronizing literal
+ */
+function literal(value) {
+  return `{${Buffer.byteLength(value)}+}\r\n${value}`;
+}
+
+/**
+ * Parse one response line, including literals, from the start of the buffer
+ * @param {Buffer} buffer
+ * @returns {Object|null} { tokens, end } or null while incomplete; tokens are
+ *   { type: 'atom'|'string'|'list', value }
+ */
+function parseLine(buffer) {
+  const tokens = [];
+  const stack = [tokens];
+  let pos = 0;
+  while (pos < buffer.length) {
+    const ch = buffer[pos];
+    const current = stack[stack.length - 1];
+    if (ch === 0x20) {
+      pos++;
+    } else if (ch === 0x0a) {
+      return { tokens, end: pos + 1 };
+    } else if (ch === 0x0d) {
+      if (pos + 1 >= buffer.length) return null;
+      return { tokens, end: pos + 2 };
+    } else if (ch === 0x28) { // (
+      const list = [];
+      current.push({ type: 'list', value: list });
+      stack.push(list);
+      pos++;
+    } else if (ch === 0x29) { // )
+      if (stack.length > 1) stack.pop();
+      pos++;
+    } else if (ch === 0x22) { // "
+      const bytes = [];
+      let i = pos + 1;
+      while (i < buffer.length && buffer[i] !== 0x22) {
+        if (buffer[i] === 0x5c) i++;
+        if (i < buffer.length) bytes.push(buffer[i]);
+        i++;
+      }
+      if (i >= buffer.length) return null;
+      current.push({ type: 'string', value: Buffer.from(bytes).toString('utf8') });
+      pos = i + 1;
+    } else if (ch === 0x7b) { // {n} or {n+}
+      const close = buffer.indexOf(0x7d, pos);
+      if (close === -1) return null;
+      const size = parseInt(buffer.toString('ascii', pos + 1, close), 10);
+      if (Number.isNaN(size)) {
+        throw new ManageSieveError('Malformed literal in server response', { code: 'protocol_error' });
+      }
+      const start = close + 3;
+      if (buffer.length < start + size) return null;
+      current.push({ type: 'string', value: buffer.toString('utf8', start, start + size) });
+      pos = start + size;
+    } else {
+      let i = pos;
+      while (i < buffer.length && ![0x20, 0x0d, 0x0a, 0x28, 0x29].includes(buffer[i])) i++;
+      if (i >= buffer.length) return null;
+      current.push({ type: 'atom', value: buffer.toString('ascii', pos, i).toUpperCase() });
+      pos = i;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {Object[]} tokens
+ * @returns {boolean} True for an OK/NO/BYE line
+ */
+function isStatusLine(tokens) {
+  return tokens.length > 0 && tokens[0].type === 'atom' && ['OK', 'NO', 'BYE'].includes(tokens[0].value);
+}
+
+/**
+ * @param {Object[]} tokens - Status line
+ * @returns {Object} { status, code, codeArgs, message }
+ */
+function toStatus(tokens) {
+  const [first, ...rest] = tokens;
+  let code = null;
+  let codeArgs = [];
+  if (rest.length && rest[0].type === 'list') {
+    const [name, ...args] = rest.shift().value;
+    code = name ? String(name.value).toUpperCase() : null;
+    codeArgs = args.map(arg => arg.value);
+  }
+  const text = rest.find(token => token.type === 'string');
+  return { status: first.value, code, codeArgs, message: text ? text.value : '' };
+}
+
+class ManageSieveConnection {
+  /**
+   * @param {Object} options - { host, port, security, verifyTls, timeoutMs }
+   */
+  constructor(options) {
+    this.options = options;
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    this.error = null;
+    this.wake = null;
+    this.capabilities = {};
+
+    this.onData = (chunk) => {
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.notify();
+    };
+    this.onError = (error) => {
+      this.error = this.error || (error instanceof ManageSieveError
+        ? error
+        : new ManageSieveError(`ManageSieve connection to ${options.host}:${options.port} failed: ${error.message}`, { code: 'network_error' }));
+      this.notify();
+    };
+    this.onClose = () => {
+      this.error = this.error || new ManageSieveError('ManageSieve connection closed by the server', { code: 'closed' });
+      this.notify();
+    };
+  }
+
+  notify() {
+    const wake = this.wake;
+    this.wake = null;
+    if (wake) wake();
+  }
+
+  /**
+   * @param {Object} socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+    socket.setTimeout(this.options.timeoutMs, () => {
+      socket.destroy(new ManageSieveError(`ManageSieve timeout after ${this.options.timeoutMs}ms`, { code: 'timeout' }));
+    });
+  }
+
+  /**
+   * @param {Object} socket
+   */
+  detach(socket) {
+    socket.removeListener('data', this.onData);
+    socket.removeListener('error', this.onError);
+    socket.removeListener('close', this.onClose);
+    socket.setTimeout(0);
+  }
+
+  /**
+   * Connect, read the greeting and switch to TLS
+   */
+  async open() {
+    const { host, port, security, verifyTls } = this.options;
+    this.attach(security === 'tls'
+      ? tls.connect({ host, port, servername: host, rejectUnauthorized: verifyTls })
+      : net.connect({ host, port }));
+    this.capabilities = await this.readCapabilities();
+
+    if (security === 'starttls') {
+      if (!this.capabilities.STARTTLS) {
+        throw new ManageSieveError(`${host}:${port} does not offer STARTTLS`, { code: 'unsupported' });
+      }
+      await this.command('STARTTLS', 'STARTTLS');
+      const plain = this.socket;
+      this.detach(plain);
+      this.attach(tls.connect({ socket: plain, servername: host, rejectUnauthorized: verifyTls }));
+      // Capabilities are sent again over TLS (SASL mechanisms may differ)
+      this.capabilities = await this.readCapabilities();
+    }
+  }
+
+  /**
+   * @returns {Promise<Object[]>} Tokens of the next line
+   */
+  async readLine() {
+    for (;;) {
+      const parsed = parseLine(this.buffer);
+      if (parsed) {
+        this.buffer = this.buffer.subarray(parsed.end);
+        return parsed.tokens;
+      }
+      if (this.error) throw this.error;
+      await new Promise(resolve => { this.wake = resolve; });
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { status, code, codeArgs, message, lines }
+   */
+  async readResponse() {
+    const lines = [];
+    for (;;) {
+      const tokens = await this.readLine();
+      if (isStatusLine(tokens)) {
+        return { ...toStatus(tokens), lines };
+      }
+      lines.push(tokens);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object>} { IMPLEMENTATION, SASL, SIEVE, STARTTLS, ... } - true for flags
+   */
+  async readCapabilities() {
+    const response = this.expectOk(await this.readResponse(), 'Greeting');
+    const capabilities = {};
+    for (const [name, value] of response.lines) {
+      if (name) capabilities[String(name.value).toUpperCase()] = value ? value.value : true;
+    }
+    return capabilities;
+  }
+
+  /**
+   * @param {string} data
+   */
+  write(data) {
+    if (this.error) throw this.error;
+    this.socket.write(data);
+  }
+
+  /**
+   * Send a command and read its response
+   * @param {string} operation - For error messages
+   * @param {...string} parts - Command name and already formatted arguments
+   * @returns {Promise<Object>} OK response
+   */
+  async command(operation, ...parts) {
+    this.write(`${parts.join(' ')}\r\n`);
+    return this.expectOk(await this.readResponse(), operation);
+  }
+
+  /**
+   * @param {Object} response
+   * @param {string} operation
+   * @returns {Object} The response if OK
+   */
+  expectOk(response, operation) {
+    if (response.status === 'OK') return response;
+    const code = response.status === 'BYE'
+      ? 'closed'
+      : ERROR_CODES[response.code] || (response.code && response.code.startsWith('QUOTA') ? 'quota' : 'rejected');
+    throw new ManageSieveError(`${operation} failed: ${response.message || response.status}`, {
+      code,
+      responseCode: response.code
+    });
+  }
+
+  /**
+   * SASL OAUTHBEARER / XOAUTH2
+   * @param {string} email - Account
+   * @param {string} accessToken
+   * @param {string} mechanism
+   */
+  async authenticate(email, accessToken, mechanism) {
+    const { host, port } = this.options;
+    const initial = mechanism === 'OAUTHBEARER'
+      ? `n,a=${email.replace(/=/g, '=3D').replace(/,/g, '=2C')},\x01host=${host}\x01port=${port}\x01auth=Bearer ${accessToken}\x01\x01`
+      : `user=${email}\x01auth=Bearer ${accessToken}\x01\x01`;
+    this.write(`AUTHENTICATE ${quoted(mechanism)} ${quoted(Buffer.from(initial).toString('base64'))}\r\n`);
+
+    let detail = null;
+    for (;;) {
+      const tokens = await this.readLine();
+      if (isStatusLine(tokens)) {
+        const response = toStatus(tokens);
+        if (response.status === 'OK') return;
+        throw new ManageSieveError(`Authentication failed for ${email}: ${detail || response.message || response.status}`, {
+          code: 'auth_failed',
+          responseCode: response.code
+        });
+      }
+      // A challenge carries the error (RFC 7628 3.2.2) - acknowledge it to get the final NO
+      try {
+        const challenge = JSON.parse(Buffer.from(tokens[0].value, 'base64').toString());
+        detail = challenge.status || null;
+      } catch (_) {
+        // Not JSON - the NO message is reported instead
+      }
+      this.write(`${quoted(mechanism === 'OAUTHBEARER' ? Buffer.from('\x01').toString('base64') : '')}\r\n`);
+    }
+  }
+
+  /**
+   * @returns {Promise<Object[]>} [{ name, active }]
+   */
+  async listScripts() {
+    const response = await this.command('LISTSCRIPTS', 'LISTSCRIPTS');
+    return response.lines
+      .filter(tokens => tokens.length > 0)
+      .map(([name, flag]) => ({ name: name.value, active: !!flag && flag.value === 'ACTIVE' }));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<string>}
+   */
+  async getScript(name) {
+    const response = await this.command(`GETSCRIPT ${name}`, 'GETSCRIPT', quoted(name));
+    const [first] = response.lines;
+    return first && first[0] ? first[0].value : '';
+  }
+
+  /**
+   * Validate a script without storing it
+   * @param {string} content
+   * @returns {Promise<Object>} { warnings } - server warnings, if any
+   */
+  async checkScript(content) {
+    const response = await this.command('CHECKSCRIPT', 'CHECKSCRIPT', literal(content));
+    return { warnings: response.code === 'WARNINGS' ? response.message : null };
+  }
+
+  /**
+   * Store (create or replace) a script - the server validates it
+   * @param {string} name
+   * @param {string} content
+   * @returns {Promise<Object>} { warnings }
+   */
+  async putScript(name, content) {
+    const response = await this.command(`PUTSCRIPT ${name}`, 'PUTSCRIPT', quoted(name), literal(content));
+    return { warnings: response.code === 'WARNINGS' ? response.message : null };
+  }
+
+  /**
+   * @param {string} name - Script to activate, '' deactivates all
+   */
+  async setActive(name) {
+    await this.command(name ? `SETACTIVE ${name}` : 'Deactivating scripts', 'SETACTIVE', quoted(name || ''));
+  }
+
+  /**
+   * @param {string} name - Must not be active
+   */
+  async deleteScript(name) {
+    await this.command(`DELETESCRIPT ${name}`, 'DELETESCRIPT', quoted(name));
+  }
+
+  /**
+   * Log out and close (never throws)
+   */
+  async logout() {
+    try {
+      if (!this.error) {
+        this.write('LOGOUT\r\n');
+        await this.readResponse();
+      }
+    } catch (_) {
+      // Closing anyway
+    } finally {
+      this.close();
+    }
+  }
+
+  close() {
+    if (!this.socket) return;
+    this.detach(this.socket);
+    this.socket.on('error', () => {});
+    this.socket.destroy();
+    this.socket = null;
+    this.error = this.error || new ManageSieveError('ManageSieve connection closed', { code: 'closed' });
+  }
+}
+
+class ManageSieveClient {
+  /**
+   * @param {Object} [options] - Overrides for host, port, security, mechanism, verifyTls, timeoutMs
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.config = mailServiceConfig;
+  }
+
+  get host() {
+    return this.options.host || process.env.DEMO_MAIL_SIEVE_HOST || this.config.getConfig().smtpHost;
+  }
+
+  get port() {
+    return this.options.port || parseInt(process.env.DEMO_MAIL_SIEVE_PORT || '4190', 10);
+  }
+
+  get security() {
+    return this.options.security || (process.env.DEMO_MAIL_SIEVE_SECURITY || 'starttls').toLowerCase();
+  }
+
+  get mechanism() {
+    const value = this.options.mechanism || process.env.DEMO_MAIL_SIEVE_SASL;
+    return value ? value.toUpperCase() : null;
+  }
+
+  get verifyTls() {
+    if (this.options.verifyTls !== undefined) return this.options.verifyTls;
+    return (process.env.DEMO_MAIL_SIEVE_TLS_VERIFY || 'true').toLowerCase() !== 'false';
+  }
+
+  get timeoutMs() {
+    return this.options.timeoutMs || parseInt(process.env.DEMO_MAIL_SIEVE_TIMEOUT_MS || '10000', 10);
+  }
+
+  isConfigured() {
+    return !!this.host && SECURITY_MODES.includes(this.security);
+  }
+
+  /**
+   * @param {Object} capabilities
+   * @returns {string} SASL mechanism to use
+   */
+  chooseMechanism(capabilities) {
+    const offered = String(capabilities.SASL || '').toUpperCase().split(/\s+/).filter(Boolean);
+    const mechanism = this.mechanism
+      ? (offered.includes(this.mechanism) ? this.mechanism : null)
+      : OAUTH_MECHANISMS.find(name => offered.includes(name));
+    if (!mechanism) {
+      throw new ManageSieveError(
+        `ManageSieve server offers no usable OAuth mechanism (offered: ${offered.join(' ') || 'none'})`,
+        { code: 'unsupported' }
+      );
+    }
+    return mechanism;
+  }
+
+  /**
+   * Open an authenticated connection
+   * @param {string} email - Account
+   * @param {string} accessToken - The user's Keycloak access token
+   * @returns {Promise<ManageSieveConnection>}
+   */
+  async connect(email, accessToken) {
+    if (!this.isConfigured()) {
+      throw new ManageSieveError('ManageSieve not configured (DEMO_MAIL_SIEVE_HOST / DEMO_MAIL_SIEVE_SECURITY)', { code: 'unsupported' });
+    }
+    const connection = new ManageSieveConnection({
+      host: this.host,
+      port: this.port,
+      security: this.security,
+      verifyTls: this.verifyTls,
+      timeoutMs: this.timeoutMs
+    });
+    try {
+      await connection.open();
+      await connection.authenticate(email, accessToken, this.chooseMechanism(connection.capabilities));
+      return connection;
+    } catch (error) {
+      connection.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Run fn with an authenticated connection, logging out afterwards
+   * @param {string} email
+   * @param {string} accessToken
+   * @param {Function} fn - async (connection) => result
+   * @returns {Promise<*>} fn's result
+   */
+  async withConnection(email, accessToken, fn) {
+    const connection = await this.connect(email, accessToken);
+    try {
+      return await fn(connection);
+    } finally {
+      await connection.logout();
+    }
+  }
+}
+
+module.exports = new ManageSieveClient();
+module.exports.ManageSieveClient = ManageSieveClient;
+module.exports.ManageSieveConnection = ManageSieveConnection;
+module.exports.ManageSieveError = ManageSieveError;
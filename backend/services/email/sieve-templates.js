@@ -0,0 +1,154 @@
+/**
+ * Sieve Script Templates
+ *
+ * Built-in filters users can install through /api/mail/sieve without writing Sieve (RFC 5228):
+ * - vacation: auto-reply (RFC 5230)
+ * - forward: redirect to another address, optionally keeping a copy (RFC 3894)
+ * - file-into-folder: move matching mail into a folder, created on first use (RFC 5490)
+ *
+ * renderTemplate() validates the parameters and returns the script text; the server still
+ * checks it (CHECKSCRIPT/PUTSCRIPT).
+ */
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @param {string} value
+ * @returns {string} Sieve quoted string
+ */
+function sieveString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * @param {string[]} values
+ * @returns {string} Sieve string list
+ */
+function sieveList(values) {
+  return `[${values.map(sieveString).join(', ')}]`;
+}
+
+/**
+ * @param {string|string[]} value - Array or comma separated
+ * @returns {string[]}
+ */
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+const TEMPLATES = {
+  vacation: {
+    description: 'Auto-reply while you are away',
+    params: [
+      { name: 'message', required: true, description: 'Reply text' },
+      { name: 'subject', required: false, description: 'Reply subject (default: "Re: " + original subject)' },
+      { name: 'days', required: false, description: 'Reply to the same sender at most once every N days (default 7)' },
+      { name: 'addresses', required: false, description: 'Other addresses of yours that count as "to me"' }
+    ],
+    build(params) {
+      const days = params.days === undefined || params.days === '' ? 7 : Number(params.days);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        throw new Error('days must be a whole number between 1 and 365');
+      }
+      const addresses = toList(params.addresses);
+      const invalid = addresses.find(address => !EMAIL_RE.test(address));
+      if (invalid) throw new Error(`Invalid address: ${invalid}`);
+
+      const args = [`:days ${days}`];
+      if (params.subject) args.push(`:subject ${sieveString(params.subject)}`);
+      if (addresses.length) args.push(`:addresses ${sieveList(addresses)}`);
+      return [
+        'require ["vacation"];',
+        `vacation ${args.join(' ')}`,
+        `  ${sieveString(params.message)};`
+      ];
+    }
+  },
+
+  forward: {
+    description: 'Forward all mail to another address',
+    params: [
+      { name: 'to', required: true, description: 'Target address' },
+      { name: 'keepCopy', required: false, description: 'Keep a copy in this mailbox (default true)' }
+    ],
+    build(params) {
+      if (!EMAIL_RE.test(params.to)) throw new Error(`Invalid address: ${params.to}`);
+      const keepCopy = params.keepCopy === undefined || params.keepCopy === true || params.keepCopy === 'true';
+      return keepCopy
+        ? ['require ["copy"];', `redirect :copy ${sieveString(params.to)};`]
+        : [`redirect ${sieveString(params.to)};`];
+    }
+  },
+
+  'file-into-folder': {
+    description: 'Move matching mail into a folder',
+    params: [
+      { name: 'folder', required: true, description: 'Target folder, e.g. "Newsletters" (created if missing)' },
+      { name: 'from', required: false, description: 'Sender address contains' },
+      { name: 'to', required: false, description: 'Recipient address contains' },
+      { name: 'subject', required: false, description: 'Subject contains' },
+      { name: 'match', required: false, description: 'all (default) or any of the given conditions' }
+    ],
+    build(params) {
+      const tests = [];
+      if (params.from) tests.push(`address :contains "from" ${sieveString(params.from)}`);
+      if (params.to) tests.push(`address :contains ["to", "cc"] ${sieveString(params.to)}`);
+      if (params.subject) tests.push(`header :contains "subject" ${sieveString(params.subject)}`);
+      if (tests.length === 0) throw new Error('At least one of from, to or subject is required');
+      const match = (params.match || 'all').toLowerCase();
+      if (!['all', 'any'].includes(match)) throw new Error('match must be all or any');
+
+      const condition = tests.length === 1 ? tests[0] : `${match}of (${tests.join(', ')})`;
+      return [
+        'require ["fileinto", "mailbox"];',
+        `if ${condition} {`,
+        `  fileinto :create ${sieveString(params.folder)};`,
+        '  stop;',
+        '}'
+      ];
+    }
+  }
+};
+
+/**
+ * @returns {Object[]} [{ id, description, params }]
+ */
+function listTemplates() {
+  return Object.entries(TEMPLATES).map(([id, template]) => ({
+    id,
+    description: template.description,
+    params: template.params
+  }));
+}
+
+/**
+ * @param {string} id - Template id
+ * @param {Object} [params]
+ * @returns {Object} { success, script } or { success: false, error }
+ */
+function renderTemplate(id, params = {}) {
+  const template = Object.prototype.hasOwnProperty.call(TEMPLATES, id) ? TEMPLATES[id] : null;
+  if (!template) {
+    return { success: false, error: `Unknown template "${id}" (expected ${Object.keys(TEMPLATES).join(', ')})` };
+  }
+  const missing = template.params.filter(param => param.required && !params[param.name]).map(param => param.name);
+  if (missing.length) {
+    return { success: false, error: `Missing parameter${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}` };
+  }
+  try {
+    const lines = [`# Template: ${id}`, ...template.build(params)];
+    return { success: true, script: lines.join('\n') + '\n' };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  TEMPLATE_IDS: Object.keys(TEMPLATES),
+  listTemplates,
+  renderTemplate,
+  sieveString
+};
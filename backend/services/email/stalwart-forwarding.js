@@ -0,0 +1,262 @@
+/**
+ * Stalwart Mail Forwarding (email proxy)
+ *
+ * Stalwart principals have no forwarding setting, so the Mailcow BCC map (internal -> personal)
+ * is reproduced with a Sieve script in the user's account, managed over JMAP for Sieve
+ * (urn:ietf:params:jmap:sieve):
+ * - mode "copy" (default, like the BCC map): `redirect :copy` - mail stays in the internal
+ *   mailbox and a copy goes to the personal address
+ * - mode "forward": `redirect` - mail is only delivered to the personal address
+ *
+ * The script is named STALWART_PROXY_SCRIPT_NAME (default wip-email-proxy) and activated on
+ * enable; disable deactivates and destroys it. Status is read back from the script itself.
+ * A different active script is never replaced - Sieve runs one script per account.
+ *
+ * The backend acts for the user through Stalwart's master user
+ * (authentication.master.user/secret in Stalwart): Basic auth as "<email>%<master user>"
+ * with STALWART_MASTER_USER / STALWART_MASTER_SECRET.
+ *
+ * Mailcow's recipient map (personal -> internal) has no Stalwart counterpart: mail to a
+ * remote domain is relayed, not rewritten.
+ */
+
+const axios = require('axios');
+const mailServiceConfig = require('../../config/mail-service-config');
+const { sieveString } = require('./sieve-templates');
+
+const PROXY_MODES = ['copy', 'forward'];
+const SIEVE_CAPABILITY = 'urn:ietf:params:jmap:sieve';
+
+class StalwartForwardingService {
+  constructor() {
+    this.config = mailServiceConfig;
+    this.scriptName = process.env.STALWART_PROXY_SCRIPT_NAME || 'wip-email-proxy';
+    this.defaultMode = (process.env.STALWART_PROXY_MODE || 'copy').toLowerCase();
+  }
+
+  isConfigured() {
+    return !!(this.config.getBaseUrl() && process.env.STALWART_MASTER_USER && process.env.STALWART_MASTER_SECRET);
+  }
+
+  /**
+   * @param {string} targetEmail
+   * @param {string} mode - copy | forward
+   * @returns {string} Sieve script
+   */
+  buildScript(targetEmail, mode) {
+    const lines = [`# ${this.scriptName}: managed by the demo backend - mode ${mode}`];
+    if (mode === 'copy') {
+      lines.push('require ["copy"];', `redirect :copy ${sieveString(targetEmail)};`);
+    } else {
+      lines.push(`redirect ${sieveString(targetEmail)};`);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Read target and mode back from a script written by buildScript()
+   * @param {string} script
+   * @returns {Object|null} { targetEmail, mode }
+   */
+  parseScript(script) {
+    const match = /redirect\s+(:copy\s+)?"((?:[^"\\]|\\.)*)"/.exec(script || '');
+    if (!match) return null;
+    return {
+      targetEmail: match[2].replace(/\\(.)/g, '$1'),
+      mode: match[1] ? 'copy' : 'forward'
+    };
+  }
+
+  /**
+   * JMAP session for the account, authenticated through the master user
+   * @param {string} accountEmail
+   * @returns {Promise<Object>} { headers, apiUrl, uploadUrl, downloadUrl, accountId }
+   */
+  async openSession(accountEmail) {
+    const credentials = `${accountEmail}%${process.env.STALWART_MASTER_USER}:${process.env.STALWART_MASTER_SECRET}`;
+    const headers = { Authorization: `Basic ${Buffer.from(credentials).toString('base64')}` };
+    const baseUrl = this.config.getBaseUrl();
+
+    const res = await axios.get(`${baseUrl}/jmap/session`, { headers, validateStatus: () => true });
+    if (res.status !== 200) {
+      throw new Error(`JMAP session failed for ${accountEmail}: ${res.status}`);
+    }
+    const accountId = res.data.primaryAccounts && res.data.primaryAccounts[SIEVE_CAPABILITY];
+    if (!accountId) {
+      throw new Error('Stalwart does not offer JMAP for Sieve for this account');
+    }
+    return {
+      headers,
+      apiUrl: res.data.apiUrl || `${baseUrl}/jmap`,
+      uploadUrl: res.data.uploadUrl,
+      downloadUrl: res.data.downloadUrl,
+      accountId
+    };
+  }
+
+  /**
+   * Run one JMAP method call
+   * @param {Object} session
+   * @param {string} method - e.g. SieveScript/get
+   * @param {Object} args - accountId is added
+   * @returns {Promise<Object>} Method response arguments
+   */
+  async call(session, method, args) {
+    const res = await axios.post(session.apiUrl, {
+      using: ['urn:ietf:params:jmap:core', SIEVE_CAPABILITY],
+      methodCalls: [[method, { accountId: session.accountId, ...args }, 'c1']]
+    }, { headers: { ...session.headers, 'Content-Type': 'application/json' }, validateStatus: () => true });
+    if (res.status !== 200) {
+      throw new Error(`JMAP ${method} failed: ${res.status}`);
+    }
+    const [name, result] = (res.data.methodResponses || [])[0] || [];
+    if (name === 'error') {
+      throw new Error(`JMAP ${method} error: ${result.type}${result.description ? ` - ${result.description}` : ''}`);
+    }
+    return result;
+  }
+
+  /**
+   * @param {Object} session
+   * @returns {Promise<Object[]>} [{ id, name, blobId, isActive }]
+   */
+  async listScripts(session) {
+    const result = await this.call(session, 'SieveScript/get', { ids: null });
+    return result.list || [];
+  }
+
+  /**
+   * @param {Object} session
+   * @param {string} blobId
+   * @returns {Promise<string>}
+   */
+  async download(session, blobId) {
+    const url = session.downloadUrl
+      .replace('{accountId}', encodeURIComponent(session.accountId))
+      .replace('{blobId}', encodeURIComponent(blobId))
+      .replace('{name}', encodeURIComponent(`${this.scriptName}.sieve`))
+      .replace('{type}', encodeURIComponent('application/sieve'));
+    const res = await axios.get(url, { headers: session.headers, responseType: 'text', validateStatus: () => true });
+    if (res.status !== 200) {
+      throw new Error(`Sieve script download failed: ${res.status}`);
+    }
+    return typeof res.data === 'string' ? res.data : String(res.data);
+  }
+
+  /**
+   * @param {Object} session
+   * @param {string} script
+   * @returns {Promise<string>} blobId
+   */
+  async upload(session, script) {
+    const url = session.uploadUrl.replace('{accountId}', encodeURIComponent(session.accountId));
+    const res = await axios.post(url, script, {
+      headers: { ...session.headers, 'Content-Type': 'application/sieve' },
+      validateStatus: () => true
+    });
+    if (res.status < 200 || res.status >= 300 || !res.data || !res.data.blobId) {
+      throw new Error(`Sieve script upload failed: ${res.status}`);
+    }
+    return res.data.blobId;
+  }
+
+  /**
+   * Forward (or copy) mail of the internal address to the personal address
+   * @param {string} internalEmail - Stalwart account
+   * @param {string} personalEmail - Target
+   * @param {string} [mode] - copy | forward (default STALWART_PROXY_MODE or copy)
+   * @returns {Promise<Object>} { success, enabled, mode, targetEmail, scriptId } or { success: false, error }
+   */
+  async enable(internalEmail, personalEmail, mode = this.defaultMode) {
+    if (!PROXY_MODES.includes(mode)) {
+      return { success: false, error: `Unknown proxy mode "${mode}" (expected ${PROXY_MODES.join(' or ')})` };
+    }
+    try {
+      const session = await this.openSession(internalEmail);
+      const scripts = await this.listScripts(session);
+      const otherActive = scripts.find(script => script.isActive && script.name !== this.scriptName);
+      if (otherActive) {
+        return {
+          success: false,
+          error: `Sieve script "${otherActive.name}" is active for ${internalEmail} - add the forwarding there`
+        };
+      }
+
+      const blobId = await this.upload(session, this.buildScript(personalEmail, mode));
+      const existing = scripts.find(script => script.name === this.scriptName);
+      const result = await this.call(session, 'SieveScript/set', existing
+        ? { update: { [existing.id]: { blobId } }, onSuccessActivateScript: existing.id }
+        : { create: { proxy: { name: this.scriptName, blobId } }, onSuccessActivateScript: '#proxy' });
+
+      const notSaved = (result.notCreated && result.notCreated.proxy) || (existing && result.notUpdated && result.notUpdated[existing.id]);
+      if (notSaved) {
+        return { success: false, error: `Sieve script rejected: ${notSaved.type}${notSaved.description ? ` - ${notSaved.description}` : ''}` };
+      }
+      const scriptId = existing ? existing.id : result.created.proxy.id;
+      console.log(`[StalwartForwarding] OK ${internalEmail} -> ${personalEmail} (${mode}, script ${scriptId})`);
+      return { success: true, enabled: true, mode, targetEmail: personalEmail, scriptId };
+    } catch (error) {
+      console.error(`[StalwartForwarding] FAIL Enabling forwarding for ${internalEmail}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Stop forwarding: deactivate and remove the script
+   * @param {string} internalEmail
+   * @returns {Promise<Object>} { success, enabled: false, removed } or { success: false, error }
+   */
+  async disable(internalEmail) {
+    try {
+      const session = await this.openSession(internalEmail);
+      const existing = (await this.listScripts(session)).find(script => script.name === this.scriptName);
+      if (!existing) {
+        return { success: true, enabled: false, removed: false };
+      }
+
+      // An active script can't be destroyed, and onSuccessDeactivateScript only applies after
+      // the destroys of the same call - deactivate first
+      if (existing.isActive) {
+        await this.call(session, 'SieveScript/set', { onSuccessDeactivateScript: true });
+      }
+      const result = await this.call(session, 'SieveScript/set', { destroy: [existing.id] });
+      const notDestroyed = result.notDestroyed && result.notDestroyed[existing.id];
+      if (notDestroyed) {
+        return { success: false, error: `Sieve script not removed: ${notDestroyed.type}` };
+      }
+      console.log(`[StalwartForwarding] OK Forwarding removed for ${internalEmail}`);
+      return { success: true, enabled: false, removed: true };
+    } catch (error) {
+      console.error(`[StalwartForwarding] FAIL Disabling forwarding for ${internalEmail}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Forwarding as configured in Stalwart
+   * @param {string} internalEmail
+   * @returns {Promise<Object>} { success, enabled, active, mode, targetEmail } or { success: false, error }
+   */
+  async getStatus(internalEmail) {
+    try {
+      const session = await this.openSession(internalEmail);
+      const existing = (await this.listScripts(session)).find(script => script.name === this.scriptName);
+      if (!existing) {
+        return { success: true, enabled: false, active: false, mode: null, targetEmail: null };
+      }
+      const parsed = this.parseScript(await this.download(session, existing.blobId)) || {};
+      return {
+        success: true,
+        enabled: !!existing.isActive && !!parsed.targetEmail,
+        active: !!existing.isActive,
+        mode: parsed.mode || null,
+        targetEmail: parsed.targetEmail || null
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = new StalwartForwardingService();
+module.exports.PROXY_MODES = PROXY_MODES;
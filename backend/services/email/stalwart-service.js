@@ -9,12 +9,37 @@ const stalwartClient = require('./stalwart-client.js');
 const nodemailer = require('nodemailer');
 const mailServiceConfig = require('../../config/mail-service-config');
 const database = require('../databaseService.js');
+const stalwartForwarding = require('./stalwart-forwarding.js');
+const jmapClient = require('./jmap-client.js');
+const keycloakAdmin = require('../../config/keycloak-admin');
+
+const RECENT_MAIL_PROPERTIES = ['id', 'from', 'subject', 'receivedAt', 'preview', 'keywords'];
+
+/**
+ * @param {Object} email - JMAP Email with RECENT_MAIL_PROPERTIES
+ * @returns {Object} { id, from: { name, email }, subject, date, preview, seen }
+ */
+function normalizeEmail(email) {
+  const [from] = email.from || [];
+  return {
+    id: email.id,
+    from: from ? { name: from.name || null, email: from.email || null } : null,
+    subject: email.subject || '',
+    date: email.receivedAt || null,
+    preview: email.preview || '',
+    seen: !!(email.keywords && email.keywords.$seen)
+  };
+}
 
 class StalwartService {
   constructor() {
     this.stalwartClient = stalwartClient;
     this.config = mailServiceConfig;
     this.database = database;
+    this.forwarding = stalwartForwarding;
+    this.jmap = jmapClient;
+    // Protocols for reading mailboxes - IMAP is the fallback when JMAP is unreachable
+    this.capabilities = { jmap: true, imap: true };
   }
 
   isConfigured() {
@@ -312,11 +337,10 @@ class StalwartService {
    * 
    * @param {string} email - Email address of the user
    * @param {string} keycloakUserId - Keycloak user ID
-   * @param {string} adminToken - Keycloak admin access token
-   * @param {string} [userPassword] - Optional user password (if not provided, will attempt to use admin token to get/set password)
+   * @param {string} [userPassword] - Optional user password
    * @returns {Promise<Object>} { success: boolean, message: string, discovered: boolean }
    */
-  async preDeployOidcUserWithAdminToken(email, keycloakUserId, adminToken, userPassword = null) {
+  async preDeployOidcUserWithAdminToken(email, keycloakUserId, userPassword = null) {
     console.log('[StalwartService] === Starting OIDC pre-deploy with admin token ===');
     console.log(`Email: ${email}, Keycloak User ID: ${keycloakUserId}`);
     
@@ -340,29 +364,22 @@ class StalwartService {
         };
       }
 
-      // Step 1: Get user info from Keycloak using admin token
+      // Step 1: Get user info from Keycloak (admin API)
       console.log('[StalwartService] Fetching user info from Keycloak...');
-      const userInfoUrl = `${keycloakUrl}/admin/realms/${realm}/users/${keycloakUserId}`;
-      const userInfoResponse = await axios.get(userInfoUrl, {
-        headers: {
-          'Authorization': `Bearer ${adminToken}`
-        },
-        validateStatus: () => true
-      });
-
-      if (userInfoResponse.status !== 200) {
-        const errorMsg = userInfoResponse.data?.errorMessage || userInfoResponse.statusText || 'Failed to get user info';
-        console.error(`[StalwartService] Failed to get user info: ${errorMsg}`);
+      let userInfo;
+      try {
+        userInfo = await keycloakAdmin.getUserById(keycloakUserId);
+      } catch (error) {
+        console.error(`[StalwartService] Failed to get user info: ${error.message}`);
         return { 
           success: false, 
           message: 'Failed to get user info from Keycloak', 
           discovered: false,
-          error: errorMsg,
-          status: userInfoResponse.status
+          error: error.message,
+          status: error.status
         };
       }
 
-      const userInfo = userInfoResponse.data;
       const keycloakUsername = userInfo.username;
       
       if (!keycloakUsername) {
@@ -540,17 +557,18 @@ class StalwartService {
       let senderEmail = options.from;
       
       // If we have an access token but no from address, try to extract email from token
+      // (only from a token that verifies against the realm JWKS)
       const accessToken = options.accessToken || (options.user && (options.user.access_token || options.user.accessToken));
       if (accessToken && !senderEmail) {
         try {
-          const jwt = require('jsonwebtoken');
-          const decoded = jwt.decode(accessToken);
-          if (decoded && decoded.email) {
+          const jwtVerifier = require('../jwt-verifier');
+          const decoded = await jwtVerifier.verify(accessToken);
+          if (decoded.email) {
             senderEmail = decoded.email;
             console.log(`[StalwartService] Extracted sender email from token: ${senderEmail}`);
           }
         } catch (e) {
-          // Token might not be a JWT - that's okay
+          console.warn(`[StalwartService] WARN: Not using token claims for sender: ${e.message}`);
         }
       }
       
@@ -724,6 +742,7 @@ class StalwartService {
         return {
           success: false,
           error: `JMAP session failed: ${sessionRes.status}`,
+          code: sessionRes.status >= 500 ? 'server_error' : 'http_error',
           unseen_count: 0
         };
       }
@@ -761,6 +780,7 @@ class StalwartService {
         return {
           success: false,
           error: `JMAP query failed: ${jmapRes.status}`,
+          code: jmapRes.status >= 500 ? 'server_error' : 'http_error',
           unseen_count: 0
         };
       }
@@ -785,6 +805,7 @@ class StalwartService {
       return {
         success: false,
         error: error.message || 'Failed to get unseen count',
+        code: 'network_error',
         unseen_count: 0
       };
     }
@@ -792,7 +813,8 @@ class StalwartService {
 
   /**
    * Configure email proxy for a user
-   * Stalwart may handle this differently than mailcow - needs implementation
+   * Mail to the internal address is copied (or forwarded, STALWART_PROXY_MODE) to the personal
+   * address by a Sieve script in the user's Stalwart account - see stalwart-forwarding.js
    * 
    * @param {number} userId - User ID
    * @param {string} personalEmail - User's personal email address
@@ -802,27 +824,55 @@ class StalwartService {
    */
   async configureProxy(userId, personalEmail, username, enableProxy = true) {
     try {
-      console.log(`[StalwartService] Configuring proxy for user ${userId}: ${personalEmail}`);
-      
+      console.log(`[StalwartService] Configuring proxy for user ${userId}: ${personalEmail} (${enableProxy ? 'enable' : 'disable'})`);
+
+      if (!this.forwarding.isConfigured()) {
+        return {
+          success: false,
+          error: 'Stalwart forwarding not configured',
+          message: 'Email proxy service unavailable (STALWART_MASTER_USER/STALWART_MASTER_SECRET)'
+        };
+      }
+
       const intEmailDomain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
       const internalEmail = `${username}@${intEmailDomain}`;
 
-      // Stalwart proxy configuration may use different API endpoints
-      // For now, update user settings in database
+      let forwarding;
+      if (enableProxy) {
+        if (!personalEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(personalEmail)) {
+          return {
+            success: false,
+            error: 'Invalid personal email address',
+            message: 'Please provide a valid email address'
+          };
+        }
+        forwarding = internalEmail.toLowerCase() === personalEmail.toLowerCase()
+          ? await this.forwarding.disable(internalEmail) // would loop - nothing to forward
+          : await this.forwarding.enable(internalEmail, personalEmail);
+      } else {
+        forwarding = await this.forwarding.disable(internalEmail);
+      }
+
+      if (!forwarding.success) {
+        return {
+          success: false,
+          error: enableProxy ? 'Failed to configure forwarding' : 'Failed to remove forwarding',
+          message: enableProxy ? 'Unable to forward emails to personal address' : 'Unable to stop forwarding emails',
+          details: forwarding.error
+        };
+      }
+
       if (typeof this.database.upsertUserSettings === 'function') {
         await this.database.upsertUserSettings(userId, { wip_email_proxy: enableProxy ? 1 : 0 });
       }
 
-      // TODO: Implement Stalwart-specific proxy configuration via API
-      // This may involve setting up forwarding rules or alias mappings
-
       return {
         success: true,
-        message: enableProxy ? 'Email proxy enabled (database updated)' : 'Email proxy disabled',
+        message: enableProxy ? 'Email proxy enabled successfully' : 'Email proxy disabled successfully',
+        results: { forwarding },
         internalEmail,
         personalEmail,
-        enabled: enableProxy,
-        note: 'Stalwart proxy configuration via API needs implementation'
+        enabled: enableProxy
       };
     } catch (error) {
       console.error('[StalwartService] Error configuring proxy:', error);
@@ -833,6 +883,108 @@ class StalwartService {
     }
   }
 
+  /**
+   * Get proxy status for a user - the stored setting plus the forwarding found in Stalwart
+   * @param {number} userId - User ID
+   * @param {string} username - Username
+   * @returns {Promise<Object>} { enabled, internalEmail, personalEmail, configured, forwarding }
+   */
+  async getProxyStatus(userId, username) {
+    try {
+      const settings = await this.database.getUserSettings(userId);
+      const userAccount = await this.database.getUserAccount(userId);
+      const intEmailDomain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+      const internalEmail = userAccount?.email || `${username}@${intEmailDomain}`;
+      const forwarding = this.forwarding.isConfigured()
+        ? await this.forwarding.getStatus(internalEmail)
+        : { success: false, error: 'Stalwart forwarding not configured' };
+
+      return {
+        enabled: settings?.wip_email_proxy ?? true, // Default to true
+        internalEmail,
+        personalEmail: userAccount?.personal_email,
+        configured: !!(internalEmail && userAccount?.personal_email),
+        forwarding
+      };
+    } catch (error) {
+      console.error(`[StalwartService] Error getting proxy status for user ${userId}:`, error);
+      return {
+        enabled: true,
+        internalEmail: null,
+        personalEmail: null,
+        configured: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Newest inbox messages via JMAP Email/query + Email/get with the user's own token
+   * @param {Object} account - { key, session, username, email }
+   * @param {Object} [options] - { position, limit }
+   * @returns {Promise<Object>} { success, total, position, limit, messages } or { success: false, error, code }
+   */
+  async getRecentMail(account, { position = 0, limit = 10 } = {}) {
+    try {
+      const inbox = await this.jmap.getMailboxByRole(account, 'inbox');
+      if (!inbox) {
+        return { success: false, error: `No inbox for ${account.email}`, code: 'not_found' };
+      }
+      const page = await this.jmap.queryEmails(account, { filter: { inMailbox: inbox.id }, position, limit });
+      const { list } = page.ids.length > 0
+        ? await this.jmap.getEmails(account, page.ids, { properties: RECENT_MAIL_PROPERTIES })
+        : { list: [] };
+      const emails = new Map(list.map(email => [email.id, email]));
+
+      return {
+        success: true,
+        total: page.total ?? inbox.totalEmails ?? 0,
+        position: page.position ?? position,
+        limit,
+        messages: page.ids.filter(id => emails.has(id)).map(id => normalizeEmail(emails.get(id)))
+      };
+    } catch (error) {
+      console.error(`[StalwartService] Recent mail for ${account.email} FAIL: ${error.message}`);
+      return { success: false, error: error.message, code: error.code || 'server_error' };
+    }
+  }
+
+  /**
+   * Inbox totals of every individual principal, read over JMAP through the master user
+   * @param {Object} [options] - { position, limit } over the principal list
+   * @returns {Promise<Object>} { success, total, position, limit, users: [{ username, email, total_count, unseen_count, error? }] }
+   */
+  async getUsersStatus({ position = 0, limit = 50 } = {}) {
+    if (!this.stalwartClient.isConfigured()) {
+      return { success: false, error: 'Stalwart client not configured', code: 'unsupported' };
+    }
+    const result = await this.stalwartClient.listPrincipals({ types: 'individual' });
+    if (!result.success) {
+      return { success: false, error: result.error || `Stalwart responded ${result.status}`, code: 'server_error' };
+    }
+    const principals = Array.isArray(result.principals) ? result.principals : (result.principals?.items || []);
+    const page = principals.slice(position, position + limit);
+
+    const users = [];
+    for (const principal of page) {
+      const emails = Array.isArray(principal.emails) ? principal.emails : (principal.emails ? [principal.emails] : []);
+      const status = { username: principal.name, email: emails[0] || null, total_count: null, unseen_count: null };
+      if (status.email) {
+        try {
+          const inbox = await this.jmap.getMailboxByRole({ impersonate: status.email }, 'inbox');
+          status.total_count = inbox ? inbox.totalEmails : 0;
+          status.unseen_count = inbox ? inbox.unreadEmails : 0;
+        } catch (error) {
+          console.warn(`[StalwartService] WARN: Mailbox status for ${status.email}: ${error.message}`);
+          status.error = error.message;
+        }
+      }
+      users.push(status);
+    }
+
+    return { success: true, total: principals.length, position, limit, users };
+  }
+
   /**
    * Delete a mailbox/user account (Individual principal)
    * Uses principal name as identifier (commonly the full email address)
@@ -874,11 +1026,10 @@ class StalwartService {
    * 
    * @param {string} email - Email address of the user
    * @param {string} keycloakUserId - Keycloak user ID
-   * @param {string} adminToken - Keycloak admin access token
    * @param {string} [userPassword] - User password (required for resource owner password grant)
    * @returns {Promise<Object>} { success: boolean, message: string, discovered: boolean, authSucceeded: boolean, authError: string }
    */
-  async preDeployOidcUserWithAdminToken(email, keycloakUserId, adminToken, userPassword = null) {
+  async preDeployOidcUserWithAdminToken(email, keycloakUserId, userPassword = null) {
     console.log('[StalwartService] === Starting OIDC pre-deploy with admin token ===');
     console.log(`Email: ${email}, Keycloak User ID: ${keycloakUserId}`);
     
@@ -902,29 +1053,22 @@ class StalwartService {
         };
       }
 
-      // Step 1: Get user info from Keycloak using admin token
+      // Step 1: Get user info from Keycloak (admin API)
       console.log('[StalwartService] Fetching user info from Keycloak...');
-      const userInfoUrl = `${keycloakUrl}/admin/realms/${realm}/users/${keycloakUserId}`;
-      const userInfoResponse = await axios.get(userInfoUrl, {
-        headers: {
-          'Authorization': `Bearer ${adminToken}`
-        },
-        validateStatus: () => true
-      });
-
-      if (userInfoResponse.status !== 200) {
-        const errorMsg = userInfoResponse.data?.errorMessage || userInfoResponse.statusText || 'Failed to get user info';
-        console.error(`[StalwartService] Failed to get user info: ${errorMsg}`);
+      let userInfo;
+      try {
+        userInfo = await keycloakAdmin.getUserById(keycloakUserId);
+      } catch (error) {
+        console.error(`[StalwartService] Failed to get user info: ${error.message}`);
         return { 
           success: false, 
           message: 'Failed to get user info from Keycloak', 
           discovered: false,
-          error: errorMsg,
-          status: userInfoResponse.status
+          error: error.message,
+          status: error.status
         };
       }
 
-      const userInfo = userInfoResponse.data;
       const keycloakUsername = userInfo.username;
       
       if (!keycloakUsername) {
@@ -0,0 +1,174 @@
+/**
+ * JWT Verifier
+ *
+ * Verifies Keycloak-signed JWTs against the realm JWKS
+ * (<KEYCLOAK_URL>/realms/<realm>/protocol/openid-connect/certs).
+ *
+ * - Signing keys are cached for JWKS_CACHE_TTL_MS (default 10 minutes)
+ * - A token signed with an unknown kid triggers a JWKS refetch (key rollover),
+ *   at most once per JWKS_MIN_REFETCH_MS (default 30 seconds)
+ * - Issuer defaults to <KEYCLOAK_URL>/realms/<realm> (KEYCLOAK_ISSUER overrides it when the
+ *   public Keycloak URL differs from the one the backend uses)
+ *
+ * Keycloak access tokens usually carry aud "account" (or none) - check the client they were
+ * issued to with `authorizedParty` (azp) instead of `audience`. ID tokens and logout tokens
+ * carry the client id as aud.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+class JwtVerificationError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - e.g. invalid_signature, expired, unknown_key, jwks_unavailable
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'JwtVerificationError';
+    this.code = code;
+  }
+}
+
+class JwtVerifier {
+  constructor() {
+    this.keys = new Map(); // kid -> KeyObject
+    this.fetchedAt = 0;
+    this.fetchPromise = null;
+    this.cacheTtlMs = parseInt(process.env.JWKS_CACHE_TTL_MS || '600000', 10);
+    this.minRefetchMs = parseInt(process.env.JWKS_MIN_REFETCH_MS || '30000', 10);
+    this.clockToleranceSec = parseInt(process.env.JWT_CLOCK_TOLERANCE_SEC || '30', 10);
+  }
+
+  /**
+   * Expected issuer for realm tokens
+   * @returns {string}
+   */
+  getIssuer() {
+    return process.env.KEYCLOAK_ISSUER ||
+      `${process.env.KEYCLOAK_URL}/realms/${process.env.KEYCLOAK_REALM}`;
+  }
+
+  /**
+   * Realm JWKS URL
+   * @returns {string}
+   */
+  getJwksUrl() {
+    return `${process.env.KEYCLOAK_URL}/realms/${process.env.KEYCLOAK_REALM}/protocol/openid-connect/certs`;
+  }
+
+  /**
+   * Fetch the JWKS and replace the key cache (concurrent callers share one request)
+   * @returns {Promise<void>}
+   */
+  async refreshKeys() {
+    if (this.fetchPromise) {
+      return this.fetchPromise;
+    }
+
+    this.fetchPromise = (async () => {
+      const resp = await fetch(this.getJwksUrl(), { headers: { Accept: 'application/json' } });
+      if (!resp.ok) {
+        throw new JwtVerificationError(`JWKS fetch failed: ${resp.status}`, 'jwks_unavailable');
+      }
+      const { keys = [] } = await resp.json();
+
+      const next = new Map();
+      for (const jwk of keys) {
+        // Only signing keys; Keycloak also publishes encryption keys (use: enc)
+        if (!jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+        try {
+          next.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        } catch (error) {
+          console.warn(`[JwtVerifier] WARN: Skipping unusable JWK ${jwk.kid}: ${error.message}`);
+        }
+      }
+
+      this.keys = next;
+      this.fetchedAt = Date.now();
+      console.log(`[JwtVerifier] Loaded ${next.size} signing key(s) from JWKS`);
+    })();
+
+    try {
+      await this.fetchPromise;
+    } finally {
+      this.fetchPromise = null;
+    }
+  }
+
+  /**
+   * Get the public key for a kid, refetching the JWKS when stale or when the kid is unknown
+   * @param {string} kid
+   * @returns {Promise<crypto.KeyObject>}
+   */
+  async getSigningKey(kid) {
+    const stale = Date.now() - this.fetchedAt > this.cacheTtlMs;
+    const unknownAndRefetchAllowed = !this.keys.has(kid) && Date.now() - this.fetchedAt > this.minRefetchMs;
+
+    if (stale || unknownAndRefetchAllowed) {
+      try {
+        await this.refreshKeys();
+      } catch (error) {
+        // Keep serving cached keys when Keycloak is briefly unreachable
+        if (!this.keys.has(kid)) throw error;
+        console.warn('[JwtVerifier] WARN: JWKS refresh failed, using cached keys:', error.message);
+      }
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new JwtVerificationError(`No JWKS key for kid ${kid}`, 'unknown_key');
+    }
+    return key;
+  }
+
+  /**
+   * Verify signature, issuer, audience and expiry
+   * @param {string} token
+   * @param {Object} [options]
+   * @param {string|string[]} [options.audience] - Required audience (any of)
+   * @param {string} [options.authorizedParty] - Required azp (client the token was issued to)
+   * @param {string} [options.issuer] - Defaults to getIssuer()
+   * @param {boolean} [options.ignoreExpiration] - For tokens without exp
+   * @returns {Promise<Object>} Verified payload
+   * @throws {JwtVerificationError}
+   */
+  async verify(token, options = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+      throw new JwtVerificationError('Token is not a JWT', 'malformed');
+    }
+    if (!decoded.header.kid) {
+      throw new JwtVerificationError('Token header has no kid', 'malformed');
+    }
+
+    const key = await this.getSigningKey(decoded.header.kid);
+    let claims;
+    try {
+      claims = jwt.verify(token, key, {
+        algorithms: ALGORITHMS,
+        issuer: options.issuer || this.getIssuer(),
+        audience: options.audience,
+        ignoreExpiration: !!options.ignoreExpiration,
+        clockTolerance: this.clockToleranceSec
+      });
+    } catch (error) {
+      const code = error.name === 'TokenExpiredError' ? 'expired' : 'invalid_token';
+      throw new JwtVerificationError(error.message, code);
+    }
+
+    if (options.authorizedParty && claims.azp !== options.authorizedParty) {
+      throw new JwtVerificationError(`Token azp ${claims.azp} does not match ${options.authorizedParty}`, 'invalid_token');
+    }
+    return claims;
+  }
+}
+
+// Singleton instance
+const jwtVerifier = new JwtVerifier();
+
+module.exports = jwtVerifier;
+module.exports.JwtVerifier = JwtVerifier;
+module.exports.JwtVerificationError = JwtVerificationError;
@@ -0,0 +1,530 @@
+/**
+ * Keycloak Admin Client
+ *
+ * Typed wrapper around the Keycloak Admin REST API (<KEYCLOAK_URL>/admin/realms/<realm>) for
+ * users, sessions, groups, roles, credentials, clients and events.
+ *
+ * - Authenticates with the client-credentials grant against KEYCLOAK_ADMIN_REALM (default master)
+ *   using KEYCLOAK_ADMIN_CLIENT_ID/KEYCLOAK_ADMIN_CLIENT_SECRET
+ * - The admin token is cached until shortly before it expires; concurrent callers share one
+ *   token request
+ * - A 401 (token revoked, realm keys rotated, ...) drops the cached token and retries the call
+ *   once with a fresh one
+ * - Every failure is a KeycloakAdminError carrying status, method, path and the response body;
+ *   messages keep the "<Operation> error <status>: <body>" format of config/keycloak-admin.js
+ *
+ * config/keycloak-admin.js exposes the shared instance as plain functions.
+ */
+
+const TOKEN_EXPIRY_SKEW_MS = 30 * 1000;
+
+class KeycloakAdminError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details
+   * @param {string} details.code - not_found, unauthorized, forbidden, conflict, bad_request,
+   *   http_error, token_error or network_error
+   * @param {number} [details.status] - HTTP status (0 when no response arrived)
+   * @param {string} [details.method]
+   * @param {string} [details.path] - Path below the realm admin URL
+   * @param {string} [details.body] - Response body text
+   */
+  constructor(message, { code, status = 0, method, path, body } = {}) {
+    super(message);
+    this.name = 'KeycloakAdminError';
+    this.code = code;
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+/**
+ * @param {number} status
+ * @returns {string} KeycloakAdminError code
+ */
+function codeForStatus(status) {
+  switch (status) {
+    case 400: return 'bad_request';
+    case 401: return 'unauthorized';
+    case 403: return 'forbidden';
+    case 404: return 'not_found';
+    case 409: return 'conflict';
+    default: return 'http_error';
+  }
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Path segment
+ */
+function segment(value) {
+  if (value === undefined || value === null || value === '') {
+    throw new TypeError('Keycloak admin path parameter is required');
+  }
+  return encodeURIComponent(value);
+}
+
+class KeycloakAdminClient {
+  /**
+   * Options fall back to the environment at call time, so the shared instance picks up
+   * configuration loaded after it was created.
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - KEYCLOAK_URL
+   * @param {string} [options.realm] - KEYCLOAK_REALM (realm where users live)
+   * @param {string} [options.adminRealm] - KEYCLOAK_ADMIN_REALM (default master)
+   * @param {string} [options.clientId] - KEYCLOAK_ADMIN_CLIENT_ID
+   * @param {string} [options.clientSecret] - KEYCLOAK_ADMIN_CLIENT_SECRET
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.cachedToken = null; // { token, expiresAt }
+    this.pendingToken = null;
+  }
+
+  get baseUrl() {
+    return this.options.baseUrl || process.env.KEYCLOAK_URL;
+  }
+
+  get realm() {
+    return this.options.realm || process.env.KEYCLOAK_REALM;
+  }
+
+  get adminRealm() {
+    return this.options.adminRealm || process.env.KEYCLOAK_ADMIN_REALM || 'master';
+  }
+
+  // ---- Token ----
+
+  /**
+   * Cached client-credentials access token
+   * @returns {Promise<string>}
+   */
+  async getToken() {
+    if (this.cachedToken && this.cachedToken.expiresAt - TOKEN_EXPIRY_SKEW_MS > Date.now()) {
+      return this.cachedToken.token;
+    }
+    if (!this.pendingToken) {
+      this.pendingToken = this.requestToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+    return this.pendingToken;
+  }
+
+  /**
+   * Drop the cached token (e.g. after the admin client's credentials changed)
+   */
+  clearToken() {
+    this.cachedToken = null;
+  }
+
+  /**
+   * @returns {Promise<string>}
+   */
+  async requestToken() {
+    const url = `${this.baseUrl}/realms/${this.adminRealm}/protocol/openid-connect/token`;
+    const body = new URLSearchParams();
+    body.set('grant_type', 'client_credentials');
+    body.set('client_id', this.options.clientId || process.env.KEYCLOAK_ADMIN_CLIENT_ID || '');
+    body.set('client_secret', this.options.clientSecret || process.env.KEYCLOAK_ADMIN_CLIENT_SECRET || '');
+
+    let resp;
+    try {
+      resp = await fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
+    } catch (error) {
+      throw new KeycloakAdminError(`Admin token error: ${error.message}`, { code: 'network_error', method: 'POST' });
+    }
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new KeycloakAdminError(`Admin token error ${resp.status}: ${text}`, {
+        code: 'token_error', status: resp.status, method: 'POST', body: text
+      });
+    }
+    const json = await resp.json();
+    this.cachedToken = {
+      token: json.access_token,
+      expiresAt: Date.now() + (Number(json.expires_in) || 60) * 1000
+    };
+    return json.access_token;
+  }
+
+  // ---- Transport ----
+
+  /**
+   * Call the realm admin API
+   * @param {string} method
+   * @param {string} path - Below /admin/realms/<realm>, e.g. /users/<id>
+   * @param {Object} options
+   * @param {string} options.operation - Message prefix, e.g. "Get user"
+   * @param {Object} [options.query] - Query parameters (undefined/null skipped, arrays repeated)
+   * @param {*} [options.body] - JSON body
+   * @param {boolean} [options.raw] - Resolve with the Response instead of the parsed body
+   * @returns {Promise<*>} Parsed JSON, or null for empty responses
+   */
+  async request(method, path, { operation, query, body, raw = false } = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value === undefined || value === null) continue;
+      // Arrays repeat the parameter (?type=A&type=B)
+      for (const item of [].concat(value)) params.append(key, String(item));
+    }
+    const search = params.toString();
+    const url = `${this.baseUrl}/admin/realms/${this.realm}${path}${search ? `?${search}` : ''}`;
+
+    let resp;
+    for (let attempt = 0; ; attempt++) {
+      const token = await this.getToken();
+      const headers = { Authorization: `Bearer ${token}` };
+      if (body !== undefined) headers['Content-Type'] = 'application/json';
+      try {
+        resp = await fetch(url, { method, headers, body: body !== undefined ? JSON.stringify(body) : undefined });
+      } catch (error) {
+        throw new KeycloakAdminError(`${operation} error: ${error.message}`, { code: 'network_error', method, path });
+      }
+      if (resp.status !== 401 || attempt > 0) break;
+      // Token no longer accepted - renew once
+      this.clearToken();
+    }
+
+    if (!resp.ok) {
+      const text = await resp.text();
+      throw new KeycloakAdminError(`${operation} error ${resp.status}: ${text}`, {
+        code: codeForStatus(resp.status), status: resp.status, method, path, body: text
+      });
+    }
+    if (raw) return resp;
+    // Writes answer 201/204 without a body
+    if (resp.status === 201 || resp.status === 204) return null;
+    return resp.json();
+  }
+
+  // ---- Users ----
+
+  /**
+   * One page of users
+   * @param {Object} [query] - first, max, search (prefix match on username/email/names), username,
+   *   email, exact, q (attribute query "key:value key2:value2"), enabled, briefRepresentation
+   * @returns {Promise<Object[]>}
+   */
+  async listUsers({ first = 0, max = 100, ...filters } = {}) {
+    return (await this.request('GET', '/users', { operation: 'Get all users', query: { first, max, ...filters } })) || [];
+  }
+
+  /**
+   * Stream all users page by page (first/max), so large realms are neither truncated at
+   * Keycloak's default page size nor loaded at once
+   * @param {Object} [options]
+   * @param {string[]} [options.usernamePrefixes] - Searched server-side per prefix, re-checked on the username
+   * @param {number} [options.createdBefore] - ms; Keycloak can't filter on createdTimestamp, so
+   *   it is applied to each page as it arrives
+   * @param {Object} [options.attributes] - { key: value } attribute query (server-side, q=)
+   * @param {number} [options.pageSize] - Default KEYCLOAK_USERS_PAGE_SIZE or 100
+   * @returns {AsyncGenerator<Object>}
+   */
+  async* iterateUsers({ usernamePrefixes, createdBefore, attributes, pageSize } = {}) {
+    const max = pageSize || parseInt(process.env.KEYCLOAK_USERS_PAGE_SIZE || '100', 10);
+    const q = attributes
+      ? Object.entries(attributes).map(([key, value]) => `${key}:${value}`).join(' ')
+      : undefined;
+    const prefixes = usernamePrefixes && usernamePrefixes.length > 0 ? usernamePrefixes : [null];
+    const seen = new Set();
+
+    for (const prefix of prefixes) {
+      for (let first = 0; ; first += max) {
+        const page = await this.listUsers({ first, max, q, search: prefix ? `${prefix}*` : undefined });
+        for (const user of page) {
+          // search also matches email/first/last name; one user can match several prefixes
+          if (prefix && !(user.username || '').toLowerCase().startsWith(prefix.toLowerCase())) continue;
+          if (createdBefore && !(user.createdTimestamp && user.createdTimestamp < createdBefore)) continue;
+          if (seen.has(user.id)) continue;
+          seen.add(user.id);
+          yield user;
+        }
+        if (page.length < max) break;
+      }
+    }
+  }
+
+  /**
+   * @param {Object} [query] - search, username, email, enabled, q
+   * @returns {Promise<number>}
+   */
+  async countUsers(query = {}) {
+    return this.request('GET', '/users/count', { operation: 'Count users', query });
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Object>} User representation
+   */
+  async getUser(userId) {
+    return this.request('GET', `/users/${segment(userId)}`, { operation: 'Get user' });
+  }
+
+  /**
+   * Exact username lookup (Keycloak stores usernames lower-cased)
+   * @param {string} username
+   * @returns {Promise<Object|null>}
+   */
+  async getUserByUsername(username) {
+    const users = await this.request('GET', '/users', {
+      operation: 'Get user by username',
+      query: { username, exact: true }
+    });
+    const wanted = String(username).toLowerCase();
+    return (users || []).find(user => (user.username || '').toLowerCase() === wanted) || null;
+  }
+
+  /**
+   * @param {Object} userRepresentation - username required; email, firstName, lastName, enabled,
+   *   emailVerified, attributes, credentials, groups, ...
+   * @returns {Promise<string|null>} New user id (from the Location header)
+   */
+  async createUser(userRepresentation) {
+    if (!userRepresentation || typeof userRepresentation !== 'object') {
+      throw new TypeError('userRepresentation is required');
+    }
+    const resp = await this.request('POST', '/users', { operation: 'Create user', body: userRepresentation, raw: true });
+    const location = resp.headers.get('location');
+    return location ? location.split('/').pop() || null : null;
+  }
+
+  /**
+   * Update a user - Keycloak replaces the representation, so pass the full user or use
+   * patchUser()
+   * @param {string} userId
+   * @param {Object} userRepresentation
+   * @param {string} [operation] - Error message prefix
+   */
+  async updateUser(userId, userRepresentation, operation = 'Update user') {
+    await this.request('PUT', `/users/${segment(userId)}`, { operation, body: userRepresentation });
+  }
+
+  /**
+   * Load the user, merge the changes and write it back
+   * @param {string} userId
+   * @param {Object} changes
+   * @param {string} [operation] - Error message prefix
+   */
+  async patchUser(userId, changes, operation = 'Update user') {
+    const current = await this.getUser(userId);
+    await this.updateUser(userId, { ...current, ...changes }, operation);
+  }
+
+  /**
+   * @param {string} userId
+   */
+  async deleteUser(userId) {
+    await this.request('DELETE', `/users/${segment(userId)}`, { operation: 'Delete user' });
+  }
+
+  // ---- Sessions ----
+
+  /**
+   * Active sessions of a user
+   * @param {string} userId
+   * @returns {Promise<Object[]>} [{ id, ipAddress, start, lastAccess, clients: { uuid: clientId } }]
+   */
+  async getUserSessions(userId) {
+    return (await this.request('GET', `/users/${segment(userId)}/sessions`, { operation: 'Get user sessions' })) || [];
+  }
+
+  /**
+   * Offline sessions of a user for one client
+   * @param {string} userId
+   * @param {string} clientUuid
+   * @returns {Promise<Object[]>}
+   */
+  async getUserOfflineSessions(userId, clientUuid) {
+    return (await this.request('GET', `/users/${segment(userId)}/offline-sessions/${segment(clientUuid)}`, {
+      operation: 'Get user offline sessions'
+    })) || [];
+  }
+
+  /**
+   * End all sessions of a user
+   * @param {string} userId
+   */
+  async logoutUser(userId) {
+    await this.request('POST', `/users/${segment(userId)}/logout`, { operation: 'Logout user sessions' });
+  }
+
+  /**
+   * End a single session
+   * @param {string} sessionId
+   */
+  async deleteSession(sessionId) {
+    await this.request('DELETE', `/sessions/${segment(sessionId)}`, { operation: 'Delete session' });
+  }
+
+  // ---- Groups ----
+
+  /**
+   * @param {Object} [query] - search, first, max, briefRepresentation
+   * @returns {Promise<Object[]>}
+   */
+  async listGroups(query = {}) {
+    return (await this.request('GET', '/groups', { operation: 'Get groups', query })) || [];
+  }
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Object[]>} [{ id, name, path }]
+   */
+  async getUserGroups(userId) {
+    return (await this.request('GET', `/users/${segment(userId)}/groups`, { operation: 'Get user groups' })) || [];
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} groupId
+   */
+  async addUserToGroup(userId, groupId) {
+    await this.request('PUT', `/users/${segment(userId)}/groups/${segment(groupId)}`, { operation: 'Add user to group' });
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} groupId
+   */
+  async removeUserFromGroup(userId, groupId) {
+    await this.request('DELETE', `/users/${segment(userId)}/groups/${segment(groupId)}`, { operation: 'Remove user from group' });
+  }
+
+  // ---- Roles ----
+
+  /**
+   * @param {Object} [query] - search, first, max
+   * @returns {Promise<Object[]>} Realm role representations
+   */
+  async listRealmRoles(query = {}) {
+    return (await this.request('GET', '/roles', { operation: 'Get realm roles', query })) || [];
+  }
+
+  /**
+   * @param {string} roleName
+   * @returns {Promise<Object>} { id, name, ... }
+   */
+  async getRealmRole(roleName) {
+    return this.request('GET', `/roles/${segment(roleName)}`, { operation: 'Get realm role' });
+  }
+
+  /**
+   * Realm roles a user holds
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {boolean} [options.effective] - Include composite and group roles (default true)
+   * @returns {Promise<Object[]>} Role representations
+   */
+  async getUserRealmRoles(userId, { effective = true } = {}) {
+    const path = `/users/${segment(userId)}/role-mappings/realm${effective ? '/composite' : ''}`;
+    return (await this.request('GET', path, { operation: 'Get user roles' })) || [];
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string[]} roleNames
+   */
+  async addUserRealmRoles(userId, roleNames) {
+    const roles = await Promise.all(roleNames.map(name => this.getRealmRole(name)));
+    await this.request('POST', `/users/${segment(userId)}/role-mappings/realm`, { operation: 'Add user roles', body: roles });
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string[]} roleNames
+   */
+  async removeUserRealmRoles(userId, roleNames) {
+    const roles = await Promise.all(roleNames.map(name => this.getRealmRole(name)));
+    await this.request('DELETE', `/users/${segment(userId)}/role-mappings/realm`, { operation: 'Remove user roles', body: roles });
+  }
+
+  // ---- Credentials ----
+
+  /**
+   * @param {string} userId
+   * @returns {Promise<Object[]>} [{ id, type, createdDate, userLabel }]
+   */
+  async getUserCredentials(userId) {
+    return (await this.request('GET', `/users/${segment(userId)}/credentials`, { operation: 'Get user credentials' })) || [];
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} password
+   * @param {Object} [options]
+   * @param {boolean} [options.temporary] - Force a change on next login (default false)
+   */
+  async resetPassword(userId, password, { temporary = false } = {}) {
+    await this.request('PUT', `/users/${segment(userId)}/reset-password`, {
+      operation: 'Reset password',
+      body: { type: 'password', value: password, temporary }
+    });
+  }
+
+  /**
+   * @param {string} userId
+   * @param {string} credentialId
+   */
+  async deleteCredential(userId, credentialId) {
+    await this.request('DELETE', `/users/${segment(userId)}/credentials/${segment(credentialId)}`, { operation: 'Delete credential' });
+  }
+
+  // ---- Clients ----
+
+  /**
+   * @param {Object} [query] - clientId, search, first, max
+   * @returns {Promise<Object[]>}
+   */
+  async listClients(query = {}) {
+    return (await this.request('GET', '/clients', { operation: 'Get clients', query })) || [];
+  }
+
+  /**
+   * @param {string} clientUuid - Internal id, not the clientId
+   * @returns {Promise<Object>}
+   */
+  async getClient(clientUuid) {
+    return this.request('GET', `/clients/${segment(clientUuid)}`, { operation: 'Get client' });
+  }
+
+  /**
+   * @param {string} clientId - e.g. "webmail"
+   * @returns {Promise<Object|null>}
+   */
+  async findClientByClientId(clientId) {
+    const clients = await this.listClients({ clientId });
+    return clients.find(client => client.clientId === clientId) || null;
+  }
+
+  // ---- Events ----
+
+  /**
+   * User events (needs "Save events" enabled in the realm)
+   * @param {Object} [query] - type (string or array, e.g. ['REGISTER', 'DELETE_ACCOUNT']), user,
+   *   client, dateFrom, dateTo (yyyy-MM-dd), first, max
+   * @returns {Promise<Object[]>} Newest first: [{ time, type, userId, clientId, details }]
+   */
+  async listEvents(query = {}) {
+    return (await this.request('GET', '/events', { operation: 'Get events', query })) || [];
+  }
+
+  /**
+   * Admin events (needs "Save admin events" enabled in the realm)
+   * @param {Object} [query] - operationTypes, resourceTypes, resourcePath, authUser, dateFrom,
+   *   dateTo, first, max
+   * @returns {Promise<Object[]>} [{ time, operationType, resourceType, resourcePath, representation }]
+   */
+  async listAdminEvents(query = {}) {
+    return (await this.request('GET', '/admin-events', { operation: 'Get admin events', query })) || [];
+  }
+}
+
+// Singleton instance
+const keycloakAdminClient = new KeycloakAdminClient();
+
+module.exports = keycloakAdminClient;
+module.exports.KeycloakAdminClient = KeycloakAdminClient;
+module.exports.KeycloakAdminError = KeycloakAdminError;
@@ -0,0 +1,149 @@
+/**
+ * Federated Logout Plan
+ *
+ * Builds the steps /auth/logout-all runs in the browser before ending the Keycloak session:
+ * one front-channel logout URL per service the user may hold a session with, each loaded
+ * in a hidden iframe and given up on after its timeout.
+ *
+ * Steps:
+ * - webmail client (DEMO_SSO_MAIL_CLIENT_NAME): DEMO_SSO_MAIL_CLIENT_LOGOUT_URL, or the
+ *   client's own logout path under DEMO_SSO_MAIL_CLIENT_URL
+ *   (SOGo: /SOGo/so/{email}/logoff, Roundcube: /?_task=logout)
+ * - mail server (DEMO_MAIL_PROVIDER): STALWART_LOGOUT_URL for Stalwart,
+ *   MAILCOW_LOGOUT_URL_TEMPLATE / MAILCOW_LOGOUT_URL for Mailcow
+ *
+ * Logout URLs may contain {user} / {email} (or ${USER} / ${EMAIL}) placeholders.
+ * A service without a logout URL is listed as skipped - its session then ends with the
+ * Keycloak session (back-channel logout or token expiry).
+ *
+ * LOGOUT_STEP_TIMEOUT_MS (default 5000) bounds each iframe.
+ */
+
+const mailServiceConfig = require('../config/mail-service-config');
+
+const DEFAULT_STEP_TIMEOUT_MS = 5000;
+
+// Logout path per webmail client, appended to DEMO_SSO_MAIL_CLIENT_URL
+const WEBMAIL_LOGOUT_PATHS = {
+  sogo: '/SOGo/so/{email}/logoff',
+  roundcube: '/?_task=logout'
+};
+
+/**
+ * Replace user placeholders in a logout URL
+ * @param {string} template
+ * @param {Object} identity - { user, email }
+ * @returns {string}
+ */
+function fillPlaceholders(template, { user, email }) {
+  return template
+    .replace(/\$\{USER\}/g, encodeURIComponent(user))
+    .replace(/\$\{EMAIL\}/g, encodeURIComponent(email))
+    .replace(/\{user\}/g, encodeURIComponent(user))
+    .replace(/\{email\}/g, encodeURIComponent(email));
+}
+
+/**
+ * Identity used in logout URLs
+ * @param {Object} user - Passport user
+ * @returns {Object} { user, email }
+ */
+function getIdentity(user) {
+  const domain = process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space';
+  const email = user?.email || (user?.username ? `${user.username}@${domain}` : '');
+  return { user: user?.username || email.split('@')[0] || '', email };
+}
+
+/**
+ * Webmail client logout URL
+ * A DEMO_SSO_MAIL_CLIENT_LOGOUT_URL without a path (just the webmail origin) gets the
+ * client's logout path appended.
+ * @returns {string|null}
+ */
+function getWebmailLogoutUrl() {
+  const clientName = mailServiceConfig.getWebmailClientName();
+  const defaultPath = WEBMAIL_LOGOUT_PATHS[clientName];
+  const configured = mailServiceConfig.getWebmailClientLogoutUrl();
+
+  if (configured) {
+    try {
+      const url = new URL(configured);
+      if ((url.pathname === '/' || url.pathname === '') && !url.search && defaultPath) {
+        return configured.replace(/\/+$/, '') + defaultPath;
+      }
+    } catch (_) {
+      // Not an absolute URL - use as configured
+    }
+    return configured;
+  }
+
+  const baseUrl = mailServiceConfig.getWebmailClientUrl();
+  if (baseUrl && defaultPath) {
+    return baseUrl.replace(/\/+$/, '') + defaultPath;
+  }
+  return null;
+}
+
+/**
+ * Mail server logout URL for the configured provider
+ * @returns {string|null}
+ */
+function getMailServerLogoutUrl() {
+  if (mailServiceConfig.getProvider() === 'mailcow') {
+    return process.env.MAILCOW_LOGOUT_URL_TEMPLATE || process.env.MAILCOW_LOGOUT_URL || null;
+  }
+  return process.env.STALWART_LOGOUT_URL || null;
+}
+
+/**
+ * Build the front-channel logout steps for a user
+ * @param {Object} user - Passport user (username, email)
+ * @returns {Array<Object>} [{ id, label, url, timeoutMs, skipped }]
+ */
+function buildLogoutPlan(user) {
+  const identity = getIdentity(user);
+  const timeoutMs = parseInt(process.env.LOGOUT_STEP_TIMEOUT_MS || String(DEFAULT_STEP_TIMEOUT_MS), 10);
+
+  const candidates = [
+    {
+      id: 'webmail',
+      label: mailServiceConfig.getWebmailClientLabel(),
+      url: getWebmailLogoutUrl()
+    },
+    {
+      id: 'mailserver',
+      label: mailServiceConfig.getProviderLabel(),
+      url: getMailServerLogoutUrl()
+    }
+  ];
+
+  return candidates.map(step => ({
+    ...step,
+    url: step.url ? fillPlaceholders(step.url, identity) : null,
+    timeoutMs,
+    skipped: !step.url
+  }));
+}
+
+/**
+ * Keycloak end-session URL
+ * @param {Object} [options]
+ * @param {string} [options.idTokenHint] - ID token of the session being ended
+ * @param {string} [options.postLogoutRedirectUri] - Defaults to POST_LOGOUT_REDIRECT_URI / APP_URL
+ * @returns {string}
+ */
+function buildKeycloakLogoutUrl({ idTokenHint, postLogoutRedirectUri } = {}) {
+  const url = new URL(`${process.env.KEYCLOAK_URL}/realms/${process.env.KEYCLOAK_REALM}/protocol/openid-connect/logout`);
+  url.searchParams.set('client_id', process.env.KEYCLOAK_CLIENT_ID || 'demo-workinpilot');
+  url.searchParams.set('post_logout_redirect_uri',
+    postLogoutRedirectUri || process.env.POST_LOGOUT_REDIRECT_URI || process.env.APP_URL || 'http://localhost:5173');
+  if (idTokenHint) {
+    url.searchParams.set('id_token_hint', idTokenHint);
+  }
+  return url.toString();
+}
+
+module.exports = {
+  buildLogoutPlan,
+  buildKeycloakLogoutUrl
+};
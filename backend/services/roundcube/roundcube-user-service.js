@@ -74,23 +74,32 @@ class RoundcubeUserService {
   }
 
   /**
-   * Get all users from users table
+   * List all users from users table, failing when the database can't be read
    * @returns {Promise<Array>} Array of user records
+   * @throws {Error} When the pool is not initialized or the query fails
    */
-  async getAllUsers() {
+  async listUsers() {
     if (!this.initialized) {
       await this.initialize();
     }
 
     if (!this.pool) {
-      return [];
+      throw new Error('MariaDB pool not initialized');
     }
 
+    const [rows] = await this.pool.query(
+      'SELECT user_id, username, mail_host FROM users ORDER BY username'
+    );
+    return rows;
+  }
+
+  /**
+   * Get all users from users table
+   * @returns {Promise<Array>} Array of user records (empty on error)
+   */
+  async getAllUsers() {
     try {
-      const [rows] = await this.pool.query(
-        'SELECT user_id, username, mail_host FROM users ORDER BY username'
-      );
-      return rows;
+      return await this.listUsers();
     } catch (error) {
       console.error('[RoundcubeUserService] Error fetching Roundcube users:', error);
       return [];
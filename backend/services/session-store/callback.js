@@ -0,0 +1,19 @@
+/**
+ * express-session callback helper shared by the session stores
+ */
+
+/**
+ * Hand a store operation's outcome to an express-session callback. The callback runs on the
+ * next tick, outside the promise chain, so an exception it throws is not turned into a
+ * rejection (which would call it a second time with its own error).
+ * @param {Promise} promise
+ * @param {Function} callback - (err, result)
+ */
+function settle(promise, callback) {
+  promise.then(
+    result => process.nextTick(callback, null, result),
+    error => process.nextTick(callback, error)
+  );
+}
+
+module.exports = { settle };
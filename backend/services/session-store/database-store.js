@@ -0,0 +1,103 @@
+/**
+ * Database Session Store
+ *
+ * express-session store backed by the sessions table in the demo app database
+ * (SQLite or PostgreSQL via databaseService). expires_at is epoch ms; expired rows are
+ * ignored on read and removed by sweep().
+ */
+
+const session = require('express-session');
+const databaseService = require('../databaseService');
+const { getExpiry } = require('./expiry');
+const { settle } = require('./callback');
+
+class DatabaseSessionStore extends session.Store {
+  constructor() {
+    super();
+    this.name = 'database';
+  }
+
+  get(sid, callback) {
+    settle((async () => {
+      const db = await databaseService.db();
+      const row = await db.get('SELECT sess, expires_at FROM sessions WHERE sid = ?', [sid]);
+      if (!row) return null;
+      if (Number(row.expires_at) <= Date.now()) {
+        await db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+        return null;
+      }
+      return JSON.parse(row.sess);
+    })(), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    settle((async () => {
+      const db = await databaseService.db();
+      await db.run(
+        `INSERT INTO sessions (sid, sess, expires_at, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT (sid) DO UPDATE SET
+           sess = excluded.sess,
+           expires_at = excluded.expires_at,
+           updated_at = CURRENT_TIMESTAMP`,
+        [sid, JSON.stringify(sess), getExpiry(sess)]
+      );
+    })(), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    settle((async () => {
+      const db = await databaseService.db();
+      await db.run(
+        'UPDATE sessions SET expires_at = ?, updated_at = CURRENT_TIMESTAMP WHERE sid = ?',
+        [getExpiry(sess), sid]
+      );
+    })(), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    settle((async () => {
+      const db = await databaseService.db();
+      await db.run('DELETE FROM sessions WHERE sid = ?', [sid]);
+    })(), callback);
+  }
+
+  all(callback) {
+    settle((async () => {
+      const db = await databaseService.db();
+      const rows = await db.all('SELECT sid, sess FROM sessions WHERE expires_at > ?', [Date.now()]);
+      const sessions = {};
+      for (const row of rows) {
+        sessions[row.sid] = JSON.parse(row.sess);
+      }
+      return sessions;
+    })(), callback);
+  }
+
+  length(callback) {
+    settle((async () => {
+      const db = await databaseService.db();
+      const row = await db.get('SELECT COUNT(*) AS count FROM sessions WHERE expires_at > ?', [Date.now()]);
+      return Number(row.count);
+    })(), callback);
+  }
+
+  clear(callback = () => {}) {
+    settle((async () => {
+      const db = await databaseService.db();
+      await db.run('DELETE FROM sessions');
+    })(), callback);
+  }
+
+  /**
+   * Remove expired sessions
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async sweep() {
+    const db = await databaseService.db();
+    const result = await db.run('DELETE FROM sessions WHERE expires_at <= ?', [Date.now()]);
+    return result.changes;
+  }
+}
+
+module.exports = DatabaseSessionStore;
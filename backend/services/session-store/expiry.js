@@ -0,0 +1,25 @@
+/**
+ * Session expiry helper shared by the session stores
+ */
+
+// Used when a session has no cookie expiry (browser-session cookies)
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Expiry (epoch ms) of a session from its cookie
+ * @param {Object} sess - express-session data
+ * @returns {number}
+ */
+function getExpiry(sess) {
+  const expires = sess?.cookie?.expires;
+  if (expires) {
+    const time = new Date(expires).getTime();
+    if (!isNaN(time)) return time;
+  }
+  if (sess?.cookie?.originalMaxAge) {
+    return Date.now() + sess.cookie.originalMaxAge;
+  }
+  return Date.now() + DEFAULT_TTL_MS;
+}
+
+module.exports = { getExpiry };
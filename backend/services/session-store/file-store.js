@@ -0,0 +1,145 @@
+/**
+ * File Session Store
+ *
+ * express-session store keeping one JSON file per session in a directory, for
+ * deployments without a database. Files are written to a temp name and renamed into
+ * place (mode 0600). Expired files are ignored on read and removed by sweep().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const session = require('express-session');
+const { getExpiry } = require('./expiry');
+const { settle } = require('./callback');
+
+class FileSessionStore extends session.Store {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory holding the session files
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'file';
+    this.dir = options.dir;
+  }
+
+  // Session ids are hashed so they are safe as file names and never appear on disk
+  _file(sid) {
+    return path.join(this.dir, `${crypto.createHash('sha256').update(sid).digest('hex')}.json`);
+  }
+
+  async _read(file) {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async _write(sid, sess) {
+    await fs.promises.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    const file = this._file(sid);
+    const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const record = { sid, expiresAt: getExpiry(sess), sess };
+    await fs.promises.writeFile(tmp, JSON.stringify(record), { encoding: 'utf8', mode: 0o600 });
+    await fs.promises.rename(tmp, file);
+  }
+
+  async _remove(file) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  async _records() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const records = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      const file = path.join(this.dir, name);
+      try {
+        const record = await this._read(file);
+        if (record) records.push({ file, record });
+      } catch (_) {
+        // Unreadable/partial file - swept as expired
+        records.push({ file, record: { expiresAt: 0 } });
+      }
+    }
+    return records;
+  }
+
+  get(sid, callback) {
+    settle((async () => {
+      const file = this._file(sid);
+      const record = await this._read(file);
+      if (!record) return null;
+      if (record.expiresAt <= Date.now()) {
+        await this._remove(file);
+        return null;
+      }
+      return record.sess;
+    })(), callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    settle(this._write(sid, sess), callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    settle(this._write(sid, sess), callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    settle(this._remove(this._file(sid)), callback);
+  }
+
+  all(callback) {
+    settle((async () => {
+      const sessions = {};
+      for (const { record } of await this._records()) {
+        if (record.sid && record.expiresAt > Date.now()) {
+          sessions[record.sid] = record.sess;
+        }
+      }
+      return sessions;
+    })(), callback);
+  }
+
+  length(callback) {
+    this.all((err, sessions) => callback(err, sessions ? Object.keys(sessions).length : 0));
+  }
+
+  clear(callback = () => {}) {
+    settle((async () => {
+      for (const { file } of await this._records()) {
+        await this._remove(file);
+      }
+    })(), callback);
+  }
+
+  /**
+   * Remove expired sessions
+   * @returns {Promise<number>} Number of sessions removed
+   */
+  async sweep() {
+    let removed = 0;
+    for (const { file, record } of await this._records()) {
+      if (!(record.expiresAt > Date.now())) {
+        await this._remove(file);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,70 @@
+/**
+ * Session Store factory
+ *
+ * SESSION_STORE:
+ * - database (default): sessions table via databaseService (DEMO_DB_CLIENT sqlite/postgres)
+ * - file: one JSON file per session in SESSION_STORE_DIR (default: backend/sessions)
+ * - memory: express-session MemoryStore (development only - leaks, lost on restart)
+ *
+ * Persistent stores are swept for expired sessions every SESSION_SWEEP_INTERVAL_MS
+ * (default 15 minutes).
+ */
+
+const path = require('path');
+const session = require('express-session');
+const DatabaseSessionStore = require('./database-store');
+const FileSessionStore = require('./file-store');
+
+/**
+ * Build the store selected by SESSION_STORE
+ * @returns {session.Store}
+ */
+function createSessionStore() {
+  const backend = (process.env.SESSION_STORE || 'database').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      console.warn('[SessionStore] WARN: Using MemoryStore - sessions are lost on restart');
+      return new session.MemoryStore();
+    case 'file':
+      return new FileSessionStore({
+        dir: process.env.SESSION_STORE_DIR || path.join(__dirname, '..', '..', 'sessions')
+      });
+    case 'database':
+      return new DatabaseSessionStore();
+    default:
+      console.warn(`[SessionStore] Unknown SESSION_STORE "${backend}", defaulting to "database"`);
+      return new DatabaseSessionStore();
+  }
+}
+
+/**
+ * Sweep expired sessions periodically (no-op for stores without sweep())
+ * @param {session.Store} store
+ * @returns {NodeJS.Timeout|null} Timer (unref'd) or null
+ */
+function startSessionSweeper(store) {
+  const intervalMs = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS || '900000', 10);
+  if (typeof store.sweep !== 'function' || !intervalMs) {
+    return null;
+  }
+
+  const timer = setInterval(() => {
+    store.sweep()
+      .then((removed) => {
+        if (removed > 0) {
+          console.log(`[SessionStore] Swept ${removed} expired session(s)`);
+        }
+      })
+      .catch(err => console.error('[SessionStore] Sweep error:', err.message));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  createSessionStore,
+  startSessionSweeper,
+  DatabaseSessionStore,
+  FileSessionStore
+};
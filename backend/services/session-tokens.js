@@ -0,0 +1,132 @@
+/**
+ * Session Tokens
+ *
+ * Single accessor for the Keycloak tokens of the logged-in user.
+ * Routes should use this instead of reading req.session / req.user token fields.
+ *
+ * - establish(req, user): after the Passport login callback - hands the tokens to
+ *   TokenService (keyed by keycloak_id) and mirrors them into the session
+ * - getAccessToken(req): valid access token, refreshed through TokenService when it is
+ *   about to expire (the session copy is kept in sync)
+ * - getIdToken(req): ID token (id_token_hint for Keycloak logout)
+ * - clear(req): drop session copies and the stored refresh token
+ *
+ * Session fields kept for existing readers:
+ * - req.session.keycloakAccessToken (Stalwart token exchange in /auth/mail)
+ * - req.session.idToken (Keycloak logout)
+ * - req.session.keycloakSid (Keycloak session id, matched by back-channel logout)
+ */
+
+const jwt = require('jsonwebtoken');
+const tokenService = require('./tokenService');
+
+/**
+ * Key the tokens are stored under
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function getUserKey(req) {
+  return req.user?.keycloak_id || null;
+}
+
+/**
+ * Mirror TokenService session tokens into the legacy session fields
+ * @param {Object} req
+ */
+function syncSessionFields(req) {
+  const key = getUserKey(req);
+  const tokens = key && req.session?.tokenService?.[key];
+  if (!tokens) return;
+  req.session.keycloakAccessToken = tokens.accessToken;
+  if (tokens.idToken) {
+    req.session.idToken = tokens.idToken;
+  }
+}
+
+/**
+ * Store the tokens issued at login (call after req.login / passport.authenticate)
+ * Tokens are removed from the user object so they don't travel any further.
+ * @param {Object} req - Request with req.user set by Passport
+ * @param {Object} [user] - Passport user carrying accessToken, refreshToken, id_token
+ * @returns {Promise<boolean>} True if TokenService accepted the tokens
+ */
+async function establish(req, user = req.user) {
+  const key = user?.keycloak_id;
+  if (!key || !user.accessToken) {
+    console.error('[SessionTokens] Cannot establish tokens: keycloak_id or access token missing');
+    return false;
+  }
+
+  const ok = await tokenService.initializeUserTokens(key, {
+    accessToken: user.accessToken,
+    refreshToken: user.refreshToken,
+    idToken: user.id_token
+  }, req.session);
+
+  if (ok) {
+    // Keycloak session id, so back-channel logout can find this session
+    // (TokenService only accepts tokens that verify against the realm JWKS)
+    const claims = jwt.decode(user.id_token || '') || jwt.decode(user.accessToken) || {};
+    const keycloakSid = claims.sid || claims.session_state;
+    if (keycloakSid && req.session) {
+      req.session.keycloakSid = keycloakSid;
+    }
+    syncSessionFields(req);
+  }
+
+  delete user.accessToken;
+  delete user.refreshToken;
+  delete user.id_token;
+
+  return ok;
+}
+
+/**
+ * Get a valid access token for the logged-in user (refreshing if needed)
+ * @param {Object} req
+ * @returns {Promise<string|null>} Access token, or null if the user must log in again
+ */
+async function getAccessToken(req) {
+  const key = getUserKey(req);
+  if (!key || !req.session) {
+    return null;
+  }
+
+  const accessToken = await tokenService.getValidAccessToken(key, req.session);
+  if (accessToken) {
+    syncSessionFields(req);
+  }
+  return accessToken;
+}
+
+/**
+ * Get the ID token for the logged-in user
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function getIdToken(req) {
+  const key = getUserKey(req);
+  return (key && req.session?.tokenService?.[key]?.idToken) || req.session?.idToken || null;
+}
+
+/**
+ * Remove the user's tokens from the session and the refresh-token store
+ * @param {Object} req
+ * @param {string} [keycloakId] - Pass when req.user is already cleared (after req.logout)
+ */
+function clear(req, keycloakId = getUserKey(req)) {
+  if (keycloakId) {
+    tokenService.invalidateTokens(keycloakId, req.session);
+  }
+  if (req.session) {
+    delete req.session.keycloakAccessToken;
+    delete req.session.idToken;
+  }
+}
+
+module.exports = {
+  establish,
+  getAccessToken,
+  getIdToken,
+  clear
+};
@@ -0,0 +1,365 @@
+/**
+ * SOGo Event Ingestor
+ *
+ * Provisions sogo_users rows from Keycloak events within seconds instead of waiting for the
+ * next full sync (SOGO_SYNC_INTERVAL_MS), so a freshly registered demo user can log in to
+ * SOGo right away. Polls every SOGO_EVENTS_INTERVAL_MS (default 15 seconds):
+ * - user events (Realm settings > Events > Save events): REGISTER, UPDATE_PROFILE,
+ *   UPDATE_EMAIL -> ensureUserInSogo; DELETE_ACCOUNT -> delete the row
+ * - admin events (Save admin events): USER CREATE/UPDATE -> ensureUserInSogo (or delete when
+ *   the user is disabled); USER DELETE -> full sync, as admin events carry no username
+ *
+ * Each source keeps a cursor in event_cursors (time of the last processed event plus the
+ * events seen at that time), so events are handled once across restarts. Without a cursor
+ * ingestion starts at the current time - older changes are the full sync's job, which keeps
+ * running as a safety net. Deletes, protected uids and dry-run follow the sync daemon's
+ * SOGO_SYNC_* settings.
+ *
+ * Started by the SOGo sync daemon; disable with SOGO_EVENTS_ENABLED=false. The admin client
+ * needs the realm-management role view-events.
+ */
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const databaseService = require('../databaseService');
+const sogoUserService = require('./sogo-user-service');
+
+const USER_EVENT_TYPES = ['REGISTER', 'UPDATE_PROFILE', 'UPDATE_EMAIL', 'DELETE_ACCOUNT'];
+const ADMIN_OPERATION_TYPES = ['CREATE', 'UPDATE', 'DELETE'];
+const CURSOR_NAMES = { user: 'keycloak-user-events', admin: 'keycloak-admin-events' };
+
+/**
+ * Stable key of an event - Keycloak 22+ sends an id
+ * @param {Object} event
+ * @returns {string}
+ */
+function eventKey(event) {
+  return event.id || [event.time, event.type || event.operationType, event.userId || event.resourcePath].join(':');
+}
+
+/**
+ * @param {number} ms
+ * @returns {string} yyyy-MM-dd (UTC) - the date granularity Keycloak's dateFrom accepts
+ */
+function toDate(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+class SogoEventIngestor {
+  constructor() {
+    this.timer = null;
+    this.isPolling = false;
+    this.lastPoll = null;
+    this.lastError = null;
+    this.stats = {
+      events: 0,
+      provisioned: 0,
+      removed: 0,
+      fullSyncs: 0,
+      errors: 0
+    };
+    this.loadConfig();
+  }
+
+  /**
+   * Read the ingestion options from the environment
+   */
+  loadConfig() {
+    this.enabled = (process.env.SOGO_EVENTS_ENABLED || 'true').toLowerCase() !== 'false';
+    this.intervalMs = parseInt(process.env.SOGO_EVENTS_INTERVAL_MS || '15000', 10);
+    this.pageSize = parseInt(process.env.SOGO_EVENTS_PAGE_SIZE || '100', 10);
+  }
+
+  /**
+   * The sync daemon (lazy - it starts this ingestor)
+   * @returns {Object}
+   */
+  get syncDaemon() {
+    return require('./sogo-sync-daemon');
+  }
+
+  /**
+   * Start polling
+   * @returns {boolean}
+   */
+  start() {
+    if (!this.enabled) {
+      console.log('[SogoEventIngestor] SOGO_EVENTS_ENABLED=false, relying on the full sync only');
+      return false;
+    }
+    if (this.timer) return false;
+
+    console.log(`[SogoEventIngestor] Polling Keycloak events every ${this.intervalMs}ms`);
+    const run = () => this.poll().catch(err => {
+      console.error('[SogoEventIngestor] Poll error:', err);
+    });
+    // First poll sets the cursors
+    run();
+    this.timer = setInterval(run, this.intervalMs);
+    return true;
+  }
+
+  /**
+   * Stop polling
+   * @returns {boolean}
+   */
+  stop() {
+    if (!this.timer) return false;
+    clearInterval(this.timer);
+    this.timer = null;
+    console.log('[SogoEventIngestor] Stopped');
+    return true;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object|null>} { position, seen }
+   */
+  async loadCursor(name) {
+    const db = await databaseService.db();
+    const row = await db.get('SELECT position, seen FROM event_cursors WHERE name = ?', [name]);
+    if (!row) return null;
+    let seen = [];
+    try {
+      seen = JSON.parse(row.seen || '[]');
+    } catch (_) {
+      // Unreadable - events at the cursor time are handled again (idempotent)
+    }
+    // BIGINT comes back from pg as a string
+    return { position: Number(row.position), seen };
+  }
+
+  /**
+   * @param {string} name
+   * @param {Object} cursor - { position, seen }
+   */
+  async saveCursor(name, cursor) {
+    const db = await databaseService.db();
+    await db.run(
+      `INSERT INTO event_cursors (name, position, seen, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (name) DO UPDATE SET position = excluded.position, seen = excluded.seen, updated_at = CURRENT_TIMESTAMP`,
+      [name, cursor.position, JSON.stringify(cursor.seen)]
+    );
+  }
+
+  /**
+   * Events after the cursor, oldest first
+   * @param {Function} list - (query) => Promise<Object[]>, newest first (Keycloak's order)
+   * @param {Object} query - Source-specific filters
+   * @param {Object} cursor
+   * @returns {Promise<Object[]>}
+   */
+  async fetchSince(list, query, cursor) {
+    const events = [];
+    for (let first = 0; ; first += this.pageSize) {
+      const page = await list({ ...query, dateFrom: toDate(cursor.position), first, max: this.pageSize });
+      let reachedCursor = false;
+      for (const event of page) {
+        if (event.time < cursor.position) {
+          reachedCursor = true;
+          break;
+        }
+        if (event.time === cursor.position && cursor.seen.includes(eventKey(event))) continue;
+        events.push(event);
+      }
+      if (reachedCursor || page.length < this.pageSize) break;
+    }
+    return events.reverse();
+  }
+
+  /**
+   * Cursor after handling an event
+   * @param {Object} cursor
+   * @param {Object} event
+   * @returns {Object}
+   */
+  advance(cursor, event) {
+    return event.time === cursor.position
+      ? { position: cursor.position, seen: [...cursor.seen, eventKey(event)] }
+      : { position: event.time, seen: [eventKey(event)] };
+  }
+
+  /**
+   * Poll both event sources once
+   */
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+    this.lastPoll = new Date();
+
+    const sources = [
+      [CURSOR_NAMES.user, query => keycloakAdmin.adminClient.listEvents(query),
+        { type: USER_EVENT_TYPES }, event => this.handleUserEvent(event)],
+      [CURSOR_NAMES.admin, query => keycloakAdmin.adminClient.listAdminEvents(query),
+        { resourceTypes: 'USER', operationTypes: ADMIN_OPERATION_TYPES }, event => this.handleAdminEvent(event)]
+    ];
+    const errors = [];
+
+    try {
+      for (const [name, list, query, handle] of sources) {
+        try {
+          await this.ingest(name, list, query, handle);
+        } catch (error) {
+          // Events off in the realm, no view-events role, Keycloak or database down - the full sync still runs
+          this.stats.errors++;
+          errors.push(`${name}: ${error.message}`);
+        }
+      }
+      const lastError = errors.join('; ') || null;
+      if (lastError && lastError !== this.lastError) {
+        console.error('[SogoEventIngestor] FAIL Event ingestion error:', lastError);
+      }
+      this.lastError = lastError;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Handle new events of one source, moving its cursor past each handled event
+   * @param {string} name - Cursor name
+   * @param {Function} list
+   * @param {Object} query
+   * @param {Function} handle - async (event)
+   */
+  async ingest(name, list, query, handle) {
+    let cursor = await this.loadCursor(name);
+    if (!cursor) {
+      cursor = { position: Date.now(), seen: [] };
+      await this.saveCursor(name, cursor);
+      console.log(`[SogoEventIngestor] ${name}: starting at ${new Date(cursor.position).toISOString()}`);
+      return;
+    }
+
+    const events = await this.fetchSince(list, query, cursor);
+    try {
+      for (const event of events) {
+        // A failing event stops the batch; it is retried on the next poll
+        await handle(event);
+        this.stats.events++;
+        cursor = this.advance(cursor, event);
+      }
+    } finally {
+      if (events.length > 0) await this.saveCursor(name, cursor);
+    }
+  }
+
+  /**
+   * @param {Object} event - { time, type, userId, details: { username, ... } }
+   */
+  async handleUserEvent(event) {
+    if (event.type === 'DELETE_ACCOUNT') {
+      const username = event.details && event.details.username;
+      if (username) {
+        await this.remove(username, event.type);
+      } else {
+        this.fullSync(event.type);
+      }
+      return;
+    }
+    await this.provision(event.userId, event.type);
+  }
+
+  /**
+   * @param {Object} event - { time, operationType, resourceType, resourcePath: 'users/<id>' }
+   */
+  async handleAdminEvent(event) {
+    // Only the user itself - users/<id>/reset-password and friends change nothing in SOGo
+    const match = /^users\/([^/]+)$/.exec(event.resourcePath || '');
+    if (!match) return;
+
+    if (event.operationType === 'DELETE') {
+      this.fullSync(`admin ${event.operationType}`);
+      return;
+    }
+    await this.provision(match[1], `admin ${event.operationType}`);
+  }
+
+  /**
+   * Create/update the user's row from the current Keycloak state
+   * @param {string} userId
+   * @param {string} reason - Event type (for the log)
+   */
+  async provision(userId, reason) {
+    if (!userId) return;
+    let kcUser;
+    try {
+      kcUser = await keycloakAdmin.getUserById(userId);
+    } catch (error) {
+      if (error.status === 404) {
+        // Deleted since - no username left to delete by
+        this.fullSync(`${reason}, user gone`);
+        return;
+      }
+      throw error;
+    }
+
+    if (kcUser.enabled === false) {
+      await this.remove(kcUser.username, `${reason}, disabled`);
+      return;
+    }
+    if (this.syncDaemon.dryRun) {
+      console.log(`[SogoEventIngestor] Dry run: would provision ${kcUser.username} (${reason})`);
+      return;
+    }
+
+    const result = await sogoUserService.ensureUserInSogo({
+      username: kcUser.username,
+      email: kcUser.email,
+      firstName: kcUser.firstName,
+      lastName: kcUser.lastName
+    });
+    if (!result.success) {
+      throw new Error(`Provisioning ${kcUser.username} failed: ${result.error}`);
+    }
+    this.stats.provisioned++;
+    console.log(`[SogoEventIngestor] OK ${kcUser.username} ${result.action} in SOGo (${reason})`);
+  }
+
+  /**
+   * Delete the user's row (SOGO_SYNC_DELETE_MODE)
+   * @param {string} username - c_uid
+   * @param {string} reason
+   */
+  async remove(username, reason) {
+    if (this.syncDaemon.dryRun) {
+      console.log(`[SogoEventIngestor] Dry run: would remove ${username} (${reason})`);
+      return;
+    }
+    const result = await this.syncDaemon.removeRow(username);
+    if (!result.success) {
+      throw new Error(`Removing ${username} failed: ${result.error}`);
+    }
+    if (result.deleted) this.stats.removed++;
+    console.log(`[SogoEventIngestor] ${result.message} (${reason})`);
+  }
+
+  /**
+   * @param {string} reason
+   */
+  fullSync(reason) {
+    this.stats.fullSyncs++;
+    console.log(`[SogoEventIngestor] Requesting full sync (${reason})`);
+    this.syncDaemon.requestFullSync();
+  }
+
+  /**
+   * Get ingestion status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: !!this.timer,
+      intervalMs: this.intervalMs,
+      lastPoll: this.lastPoll,
+      lastError: this.lastError,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+// Singleton instance
+const sogoEventIngestor = new SogoEventIngestor();
+
+module.exports = sogoEventIngestor;
+module.exports.SogoEventIngestor = SogoEventIngestor;
+module.exports.USER_EVENT_TYPES = USER_EVENT_TYPES;
@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Standalone SOGo Sync Daemon Runner
+ *
+ * Runs the SOGo sync daemon (periodic Keycloak -> sogo_users diff) together with the Keycloak
+ * event ingestor in their own process; the web server does not start them.
+ *
+ * Usage:
+ *   node backend/services/sogo/sogo-sync-daemon-standalone.js
+ *
+ * Environment variables required:
+ *   - KEYCLOAK_URL
+ *   - KEYCLOAK_REALM
+ *   - KEYCLOAK_ADMIN_CLIENT_ID
+ *   - KEYCLOAK_ADMIN_CLIENT_SECRET
+ *   - SOGO_DB_* (sogo_users table)
+ *   - DEMO_SSO_MAIL_CLIENT_NAME=sogo and DEMO_MAIL_PROVIDER=stalwart, or SOGO_SYNC_ENABLED=true
+ * Optional: SOGO_SYNC_* (interval, delete mode, dry run), SOGO_EVENTS_* (event ingestion)
+ *
+ * The admin console (/admin) reads getStatus() from the PID and status files written here.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const daemonStatus = require('../daemon-status');
+
+const STATUS_PUBLISH_INTERVAL_MS = 15000;
+let statusTimer = null;
+
+function publishStatus() {
+  daemonStatus.writeSogoSyncDaemonStatus(sogoSyncDaemon.getStatus());
+}
+
+// .env from the current working directory, backend/.env or the project root
+const envPaths = [
+  path.join(process.cwd(), '.env'),
+  path.join(__dirname, '../../.env'),
+  path.join(__dirname, '../../../.env')
+];
+const envPath = envPaths.find(candidate => fs.existsSync(candidate));
+require('dotenv').config(envPath ? { path: envPath } : undefined);
+console.log(`[SogoSyncStandalone] Loaded .env from: ${envPath || process.cwd()}`);
+
+const requiredEnvVars = ['KEYCLOAK_URL', 'KEYCLOAK_REALM', 'KEYCLOAK_ADMIN_CLIENT_ID', 'KEYCLOAK_ADMIN_CLIENT_SECRET'];
+const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
+if (missingVars.length > 0) {
+  console.error(`[SogoSyncStandalone] FAIL Missing required environment variables: ${missingVars.join(', ')}`);
+  process.exit(1);
+}
+
+const sogoSyncDaemon = require('./sogo-sync-daemon');
+
+// Starts the event ingestor as well
+if (!sogoSyncDaemon.start()) {
+  console.error('[SogoSyncStandalone] FAIL Daemon did not start. Check configuration.');
+  process.exit(1);
+}
+console.log('[SogoSyncStandalone] Daemon started, press Ctrl+C to stop');
+
+fs.writeFileSync(daemonStatus.SOGO_SYNC_DAEMON_PID_FILE, process.pid.toString(), 'utf8');
+publishStatus();
+statusTimer = setInterval(publishStatus, STATUS_PUBLISH_INTERVAL_MS);
+
+let shuttingDown = false;
+
+const shutdown = async () => {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log('[SogoSyncStandalone] Shutting down...');
+  // Stops the event ingestor as well
+  sogoSyncDaemon.stop();
+
+  clearInterval(statusTimer);
+  daemonStatus.removeSogoSyncDaemonStatus();
+  try {
+    fs.unlinkSync(daemonStatus.SOGO_SYNC_DAEMON_PID_FILE);
+  } catch (error) {
+    // Already gone
+  }
+
+  for (const service of ['./sogo-user-service', '../databaseService']) {
+    try {
+      await require(service).close();
+    } catch (error) {
+      // Ignore if not initialized
+    }
+  }
+
+  console.log('[SogoSyncStandalone] Shutdown complete');
+  process.exit(0);
+};
+
+process.on('SIGTERM', shutdown);
+process.on('SIGINT', shutdown);
+
+process.on('unhandledRejection', (reason) => {
+  console.error('[SogoSyncStandalone] Unhandled rejection:', reason);
+});
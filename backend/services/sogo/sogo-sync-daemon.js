@@ -1,8 +1,22 @@
 /**
  * SOGo Sync Daemon
  * 
- * Background service that periodically scans Keycloak for all users
- * and ensures they exist in SOGo's sogo_users table.
+ * Background service that periodically syncs Keycloak users one-way into SOGo's
+ * sogo_users table. Each tick diffs the enabled Keycloak users against the table:
+ * - insert: enabled Keycloak user without a row
+ * - update: row whose name/email/display name no longer matches Keycloak
+ * - delete: row without an enabled Keycloak user (deleted or disabled), according to
+ *   SOGO_SYNC_DELETE_MODE: soft (default - moved to sogo_users_deleted), hard, or off.
+ *   SOGO_SYNC_PROTECTED_UIDS are never deleted; more than SOGO_SYNC_MAX_DELETES deletes
+ *   (default 50, 0 = no limit) in one tick are skipped as suspicious. Each delete is confirmed
+ *   by a username lookup first - users removed while the listing was paged shift its offsets,
+ *   so an enabled user can be missing from it
+ * 
+ * With SOGO_SYNC_DRY_RUN=true the diff is only reported (getStatus().lastTick).
+ * Nothing is compared when Keycloak or the SOGo database can't be listed.
+ * 
+ * Runs in its own process (sogo-sync-daemon-standalone.js, npm run sogo:sync:daemon), together
+ * with the Keycloak event ingestor.
  * 
  * Only runs when:
  * - DEMO_SSO_MAIL_CLIENT_NAME=sogo AND DEMO_MAIL_PROVIDER=stalwart
@@ -13,6 +27,9 @@ const keycloakAdmin = require('../../config/keycloak-admin');
 const sogoUserService = require('./sogo-user-service');
 const mailServiceConfig = require('../../config/mail-service-config');
 
+const DELETE_MODES = ['soft', 'hard', 'off'];
+const SYNCED_COLUMNS = ['c_name', 'mail', 'c_cn'];
+
 class SogoSyncDaemon {
   constructor() {
     this.running = false;
@@ -23,13 +40,32 @@ class SogoSyncDaemon {
       10
     );
     this.lastSyncTime = null;
+    this.lastTick = null;
+    this.fullSyncRequested = false;
     this.stats = {
       totalScanned: 0,
       totalCreated: 0,
       totalUpdated: 0,
+      totalDeleted: 0,
       totalErrors: 0,
       lastRun: null
     };
+    this.loadConfig();
+  }
+
+  /**
+   * Read the sync options from the environment
+   */
+  loadConfig() {
+    this.dryRun = (process.env.SOGO_SYNC_DRY_RUN || 'false').toLowerCase() === 'true';
+    const deleteMode = (process.env.SOGO_SYNC_DELETE_MODE || 'soft').toLowerCase();
+    if (!DELETE_MODES.includes(deleteMode)) {
+      console.warn(`[SogoSyncDaemon] WARN: Unknown SOGO_SYNC_DELETE_MODE "${deleteMode}", deletes are off`);
+    }
+    this.deleteMode = DELETE_MODES.includes(deleteMode) ? deleteMode : 'off';
+    this.maxDeletes = parseInt(process.env.SOGO_SYNC_MAX_DELETES || '50', 10);
+    this.protectedUids = (process.env.SOGO_SYNC_PROTECTED_UIDS || '')
+      .split(',').map(uid => uid.trim().toLowerCase()).filter(Boolean);
   }
 
   /**
@@ -72,6 +108,9 @@ class SogoSyncDaemon {
     this.running = true;
     console.log(`[SogoSyncDaemon] Starting with interval ${this.intervalMs}ms`);
 
+    // Keycloak events provision users between full syncs (no-op unless SOGO_EVENTS_ENABLED)
+    require('./sogo-event-ingestor').start();
+
     // Run immediately on start
     this.tick().catch(err => {
       console.error('[SogoSyncDaemon] Initial tick error:', err);
@@ -102,14 +141,52 @@ class SogoSyncDaemon {
       clearInterval(this.timer);
       this.timer = null;
     }
+    require('./sogo-event-ingestor').stop();
     console.log('[SogoSyncDaemon] Stopped');
     return true;
   }
 
+  /**
+   * Diff the enabled Keycloak users against the sogo_users rows
+   * @param {Map<string, Object>} desired - c_uid -> { username, email, firstName, lastName }
+   * @param {Object[]} rows - sogo_users rows
+   * @returns {Object} { inserts: [user], updates: [{ user, changed }], deletes: [row], protected, unchanged }
+   */
+  diff(desired, rows) {
+    const plan = { inserts: [], updates: [], deletes: [], protected: [], unchanged: 0 };
+    const existing = new Map(rows.map(row => [row.c_uid, row]));
+
+    for (const [cUid, user] of desired) {
+      const current = existing.get(cUid);
+      if (!current) {
+        plan.inserts.push(user);
+        continue;
+      }
+      const row = sogoUserService.toSogoRow(user);
+      const changed = SYNCED_COLUMNS.filter(column => (current[column] || '') !== (row[column] || ''));
+      if (changed.length > 0) {
+        plan.updates.push({ user, changed });
+      } else {
+        plan.unchanged++;
+      }
+    }
+
+    for (const row of rows) {
+      if (desired.has(row.c_uid)) continue;
+      if (this.protectedUids.includes(String(row.c_uid).toLowerCase())) {
+        plan.protected.push(row.c_uid);
+      } else {
+        plan.deletes.push(row);
+      }
+    }
+    return plan;
+  }
+
   /**
    * Perform sync operation
+   * @param {string} [trigger] - interval | event (reported in lastTick)
    */
-  async tick() {
+  async tick(trigger = 'interval') {
     if (!this.shouldRun()) {
       console.log('[SogoSyncDaemon] SOGo sync conditions not met, skipping sync');
       return;
@@ -122,68 +199,184 @@ class SogoSyncDaemon {
 
     this.isTicking = true;
     this.stats.lastRun = new Date();
+    const tick = {
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      trigger,
+      dryRun: this.dryRun,
+      deleteMode: this.deleteMode,
+      scanned: 0,
+      disabled: 0,
+      created: 0,
+      updated: 0,
+      deleted: 0,
+      unchanged: 0,
+      protected: 0,
+      deletesSkipped: 0,
+      deletesUnconfirmed: 0,
+      errors: 0,
+      error: null
+    };
 
     try {
-      console.log('[SogoSyncDaemon] Starting sync...');
-      
-      // Fetch all users from Keycloak
-      const keycloakUsers = await keycloakAdmin.getAllUsers();
-      console.log(`[SogoSyncDaemon] Found ${keycloakUsers.length} users in Keycloak`);
-
-      let created = 0;
-      let updated = 0;
-      let errors = 0;
-
-      // Sync each user to SOGo
-      for (const kcUser of keycloakUsers) {
-        try {
-          // Skip disabled users
-          if (kcUser.enabled === false) {
-            continue;
-          }
-
-          const username = kcUser.username;
-          const email = kcUser.email || `${username}@${process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space'}`;
-          const firstName = kcUser.firstName || '';
-          const lastName = kcUser.lastName || '';
-
-          const result = await sogoUserService.ensureUserInSogo({
-            keycloakId: kcUser.id,
-            username,
-            email,
-            firstName,
-            lastName
-          });
-
-          if (result.success) {
-            if (result.action === 'created') {
-              created++;
-            } else {
-              updated++;
-            }
-          } else {
-            errors++;
-            console.error(`[SogoSyncDaemon] Failed to sync user ${username}:`, result.error);
-          }
-        } catch (error) {
-          errors++;
-          console.error(`[SogoSyncDaemon] Error syncing user ${kcUser.username}:`, error.message);
+      console.log(`[SogoSyncDaemon] Starting sync${this.dryRun ? ' (dry run)' : ''}...`);
+
+      // Desired state - streamed page by page from Keycloak; disabled users are deleted from SOGo
+      const desired = new Map();
+      for await (const kcUser of keycloakAdmin.iterateUsers()) {
+        tick.scanned++;
+        if (kcUser.enabled === false) {
+          tick.disabled++;
+          continue;
         }
+        desired.set(kcUser.username, {
+          username: kcUser.username,
+          email: kcUser.email,
+          firstName: kcUser.firstName,
+          lastName: kcUser.lastName
+        });
       }
 
-      this.stats.totalScanned += keycloakUsers.length;
-      this.stats.totalCreated += created;
-      this.stats.totalUpdated += updated;
-      this.stats.totalErrors += errors;
-      this.lastSyncTime = new Date();
+      const plan = this.diff(desired, await sogoUserService.listSogoUsers());
+      tick.unchanged = plan.unchanged;
+      tick.protected = plan.protected.length;
 
-      console.log(`[SogoSyncDaemon] Sync complete: ${created} created, ${updated} updated, ${errors} errors`);
+      const candidates = this.deleteMode === 'off' ? plan.deletes : await this.confirmDeletes(plan.deletes, tick);
+      let deletes = this.deleteMode === 'off' ? [] : candidates;
+      if (this.maxDeletes > 0 && deletes.length > this.maxDeletes) {
+        console.warn(`[SogoSyncDaemon] WARN: ${deletes.length} deletes exceed SOGO_SYNC_MAX_DELETES=${this.maxDeletes}, skipping deletes this tick`);
+        deletes = [];
+      }
+      tick.deletesSkipped = candidates.length - deletes.length;
+
+      if (this.dryRun) {
+        tick.created = plan.inserts.length;
+        tick.updated = plan.updates.length;
+        tick.deleted = deletes.length;
+        tick.plan = {
+          insert: plan.inserts.map(user => user.username),
+          update: plan.updates.map(({ user, changed }) => ({ c_uid: user.username, changed })),
+          delete: deletes.map(row => row.c_uid)
+        };
+      } else {
+        await this.apply(plan.inserts, plan.updates, deletes, tick);
+      }
+
+      this.lastSyncTime = new Date();
+      console.log(`[SogoSyncDaemon] Sync complete${this.dryRun ? ' (dry run, nothing changed)' : ''}: ${tick.scanned} users scanned, ${tick.created} created, ${tick.updated} updated, ${tick.deleted} deleted (${this.deleteMode}), ${tick.unchanged} unchanged, ${tick.errors} errors`);
     } catch (error) {
       console.error('[SogoSyncDaemon] Sync error:', error);
-      this.stats.totalErrors++;
+      tick.error = error.message;
+      tick.errors++;
     } finally {
+      tick.finishedAt = new Date().toISOString();
+      this.lastTick = tick;
+      this.stats.totalScanned += tick.scanned;
+      if (!this.dryRun) {
+        this.stats.totalCreated += tick.created;
+        this.stats.totalUpdated += tick.updated;
+        this.stats.totalDeleted += tick.deleted;
+      }
+      this.stats.totalErrors += tick.errors;
       this.isTicking = false;
     }
+
+    if (this.fullSyncRequested) {
+      this.fullSyncRequested = false;
+      await this.tick('event');
+    }
+  }
+
+  /**
+   * Keep only the delete candidates that Keycloak confirms as missing or disabled
+   * @param {Object[]} rows - sogo_users rows
+   * @param {Object} tick - Per-tick counters (deletesUnconfirmed, errors)
+   * @returns {Promise<Object[]>} Rows to delete
+   */
+  async confirmDeletes(rows, tick) {
+    const confirmed = [];
+    for (const row of rows) {
+      try {
+        const kcUser = await keycloakAdmin.getUserByUsername(row.c_uid);
+        if (kcUser && kcUser.enabled !== false) {
+          tick.deletesUnconfirmed++;
+          console.warn(`[SogoSyncDaemon] WARN: ${row.c_uid} is enabled in Keycloak but was missing from the listing, not deleting`);
+          continue;
+        }
+        confirmed.push(row);
+      } catch (error) {
+        tick.deletesUnconfirmed++;
+        tick.errors++;
+        console.error(`[SogoSyncDaemon] Could not confirm delete of ${row.c_uid}, keeping it:`, error.message);
+      }
+    }
+    return confirmed;
+  }
+
+  /**
+   * Apply a diff to sogo_users, counting into tick
+   * @param {Object[]} inserts - Keycloak users
+   * @param {Object[]} updates - [{ user, changed }]
+   * @param {Object[]} deletes - sogo_users rows
+   * @param {Object} tick - Per-tick counters
+   */
+  async apply(inserts, updates, deletes, tick) {
+    // Upsert for both - a user created in SOGo meanwhile is simply updated
+    for (const user of [...inserts, ...updates.map(update => update.user)]) {
+      const result = await sogoUserService.ensureUserInSogo(user);
+      if (result.success) {
+        if (result.action === 'created') {
+          tick.created++;
+        } else {
+          tick.updated++;
+        }
+      } else {
+        tick.errors++;
+        console.error(`[SogoSyncDaemon] Failed to sync user ${user.username}:`, result.error);
+      }
+    }
+
+    for (const row of deletes) {
+      const result = await this.removeRow(row.c_uid);
+      if (result.success) {
+        if (result.deleted) tick.deleted++;
+        console.log(`[SogoSyncDaemon] ${result.message}`);
+      } else {
+        tick.errors++;
+        console.error(`[SogoSyncDaemon] Failed to delete user ${row.c_uid}:`, result.error);
+      }
+    }
+  }
+
+  /**
+   * Remove one sogo_users row according to SOGO_SYNC_DELETE_MODE (off: nothing is removed)
+   * @param {string} cUid
+   * @returns {Promise<Object>} { success, deleted, message } or { success: false, error }
+   */
+  async removeRow(cUid) {
+    if (this.deleteMode === 'off') {
+      return { success: true, deleted: false, message: `User ${cUid} kept (SOGO_SYNC_DELETE_MODE=off)` };
+    }
+    if (this.protectedUids.includes(String(cUid).toLowerCase())) {
+      return { success: true, deleted: false, message: `User ${cUid} kept (protected)` };
+    }
+    return this.deleteMode === 'hard'
+      ? sogoUserService.deleteUser(cUid)
+      : sogoUserService.softDeleteUser(cUid);
+  }
+
+  /**
+   * Run a full sync now - or right after the running one, whose Keycloak listing may predate
+   * the change that asked for it
+   */
+  requestFullSync() {
+    if (this.isTicking) {
+      this.fullSyncRequested = true;
+      return;
+    }
+    this.tick('event').catch(err => {
+      console.error('[SogoSyncDaemon] Requested sync error:', err);
+    });
   }
 
   /**
@@ -196,6 +389,10 @@ class SogoSyncDaemon {
       intervalMs: this.intervalMs,
       lastSyncTime: this.lastSyncTime,
       isTicking: this.isTicking,
+      dryRun: this.dryRun,
+      deleteMode: this.deleteMode,
+      lastTick: this.lastTick,
+      events: require('./sogo-event-ingestor').getStatus(),
       stats: { ...this.stats }
     };
   }
@@ -205,4 +402,5 @@ class SogoSyncDaemon {
 const sogoSyncDaemon = new SogoSyncDaemon();
 
 module.exports = sogoSyncDaemon;
+module.exports.SogoSyncDaemon = SogoSyncDaemon;
 
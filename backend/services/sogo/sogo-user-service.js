@@ -61,6 +61,22 @@ class SogoUserService {
     return crypto.createHash('md5').update(pwd).digest('hex');
   }
 
+  /**
+   * Build the sogo_users columns for a Keycloak user
+   * @param {Object} userData - { username, email, firstName, lastName }
+   * @returns {Object} { c_uid, c_name, mail, c_cn }
+   */
+  toSogoRow({ username, email, firstName, lastName }) {
+    // Use username as c_uid (primary key) - this should match what SOGo expects
+    const cName = email || `${username}@${process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space'}`;
+    return {
+      c_uid: username,
+      c_name: cName,
+      mail: email || cName,
+      c_cn: [firstName, lastName].filter(Boolean).join(' ') || username
+    };
+  }
+
   /**
    * Ensure user exists in sogo_users table
    * Uses INSERT ... ON CONFLICT (c_uid) DO UPDATE to handle race conditions.
@@ -74,7 +90,7 @@ class SogoUserService {
    * @param {string} userData.email - Email address
    * @param {string} [userData.firstName] - First name
    * @param {string} [userData.lastName] - Last name
-   * @returns {Promise<Object>} Result object with success flag
+   * @returns {Promise<Object>} { success, action: 'created'|'updated', user } or { success: false, error }
    */
   async ensureUserInSogo(userData) {
     if (!this.initialized) {
@@ -88,14 +104,8 @@ class SogoUserService {
       };
     }
 
-    const { username, email, firstName, lastName, keycloakId } = userData;
-    
-    // Use username as c_uid (primary key) - this should match what SOGo expects
-    const cUid = username;
-    const cName = email || `${username}@${process.env.DEMO_INTERNAL_EMAIL_DOMAIN || 'workinpilot.space'}`;
-    const mail = email || cName;
-    const cCn = [firstName, lastName].filter(Boolean).join(' ') || username;
-    
+    const { c_uid: cUid, c_name: cName, mail, c_cn: cCn } = this.toSogoRow(userData);
+
     // Generate a dummy password hash (not used for OIDC auth, but required by schema)
     const cPassword = this.generatePasswordHash();
 
@@ -111,7 +121,7 @@ class SogoUserService {
           WHEN sogo_users.c_password IS NULL THEN EXCLUDED.c_password 
           ELSE sogo_users.c_password 
         END
-      RETURNING c_uid, c_name, mail, c_cn;
+      RETURNING c_uid, c_name, mail, c_cn, (xmax = 0) AS inserted;
     `;
 
     try {
@@ -126,10 +136,12 @@ class SogoUserService {
       ]);
 
       if (result.rows.length > 0) {
+        // xmax is 0 only for a freshly inserted row version
+        const { inserted, ...user } = result.rows[0];
         return {
           success: true,
-          action: result.rows[0].c_uid === cUid ? 'created' : 'updated',
-          user: result.rows[0]
+          action: inserted ? 'created' : 'updated',
+          user
         };
       }
 
@@ -173,23 +185,32 @@ class SogoUserService {
   }
 
   /**
-   * Get all users from sogo_users table
+   * List all users from sogo_users table, failing when the database can't be read
    * @returns {Promise<Array>} Array of user records
+   * @throws {Error} When the pool is not initialized or the query fails
    */
-  async getAllSogoUsers() {
+  async listSogoUsers() {
     if (!this.initialized) {
       await this.initialize();
     }
 
     if (!this.pool) {
-      return [];
+      throw new Error('PostgreSQL pool not initialized');
     }
 
+    const result = await this.pool.query(
+      'SELECT c_uid, c_name, mail, c_cn FROM sogo_users ORDER BY c_uid'
+    );
+    return result.rows;
+  }
+
+  /**
+   * Get all users from sogo_users table
+   * @returns {Promise<Array>} Array of user records (empty on error)
+   */
+  async getAllSogoUsers() {
     try {
-      const result = await this.pool.query(
-        'SELECT c_uid, c_name, mail, c_cn FROM sogo_users ORDER BY c_uid'
-      );
-      return result.rows;
+      return await this.listSogoUsers();
     } catch (error) {
       console.error('[SogoUserService] Error fetching SOGo users:', error);
       return [];
@@ -237,6 +258,51 @@ class SogoUserService {
     }
   }
 
+  /**
+   * Soft-delete user: move the row from sogo_users to sogo_users_deleted (created on first use,
+   * sogo_users columns plus deleted_at), so SOGo no longer resolves the user but the row can be
+   * restored
+   * @param {string} cUid - User ID (username)
+   * @returns {Promise<Object>} Result object with success flag
+   */
+  async softDeleteUser(cUid) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    if (!this.pool) {
+      return {
+        success: false,
+        error: 'PostgreSQL pool not initialized'
+      };
+    }
+
+    try {
+      await this.pool.query('CREATE TABLE IF NOT EXISTS sogo_users_deleted AS SELECT * FROM sogo_users WITH NO DATA');
+      await this.pool.query('ALTER TABLE sogo_users_deleted ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ');
+      // One statement, so the row is never lost between delete and insert
+      const result = await this.pool.query(
+        `WITH moved AS (DELETE FROM sogo_users WHERE c_uid = $1 RETURNING *)
+         INSERT INTO sogo_users_deleted SELECT moved.*, now() FROM moved`,
+        [cUid]
+      );
+
+      return {
+        success: true,
+        deleted: result.rowCount > 0,
+        message: result.rowCount > 0
+          ? `User ${cUid} moved to sogo_users_deleted`
+          : `User ${cUid} not found in SOGo`
+      };
+    } catch (error) {
+      console.error('[SogoUserService] Error soft-deleting user:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
 
 
 
@@ -0,0 +1,68 @@
+/**
+ * Database Token Store
+ *
+ * refresh_tokens table in the demo app database (SQLite or PostgreSQL via databaseService).
+ */
+
+const databaseService = require('../databaseService');
+
+function toRecord(row) {
+  if (!row) return null;
+  return {
+    ciphertext: row.ciphertext,
+    keyId: row.key_id || null,
+    // BIGINT comes back from pg as a string
+    expiresAt: row.expires_at === null || row.expires_at === undefined ? null : Number(row.expires_at)
+  };
+}
+
+class DatabaseTokenStore {
+  constructor() {
+    this.name = 'database';
+  }
+
+  async get(key) {
+    const db = await databaseService.db();
+    return toRecord(await db.get('SELECT * FROM refresh_tokens WHERE user_key = ?', [key]));
+  }
+
+  async set(key, record) {
+    const db = await databaseService.db();
+    await db.run(
+      `INSERT INTO refresh_tokens (user_key, ciphertext, key_id, expires_at, updated_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_key) DO UPDATE SET
+         ciphertext = excluded.ciphertext,
+         key_id = excluded.key_id,
+         expires_at = excluded.expires_at,
+         updated_at = CURRENT_TIMESTAMP`,
+      [key, record.ciphertext, record.keyId || null, record.expiresAt || null]
+    );
+  }
+
+  async delete(key) {
+    const db = await databaseService.db();
+    const result = await db.run('DELETE FROM refresh_tokens WHERE user_key = ?', [key]);
+    return result.changes > 0;
+  }
+
+  async entries() {
+    const db = await databaseService.db();
+    const rows = await db.all('SELECT * FROM refresh_tokens');
+    return rows.map(row => [row.user_key, toRecord(row)]);
+  }
+
+  async evictExpired(now = Date.now()) {
+    const db = await databaseService.db();
+    const result = await db.run(
+      'DELETE FROM refresh_tokens WHERE expires_at IS NOT NULL AND expires_at <= ?',
+      [now]
+    );
+    return result.changes;
+  }
+
+  // Connection is owned by databaseService
+  async close() {}
+}
+
+module.exports = DatabaseTokenStore;
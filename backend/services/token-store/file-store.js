@@ -0,0 +1,90 @@
+/**
+ * File Token Store
+ *
+ * JSON file (key -> record), for deployments without a database.
+ * Writes go to a temp file that is renamed into place, so a crash never leaves a
+ * truncated store. The file only ever holds ciphertext and is created with mode 0600.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileTokenStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.filename - Path to the JSON file
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.filename = options.filename;
+    this.records = null;
+    // Serializes writes so concurrent set/delete calls don't interleave renames
+    this.writeChain = Promise.resolve();
+  }
+
+  _load() {
+    if (this.records) return this.records;
+    try {
+      this.records = fs.existsSync(this.filename)
+        ? JSON.parse(fs.readFileSync(this.filename, 'utf8'))
+        : {};
+    } catch (error) {
+      console.error(`[TokenStore] Failed to read ${this.filename}, starting empty:`, error.message);
+      this.records = {};
+    }
+    return this.records;
+  }
+
+  _persist() {
+    const snapshot = JSON.stringify(this._load(), null, 2);
+    this.writeChain = this.writeChain.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+      const tmp = `${this.filename}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot, { encoding: 'utf8', mode: 0o600 });
+      await fs.promises.rename(tmp, this.filename);
+    }).catch((error) => {
+      console.error(`[TokenStore] Failed to write ${this.filename}:`, error.message);
+    });
+    return this.writeChain;
+  }
+
+  async get(key) {
+    return this._load()[key] || null;
+  }
+
+  async set(key, record) {
+    this._load()[key] = { ...record };
+    await this._persist();
+  }
+
+  async delete(key) {
+    const records = this._load();
+    if (!(key in records)) return false;
+    delete records[key];
+    await this._persist();
+    return true;
+  }
+
+  async entries() {
+    return Object.entries(this._load());
+  }
+
+  async evictExpired(now = Date.now()) {
+    const records = this._load();
+    let evicted = 0;
+    for (const [key, record] of Object.entries(records)) {
+      if (record.expiresAt && record.expiresAt <= now) {
+        delete records[key];
+        evicted++;
+      }
+    }
+    if (evicted) await this._persist();
+    return evicted;
+  }
+
+  async close() {
+    await this.writeChain;
+  }
+}
+
+module.exports = FileTokenStore;
@@ -0,0 +1,53 @@
+/**
+ * Token Store factory
+ *
+ * Storage backends for TokenService refresh tokens. Every store keeps opaque records
+ * ({ ciphertext, keyId, expiresAt }) keyed by user - encryption is TokenService's job.
+ *
+ * TOKEN_STORE_BACKEND:
+ * - database (default): refresh_tokens table via databaseService (DEMO_DB_CLIENT sqlite/postgres)
+ * - file: JSON file at TOKEN_STORE_FILE (default: backend/token-store.json)
+ * - redis: Redis-compatible server at REDIS_URL (requires the `redis` package)
+ * - memory: in-process Map (lost on restart)
+ */
+
+const path = require('path');
+const MemoryTokenStore = require('./memory-store');
+const FileTokenStore = require('./file-store');
+const DatabaseTokenStore = require('./database-store');
+const RedisTokenStore = require('./redis-store');
+
+/**
+ * Build the store selected by TOKEN_STORE_BACKEND
+ * @returns {MemoryTokenStore|FileTokenStore|DatabaseTokenStore|RedisTokenStore}
+ */
+function createTokenStore() {
+  const backend = (process.env.TOKEN_STORE_BACKEND || 'database').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryTokenStore();
+    case 'file':
+      return new FileTokenStore({
+        filename: process.env.TOKEN_STORE_FILE || path.join(__dirname, '..', '..', 'token-store.json')
+      });
+    case 'redis':
+      return new RedisTokenStore({
+        url: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+        prefix: process.env.TOKEN_STORE_REDIS_PREFIX
+      });
+    case 'database':
+      return new DatabaseTokenStore();
+    default:
+      console.warn(`[TokenStore] Unknown TOKEN_STORE_BACKEND "${backend}", defaulting to "database"`);
+      return new DatabaseTokenStore();
+  }
+}
+
+module.exports = {
+  createTokenStore,
+  MemoryTokenStore,
+  FileTokenStore,
+  DatabaseTokenStore,
+  RedisTokenStore
+};
@@ -0,0 +1,47 @@
+/**
+ * Memory Token Store
+ *
+ * In-process Map (the original TokenService storage). Records are lost on restart;
+ * use for tests or single-process development only.
+ */
+
+class MemoryTokenStore {
+  /**
+   * @param {Map} [map] - Existing Map to wrap (key -> record)
+   */
+  constructor(map) {
+    this.name = 'memory';
+    this.map = map instanceof Map ? map : new Map();
+  }
+
+  async get(key) {
+    return this.map.get(key) || null;
+  }
+
+  async set(key, record) {
+    this.map.set(key, { ...record });
+  }
+
+  async delete(key) {
+    return this.map.delete(key);
+  }
+
+  async entries() {
+    return [...this.map.entries()];
+  }
+
+  async evictExpired(now = Date.now()) {
+    let evicted = 0;
+    for (const [key, record] of this.map.entries()) {
+      if (record.expiresAt && record.expiresAt <= now) {
+        this.map.delete(key);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryTokenStore;
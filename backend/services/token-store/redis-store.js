@@ -0,0 +1,92 @@
+/**
+ * Redis Token Store
+ *
+ * Works with any client exposing the node-redis v4 promise API:
+ *   get(key), set(key, value, { PX }), del(key), keys(pattern), quit()
+ * (Redis, Valkey, KeyDB, Dragonfly...). Expiry is delegated to Redis (PX), so
+ * evictExpired() has nothing to do.
+ *
+ * The `redis` package is not a dependency of this app: pass a connected client, or
+ * install `redis` and set REDIS_URL.
+ */
+
+class RedisTokenStore {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.client] - Connected Redis-compatible client
+   * @param {string} [options.url] - Used to create a client when none is passed
+   * @param {string} [options.prefix] - Key prefix (default: demo:refresh-token:)
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    this.client = options.client || null;
+    this.url = options.url;
+    this.prefix = options.prefix || 'demo:refresh-token:';
+    this.connectPromise = null;
+  }
+
+  async _client() {
+    if (this.client) return this.client;
+    if (!this.connectPromise) {
+      this.connectPromise = (async () => {
+        let redis;
+        try {
+          redis = require('redis');
+        } catch (_) {
+          throw new Error('TOKEN_STORE_BACKEND=redis requires the "redis" package (npm install redis)');
+        }
+        const client = redis.createClient({ url: this.url });
+        client.on('error', (error) => console.error('[TokenStore] Redis error:', error.message));
+        await client.connect();
+        this.client = client;
+        return client;
+      })();
+    }
+    return this.connectPromise;
+  }
+
+  async get(key) {
+    const client = await this._client();
+    const value = await client.get(this.prefix + key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(key, record) {
+    const client = await this._client();
+    const options = {};
+    if (record.expiresAt) {
+      options.PX = Math.max(1, record.expiresAt - Date.now());
+    }
+    await client.set(this.prefix + key, JSON.stringify(record), options);
+  }
+
+  async delete(key) {
+    const client = await this._client();
+    return (await client.del(this.prefix + key)) > 0;
+  }
+
+  async entries() {
+    const client = await this._client();
+    const keys = await client.keys(`${this.prefix}*`);
+    const result = [];
+    for (const fullKey of keys) {
+      const value = await client.get(fullKey);
+      if (value) result.push([fullKey.slice(this.prefix.length), JSON.parse(value)]);
+    }
+    return result;
+  }
+
+  async evictExpired() {
+    return 0;
+  }
+
+  async close() {
+    if (this.client && typeof this.client.quit === 'function') {
+      await this.client.quit();
+    }
+    this.client = null;
+    this.connectPromise = null;
+  }
+}
+
+module.exports = RedisTokenStore;
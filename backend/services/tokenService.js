@@ -6,26 +6,50 @@
  * 
  * Storage:
  * - Access and ID tokens: Session storage (req.session)
- * - Refresh token: Encrypted in-memory storage
+ * - Refresh token: Encrypted, in a persistent store (TOKEN_STORE_BACKEND, see services/token-store)
+ * 
+ * Encryption keys (AES-256-GCM):
+ * - TOKEN_SERVICE_ENCRYPTION_KEYS=newId:secret,oldId:secret - first key encrypts, all keys decrypt.
+ *   To rotate: prepend a new key, restart, run rotateKeys() (scripts/token-store-maintenance.js rotate),
+ *   then drop the old key.
+ * - TOKEN_SERVICE_ENCRYPTION_KEY=secret - single key (id "default"), also decrypts tokens
+ *   written before key ids existed.
+ * - Neither set: random per-process key - stored tokens become unreadable after a restart.
  * 
  * Features:
  * - Automatic token refresh when access token expires or is about to expire (< 1 minute)
+ * - Stored refresh tokens expire with the refresh token itself (TTL eviction)
  * - Detailed logging of token attributes (audience, scope, iat, exp, duration, remaining seconds)
  * - Token invalidation on logout
+ * - Access and ID tokens are verified against the realm JWKS (services/jwt-verifier.js) when
+ *   they enter the service (login, refresh); later reads of the session copies trust that check
  */
 
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwtVerifier = require('./jwt-verifier');
+const { createTokenStore, MemoryTokenStore } = require('./token-store');
+
+// Key id used for TOKEN_SERVICE_ENCRYPTION_KEY and for ciphertext written before key ids existed
+const DEFAULT_KEY_ID = 'default';
 
 class TokenService {
   constructor() {
-    // In-memory storage for encrypted refresh tokens
-    // Key: username/keycloakId, Value: encrypted refresh token
-    this.refreshTokenStore = new Map();
+    // Persistent storage for encrypted refresh tokens
+    // Key: keycloakId, Value: { ciphertext, keyId, expiresAt }
+    this.refreshTokenStore = createTokenStore();
+    
+    // Encryption keys for refresh tokens - first entry is the active (encrypting) key
+    this.encryptionKeys = this._loadEncryptionKeys();
+    this.activeKeyId = this.encryptionKeys.keys().next().value;
+    this.derivedKeys = new Map();
+    
+    // Fallback lifetime for refresh tokens without exp (offline tokens), in seconds
+    this.defaultRefreshTtlSeconds = parseInt(process.env.TOKEN_STORE_DEFAULT_TTL_SEC || '2592000', 10); // 30 days
     
-    // Encryption key for refresh tokens (from environment or generate)
-    // In production, this should be a stable secret from environment
-    this.encryptionKey = process.env.TOKEN_SERVICE_ENCRYPTION_KEY || 
-      crypto.randomBytes(32).toString('hex');
+    // Periodic removal of expired refresh tokens (started on first write)
+    this.evictionIntervalMs = parseInt(process.env.TOKEN_STORE_EVICTION_INTERVAL_MS || '600000', 10); // 10 minutes
+    this.evictionTimer = null;
     
     // Keycloak configuration
     this.keycloakUrl = process.env.KEYCLOAK_URL;
@@ -36,11 +60,54 @@ class TokenService {
     // Minimum remaining validity in seconds before refresh (default: 60 seconds)
     this.minValiditySeconds = 60;
     
-    console.log('[TokenService] Initialized');
+    console.log(`[TokenService] Initialized (store: ${this.refreshTokenStore.name}, active key: ${this.activeKeyId})`);
   }
 
   /**
-   * Decode JWT token without verification (for reading claims)
+   * Read encryption keys from the environment
+   * @returns {Map<string, string>} keyId -> secret, active key first
+   */
+  _loadEncryptionKeys() {
+    const keys = new Map();
+    
+    for (const entry of (process.env.TOKEN_SERVICE_ENCRYPTION_KEYS || '').split(',')) {
+      const trimmed = entry.trim();
+      const sep = trimmed.indexOf(':');
+      if (sep > 0 && sep < trimmed.length - 1) {
+        keys.set(trimmed.slice(0, sep), trimmed.slice(sep + 1));
+      }
+    }
+    
+    if (process.env.TOKEN_SERVICE_ENCRYPTION_KEY && !keys.has(DEFAULT_KEY_ID)) {
+      keys.set(DEFAULT_KEY_ID, process.env.TOKEN_SERVICE_ENCRYPTION_KEY);
+    }
+    
+    if (keys.size === 0) {
+      console.warn('[TokenService] WARN: No TOKEN_SERVICE_ENCRYPTION_KEY(S) set - using a random key, stored refresh tokens will not survive a restart');
+      keys.set(`ephemeral-${crypto.randomBytes(4).toString('hex')}`, crypto.randomBytes(32).toString('hex'));
+    }
+    
+    return keys;
+  }
+
+  /**
+   * Derive (and cache) the AES key for a key id
+   * @param {string} keyId
+   * @returns {Buffer|null} 32-byte key or null if the key id is unknown
+   */
+  _getCipherKey(keyId) {
+    if (!this.derivedKeys.has(keyId)) {
+      const secret = this.encryptionKeys.get(keyId);
+      if (!secret) return null;
+      this.derivedKeys.set(keyId, crypto.scryptSync(secret, 'salt', 32));
+    }
+    return this.derivedKeys.get(keyId);
+  }
+
+  /**
+   * Read JWT claims without verification
+   * Only for tokens verified on entry (see _verifyTokens) and for refresh tokens, which
+   * Keycloak signs with a realm HMAC key that is not published in the JWKS.
    * @param {string} token - JWT token string
    * @returns {Object|null} Decoded token payload or null if invalid
    */
@@ -49,25 +116,20 @@ class TokenService {
       return null;
     }
     
-    try {
-      // JWT tokens have 3 parts: header.payload.signature
-      const parts = token.split('.');
-      if (parts.length !== 3) {
-        return null;
-      }
-      
-      // Decode payload (second part) - base64url decode
-      const payload = parts[1];
-      // Replace URL-safe base64 characters
-      const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
-      // Add padding if needed
-      const padded = base64 + '='.repeat((4 - base64.length % 4) % 4);
-      const decoded = Buffer.from(padded, 'base64').toString('utf-8');
-      
-      return JSON.parse(decoded);
-    } catch (error) {
-      console.error('[TokenService] Error decoding token:', error.message);
-      return null;
+    const decoded = jwt.decode(token);
+    return decoded && typeof decoded === 'object' ? decoded : null;
+  }
+
+  /**
+   * Verify access and ID tokens issued to this client (signature, issuer, expiry, azp / aud)
+   * @param {Object} tokens - { accessToken, idToken }
+   * @returns {Promise<void>}
+   * @throws {JwtVerificationError}
+   */
+  async _verifyTokens({ accessToken, idToken }) {
+    await jwtVerifier.verify(accessToken, { authorizedParty: this.keycloakClientId });
+    if (idToken) {
+      await jwtVerifier.verify(idToken, { audience: this.keycloakClientId });
     }
   }
 
@@ -134,7 +196,7 @@ class TokenService {
     
     try {
       const algorithm = 'aes-256-gcm';
-      const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
+      const key = this._getCipherKey(this.activeKeyId);
       const iv = crypto.randomBytes(16);
       const cipher = crypto.createCipheriv(algorithm, key, iv);
       
@@ -143,8 +205,8 @@ class TokenService {
       
       const authTag = cipher.getAuthTag();
       
-      // Combine IV, authTag, and encrypted data
-      return `${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
+      // Combine key id, IV, authTag, and encrypted data
+      return `${this.activeKeyId}:${iv.toString('hex')}:${authTag.toString('hex')}:${encrypted}`;
     } catch (error) {
       console.error('[TokenService] Error encrypting refresh token:', error.message);
       return null;
@@ -163,13 +225,20 @@ class TokenService {
     
     try {
       const parts = encryptedToken.split(':');
-      if (parts.length !== 3) {
+      // keyId:iv:tag:data, or iv:tag:data from before key ids existed
+      if (parts.length === 3) {
+        parts.unshift(DEFAULT_KEY_ID);
+      }
+      if (parts.length !== 4) {
         throw new Error('Invalid encrypted token format');
       }
       
-      const [ivHex, authTagHex, encrypted] = parts;
+      const [keyId, ivHex, authTagHex, encrypted] = parts;
       const algorithm = 'aes-256-gcm';
-      const key = crypto.scryptSync(this.encryptionKey, 'salt', 32);
+      const key = this._getCipherKey(keyId);
+      if (!key) {
+        throw new Error(`Unknown encryption key id: ${keyId}`);
+      }
       const iv = Buffer.from(ivHex, 'hex');
       const authTag = Buffer.from(authTagHex, 'hex');
       
@@ -186,6 +255,182 @@ class TokenService {
     }
   }
 
+  /**
+   * Key id a ciphertext was encrypted with
+   * @param {string} encryptedToken
+   * @returns {string}
+   */
+  _getCiphertextKeyId(encryptedToken) {
+    const parts = (encryptedToken || '').split(':');
+    return parts.length === 4 ? parts[0] : DEFAULT_KEY_ID;
+  }
+
+  /**
+   * Build a store record for a refresh token (encrypted, expiry from its exp claim)
+   * @param {string} refreshToken - Plain refresh token
+   * @returns {Object|null} { ciphertext, keyId, expiresAt } or null if encryption failed
+   */
+  _buildRefreshTokenRecord(refreshToken) {
+    const ciphertext = this._encryptRefreshToken(refreshToken);
+    if (!ciphertext) {
+      return null;
+    }
+    
+    // Keycloak refresh tokens are JWTs; offline tokens may carry exp 0 (no expiry)
+    const decoded = this._decodeToken(refreshToken);
+    const expiresAt = decoded && decoded.exp
+      ? decoded.exp * 1000
+      : Date.now() + this.defaultRefreshTtlSeconds * 1000;
+    
+    return { ciphertext, keyId: this.activeKeyId, expiresAt };
+  }
+
+  /**
+   * Encrypt and persist a refresh token
+   * @param {string} userKey - keycloakId
+   * @param {string} refreshToken - Plain refresh token
+   * @returns {Promise<boolean>} True if stored
+   */
+  async _storeRefreshToken(userKey, refreshToken) {
+    const record = this._buildRefreshTokenRecord(refreshToken);
+    if (!record) {
+      return false;
+    }
+    await this.refreshTokenStore.set(userKey, record);
+    this._startEviction();
+    return true;
+  }
+
+  /**
+   * Load and decrypt a refresh token (expired or unreadable records are removed)
+   * @param {string} userKey - keycloakId
+   * @returns {Promise<string|null>} Plain refresh token or null
+   */
+  async _loadRefreshToken(userKey) {
+    const record = await this.refreshTokenStore.get(userKey);
+    if (!record) {
+      return null;
+    }
+    
+    if (record.expiresAt && record.expiresAt <= Date.now()) {
+      console.log(`[TokenService] Stored refresh token expired for user: ${userKey}`);
+      await this.refreshTokenStore.delete(userKey);
+      return null;
+    }
+    
+    const refreshToken = this._decryptRefreshToken(record.ciphertext);
+    if (!refreshToken) {
+      // Encrypted with a key that is no longer configured - the user must log in again
+      await this.refreshTokenStore.delete(userKey);
+      return null;
+    }
+    return refreshToken;
+  }
+
+  /**
+   * Start periodic eviction of expired refresh tokens
+   */
+  _startEviction() {
+    if (this.evictionTimer || !this.evictionIntervalMs) {
+      return;
+    }
+    this.evictionTimer = setInterval(() => {
+      this.evictExpiredTokens().catch(err => {
+        console.error('[TokenService] Eviction error:', err.message);
+      });
+    }, this.evictionIntervalMs);
+    // Don't keep the process alive just for eviction
+    this.evictionTimer.unref();
+  }
+
+  /**
+   * Remove expired refresh tokens from the store
+   * @returns {Promise<number>} Number of tokens evicted
+   */
+  async evictExpiredTokens() {
+    const evicted = await this.refreshTokenStore.evictExpired(Date.now());
+    if (evicted > 0) {
+      console.log(`[TokenService] Evicted ${evicted} expired refresh token(s)`);
+    }
+    return evicted;
+  }
+
+  /**
+   * Re-encrypt stored refresh tokens with the active key (after adding a new key)
+   * Records that cannot be decrypted or have expired are removed.
+   * @returns {Promise<Object>} { rotated, removed, unchanged }
+   */
+  async rotateKeys() {
+    const summary = { rotated: 0, removed: 0, unchanged: 0 };
+    
+    for (const [userKey, record] of await this.refreshTokenStore.entries()) {
+      if (record.expiresAt && record.expiresAt <= Date.now()) {
+        await this.refreshTokenStore.delete(userKey);
+        summary.removed++;
+        continue;
+      }
+      if (this._getCiphertextKeyId(record.ciphertext) === this.activeKeyId) {
+        summary.unchanged++;
+        continue;
+      }
+      
+      const refreshToken = this._decryptRefreshToken(record.ciphertext);
+      const ciphertext = refreshToken ? this._encryptRefreshToken(refreshToken) : null;
+      if (!ciphertext) {
+        await this.refreshTokenStore.delete(userKey);
+        summary.removed++;
+        continue;
+      }
+      await this.refreshTokenStore.set(userKey, { ...record, ciphertext, keyId: this.activeKeyId });
+      summary.rotated++;
+    }
+    
+    console.log(`[TokenService] Key rotation to ${this.activeKeyId}: ${summary.rotated} rotated, ${summary.removed} removed, ${summary.unchanged} unchanged`);
+    return summary;
+  }
+
+  /**
+   * Copy refresh tokens from another store into the configured one
+   * Accepts a token store, or a Map in the original in-memory format
+   * (key -> ciphertext string). Tokens are re-encrypted with the active key.
+   * @param {Object|Map} source
+   * @returns {Promise<Object>} { migrated, skipped }
+   */
+  async migrateFrom(source) {
+    const sourceStore = source instanceof Map ? new MemoryTokenStore(source) : source;
+    const summary = { migrated: 0, skipped: 0 };
+    
+    for (const [userKey, value] of await sourceStore.entries()) {
+      const record = typeof value === 'string' ? { ciphertext: value, expiresAt: null } : value;
+      if (record.expiresAt && record.expiresAt <= Date.now()) {
+        summary.skipped++;
+        continue;
+      }
+      
+      const refreshToken = this._decryptRefreshToken(record.ciphertext);
+      if (!refreshToken || !(await this._storeRefreshToken(userKey, refreshToken))) {
+        console.warn(`[TokenService] WARN: Skipped unreadable refresh token for user: ${userKey}`);
+        summary.skipped++;
+        continue;
+      }
+      summary.migrated++;
+    }
+    
+    console.log(`[TokenService] Migrated ${summary.migrated} refresh token(s) into ${this.refreshTokenStore.name} store (${summary.skipped} skipped)`);
+    return summary;
+  }
+
+  /**
+   * Stop eviction and close the store (graceful shutdown, tests)
+   */
+  async close() {
+    if (this.evictionTimer) {
+      clearInterval(this.evictionTimer);
+      this.evictionTimer = null;
+    }
+    await this.refreshTokenStore.close();
+  }
+
   /**
    * Check if access token is valid and won't expire within minValiditySeconds
    * @param {string} accessToken - Access token to check
@@ -282,9 +527,9 @@ class TokenService {
    * @param {string} tokens.refreshToken - Refresh token
    * @param {string} tokens.idToken - ID token
    * @param {Object} session - Express session object (req.session)
-   * @returns {boolean} True if initialization successful
+   * @returns {Promise<boolean>} True if initialization successful
    */
-  initializeUserTokens(username, tokens, session) {
+  async initializeUserTokens(username, tokens, session) {
     if (!username) {
       console.error('[TokenService] Cannot initialize: username is required');
       return false;
@@ -303,6 +548,13 @@ class TokenService {
     try {
       console.log(`[TokenService] Initializing tokens for user: ${username}`);
       
+      try {
+        await this._verifyTokens(tokens);
+      } catch (verifyError) {
+        console.error(`[TokenService] Rejecting tokens for user ${username}: ${verifyError.message}`);
+        return false;
+      }
+      
       // Log token attributes
       this._logTokenAttributes(tokens.accessToken, 'access');
       if (tokens.idToken) {
@@ -321,11 +573,9 @@ class TokenService {
         idToken: tokens.idToken || null
       };
       
-      // Store encrypted refresh token in memory
+      // Store encrypted refresh token
       if (tokens.refreshToken) {
-        const encrypted = this._encryptRefreshToken(tokens.refreshToken);
-        if (encrypted) {
-          this.refreshTokenStore.set(username, encrypted);
+        if (await this._storeRefreshToken(username, tokens.refreshToken)) {
           console.log(`[TokenService] Refresh token stored (encrypted) for user: ${username}`);
         } else {
           console.error('[TokenService] Failed to encrypt refresh token');
@@ -380,17 +630,10 @@ class TokenService {
       // Token is expired or about to expire, refresh it
       console.log(`[TokenService] Access token needs refresh for user: ${username}`);
       
-      // Get encrypted refresh token
-      const encryptedRefreshToken = this.refreshTokenStore.get(username);
-      if (!encryptedRefreshToken) {
-        console.error(`[TokenService] No refresh token found for user: ${username}`);
-        return null;
-      }
-      
-      // Decrypt refresh token
-      const refreshToken = this._decryptRefreshToken(encryptedRefreshToken);
+      // Get and decrypt stored refresh token
+      const refreshToken = await this._loadRefreshToken(username);
       if (!refreshToken) {
-        console.error(`[TokenService] Failed to decrypt refresh token for user: ${username}`);
+        console.error(`[TokenService] No usable refresh token found for user: ${username}`);
         return null;
       }
       
@@ -401,6 +644,13 @@ class TokenService {
         return null;
       }
       
+      try {
+        await this._verifyTokens(newTokens);
+      } catch (verifyError) {
+        console.error(`[TokenService] Rejecting refreshed tokens for user ${username}: ${verifyError.message}`);
+        return null;
+      }
+      
       // Update session with new tokens
       sessionTokens.accessToken = newTokens.accessToken;
       if (newTokens.idToken) {
@@ -409,9 +659,7 @@ class TokenService {
       
       // Update encrypted refresh token if a new one was provided
       if (newTokens.refreshToken && newTokens.refreshToken !== refreshToken) {
-        const encrypted = this._encryptRefreshToken(newTokens.refreshToken);
-        if (encrypted) {
-          this.refreshTokenStore.set(username, encrypted);
+        if (await this._storeRefreshToken(username, newTokens.refreshToken)) {
           console.log(`[TokenService] Updated refresh token for user: ${username}`);
         }
       }
@@ -445,11 +693,16 @@ class TokenService {
         console.log(`[TokenService] Removed tokens from session for user: ${username}`);
       }
       
-      // Remove encrypted refresh token from memory
-      if (this.refreshTokenStore.has(username)) {
-        this.refreshTokenStore.delete(username);
-        console.log(`[TokenService] Removed refresh token from memory for user: ${username}`);
-      }
+      // Remove encrypted refresh token from the store (async - session cleanup above is immediate)
+      this.refreshTokenStore.delete(username)
+        .then((removed) => {
+          if (removed) {
+            console.log(`[TokenService] Removed stored refresh token for user: ${username}`);
+          }
+        })
+        .catch((error) => {
+          console.error(`[TokenService] Error removing stored refresh token for user ${username}:`, error.message);
+        });
       
       console.log(`[TokenService] Token invalidation complete for user: ${username}`);
       return true;
@@ -0,0 +1,47 @@
+/**
+ * Webmail Adapter factory
+ *
+ * One interface over the webmail clients' user tables, so the cleanup daemon, the
+ * deprovisioning pipeline and the reconciliation treat SOGo and Roundcube alike:
+ *
+ * - name                      'sogo' | 'roundcube'
+ * - isConfigured()            database credentials present
+ * - exists({ username, email }) -> Promise<boolean>
+ * - delete({ username, email }) -> Promise<{ success, deleted, message?, error? }>
+ * - list()                    -> Promise<[{ id, email }]>, throws when the database is unreachable
+ * - close()
+ *
+ * Every method checks all of a user's identifiers (username and email) - rows created by
+ * older versions may be keyed by the other one.
+ *
+ * The user services are required lazily: the Roundcube service pulls in mysql2, the SOGo one pg.
+ */
+
+const mailServiceConfig = require('../../config/mail-service-config');
+const SogoWebmailAdapter = require('./sogo-adapter');
+const RoundcubeWebmailAdapter = require('./roundcube-adapter');
+
+const WEBMAIL_CLIENTS = ['sogo', 'roundcube'];
+
+/**
+ * Build the adapter for a webmail client
+ * @param {string} [clientName] - Defaults to DEMO_SSO_MAIL_CLIENT_NAME (mailServiceConfig)
+ * @returns {SogoWebmailAdapter|RoundcubeWebmailAdapter|null} null for clients without a user table
+ */
+function createWebmailAdapter(clientName = mailServiceConfig.getWebmailClientName()) {
+  switch (clientName) {
+    case 'sogo':
+      return new SogoWebmailAdapter(require('../sogo/sogo-user-service'));
+    case 'roundcube':
+      return new RoundcubeWebmailAdapter(require('../roundcube/roundcube-user-service'));
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  createWebmailAdapter,
+  WEBMAIL_CLIENTS,
+  SogoWebmailAdapter,
+  RoundcubeWebmailAdapter
+};
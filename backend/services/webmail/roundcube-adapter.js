@@ -0,0 +1,66 @@
+/**
+ * Roundcube Webmail Adapter
+ *
+ * Roundcube's users table (MariaDB, via roundcubeUserService) is keyed by the IMAP login -
+ * the email address. Logins by bare username (older setups) are checked as well.
+ */
+
+class RoundcubeWebmailAdapter {
+  /**
+   * @param {Object} service - roundcubeUserService
+   */
+  constructor(service) {
+    this.name = 'roundcube';
+    this.service = service;
+  }
+
+  isConfigured() {
+    return !!process.env.ROUNDCUBE_DB_PASSWORD_RAW;
+  }
+
+  /**
+   * users.username candidates for a user, primary first
+   * @param {Object} identity - { username, email }
+   * @returns {string[]}
+   */
+  identifiers({ username, email }) {
+    return [...new Set([email, username].filter(Boolean))];
+  }
+
+  async exists(identity) {
+    for (const login of this.identifiers(identity)) {
+      if (await this.service.userExists(login)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async delete(identity) {
+    const results = [];
+    for (const login of this.identifiers(identity)) {
+      const result = await this.service.deleteUser(login);
+      if (!result.success) {
+        return result;
+      }
+      results.push(result);
+    }
+    return {
+      success: true,
+      deleted: results.some(result => result.deleted),
+      message: results.map(result => result.message).join('; ')
+    };
+  }
+
+  async list() {
+    // listUsers() throws when the database can't be read - an unreadable store is not an empty one
+    const rows = await this.service.listUsers();
+    return rows.map(row => ({ id: row.username, email: row.username && row.username.includes('@') ? row.username : null }));
+  }
+
+  async close() {
+    await this.service.close();
+  }
+}
+
+module.exports = RoundcubeWebmailAdapter;
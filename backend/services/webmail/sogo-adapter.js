@@ -0,0 +1,66 @@
+/**
+ * SOGo Webmail Adapter
+ *
+ * sogo_users rows (PostgreSQL, via sogoUserService) are keyed by c_uid - the Keycloak
+ * username. Rows created by older versions used the email as c_uid, so both are checked.
+ */
+
+class SogoWebmailAdapter {
+  /**
+   * @param {Object} service - sogoUserService
+   */
+  constructor(service) {
+    this.name = 'sogo';
+    this.service = service;
+  }
+
+  isConfigured() {
+    return !!process.env.SOGO_DB_PASSWORD_RAW;
+  }
+
+  /**
+   * c_uid candidates for a user, primary first
+   * @param {Object} identity - { username, email }
+   * @returns {string[]}
+   */
+  identifiers({ username, email }) {
+    return [...new Set([username, email].filter(Boolean))];
+  }
+
+  async exists(identity) {
+    for (const cUid of this.identifiers(identity)) {
+      if (await this.service.userExistsInSogo(cUid)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  async delete(identity) {
+    const results = [];
+    for (const cUid of this.identifiers(identity)) {
+      const result = await this.service.deleteUser(cUid);
+      if (!result.success) {
+        return result;
+      }
+      results.push(result);
+    }
+    return {
+      success: true,
+      deleted: results.some(result => result.deleted),
+      message: results.map(result => result.message).join('; ')
+    };
+  }
+
+  async list() {
+    // listSogoUsers() throws when the database can't be read - an unreadable store is not an empty one
+    const rows = await this.service.listSogoUsers();
+    return rows.map(row => ({ id: row.c_uid, email: row.mail || null }));
+  }
+
+  async close() {
+    await this.service.close();
+  }
+}
+
+module.exports = SogoWebmailAdapter;
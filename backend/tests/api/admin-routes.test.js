@@ -0,0 +1,160 @@
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../config/keycloak-admin', () => ({
+  getAllUsers: jest.fn()
+}));
+jest.mock('../../services/email/stalwart-client', () => ({
+  listPrincipals: jest.fn()
+}));
+jest.mock('../../services/sogo/sogo-user-service', () => ({
+  listSogoUsers: jest.fn()
+}));
+jest.mock('../../services/daemon-status', () => ({
+  getCleanupDaemonStatus: jest.fn(() => ({ name: 'demo-session-cleanup', pid: 42, processRunning: true, stale: false, status: { running: true } })),
+  getSogoSyncDaemonStatus: jest.fn(() => ({ name: 'sogo-sync', status: { running: false, shouldRun: false } }))
+}));
+
+jest.mock('../../services/deprovisioning/job-queue', () => ({
+  JOB_STATUSES: ['pending', 'running', 'done', 'dead'],
+  counts: jest.fn(),
+  list: jest.fn(),
+  get: jest.fn(),
+  retry: jest.fn(),
+  process: jest.fn(),
+  discard: jest.fn()
+}));
+jest.mock('../../services/deprovisioning/reconciliation', () => ({
+  ORPHAN_SYSTEMS: ['stalwart', 'sogo', 'roundcube'],
+  report: jest.fn(),
+  repair: jest.fn()
+}));
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const stalwartClient = require('../../services/email/stalwart-client');
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+const jobQueue = require('../../services/deprovisioning/job-queue');
+const reconciler = require('../../services/deprovisioning/reconciliation');
+
+function buildApp(user) {
+  const app = express();
+  app.set('view engine', 'ejs');
+  app.set('views', path.join(__dirname, '../../views'));
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = {};
+    req.user = user;
+    req.isAuthenticated = () => !!user;
+    next();
+  });
+  app.use('/admin', require('../../routes/admin'));
+  return app;
+}
+
+describe('admin routes', () => {
+  const envBackup = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.DEMO_ADMIN_ROLE = 'demo-admin';
+    process.env.DEMO_MAIL_PROVIDER = 'stalwart';
+    process.env.DEMO_SSO_MAIL_CLIENT_NAME = 'sogo';
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('redirects anonymous users to login', async () => {
+    const res = await request(buildApp(null)).get('/admin/daemons/json');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('/auth/login');
+  });
+
+  test('renders 403 for non-admin users', async () => {
+    const res = await request(buildApp({ username: 'someone', roles: ['offline_access'] })).get('/admin');
+    expect(res.status).toBe(403);
+    expect(res.text).toContain('Administrator access required');
+  });
+
+  test('renders the console for admins', async () => {
+    const res = await request(buildApp({ username: 'operator', roles: ['demo-admin'] })).get('/admin');
+    expect(res.status).toBe(200);
+    expect(res.text).toContain('/admin/users/json');
+  });
+
+  test('GET /daemons/json reports both daemons', async () => {
+    const res = await request(buildApp({ username: 'operator', roles: ['demo-admin'] })).get('/admin/daemons/json');
+    expect(res.status).toBe(200);
+    expect(res.body.daemons.demoSessionCleanup.pid).toBe(42);
+    expect(res.body.daemons.sogoSync.status.shouldRun).toBe(false);
+  });
+
+  test('GET /users/json lists each system and isolates failures', async () => {
+    keycloakAdmin.getAllUsers.mockResolvedValue([
+      { id: 'kc-1', username: 'test-1', email: 'test-1@example.com', enabled: true, createdTimestamp: 0 }
+    ]);
+    stalwartClient.listPrincipals.mockResolvedValue({
+      success: true,
+      principals: { items: [{ id: 7, name: 'test-1', emails: 'test-1@example.com', type: 'individual' }], total: 1 }
+    });
+    sogoUserService.listSogoUsers.mockRejectedValue(new Error('SOGo DB unavailable'));
+
+    const res = await request(buildApp({ username: 'operator', roles: ['demo-admin'] })).get('/admin/users/json');
+    expect(res.status).toBe(200);
+    expect(res.body.keycloak).toMatchObject({ success: true, count: 1 });
+    expect(res.body.keycloak.users[0].username).toBe('test-1');
+    expect(res.body.stalwart.users).toEqual([{ id: 7, name: 'test-1', emails: ['test-1@example.com'], type: 'individual' }]);
+    expect(res.body.sogo).toMatchObject({ success: false, error: 'SOGo DB unavailable' });
+  });
+
+  test('deprovisioning job endpoints list, retry and discard jobs', async () => {
+    const app = buildApp({ username: 'operator', roles: ['demo-admin'] });
+    const deadJob = { id: 3, username: 'test-3', status: 'dead', steps: { mailbox: { status: 'failed' } } };
+    jobQueue.counts.mockResolvedValue({ pending: 0, running: 0, done: 2, dead: 1 });
+    jobQueue.list.mockResolvedValue([deadJob]);
+
+    let res = await request(app).get('/admin/deprovisioning/jobs?status=dead');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, counts: { dead: 1 }, jobs: [{ id: 3 }] });
+    expect(jobQueue.list).toHaveBeenCalledWith({ status: 'dead', limit: 100 });
+
+    res = await request(app).get('/admin/deprovisioning/jobs?status=bogus');
+    expect(res.status).toBe(400);
+
+    jobQueue.retry.mockResolvedValue({ ...deadJob, status: 'pending' });
+    jobQueue.process.mockResolvedValue({ ...deadJob, status: 'done' });
+    res = await request(app).post('/admin/deprovisioning/jobs/3/retry');
+    expect(res.body).toMatchObject({ success: true, job: { status: 'done' } });
+    expect(jobQueue.process).toHaveBeenCalledWith(3);
+
+    jobQueue.retry.mockResolvedValue(null);
+    jobQueue.get.mockResolvedValue({ ...deadJob, status: 'done' });
+    res = await request(app).post('/admin/deprovisioning/jobs/3/retry');
+    expect(res.status).toBe(409);
+
+    jobQueue.discard.mockResolvedValue(false);
+    jobQueue.get.mockResolvedValue(null);
+    res = await request(app).delete('/admin/deprovisioning/jobs/9');
+    expect(res.status).toBe(404);
+  });
+
+  test('reconciliation endpoints report and repair orphans', async () => {
+    const app = buildApp({ username: 'operator', roles: ['demo-admin'] });
+    reconciler.report.mockResolvedValue({ success: true, orphans: { sogo: [{ id: 'gone', email: null }] }, summary: { orphans: 1, missing: 0 } });
+    reconciler.repair.mockResolvedValue({ success: true, repairs: [{ system: 'sogo', id: 'gone', status: 'deleted' }] });
+
+    let res = await request(app).get('/admin/reconciliation/json');
+    expect(res.status).toBe(200);
+    expect(res.body.summary).toEqual({ orphans: 1, missing: 0 });
+
+    res = await request(app).post('/admin/reconciliation/repair').send({ systems: ['keycloak'] });
+    expect(res.status).toBe(400);
+    expect(reconciler.repair).not.toHaveBeenCalled();
+
+    res = await request(app).post('/admin/reconciliation/repair').send({ systems: ['sogo'] });
+    expect(res.body.repairs).toEqual([{ system: 'sogo', id: 'gone', status: 'deleted' }]);
+    expect(reconciler.repair).toHaveBeenCalledWith({ systems: ['sogo'] });
+  });
+});
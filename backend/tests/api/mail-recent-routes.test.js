@@ -0,0 +1,133 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../services/email/jmap-client', () => {
+  const { JmapError } = jest.requireActual('../../services/email/jmap-client');
+  return { getMailboxByRole: jest.fn(), queryEmails: jest.fn(), getEmails: jest.fn(), JmapError };
+});
+jest.mock('../../services/email/stalwart-client', () => ({
+  isConfigured: jest.fn(() => true),
+  listPrincipals: jest.fn()
+}));
+
+const envBackup = { ...process.env };
+process.env.DEMO_MAIL_PROVIDER = 'stalwart';
+process.env.DEMO_MAIL_API_URL = 'http://localhost:8082/api';
+process.env.DEMO_MAIL_API_TOKEN = 'test-token';
+process.env.DEMO_ADMIN_ROLE = 'demo-admin';
+
+const jmapClient = require('../../services/email/jmap-client');
+const stalwartClient = require('../../services/email/stalwart-client');
+
+function buildApp(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = {};
+    req.user = user;
+    req.isAuthenticated = () => !!user;
+    next();
+  });
+  app.use('/api', require('../../routes/api'));
+  return app;
+}
+
+describe('Recent mail and mailbox status routes', () => {
+  const app = buildApp({ id: 7, keycloak_id: 'kc-1', username: 'demo1', roles: [] });
+  const adminApp = buildApp({ id: 1, keycloak_id: 'kc-0', username: 'operator', roles: ['demo-admin'] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.DEMO_INTERNAL_EMAIL_DOMAIN = 'example.com';
+    jmapClient.getMailboxByRole.mockResolvedValue({ id: 'm1', role: 'inbox', totalEmails: 12, unreadEmails: 3 });
+    jmapClient.queryEmails.mockResolvedValue({ ids: ['e2', 'e1'], position: 10, total: 12 });
+    jmapClient.getEmails.mockResolvedValue({
+      list: [
+        { id: 'e1', from: [{ name: 'Ann', email: 'ann@example.org' }], subject: 'Hi', receivedAt: '2026-10-01T09:00:00Z', preview: 'Hello', keywords: { $seen: true } },
+        { id: 'e2', from: null, subject: null, receivedAt: '2026-10-02T09:00:00Z', preview: 'Newer', keywords: {} }
+      ],
+      notFound: []
+    });
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('pages the user\'s inbox over JMAP and normalizes the messages', async () => {
+    const res = await request(app).post('/api/mail/recent').send({ username: 'demo1', limit: 500, position: 10 });
+
+    expect(res.status).toBe(200);
+    const account = jmapClient.queryEmails.mock.calls[0][0];
+    expect(account).toMatchObject({ key: 'kc-1', username: 'demo1', email: 'demo1@example.com' });
+    expect(jmapClient.queryEmails).toHaveBeenCalledWith(account, { filter: { inMailbox: 'm1' }, position: 10, limit: 50 });
+    expect(jmapClient.getEmails).toHaveBeenCalledWith(account, ['e2', 'e1'], { properties: ['id', 'from', 'subject', 'receivedAt', 'preview', 'keywords'] });
+    expect(res.body).toEqual({
+      recent_mail: [
+        { id: 'e2', from: null, subject: '', date: '2026-10-02T09:00:00Z', preview: 'Newer', seen: false },
+        { id: 'e1', from: { name: 'Ann', email: 'ann@example.org' }, subject: 'Hi', date: '2026-10-01T09:00:00Z', preview: 'Hello', seen: true }
+      ],
+      total: 12,
+      position: 10,
+      limit: 50,
+      has_more: false
+    });
+  });
+
+  test('refuses other mailboxes and maps JMAP errors', async () => {
+    let res = await request(app).post('/api/mail/recent').send({ username: 'someone-else' });
+    expect(res.status).toBe(403);
+    expect(res.body.recent_mail).toEqual([]);
+    expect(jmapClient.getMailboxByRole).not.toHaveBeenCalled();
+
+    jmapClient.getMailboxByRole.mockRejectedValue(new jmapClient.JmapError('No valid access token - please log in again', { code: 'token_error' }));
+    res = await request(app).post('/api/mail/recent').send({});
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ error: 'No valid access token - please log in again', code: 'token_error', recent_mail: [] });
+  });
+
+  test('reads the unseen count of the logged-in user\'s mailbox only', async () => {
+    const mailService = require('../../services/email/mail-service-abstraction');
+    const getUnseenCount = jest.spyOn(mailService, 'getUnseenCount').mockResolvedValue({ success: true, unseen_count: 3, source: 'jmap' });
+    try {
+      let res = await request(app).post('/api/mail/unseen').send({ username: 'someone-else' });
+      expect(res.status).toBe(403);
+      expect(res.body.unseen_count).toBe(0);
+      expect(getUnseenCount).not.toHaveBeenCalled();
+
+      res = await request(app).post('/api/mail/unseen').send({});
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ unseen_count: 3 });
+      expect(getUnseenCount).toHaveBeenCalledWith('demo1', null);
+    } finally {
+      getUnseenCount.mockRestore();
+    }
+  });
+
+  test('reports inbox counts per principal through the master user for admins only', async () => {
+    stalwartClient.listPrincipals.mockResolvedValue({
+      success: true,
+      principals: { items: [{ name: 'a' }, { name: 'demo1', emails: ['demo1@example.com'] }, { name: 'demo2', emails: 'demo2@example.com' }] }
+    });
+    jmapClient.getMailboxByRole
+      .mockResolvedValueOnce({ id: 'm1', role: 'inbox', totalEmails: 4, unreadEmails: 1 })
+      .mockRejectedValueOnce(new jmapClient.JmapError('JMAP session error 401', { code: 'unauthorized' }));
+
+    let res = await request(app).get('/api/mail/users/status');
+    expect(res.status).toBe(403);
+
+    res = await request(adminApp).get('/api/mail/users/status?position=1&limit=2');
+    expect(res.status).toBe(200);
+    expect(jmapClient.getMailboxByRole).toHaveBeenCalledWith({ impersonate: 'demo1@example.com' }, 'inbox');
+    expect(res.body).toEqual({
+      users_status: [
+        { username: 'demo1', email: 'demo1@example.com', total_count: 4, unseen_count: 1 },
+        { username: 'demo2', email: 'demo2@example.com', total_count: null, unseen_count: null, error: 'JMAP session error 401' }
+      ],
+      total: 3,
+      position: 1,
+      limit: 2,
+      has_more: false
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../services/session-tokens', () => ({
+  getAccessToken: jest.fn()
+}));
+jest.mock('../../services/email/managesieve-client', () => {
+  const { ManageSieveError } = jest.requireActual('../../services/email/managesieve-client');
+  return { withConnection: jest.fn(), ManageSieveError };
+});
+
+const sessionTokens = require('../../services/session-tokens');
+const manageSieve = require('../../services/email/managesieve-client');
+
+function buildApp(user) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.session = {};
+    req.user = user;
+    req.isAuthenticated = () => !!user;
+    next();
+  });
+  app.use('/api', require('../../routes/api'));
+  return app;
+}
+
+describe('Sieve filter routes', () => {
+  const envBackup = { ...process.env };
+  const app = buildApp({ id: 7, username: 'demo1' });
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.DEMO_INTERNAL_EMAIL_DOMAIN = 'example.com';
+    connection = {
+      capabilities: { IMPLEMENTATION: 'Stalwart', SIEVE: 'fileinto vacation' },
+      listScripts: jest.fn(async () => [{ name: 'wip-email-proxy', active: false }, { name: 'vacation', active: true }]),
+      putScript: jest.fn(async () => ({ warnings: null })),
+      setActive: jest.fn(),
+      deleteScript: jest.fn()
+    };
+    sessionTokens.getAccessToken.mockResolvedValue('user-token');
+    manageSieve.withConnection.mockImplementation(async (email, token, fn) => fn(connection));
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('lists scripts as the logged-in user', async () => {
+    const res = await request(app).get('/api/mail/sieve');
+
+    expect(res.status).toBe(200);
+    expect(manageSieve.withConnection).toHaveBeenCalledWith('demo1@example.com', 'user-token', expect.any(Function));
+    expect(res.body).toMatchObject({
+      success: true,
+      active: 'vacation',
+      extensions: ['fileinto', 'vacation'],
+      scripts: [{ name: 'wip-email-proxy', managed: true }, { name: 'vacation', managed: false }]
+    });
+  });
+
+  test('saves a rendered template and activates it', async () => {
+    const res = await request(app)
+      .put('/api/mail/sieve/scripts/news')
+      .send({ template: 'file-into-folder', params: { folder: 'News', from: 'news@example.org' }, activate: true });
+
+    expect(res.status).toBe(200);
+    expect(connection.putScript).toHaveBeenCalledWith('news', expect.stringContaining('fileinto :create "News";'));
+    expect(connection.setActive).toHaveBeenCalledWith('news');
+    expect(res.body).toEqual({ success: true, name: 'news', active: true, warnings: null });
+  });
+
+  test('refuses bad input and the proxy script before connecting', async () => {
+    let res = await request(app).put('/api/mail/sieve/scripts/news').send({ template: 'forward', params: {} });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Missing parameter: to');
+
+    res = await request(app).delete('/api/mail/sieve/scripts/wip-email-proxy');
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('managed');
+
+    sessionTokens.getAccessToken.mockResolvedValue(null);
+    res = await request(app).get('/api/mail/sieve');
+    expect(res.status).toBe(401);
+    expect(manageSieve.withConnection).not.toHaveBeenCalled();
+  });
+
+  test('does not switch away from an active proxy script', async () => {
+    connection.listScripts.mockResolvedValue([{ name: 'wip-email-proxy', active: true }, { name: 'vacation', active: false }]);
+
+    let res = await request(app).post('/api/mail/sieve/active').send({ name: 'vacation' });
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('managed');
+
+    res = await request(app).post('/api/mail/sieve/active').send({ name: '' });
+    expect(res.status).toBe(409);
+
+    res = await request(app).put('/api/mail/sieve/scripts/news').send({ script: 'keep;', activate: true });
+    expect(res.status).toBe(409);
+    expect(connection.putScript).not.toHaveBeenCalled();
+    expect(connection.setActive).not.toHaveBeenCalled();
+
+    // Saving without activating leaves the proxy script alone
+    res = await request(app).put('/api/mail/sieve/scripts/news').send({ script: 'keep;' });
+    expect(res.status).toBe(200);
+
+    connection.listScripts.mockResolvedValue([{ name: 'wip-email-proxy', active: false }, { name: 'vacation', active: true }]);
+    res = await request(app).post('/api/mail/sieve/active').send({ name: '' });
+    expect(res.status).toBe(200);
+    expect(connection.setActive).toHaveBeenCalledWith('');
+  });
+
+  test('deletes an active script after deactivating it and maps server errors', async () => {
+    let res = await request(app).delete('/api/mail/sieve/scripts/vacation');
+    expect(res.status).toBe(200);
+    expect(connection.setActive).toHaveBeenCalledWith('');
+    expect(connection.deleteScript).toHaveBeenCalledWith('vacation');
+
+    connection.deleteScript.mockRejectedValue(new manageSieve.ManageSieveError('DELETESCRIPT gone failed: no such script', { code: 'not_found' }));
+    res = await request(app).delete('/api/mail/sieve/scripts/gone');
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, error: 'DELETESCRIPT gone failed: no such script', code: 'not_found' });
+
+    manageSieve.withConnection.mockRejectedValue(new manageSieve.ManageSieveError('ManageSieve timeout after 10000ms', { code: 'timeout' }));
+    res = await request(app).get('/api/mail/sieve');
+    expect(res.status).toBe(503);
+  });
+});
@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../../services/sogo/sogo-user-service', () => ({
+  ensureUserInSogo: jest.fn(),
+  userExistsInSogo: jest.fn(),
+  listSogoUsers: jest.fn(),
+  deleteUser: jest.fn()
+}));
+
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+
+function buildApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', require('../../routes/api'));
+  return app;
+}
+
+describe('SOGo user routes', () => {
+  let app;
+
+  beforeAll(() => {
+    // SOGo routes are opened through the test API allowlist (guard covered in test-api-guard.test.js)
+    process.env.DEMO_TEST_API_ALLOWLIST = '/api/test/oidc-stalwart/sogo/*';
+    app = buildApp();
+  });
+
+  afterAll(() => {
+    delete process.env.DEMO_TEST_API_ALLOWLIST;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('POST ensure-user rejects a missing username', async () => {
+    const res = await request(app).post('/api/test/oidc-stalwart/sogo/ensure-user').send({ email: 'a@b.co' });
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(sogoUserService.ensureUserInSogo).not.toHaveBeenCalled();
+  });
+
+  test('POST ensure-user passes user data through to SogoUserService', async () => {
+    sogoUserService.ensureUserInSogo.mockResolvedValue({ success: true, action: 'created', user: { c_uid: 'test-1' } });
+
+    const res = await request(app)
+      .post('/api/test/oidc-stalwart/sogo/ensure-user')
+      .send({ keycloakId: 'kc-1', username: 'test-1', email: 'test-1@workinpilot.space', firstName: 'T', lastName: 'One' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, action: 'created', user: { c_uid: 'test-1' } });
+    expect(sogoUserService.ensureUserInSogo).toHaveBeenCalledWith({
+      keycloakId: 'kc-1',
+      username: 'test-1',
+      email: 'test-1@workinpilot.space',
+      firstName: 'T',
+      lastName: 'One'
+    });
+  });
+
+  test('POST ensure-user reports SOGo DB failures as 502', async () => {
+    sogoUserService.ensureUserInSogo.mockResolvedValue({ success: false, error: 'PostgreSQL pool not initialized' });
+    const res = await request(app).post('/api/test/oidc-stalwart/sogo/ensure-user').send({ username: 'test-1' });
+    expect(res.status).toBe(502);
+    expect(res.body.error).toBe('PostgreSQL pool not initialized');
+  });
+
+  test('GET user-exists and users', async () => {
+    sogoUserService.userExistsInSogo.mockResolvedValue(true);
+    sogoUserService.listSogoUsers.mockResolvedValue([{ c_uid: 'a' }, { c_uid: 'b' }]);
+
+    const exists = await request(app).get('/api/test/oidc-stalwart/sogo/user-exists/a');
+    expect(exists.body).toEqual({ success: true, username: 'a', exists: true });
+
+    const list = await request(app).get('/api/test/oidc-stalwart/sogo/users');
+    expect(list.body.count).toBe(2);
+
+    sogoUserService.listSogoUsers.mockRejectedValue(new Error('relation "sogo_users" does not exist'));
+    const failed = await request(app).get('/api/test/oidc-stalwart/sogo/users');
+    expect(failed.status).toBe(500);
+    expect(failed.body).toEqual({ success: false, error: 'relation "sogo_users" does not exist' });
+  });
+
+  test('DELETE delete-user', async () => {
+    sogoUserService.deleteUser.mockResolvedValue({ success: true, deleted: true, message: 'User a deleted from SOGo' });
+    const res = await request(app).delete('/api/test/oidc-stalwart/sogo/delete-user/a');
+    expect(res.status).toBe(200);
+    expect(res.body.deleted).toBe(true);
+    expect(sogoUserService.deleteUser).toHaveBeenCalledWith('a');
+  });
+});
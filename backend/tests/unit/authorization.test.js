@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const express = require('express');
+const request = require('supertest');
+const {
+  extractRolesFromToken,
+  hasRole,
+  isAdmin,
+  requireRole
+} = require('../../middleware/authorization');
+
+describe('authorization', () => {
+  const envBackup = { ...process.env };
+
+  beforeEach(() => {
+    process.env.KEYCLOAK_CLIENT_ID = 'demo-keycloakclient';
+    delete process.env.DEMO_ADMIN_ROLE;
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('extractRolesFromToken flattens realm and client roles', () => {
+    const token = jwt.sign({
+      realm_access: { roles: ['offline_access', 'demo-admin'] },
+      resource_access: {
+        'demo-keycloakclient': { roles: ['mail-operator'] },
+        account: { roles: ['manage-account'] }
+      }
+    }, 'secret');
+
+    expect(extractRolesFromToken(token)).toEqual([
+      'offline_access',
+      'demo-admin',
+      'demo-keycloakclient:mail-operator',
+      'account:manage-account'
+    ]);
+    expect(extractRolesFromToken('not-a-jwt')).toEqual([]);
+    expect(extractRolesFromToken(null)).toEqual([]);
+  });
+
+  test('hasRole matches realm roles and this client\'s roles by bare name', () => {
+    const user = { roles: ['demo-admin', 'demo-keycloakclient:mail-operator', 'account:manage-account'] };
+    expect(hasRole(user, 'demo-admin')).toBe(true);
+    expect(hasRole(user, 'mail-operator')).toBe(true);
+    expect(hasRole(user, 'manage-account')).toBe(false);
+    expect(hasRole(user, 'account:manage-account')).toBe(true);
+    expect(hasRole(null, 'demo-admin')).toBe(false);
+  });
+
+  test('isAdmin honors DEMO_ADMIN_ROLE', () => {
+    const user = { roles: ['ops'] };
+    expect(isAdmin(user)).toBe(false);
+    process.env.DEMO_ADMIN_ROLE = 'ops';
+    expect(isAdmin(user)).toBe(true);
+  });
+
+  describe('requireRole', () => {
+    function buildApp(user) {
+      const app = express();
+      app.use((req, res, next) => {
+        req.session = {};
+        req.user = user;
+        req.isAuthenticated = () => !!user;
+        next();
+      });
+      const router = express.Router();
+      router.get('/guarded', requireRole('demo-admin', 'mail-operator'), (req, res) => res.json({ ok: true }));
+      app.use('/api', router);
+      return app;
+    }
+
+    test('returns 401 JSON for anonymous API requests', async () => {
+      const res = await request(buildApp(null)).get('/api/guarded');
+      expect(res.status).toBe(401);
+    });
+
+    test('returns 403 JSON when no listed role is held', async () => {
+      const res = await request(buildApp({ username: 'u', roles: ['offline_access'] })).get('/api/guarded');
+      expect(res.status).toBe(403);
+      expect(res.body.requiredRoles).toEqual(['demo-admin', 'mail-operator']);
+    });
+
+    test('passes when any listed role is held', async () => {
+      const res = await request(buildApp({ username: 'u', roles: ['demo-keycloakclient:mail-operator'] })).get('/api/guarded');
+      expect(res.status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const session = require('express-session');
+
+describe('back-channel logout', () => {
+  const envBackup = { ...process.env };
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'kid-1', use: 'sig', alg: 'RS256' };
+  const issuer = 'https://kc.example.com/realms/demo';
+
+  let backchannelLogout;
+  let tokenService;
+  let fetchMock;
+
+  function logoutToken(claims = {}, options = {}) {
+    return jwt.sign({
+      iss: issuer,
+      aud: 'demo-client',
+      sub: 'kc-1',
+      sid: 'kc-sid-1',
+      jti: crypto.randomUUID(),
+      events: { 'http://schemas.openid.net/event/backchannel-logout': {} },
+      ...claims
+    }, options.key || privateKey, { algorithm: 'RS256', keyid: options.kid || 'kid-1', expiresIn: 120 });
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.KEYCLOAK_URL = 'https://kc.example.com';
+    process.env.KEYCLOAK_REALM = 'demo';
+    process.env.KEYCLOAK_CLIENT_ID = 'demo-client';
+    process.env.TOKEN_STORE_BACKEND = 'memory';
+    process.env.TOKEN_SERVICE_ENCRYPTION_KEYS = 'k1:secret';
+    fetchMock = jest.fn().mockResolvedValue({ ok: true, json: async () => ({ keys: [jwk] }) });
+    global.fetch = fetchMock;
+    backchannelLogout = require('../../services/backchannel-logout');
+    tokenService = require('../../services/tokenService');
+  });
+
+  afterEach(async () => {
+    await tokenService.close();
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+    delete global.fetch;
+  });
+
+  test('accepts a valid logout_token and caches the JWKS', async () => {
+    const claims = await backchannelLogout.validateLogoutToken(logoutToken());
+    expect(claims).toMatchObject({ sub: 'kc-1', sid: 'kc-sid-1' });
+    await backchannelLogout.validateLogoutToken(logoutToken());
+    expect(fetchMock).toHaveBeenCalledTimes(1);
+    expect(fetchMock.mock.calls[0][0]).toBe('https://kc.example.com/realms/demo/protocol/openid-connect/certs');
+  });
+
+  test('rejects bad signatures, wrong audience, missing event, nonce and replays', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await expect(backchannelLogout.validateLogoutToken(logoutToken({}, { key: otherKey })))
+      .rejects.toMatchObject({ code: 'invalid_token' });
+    await expect(backchannelLogout.validateLogoutToken(logoutToken({ aud: 'other-client' })))
+      .rejects.toMatchObject({ code: 'invalid_token' });
+    await expect(backchannelLogout.validateLogoutToken(logoutToken({ events: {} })))
+      .rejects.toThrow('no back-channel logout event');
+    await expect(backchannelLogout.validateLogoutToken(logoutToken({ nonce: 'n' })))
+      .rejects.toThrow('nonce');
+
+    const token = logoutToken();
+    await backchannelLogout.validateLogoutToken(token);
+    await expect(backchannelLogout.validateLogoutToken(token)).rejects.toMatchObject({ code: 'replayed' });
+  });
+
+  test('refetches the JWKS for an unknown kid (key rollover)', async () => {
+    const { privateKey: newKey, publicKey: newPublic } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    await backchannelLogout.validateLogoutToken(logoutToken());
+
+    const newJwk = { ...newPublic.export({ format: 'jwk' }), kid: 'kid-2', use: 'sig' };
+    fetchMock.mockResolvedValue({ ok: true, json: async () => ({ keys: [jwk, newJwk] }) });
+    const jwtVerifier = require('../../services/jwt-verifier');
+    jwtVerifier.fetchedAt = Date.now() - jwtVerifier.minRefetchMs - 1;
+
+    await expect(backchannelLogout.validateLogoutToken(logoutToken({}, { key: newKey, kid: 'kid-2' })))
+      .resolves.toMatchObject({ sub: 'kc-1' });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  test('destroys sessions by sid and drops refresh tokens only when the user has none left', async () => {
+    const store = new session.MemoryStore();
+    const set = promisify(store.set.bind(store));
+    const get = promisify(store.get.bind(store));
+    const cookie = { originalMaxAge: 60000, expires: new Date(Date.now() + 60000) };
+    await set('local-a', { cookie, passport: { user: 'kc-1' }, keycloakSid: 'kc-sid-1' });
+    await set('local-b', { cookie, passport: { user: 'kc-1' }, keycloakSid: 'kc-sid-2' });
+    await set('local-c', { cookie, passport: { user: 'kc-2' }, keycloakSid: 'kc-sid-3' });
+    await tokenService._storeRefreshToken('kc-1', jwt.sign({ exp: Math.floor(Date.now() / 1000) + 600 }, 's'));
+
+    let result = await backchannelLogout.logoutSessions(store, { sid: 'kc-sid-1', sub: 'kc-1' });
+    expect(result).toEqual({ sessionsDestroyed: 1, refreshTokensRemoved: 0 });
+    expect(await get('local-a')).toBeFalsy();
+    expect(await get('local-b')).toBeTruthy();
+
+    result = await backchannelLogout.logoutSessions(store, { sub: 'kc-1' });
+    expect(result).toEqual({ sessionsDestroyed: 1, refreshTokensRemoved: 1 });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(await tokenService.refreshTokenStore.get('kc-1')).toBeNull();
+    expect(await get('local-c')).toBeTruthy();
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('databaseService (sqlite)', () => {
+  const dbPath = path.join(os.tmpdir(), `test-demo-db-${process.pid}-${Date.now()}.sqlite`);
+  let database;
+
+  beforeAll(() => {
+    jest.resetModules();
+    process.env.DEMO_DB_CLIENT = 'sqlite';
+    process.env.DEMO_DB_PATH = dbPath;
+    database = require('../../services/databaseService');
+  });
+
+  afterAll(async () => {
+    await database.close();
+    try { fs.unlinkSync(dbPath); } catch (_) {}
+  });
+
+  test('creates and looks up users by keycloak id and username', async () => {
+    const id = await database.createUser({
+      keycloakId: 'kc-1',
+      username: 'alice',
+      email: 'alice@workinpilot.space',
+      firstName: 'Alice',
+      lastName: 'Tester'
+    });
+    expect(id).toBeGreaterThan(0);
+
+    const byKc = await database.getUserByKeycloakId('kc-1');
+    expect(byKc.username).toBe('alice');
+    expect(byKc.keycloak_id).toBe('kc-1');
+    expect(byKc.first_name).toBe('Alice');
+
+    const byName = await database.getUserByUsername('alice');
+    expect(byName.id).toBe(id);
+    expect(await database.getUserByKeycloakId('missing')).toBeNull();
+  });
+
+  test('updateUserLogin reports whether a user was touched', async () => {
+    expect(await database.updateUserLogin('kc-1')).toBe(true);
+    expect(await database.updateUserLogin('missing')).toBe(false);
+  });
+
+  test('updateUserRoles stores roles returned as an array', async () => {
+    expect((await database.getUserByKeycloakId('kc-1')).roles).toEqual([]);
+    expect(await database.updateUserRoles('kc-1', ['demo-admin', 'demo-keycloakclient:mail-operator'])).toBe(true);
+    expect((await database.getUserByUsername('alice')).roles).toEqual(['demo-admin', 'demo-keycloakclient:mail-operator']);
+  });
+
+  test('upsertUserSettings inserts then updates and normalizes booleans', async () => {
+    const user = await database.getUserByUsername('alice');
+    expect(await database.getUserSettings(user.id)).toBeNull();
+
+    let settings = await database.upsertUserSettings(user.id, { wip_email_proxy: true, unknown_key: 'x' });
+    expect(settings.wip_email_proxy).toBe(true);
+    expect(settings).not.toHaveProperty('unknown_key');
+
+    settings = await database.upsertUserSettings(user.id, { wip_email_proxy: 0 });
+    expect(settings.wip_email_proxy).toBe(false);
+  });
+
+  test('migrations are idempotent across reconnects', async () => {
+    await database.close();
+    const user = await database.getUserByUsername('alice');
+    expect(user).not.toBeNull();
+  });
+});
+
+describe('PostgresAdapter.toPositional', () => {
+  const PostgresAdapter = require('../../services/database/postgres-adapter');
+
+  test('rewrites placeholders outside string literals', () => {
+    expect(PostgresAdapter.toPositional("SELECT * FROM t WHERE a = ? AND b = '?' AND c = ?"))
+      .toBe("SELECT * FROM t WHERE a = $1 AND b = '?' AND c = $2");
+  });
+});
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('deprovisioning job queue', () => {
+  const envBackup = { ...process.env };
+  const dbPath = path.join(os.tmpdir(), `test-deprovision-db-${process.pid}-${Date.now()}.sqlite`);
+  const user = { id: 'kc-1', username: 'demo1', email: 'demo1@example.com' };
+
+  let jobQueue;
+  let pipeline;
+
+  function stepResults(statuses) {
+    return Object.entries(statuses).map(([name, status]) => ({
+      name,
+      status,
+      attempts: 1,
+      error: status === 'failed' ? `${name} down` : undefined
+    }));
+  }
+
+  beforeAll(() => {
+    jest.resetModules();
+    process.env.DEMO_DB_CLIENT = 'sqlite';
+    process.env.DEMO_DB_PATH = dbPath;
+    process.env.DEPROVISION_JOB_MAX_ATTEMPTS = '2';
+    process.env.DEPROVISION_JOB_BACKOFF_MS = '1000';
+    jest.doMock('../../services/deprovisioning/pipeline', () => ({
+      run: jest.fn(),
+      STEP_ORDER: ['mailbox', 'keycloak', 'webmail']
+    }));
+    pipeline = require('../../services/deprovisioning/pipeline');
+    jobQueue = require('../../services/deprovisioning/job-queue');
+  });
+
+  afterAll(async () => {
+    await require('../../services/databaseService').close();
+    process.env = envBackup;
+    try { fs.unlinkSync(dbPath); } catch (_) {}
+  });
+
+  beforeEach(() => {
+    pipeline.run.mockReset();
+  });
+
+  test('keeps per-step state and only re-runs unfinished steps', async () => {
+    const job = await jobQueue.enqueue(user, { reason: 'demo session expired' });
+    expect(await jobQueue.enqueue(user)).toMatchObject({ id: job.id });
+
+    pipeline.run.mockResolvedValueOnce({ steps: stepResults({ mailbox: 'failed', keycloak: 'ok', webmail: 'not_found' }) });
+    const afterFirst = await jobQueue.process(job.id);
+    expect(afterFirst).toMatchObject({ status: 'pending', attempts: 1, lastError: 'mailbox: mailbox down' });
+    expect(afterFirst.steps.keycloak.status).toBe('ok');
+    expect(afterFirst.nextAttemptAt).toBeGreaterThan(Date.now());
+
+    // Backoff not elapsed yet - neither the due scan nor a direct run (the daemon's deleteUser()
+    // processes the open job enqueue() returns) touches the job
+    expect(await jobQueue.processDue()).toMatchObject({ processed: 0 });
+    const reopened = await jobQueue.enqueue(user);
+    expect(await jobQueue.process(reopened.id)).toBeNull();
+    expect(pipeline.run).toHaveBeenCalledTimes(1);
+    expect(await jobQueue.get(job.id)).toMatchObject({ status: 'pending', attempts: 1 });
+
+    await jobQueue.retry(job.id);
+    pipeline.run.mockResolvedValueOnce({ steps: stepResults({ mailbox: 'ok' }) });
+    const done = await jobQueue.processDue();
+    expect(done).toMatchObject({ processed: 1, done: 1 });
+    expect(pipeline.run).toHaveBeenLastCalledWith(
+      { id: 'kc-1', username: 'demo1', email: 'demo1@example.com' },
+      { steps: ['mailbox'] }
+    );
+    expect((await jobQueue.get(job.id)).steps.mailbox).toMatchObject({ status: 'ok', attempts: 2 });
+  });
+
+  test('moves a job to the dead-letter list after max attempts; admins can retry or discard it', async () => {
+    const job = await jobQueue.enqueue({ id: 'kc-2', username: 'demo2' });
+    pipeline.run.mockResolvedValue({ steps: stepResults({ mailbox: 'failed', keycloak: 'ok', webmail: 'ok' }) });
+
+    await jobQueue.process(job.id);
+    expect(await jobQueue.process(job.id)).toBeNull(); // in backoff
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 10000);
+    try {
+      await jobQueue.process(job.id);
+    } finally {
+      now.mockRestore();
+    }
+    expect(await jobQueue.process(job.id)).toBeNull();
+
+    const dead = await jobQueue.get(job.id);
+    expect(dead).toMatchObject({ status: 'dead', attempts: 2 });
+    expect(await jobQueue.list({ status: 'dead' })).toEqual([expect.objectContaining({ id: job.id })]);
+    expect((await jobQueue.counts()).dead).toBe(1);
+
+    expect(await jobQueue.retry(job.id)).toMatchObject({ status: 'pending', attempts: 0 });
+    expect(await jobQueue.discard(job.id)).toBe(true);
+    expect(await jobQueue.get(job.id)).toBeNull();
+  });
+
+  test('only one caller can claim a job; expired locks are reclaimed', async () => {
+    const job = await jobQueue.enqueue({ id: 'kc-3', username: 'demo3' });
+    expect(await jobQueue.claim(job.id)).toBe(true);
+    expect(await jobQueue.claim(job.id)).toBe(false);
+    expect(await jobQueue.discard(job.id)).toBe(false);
+    expect(await jobQueue.claim(job.id, Date.now() + jobQueue.lockMs + 1)).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+jest.mock('../../config/keycloak-admin', () => ({
+  deleteUser: jest.fn()
+}));
+jest.mock('../../services/email/mail-service-abstraction', () => ({
+  isConfigured: jest.fn(() => true),
+  getProvider: jest.fn(() => 'stalwart'),
+  deleteMailbox: jest.fn()
+}));
+jest.mock('../../services/sogo/sogo-user-service', () => ({
+  deleteUser: jest.fn()
+}));
+jest.mock('../../config/mail-service-config', () => ({
+  getWebmailClientName: jest.fn(() => 'sogo')
+}));
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const { KeycloakAdminError } = require('../../services/keycloak-admin-client');
+const mailService = require('../../services/email/mail-service-abstraction');
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+const mailServiceConfig = require('../../config/mail-service-config');
+const { DeprovisioningPipeline } = require('../../services/deprovisioning/pipeline');
+
+const user = { id: 'kc-1', username: 'demo1', email: 'demo1@example.com' };
+
+function buildPipeline() {
+  const pipeline = new DeprovisioningPipeline();
+  pipeline.retries = 2;
+  pipeline.sleep = jest.fn().mockResolvedValue();
+  return pipeline;
+}
+
+describe('deprovisioning pipeline', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mailServiceConfig.getWebmailClientName.mockReturnValue('sogo');
+  });
+
+  test('runs mailbox, keycloak, webmail in order and records each step', async () => {
+    const calls = [];
+    mailService.deleteMailbox.mockImplementation(async (id) => {
+      calls.push(`mailbox:${id}`);
+      return { success: true, message: `Principal deleted: ${id}` };
+    });
+    keycloakAdmin.deleteUser.mockImplementation(async (id) => {
+      calls.push(`keycloak:${id}`);
+      return true;
+    });
+    sogoUserService.deleteUser.mockImplementation(async (id) => {
+      calls.push(`webmail:${id}`);
+      return { success: true, deleted: id === 'demo1', message: `User ${id} deleted from SOGo` };
+    });
+
+    const record = await buildPipeline().run(user);
+
+    expect(calls).toEqual(['mailbox:demo1@example.com', 'keycloak:kc-1', 'webmail:demo1', 'webmail:demo1@example.com']);
+    expect(record).toMatchObject({ success: true, userId: 'kc-1', username: 'demo1', email: 'demo1@example.com' });
+    expect(record.steps.map(step => [step.name, step.status, step.attempts])).toEqual([
+      ['mailbox', 'ok', 1],
+      ['keycloak', 'ok', 1],
+      ['webmail', 'ok', 1]
+    ]);
+  });
+
+  test('retries a failing step with backoff and keeps going after it fails', async () => {
+    mailService.deleteMailbox.mockResolvedValue({ success: false, error: 'Stalwart unreachable' });
+    keycloakAdmin.deleteUser
+      .mockRejectedValueOnce(new Error('Delete user error 503: busy'))
+      .mockResolvedValueOnce(true);
+    sogoUserService.deleteUser.mockResolvedValue({ success: true, deleted: false, message: 'not found in SOGo' });
+
+    const pipeline = buildPipeline();
+    const record = await pipeline.run(user);
+
+    expect(mailService.deleteMailbox).toHaveBeenCalledTimes(3);
+    expect(pipeline.sleep.mock.calls.map(call => call[0])).toEqual([1000, 2000, 1000]);
+    expect(record.success).toBe(false);
+    expect(record.steps).toEqual([
+      expect.objectContaining({ name: 'mailbox', status: 'failed', attempts: 3, error: 'Stalwart unreachable' }),
+      expect.objectContaining({ name: 'keycloak', status: 'ok', attempts: 2 }),
+      expect.objectContaining({ name: 'webmail', status: 'not_found', attempts: 1 })
+    ]);
+  });
+
+  test('treats missing accounts as not_found and falls back to the username for mailboxes', async () => {
+    mailService.deleteMailbox.mockResolvedValue({ success: true, message: 'Principal not found (may already be deleted)' });
+    keycloakAdmin.deleteUser.mockRejectedValue(
+      new KeycloakAdminError('Keycloak admin DELETE /users/kc-2 failed: 404', { code: 'not_found', status: 404 })
+    );
+    mailServiceConfig.getWebmailClientName.mockReturnValue('none');
+
+    const record = await buildPipeline().run({ id: 'kc-2', username: 'demo2' });
+
+    expect(mailService.deleteMailbox.mock.calls.map(call => call[0])).toEqual(['demo2@workinpilot.space', 'demo2']);
+    expect(record.success).toBe(true);
+    expect(record.steps.map(step => step.status)).toEqual(['not_found', 'not_found', 'skipped']);
+  });
+
+  test('detects a missing Keycloak user by status, not by a 404 in the message', async () => {
+    mailService.deleteMailbox.mockResolvedValue({ success: true, message: 'Mailbox deleted' });
+    mailServiceConfig.getWebmailClientName.mockReturnValue('none');
+    keycloakAdmin.deleteUser.mockRejectedValue(new Error('Keycloak unreachable at http://kc:8080/404'));
+
+    const failed = await buildPipeline().run({ id: 'kc-3', username: 'demo3' }, { steps: ['keycloak'] });
+    expect(failed.steps[0]).toMatchObject({ name: 'keycloak', status: 'failed' });
+
+    keycloakAdmin.deleteUser.mockRejectedValue(new KeycloakAdminError('User not found', { status: 404 }));
+    const missing = await buildPipeline().run({ id: 'kc-3', username: 'demo3' }, { steps: ['keycloak'] });
+    expect(missing.steps[0]).toMatchObject({ name: 'keycloak', status: 'not_found' });
+  });
+
+  test('runs only the requested steps', async () => {
+    keycloakAdmin.deleteUser.mockResolvedValue(true);
+
+    const record = await buildPipeline().run(user, { steps: ['keycloak'] });
+
+    expect(record.steps.map(step => step.name)).toEqual(['keycloak']);
+    expect(mailService.deleteMailbox).not.toHaveBeenCalled();
+    await expect(buildPipeline().run(user, { steps: ['ldap'] })).rejects.toThrow(/Unknown deprovisioning step/);
+  });
+});
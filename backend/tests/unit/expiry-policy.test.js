@@ -0,0 +1,129 @@
+jest.mock('../../config/keycloak-admin', () => ({
+  getUserRealmRoles: jest.fn(),
+  getUserOidcSessions: jest.fn()
+}));
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const { ExpiryPolicyEngine } = require('../../services/deprovisioning/expiry-policy');
+
+const MIN = 60 * 1000;
+const now = Date.parse('2026-01-01T12:00:00Z');
+
+function user(username, ageMin, extra = {}) {
+  return { id: `kc-${username}`, username, email: `${username}@example.com`, enabled: true, createdTimestamp: now - ageMin * MIN, ...extra };
+}
+
+function expired(plan) {
+  return plan.decisions.filter(d => d.expire).map(d => d.username);
+}
+
+describe('expiry policies', () => {
+  const envBackup = { ...process.env };
+  const webmailAdapter = { name: 'roundcube', exists: jest.fn() };
+
+  function buildEngine(env) {
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('DEMO_EXPIRY_') || key === 'DEMO_CLEANUP_DRY_RUN') delete process.env[key];
+    }
+    Object.assign(process.env, { DEMO_MAX_SESSION_DURATION_MIN: '15', DEMO_ADMIN_ROLE: 'demo-admin' }, env);
+    return new ExpiryPolicyEngine();
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keycloakAdmin.getUserRealmRoles.mockResolvedValue(['offline_access']);
+    keycloakAdmin.getUserOidcSessions.mockResolvedValue([]);
+    webmailAdapter.exists.mockResolvedValue(true);
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('age policy only expires eligible users', async () => {
+    const engine = buildEngine({ DEMO_EXPIRY_PROTECTED_USERS: 'keeper', DEMO_EXPIRY_USERNAME_PREFIXES: 'test-,test_oidc_' });
+    keycloakAdmin.getUserRealmRoles.mockImplementation(async (id) => (id === 'kc-test-admin' ? ['demo-admin'] : []));
+    webmailAdapter.exists.mockImplementation(async ({ username }) => username !== 'test-nomail');
+
+    const plan = await engine.evaluate([
+      user('test-old', 20),
+      user('test_oidc_old', 30),
+      user('test-new', 5),
+      user('keeper', 60),
+      user('alice', 60),
+      user('test-admin', 60),
+      user('test-nomail', 60),
+      user('test-disabled', 60, { enabled: false }),
+      user('service-account-backend', 60)
+    ], { webmailAdapter, now });
+
+    expect(expired(plan)).toEqual(['test-old', 'test_oidc_old']);
+    const excluded = Object.fromEntries(plan.decisions.map(d => [d.username, d.excluded]));
+    expect(excluded).toMatchObject({
+      keeper: 'protected user',
+      alice: 'username prefix not matched',
+      'test-admin': 'protected role demo-admin',
+      'test-nomail': 'no webmail user',
+      'test-disabled': 'disabled',
+      'service-account-backend': 'service account'
+    });
+    expect(plan.decisions.find(d => d.username === 'test-old').reasons).toEqual(['age 20 min > 15']);
+    expect(plan.summary).toEqual({ evaluated: 9, eligible: 3, expire: 2 });
+  });
+
+  test('idle policy uses the last session activity, falling back to creation time', async () => {
+    const engine = buildEngine({ DEMO_EXPIRY_POLICIES: 'idle', DEMO_EXPIRY_IDLE_MIN: '10' });
+    keycloakAdmin.getUserOidcSessions.mockImplementation(async (id) => (
+      id === 'kc-active' ? [{ start: now - 120 * MIN, lastAccess: now - 2 * MIN }] : []
+    ));
+
+    const plan = await engine.evaluate([user('active', 120), user('gone', 30), user('fresh', 3)], { webmailAdapter, now });
+
+    expect(expired(plan)).toEqual(['gone']);
+    expect(plan.decisions.find(d => d.username === 'gone').reasons).toEqual(['idle 30 min > 10']);
+  });
+
+  test('max-concurrent evicts the oldest users beyond the limit', async () => {
+    const engine = buildEngine({ DEMO_EXPIRY_POLICIES: 'age,max-concurrent', DEMO_EXPIRY_MAX_ACCOUNTS: '2', DEMO_MAX_SESSION_DURATION_MIN: '60' });
+
+    const plan = await engine.evaluate([
+      user('c', 10), user('expired-by-age', 90), user('a', 30), user('d', 5), user('b', 20)
+    ], { webmailAdapter, now });
+
+    // expired-by-age goes anyway; of the remaining four the two oldest are evicted
+    expect(expired(plan).sort()).toEqual(['a', 'b', 'expired-by-age']);
+    expect(plan.decisions.find(d => d.username === 'a').reasons).toEqual(['over 2 concurrent accounts (oldest first)']);
+  });
+
+  test('forced evaluation skips rules and the webmail check but keeps protected users', async () => {
+    const engine = buildEngine({ DEMO_EXPIRY_PROTECTED_USERS: 'keeper@example.com', DEMO_CLEANUP_DRY_RUN: 'true' });
+    webmailAdapter.exists.mockResolvedValue(false);
+
+    const plan = await engine.evaluate([user('new', 1), user('keeper', 60)], { webmailAdapter, force: true, now });
+
+    expect(expired(plan)).toEqual(['new']);
+    expect(plan).toMatchObject({ dryRun: true, force: true, policies: ['force'] });
+    expect(webmailAdapter.exists).not.toHaveBeenCalled();
+  });
+
+  test('keeps users that cannot be evaluated and users without a webmail adapter', async () => {
+    const engine = buildEngine({});
+    keycloakAdmin.getUserRealmRoles.mockRejectedValueOnce(new Error('Get user roles error 503: busy'));
+
+    let plan = await engine.evaluate([user('flaky', 60), user('old', 60)], { webmailAdapter, now });
+    expect(expired(plan)).toEqual(['old']);
+    expect(plan.decisions[0].excluded).toMatch(/evaluation failed/);
+
+    plan = await engine.evaluate([user('old', 60)], { webmailAdapter: null, now });
+    expect(plan.decisions[0].excluded).toBe('no webmail adapter');
+  });
+
+  test('narrows the Keycloak enumeration where no policy could match', () => {
+    let engine = buildEngine({ DEMO_EXPIRY_USERNAME_PREFIXES: 'test-' });
+    expect(engine.enumerationFilters({ now })).toEqual({ usernamePrefixes: ['test-'], createdBefore: now - 15 * MIN });
+    expect(engine.enumerationFilters({ force: true, now })).toEqual({ usernamePrefixes: ['test-'] });
+
+    engine = buildEngine({ DEMO_EXPIRY_POLICIES: 'age,idle' });
+    expect(engine.enumerationFilters({ now })).toEqual({});
+  });
+});
@@ -0,0 +1,129 @@
+jest.mock('../../config/keycloak-admin', () => ({
+  iterateUsers: jest.fn()
+}));
+jest.mock('../../config/mail-service-config', () => ({
+  getProvider: jest.fn(() => 'stalwart'),
+  getWebmailClientName: jest.fn(() => 'sogo')
+}));
+jest.mock('../../services/email/stalwart-client', () => ({
+  listPrincipals: jest.fn(),
+  deletePrincipal: jest.fn()
+}));
+jest.mock('../../services/sogo/sogo-user-service', () => ({
+  pool: {},
+  listSogoUsers: jest.fn(),
+  deleteUser: jest.fn()
+}));
+jest.mock('../../services/roundcube/roundcube-user-service', () => ({
+  pool: {},
+  listUsers: jest.fn(),
+  deleteUser: jest.fn()
+}));
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const stalwartClient = require('../../services/email/stalwart-client');
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+const roundcubeUserService = require('../../services/roundcube/roundcube-user-service');
+const { IdentityReconciler } = require('../../services/deprovisioning/reconciliation');
+
+describe('identity reconciliation', () => {
+  const envBackup = { ...process.env };
+  const keycloakUsers = [
+    { id: 'kc-1', username: 'alice', email: 'alice@example.com' },
+    { id: 'kc-2', username: 'bob', email: null }
+  ];
+
+  // keycloakAdmin.iterateUsers() stand-in
+  async function* stream(users) {
+    yield* users;
+  }
+
+  function buildReconciler() {
+    const reconciler = new IdentityReconciler();
+    reconciler.pageSize = 2;
+    return reconciler;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.SOGO_DB_PASSWORD_RAW = 'x';
+    process.env.ROUNDCUBE_DB_PASSWORD_RAW = 'x';
+    process.env.DEMO_INTERNAL_EMAIL_DOMAIN = 'example.com';
+    keycloakAdmin.iterateUsers.mockImplementation(() => stream(keycloakUsers));
+    stalwartClient.listPrincipals.mockResolvedValue({
+      success: true,
+      principals: {
+        items: [
+          { name: 'alice@example.com', emails: ['alice@example.com'] },
+          { name: 'ghost', emails: 'ghost@example.com' },
+          { name: 'postmaster', emails: [] }
+        ],
+        total: 3
+      }
+    });
+    sogoUserService.listSogoUsers.mockResolvedValue([
+      { c_uid: 'bob', mail: 'bob@example.com' },
+      { c_uid: 'carol', mail: 'carol@example.com' }
+    ]);
+    roundcubeUserService.listUsers.mockResolvedValue([{ username: 'alice@example.com' }, { username: 'dave@example.com' }]);
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('reports orphans per system and Keycloak users without accounts', async () => {
+    const report = await buildReconciler().report();
+
+    expect(keycloakAdmin.iterateUsers).toHaveBeenCalledWith({ pageSize: 2 });
+    expect(report.success).toBe(true);
+    expect(report.sources.keycloak).toEqual({ success: true, count: 2 });
+    expect(report.orphans.stalwart.map(p => p.name)).toEqual(['ghost', 'postmaster']);
+    expect(report.orphans.sogo).toEqual([{ id: 'carol', email: 'carol@example.com' }]);
+    expect(report.orphans.roundcube).toEqual([{ id: 'dave@example.com', email: 'dave@example.com' }]);
+    expect(report.missing.stalwart).toEqual([{ id: 'kc-2', username: 'bob', email: null }]);
+    expect(report.missing.sogo).toEqual([{ id: 'kc-1', username: 'alice', email: 'alice@example.com' }]);
+    // Roundcube is not the selected webmail client
+    expect(report.missing.roundcube).toEqual([]);
+    expect(report.summary).toEqual({ orphans: 4, missing: 2 });
+  });
+
+  test('compares nothing when Keycloak cannot be listed', async () => {
+    keycloakAdmin.iterateUsers.mockImplementation(async function* () {
+      throw new Error('Get all users error 503: down');
+    });
+
+    const result = await buildReconciler().repair();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/nothing compared/);
+    expect(result.orphans.stalwart).toEqual([]);
+    expect(result.repairs).toEqual([]);
+    expect(stalwartClient.deletePrincipal).not.toHaveBeenCalled();
+  });
+
+  test('repair deletes orphans but keeps protected accounts and users created meanwhile', async () => {
+    let listings = 0;
+    keycloakAdmin.iterateUsers.mockImplementation(() => {
+      listings++;
+      // carol registers between the report and the repair
+      return stream(listings === 1 ? keycloakUsers : [...keycloakUsers, { id: 'kc-3', username: 'carol' }]);
+    });
+    stalwartClient.deletePrincipal.mockResolvedValue({ success: true, status: 200 });
+    roundcubeUserService.deleteUser.mockResolvedValue({ success: false, error: 'MariaDB gone' });
+
+    const result = await buildReconciler().repair();
+
+    expect(result.repairs).toEqual([
+      { system: 'stalwart', id: 'ghost', status: 'deleted', message: undefined },
+      { system: 'stalwart', id: 'postmaster', status: 'protected' },
+      { system: 'sogo', id: 'carol', status: 'kept', message: expect.any(String) },
+      { system: 'roundcube', id: 'dave@example.com', status: 'failed', error: 'MariaDB gone' }
+    ]);
+    expect(stalwartClient.deletePrincipal).toHaveBeenCalledTimes(1);
+    expect(sogoUserService.deleteUser).not.toHaveBeenCalled();
+    expect(result.success).toBe(false);
+
+    await expect(buildReconciler().repair({ systems: ['keycloak'] })).rejects.toThrow(/Unknown reconciliation system/);
+  });
+});
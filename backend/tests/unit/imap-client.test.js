@@ -0,0 +1,204 @@
+const net = require('net');
+const { ImapClient } = require('../../services/email/imap-client');
+
+const b64 = value => Buffer.from(value).toString('base64');
+
+// UID -> FETCH data; 1 has a literal subject, 3 is multipart/alternative, 5 single-part HTML
+const MESSAGES = {
+  1: {
+    flags: '()',
+    date: '01-Oct-2026 09:00:00 +0000',
+    envelope: '("Thu, 1 Oct 2026 09:00:00 +0000" {6}\r\nOldest (("Bob" NIL "bob" "example.org")) NIL NIL NIL NIL NIL NIL NIL)',
+    structure: '("TEXT" "PLAIN" ("CHARSET" "us-ascii") NIL NIL "7BIT" 7 1 NIL NIL NIL NIL)',
+    parts: { 1: 'Old one' }
+  },
+  3: {
+    flags: '(\\Seen)',
+    date: '02-Oct-2026 10:00:00 +0000',
+    envelope: `(NIL "=?UTF-8?B?${b64('Grüße')}?= aus Berlin" (("=?ISO-8859-1?Q?J=FCrgen?=" NIL "juergen" "example.de")) NIL NIL NIL NIL NIL NIL NIL)`,
+    structure: '(("TEXT" "PLAIN" ("CHARSET" "utf-8") NIL NIL "BASE64" 32 1 NIL NIL NIL NIL)("TEXT" "HTML" ("CHARSET" "utf-8") NIL NIL "7BIT" 30 1 NIL NIL NIL NIL) "ALTERNATIVE" ("BOUNDARY" "b1") NIL NIL NIL)',
+    parts: { 1: b64('Hallo   Welt,\r\nbis bald') }
+  },
+  5: {
+    flags: '(\\Flagged)',
+    date: '03-Oct-2026 11:30:00 +0200',
+    envelope: '(NIL "Newsletter" ((NIL NIL "news" "example.com")) NIL NIL NIL NIL NIL NIL NIL)',
+    structure: '("TEXT" "HTML" ("CHARSET" "utf-8") NIL NIL "QUOTED-PRINTABLE" 80 2 NIL NIL NIL NIL)',
+    parts: { 1: '<html><style>p { color: red }</style><p>Caf=C3=A9 &amp; more=\r\n news</p></html>' }
+  }
+};
+
+describe('IMAP client', () => {
+  let server;
+  let port;
+  let commands;
+  let logins;
+
+  function handle(socket, tag, line) {
+    const [command, ...args] = line.split(' ');
+    const reply = text => socket.write(text);
+    commands.push(command === 'UID' ? `UID ${args[0]}` : command);
+
+    switch (command) {
+      case 'CAPABILITY':
+        return reply(`* CAPABILITY IMAP4rev1 SASL-IR AUTH=PLAIN AUTH=XOAUTH2\r\n${tag} OK done\r\n`);
+      case 'AUTHENTICATE': {
+        logins.push(Buffer.from(args[1], 'base64').toString());
+        if (logins[logins.length - 1].includes('auth=Bearer good-token')) return reply(`${tag} OK Logged in\r\n`);
+        socket.pendingSasl = tag;
+        return reply(`+ ${b64('{"status":"401","schemes":"bearer"}')}\r\n`);
+      }
+      case 'LOGIN':
+        logins.push(args.join(' '));
+        if (['LOGIN "demo1@example.com*master" "secret"', 'LOGIN "demo1@example.com" "app-pass"'].includes(line)) return reply(`${tag} OK Logged in\r\n`);
+        return reply(`${tag} NO [AUTHENTICATIONFAILED] Authentication failed.\r\n`);
+      case 'STATUS':
+        if (args[0] !== '"INBOX"') return reply(`${tag} NO [NONEXISTENT] Mailbox doesn't exist\r\n`);
+        return reply(`* STATUS INBOX (MESSAGES 3 UNSEEN 2)\r\n${tag} OK done\r\n`);
+      case 'EXAMINE':
+        return reply(`* 3 EXISTS\r\n* OK [UIDVALIDITY 42] ok\r\n${tag} OK [READ-ONLY] done\r\n`);
+      case 'UID': {
+        if (args[0] === 'SEARCH') return reply(`* SEARCH 1 3 5\r\n${tag} OK done\r\n`);
+        const uids = args[1].split(',').map(Number);
+        const items = args.slice(2).join(' ');
+        const section = /BODY\.PEEK\[([\d.]+)\]/.exec(items);
+        const lines = uids.map((uid) => {
+          const message = MESSAGES[uid];
+          if (section) {
+            const body = message.parts[section[1]];
+            return `* ${uid} FETCH (UID ${uid} BODY[${section[1]}]<0> {${Buffer.byteLength(body)}}\r\n${body})\r\n`;
+          }
+          return `* ${uid} FETCH (UID ${uid} FLAGS ${message.flags} INTERNALDATE "${message.date}" ENVELOPE ${message.envelope} BODYSTRUCTURE ${message.structure})\r\n`;
+        });
+        return reply(`${lines.join('')}${tag} OK done\r\n`);
+      }
+      case 'LOGOUT':
+        reply(`* BYE bye\r\n${tag} OK done\r\n`);
+        return socket.end();
+      default:
+        return reply(`${tag} BAD Unknown command\r\n`);
+    }
+  }
+
+  beforeAll(async () => {
+    server = net.createServer((socket) => {
+      let buffer = '';
+      socket.write('* OK Test IMAP ready\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        for (;;) {
+          const end = buffer.indexOf('\r\n');
+          if (end === -1) return;
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (socket.pendingSasl) {
+            socket.write(`${socket.pendingSasl} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+            socket.pendingSasl = null;
+            continue;
+          }
+          const [, tag, rest] = /^(\S+) (.*)$/.exec(line);
+          handle(socket, tag, rest);
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    commands = [];
+    logins = [];
+  });
+
+  const client = () => new ImapClient({ host: '127.0.0.1', port, security: 'none', timeoutMs: 2000 });
+
+  test('pages the inbox newest first with decoded headers and previews', async () => {
+    const page = await client().withConnection('demo1@example.com', { accessToken: 'good-token' }, connection =>
+      connection.listMessages({ limit: 2 })
+    );
+
+    expect(logins).toEqual(['user=demo1@example.com\x01auth=Bearer good-token\x01\x01']);
+    expect(page).toEqual({
+      total: 3,
+      position: 0,
+      limit: 2,
+      messages: [
+        {
+          id: '5',
+          from: { name: null, email: 'news@example.com' },
+          subject: 'Newsletter',
+          date: '2026-10-03T09:30:00.000Z',
+          preview: 'Café & more news',
+          seen: false
+        },
+        {
+          id: '3',
+          from: { name: 'Jürgen', email: 'juergen@example.de' },
+          subject: 'Grüße aus Berlin',
+          date: '2026-10-02T10:00:00.000Z',
+          preview: 'Hallo Welt, bis bald',
+          seen: true
+        }
+      ]
+    });
+    expect(commands).toEqual(['CAPABILITY', 'AUTHENTICATE', 'EXAMINE', 'UID SEARCH', 'UID FETCH', 'UID FETCH', 'LOGOUT']);
+
+    const rest = await client().withConnection('demo1@example.com', { accessToken: 'good-token' }, connection =>
+      connection.listMessages({ position: 2, limit: 2 })
+    );
+    expect(rest.messages).toEqual([expect.objectContaining({ id: '1', subject: 'Oldest', from: { name: 'Bob', email: 'bob@example.org' }, preview: 'Old one' })]);
+  });
+
+  test('reads STATUS through a master user login', async () => {
+    process.env.DEMO_MAIL_IMAP_MASTER_USER = 'master';
+    process.env.DEMO_MAIL_IMAP_MASTER_PASSWORD = 'secret';
+    const login = client().masterLogin('demo1@example.com');
+    delete process.env.DEMO_MAIL_IMAP_MASTER_USER;
+    delete process.env.DEMO_MAIL_IMAP_MASTER_PASSWORD;
+
+    expect(login).toEqual({ user: 'demo1@example.com*master', auth: { password: 'secret' } });
+    expect(await client().withConnection(login.user, login.auth, connection => connection.status()))
+      .toEqual({ messages: 3, unseen: 2 });
+    expect(client().masterLogin('demo1@example.com')).toBeNull();
+  });
+
+  test('reads the inbox status with the user token or the configured app password', async () => {
+    expect(await client().getInboxStatus('demo1@example.com', 'good-token')).toEqual({ messages: 3, unseen: 2 });
+    expect(logins).toEqual(['user=demo1@example.com\x01auth=Bearer good-token\x01\x01']);
+    await expect(client().getInboxStatus('demo1@example.com', null)).rejects.toMatchObject({ code: 'token_error' });
+    expect(commands).toEqual(['CAPABILITY', 'AUTHENTICATE', 'STATUS', 'LOGOUT']);
+
+    process.env.DEMO_MAIL_IMAP_APP_PASSWORD = 'app-pass';
+    const passwordClient = new ImapClient({ host: '127.0.0.1', port, security: 'none', timeoutMs: 2000, authMode: 'password' });
+    try {
+      expect(await passwordClient.getInboxStatus('demo1@example.com', 'ignored-token')).toEqual({ messages: 3, unseen: 2 });
+    } finally {
+      delete process.env.DEMO_MAIL_IMAP_APP_PASSWORD;
+    }
+    expect(logins[1]).toBe('"demo1@example.com" "app-pass"');
+    expect(passwordClient.loginFor('demo1@example.com', 'ignored-token')).toBeNull();
+
+    // Without an app password the master user is not a way into the user's own mailbox
+    process.env.DEMO_MAIL_IMAP_MASTER_USER = 'master';
+    process.env.DEMO_MAIL_IMAP_MASTER_PASSWORD = 'secret';
+    try {
+      expect(passwordClient.loginFor('demo1@example.com', 'ignored-token')).toBeNull();
+    } finally {
+      delete process.env.DEMO_MAIL_IMAP_MASTER_USER;
+      delete process.env.DEMO_MAIL_IMAP_MASTER_PASSWORD;
+    }
+  });
+
+  test('maps failed authentication and NO responses to error codes', async () => {
+    await expect(client().connect('demo1@example.com', { accessToken: 'expired-token' }))
+      .rejects.toMatchObject({ name: 'ImapError', code: 'auth_failed', message: 'Authentication failed for demo1@example.com: 401' });
+    await expect(client().connect('demo1@example.com', { password: 'wrong' }))
+      .rejects.toMatchObject({ code: 'auth_failed', responseCode: 'AUTHENTICATIONFAILED' });
+    await expect(client().withConnection('demo1@example.com*master', { password: 'secret' }, connection => connection.status('Nope')))
+      .rejects.toMatchObject({ code: 'rejected', responseCode: 'NONEXISTENT', message: "STATUS failed: Mailbox doesn't exist" });
+  });
+});
@@ -0,0 +1,160 @@
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+jest.mock('../../services/tokenService', () => ({ getValidAccessToken: jest.fn() }));
+jest.mock('../../config/mail-service-config', () => ({ getBaseUrl: jest.fn(() => 'https://mail.example.com') }));
+
+const axios = require('axios');
+const tokenService = require('../../services/tokenService');
+const { JmapClient } = require('../../services/email/jmap-client');
+
+describe('JMAP client', () => {
+  const user = { key: 'kc-1', session: { id: 'sess' } };
+  let client;
+  let methodResponses; // method -> args or ['error', args]
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = new JmapClient();
+    tokenService.getValidAccessToken.mockResolvedValue('user-token');
+    axios.get.mockResolvedValue({
+      status: 200,
+      data: { primaryAccounts: { 'urn:ietf:params:jmap:mail': 'acc1' }, apiUrl: 'https://mail.example.com/jmap/', state: 's1' }
+    });
+    methodResponses = {};
+    axios.post.mockImplementation(async (url, body) => ({
+      status: 200,
+      data: {
+        sessionState: 's1',
+        methodResponses: body.methodCalls.map(([method, , callId]) => {
+          const response = methodResponses[method] || {};
+          return Array.isArray(response) ? [...response, callId] : [method, response, callId];
+        })
+      }
+    }));
+  });
+
+  test('uses the TokenService token and caches the session per user', async () => {
+    methodResponses['Email/query'] = { ids: ['e1', 'e2'], position: 0, total: 7, queryState: 'q1' };
+    methodResponses['Mailbox/get'] = { list: [{ id: 'm1', role: 'inbox' }, { id: 'm9', role: 'trash' }] };
+
+    const page = await client.queryEmails(user, { filter: { inMailbox: 'm1' }, limit: 2 });
+    const trash = await client.getMailboxByRole(user, 'trash');
+
+    expect(page).toEqual({ ids: ['e1', 'e2'], position: 0, total: 7, queryState: 'q1' });
+    expect(trash.id).toBe('m9');
+    expect(tokenService.getValidAccessToken).toHaveBeenCalledWith('kc-1', user.session);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    const [url, body, { headers }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://mail.example.com/jmap/');
+    expect(headers.Authorization).toBe('Bearer user-token');
+    expect(body.methodCalls[0]).toEqual(['Email/query', {
+      accountId: 'acc1',
+      filter: { inMailbox: 'm1' },
+      sort: [{ property: 'receivedAt', isAscending: false }],
+      position: 0,
+      limit: 2,
+      collapseThreads: false,
+      calculateTotal: true
+    }, 'c1']);
+
+    // Another user gets their own session
+    await client.getThreads({ key: 'kc-2', session: {} }, ['t1']);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('evicts expired sessions from the cache', async () => {
+    const now = Date.now();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+    try {
+      await client.getSession(user, 'Bearer a');
+      await client.getSession({ key: 'kc-2' }, 'Bearer b');
+      expect(client.sessions.size).toBe(2);
+
+      nowSpy.mockReturnValue(now + client.sessionTtlMs);
+      await client.getSession(user, 'Bearer a');
+      // kc-1 refetched, kc-2 (never read again) swept
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      expect([...client.sessions.keys()]).toEqual(['kc-1']);
+    } finally {
+      nowSpy.mockRestore();
+    }
+  });
+
+  test('builds Email/set patches for flags and moves and reports SetErrors per id', async () => {
+    methodResponses['Email/set'] = { updated: { e1: null, e2: null } };
+
+    await client.setFlags(user, ['e1', 'e2'], { seen: true, flagged: false, keywords: { $label1: true } });
+    await client.moveEmails(user, ['e1'], 'm9');
+    expect(axios.post.mock.calls[0][1].methodCalls[0][1].update).toEqual({
+      e1: { 'keywords/$seen': true, 'keywords/$flagged': null, 'keywords/$label1': true },
+      e2: { 'keywords/$seen': true, 'keywords/$flagged': null, 'keywords/$label1': true }
+    });
+    expect(axios.post.mock.calls[1][1].methodCalls[0][1].update).toEqual({ e1: { mailboxIds: { m9: true } } });
+
+    methodResponses['Email/set'] = { destroyed: ['e1'], notDestroyed: { e2: { type: 'notFound' } } };
+    await expect(client.destroyEmails(user, ['e1', 'e2'])).rejects.toMatchObject({
+      name: 'JmapError', code: 'not_found', type: 'notFound', method: 'Email/set', setErrors: { e2: { type: 'notFound' } }
+    });
+  });
+
+  test('maps method errors, request errors and missing tokens', async () => {
+    methodResponses['Email/get'] = ['error', { type: 'invalidArguments', description: 'ids too long' }];
+    await expect(client.getEmails(user, ['e1'])).rejects.toMatchObject({
+      code: 'bad_request', type: 'invalidArguments', method: 'Email/get', message: 'JMAP Email/get error: invalidArguments - ids too long'
+    });
+
+    axios.post.mockResolvedValueOnce({ status: 400, data: { type: 'urn:ietf:params:jmap:error:limit', detail: 'maxCallsInRequest' } });
+    await expect(client.getThreads(user, ['t1'])).rejects.toMatchObject({ code: 'limit', status: 400, message: 'JMAP Thread/get error 400: maxCallsInRequest' });
+
+    tokenService.getValidAccessToken.mockResolvedValue(null);
+    await expect(client.getMailboxes(user)).rejects.toMatchObject({ code: 'token_error' });
+  });
+
+  test('refetches the session once on 401 and when the session state changes', async () => {
+    axios.post.mockResolvedValueOnce({ status: 401, data: '' });
+    methodResponses['Thread/get'] = { list: [{ id: 't1', emailIds: ['e1'] }] };
+
+    expect(await client.getThreads(user, ['t1'])).toEqual([{ id: 't1', emailIds: ['e1'] }]);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+
+    axios.post.mockResolvedValueOnce({ status: 200, data: { sessionState: 's2', methodResponses: [['Thread/get', { list: [] }, 'c1']] } });
+    await client.getThreads(user, ['t1']);
+    await client.getThreads(user, ['t1']);
+    expect(axios.get).toHaveBeenCalledTimes(3);
+  });
+
+  test('impersonates accounts through the Stalwart master user', async () => {
+    process.env.STALWART_MASTER_USER = 'master';
+    process.env.STALWART_MASTER_SECRET = 's3cret';
+    methodResponses['Mailbox/get'] = { list: [{ id: 'm1', role: 'inbox', totalEmails: 2, unreadEmails: 1 }] };
+
+    expect(await client.getMailboxByRole({ impersonate: 'demo2@example.com' }, 'inbox')).toMatchObject({ unreadEmails: 1 });
+    const authorization = `Basic ${Buffer.from('demo2@example.com%master:s3cret').toString('base64')}`;
+    expect(axios.get.mock.calls[0][1].headers.Authorization).toBe(authorization);
+    expect(axios.post.mock.calls[0][2].headers.Authorization).toBe(authorization);
+    expect(tokenService.getValidAccessToken).not.toHaveBeenCalled();
+    expect(client.sessions.has('master:demo2@example.com')).toBe(true);
+
+    delete process.env.STALWART_MASTER_USER;
+    delete process.env.STALWART_MASTER_SECRET;
+    await expect(client.getMailboxes({ impersonate: 'demo3@example.com' })).rejects.toMatchObject({ code: 'token_error' });
+  });
+
+  test('submits an email with the first identity and files it in Sent', async () => {
+    methodResponses['Identity/get'] = { list: [{ id: 'id1', email: 'demo1@example.com' }] };
+    methodResponses['Mailbox/get'] = { list: [{ id: 'm2', role: 'sent' }] };
+    methodResponses['EmailSubmission/set'] = { created: { send: { id: 'sub1' } } };
+
+    expect(await client.submitEmail(user, 'e5')).toEqual({ id: 'sub1' });
+
+    const body = axios.post.mock.calls[2][1];
+    expect(body.using).toContain('urn:ietf:params:jmap:submission');
+    expect(body.methodCalls[0][1]).toEqual({
+      accountId: 'acc1',
+      create: { send: { identityId: 'id1', emailId: 'e5' } },
+      onSuccessUpdateEmail: { '#send': { 'keywords/$draft': null, mailboxIds: { m2: true } } }
+    });
+
+    methodResponses['EmailSubmission/set'] = { notCreated: { send: { type: 'forbiddenFrom' } } };
+    await expect(client.submitEmail(user, 'e5', { identityId: 'id1' })).rejects.toMatchObject({ code: 'forbidden', method: 'EmailSubmission/set' });
+  });
+});
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+describe('JWKS verification of Keycloak tokens', () => {
+  const envBackup = { ...process.env };
+  const issuer = 'https://kc.example.com/realms/demo';
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const { privateKey: rolledKey, publicKey: rolledPublicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwk = (key, kid) => ({ ...key.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' });
+
+  let jwks;
+  let fetchMock;
+
+  function signed(claims = {}, { key = privateKey, kid = 'kid-1', expiresIn = 300 } = {}) {
+    return jwt.sign({ iss: issuer, sub: 'kc-1', azp: 'demo-client', ...claims }, key, { algorithm: 'RS256', keyid: kid, expiresIn });
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.KEYCLOAK_URL = 'https://kc.example.com';
+    process.env.KEYCLOAK_REALM = 'demo';
+    process.env.KEYCLOAK_CLIENT_ID = 'demo-client';
+    process.env.JWKS_MIN_REFETCH_MS = '0';
+    process.env.TOKEN_STORE_BACKEND = 'memory';
+    process.env.TOKEN_SERVICE_ENCRYPTION_KEYS = 'k1:secret';
+    jwks = [jwk(publicKey, 'kid-1')];
+    fetchMock = jest.fn(async () => ({ ok: true, json: async () => ({ keys: jwks }) }));
+    global.fetch = fetchMock;
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+    delete global.fetch;
+  });
+
+  test('verifier enforces azp and picks up rolled-over keys', async () => {
+    const jwtVerifier = require('../../services/jwt-verifier');
+
+    await expect(jwtVerifier.verify(signed(), { authorizedParty: 'demo-client' })).resolves.toMatchObject({ sub: 'kc-1' });
+    await expect(jwtVerifier.verify(signed({ azp: 'other' }), { authorizedParty: 'demo-client' }))
+      .rejects.toMatchObject({ code: 'invalid_token' });
+
+    jwks = [jwk(publicKey, 'kid-1'), jwk(rolledPublicKey, 'kid-2')];
+    await expect(jwtVerifier.verify(signed({}, { key: rolledKey, kid: 'kid-2' }))).resolves.toMatchObject({ sub: 'kc-1' });
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+  });
+
+  test('TokenService refuses tokens that do not verify', async () => {
+    const tokenService = require('../../services/tokenService');
+    const session = {};
+
+    const forged = jwt.sign({ iss: issuer, sub: 'kc-1', azp: 'demo-client' }, 'guessed-secret', { expiresIn: 300 });
+    expect(await tokenService.initializeUserTokens('kc-1', { accessToken: forged }, session)).toBe(false);
+    expect(session.tokenService).toBeUndefined();
+
+    expect(await tokenService.initializeUserTokens('kc-1', {
+      accessToken: signed(),
+      idToken: signed({ aud: 'demo-client', typ: 'ID' })
+    }, session)).toBe(true);
+    await tokenService.close();
+  });
+
+  test('login roles only come from verified claims', async () => {
+    const { extractRolesFromClaims } = require('../../middleware/authorization');
+    const jwtVerifier = require('../../services/jwt-verifier');
+
+    const claims = await jwtVerifier.verify(signed({ realm_access: { roles: ['demo-admin'] } }), { authorizedParty: 'demo-client' });
+    expect(extractRolesFromClaims(claims)).toEqual(['demo-admin']);
+
+    const forged = jwt.sign({ iss: issuer, azp: 'demo-client', realm_access: { roles: ['demo-admin'] } }, privateKey, { algorithm: 'RS256', keyid: 'kid-unknown' });
+    await expect(jwtVerifier.verify(forged)).rejects.toMatchObject({ code: 'unknown_key' });
+  });
+
+  test('token utilities verify before reading exp/iat', async () => {
+    const { checkTokenExpiration } = require('../../utils/keycloak-token-refresh');
+    const { validateTokenDuration } = require('../../utils/token-validator');
+
+    const expired = signed({}, { expiresIn: -120 });
+    expect(await checkTokenExpiration(expired)).toMatchObject({ expired: true, expiresIn: 0 });
+    expect((await checkTokenExpiration(signed())).expired).toBe(false);
+
+    const forged = jwt.sign({ iss: issuer, exp: Math.floor(Date.now() / 1000) + 300 }, 'guessed-secret');
+    expect((await checkTokenExpiration(forged)).error).toMatch(/verification failed/);
+
+    expect(await validateTokenDuration(signed({}, { expiresIn: 7200 }), 3600)).toMatchObject({ valid: true, duration: 7200 });
+    expect(await validateTokenDuration(forged, 60)).toMatchObject({ valid: false });
+  });
+});
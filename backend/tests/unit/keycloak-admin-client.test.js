@@ -0,0 +1,89 @@
+describe('keycloak admin client', () => {
+  const envBackup = { ...process.env };
+  let fetchMock;
+  let adminClient;
+  let KeycloakAdminError;
+  let tokensIssued;
+  let routes; // 'METHOD /path' -> (token, url, init) => response
+
+  function json(status, body) {
+    return { ok: status >= 200 && status < 300, status, json: async () => body, text: async () => JSON.stringify(body), headers: new Map() };
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.KEYCLOAK_URL = 'https://kc.example.com';
+    process.env.KEYCLOAK_REALM = 'demo';
+    tokensIssued = 0;
+    routes = {};
+    fetchMock = jest.fn(async (url, init = {}) => {
+      const parsed = new URL(url);
+      if (parsed.pathname.endsWith('/token')) {
+        tokensIssued++;
+        return json(200, { access_token: `token-${tokensIssued}`, expires_in: 300 });
+      }
+      const key = `${init.method || 'GET'} ${parsed.pathname.replace('/admin/realms/demo', '')}`;
+      const handler = routes[key];
+      if (!handler) return json(404, { error: 'Could not find resource' });
+      return handler(init.headers.Authorization.replace('Bearer ', ''), parsed, init);
+    });
+    global.fetch = fetchMock;
+    adminClient = require('../../services/keycloak-admin-client');
+    KeycloakAdminError = adminClient.KeycloakAdminError;
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+    delete global.fetch;
+  });
+
+  test('renews the cached token once when Keycloak answers 401', async () => {
+    // token-1 was revoked server-side
+    routes['GET /users/kc-1'] = (token) => (token === 'token-1' ? json(401, {}) : json(200, { id: 'kc-1', username: 'alice' }));
+
+    await adminClient.getToken();
+    expect(await adminClient.getUser('kc-1')).toEqual({ id: 'kc-1', username: 'alice' });
+    expect(tokensIssued).toBe(2);
+
+    // Still rejected after renewal - no retry loop
+    routes['GET /users/kc-1'] = () => json(401, { error: 'HTTP 401 Unauthorized' });
+    await expect(adminClient.getUser('kc-1')).rejects.toMatchObject({ code: 'unauthorized', status: 401 });
+    expect(tokensIssued).toBe(3);
+  });
+
+  test('failures are KeycloakAdminErrors with status, method and path', async () => {
+    const error = await adminClient.deleteUser('gone').catch(e => e);
+
+    expect(error).toBeInstanceOf(KeycloakAdminError);
+    expect(error).toMatchObject({ code: 'not_found', status: 404, method: 'DELETE', path: '/users/gone' });
+    // Message format the deprovisioning pipeline matches on
+    expect(error.message).toBe('Delete user error 404: {"error":"Could not find resource"}');
+
+    fetchMock.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    adminClient.clearToken();
+    await expect(adminClient.getUser('kc-1')).rejects.toMatchObject({ code: 'network_error', status: 0 });
+  });
+
+  test('builds queries for roles and events', async () => {
+    routes['GET /roles/demo-admin'] = () => json(200, { id: 'r-1', name: 'demo-admin' });
+    routes['POST /users/kc-1/role-mappings/realm'] = () => json(204);
+    routes['GET /events'] = (token, url) => json(200, [{ type: url.searchParams.getAll('type').join('+') }]);
+
+    await adminClient.addUserRealmRoles('kc-1', ['demo-admin']);
+    const [, init] = fetchMock.mock.calls.find(([url, opts]) => opts && opts.method === 'POST' && url.includes('role-mappings'));
+    expect(JSON.parse(init.body)).toEqual([{ id: 'r-1', name: 'demo-admin' }]);
+
+    expect(await adminClient.listEvents({ type: ['REGISTER', 'DELETE_ACCOUNT'], max: 10 })).toEqual([{ type: 'REGISTER+DELETE_ACCOUNT' }]);
+  });
+
+  test('the facade exports getUserByUsername with exact matching', async () => {
+    routes['GET /users'] = (token, url) => json(200, [
+      { id: 'kc-2', username: 'alice2' },
+      { id: 'kc-1', username: url.searchParams.get('exact') === 'true' ? 'alice' : 'other' }
+    ]);
+    const keycloakAdmin = require('../../config/keycloak-admin');
+
+    expect(await keycloakAdmin.getUserByUsername('Alice')).toEqual({ id: 'kc-1', username: 'alice' });
+    expect(keycloakAdmin.adminClient).toBe(adminClient);
+  });
+});
@@ -0,0 +1,76 @@
+describe('keycloak admin user enumeration', () => {
+  const envBackup = { ...process.env };
+  let keycloakAdmin;
+  let fetchMock;
+  let realmUsers;
+
+  function user(username, createdTimestamp = 1000) {
+    return { id: `kc-${username}`, username, email: `${username}@example.com`, createdTimestamp };
+  }
+
+  // Minimal /users endpoint: first/max paging plus prefix search on username or email
+  function respond(url) {
+    const parsed = new URL(url);
+    if (parsed.pathname.endsWith('/token')) {
+      return { ok: true, json: async () => ({ access_token: `token-${fetchMock.mock.calls.length}`, expires_in: 300 }) };
+    }
+    const first = Number(parsed.searchParams.get('first'));
+    const max = Number(parsed.searchParams.get('max'));
+    const search = parsed.searchParams.get('search');
+    const matches = search
+      ? realmUsers.filter(u => [u.username, u.email].some(v => v.startsWith(search.replace(/\*$/, ''))))
+      : realmUsers;
+    return { ok: true, json: async () => matches.slice(first, first + max) };
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.KEYCLOAK_URL = 'https://kc.example.com';
+    process.env.KEYCLOAK_REALM = 'demo';
+    process.env.KEYCLOAK_USERS_PAGE_SIZE = '2';
+    fetchMock = jest.fn(async (url) => respond(url));
+    global.fetch = fetchMock;
+    realmUsers = [user('alice'), user('test-1'), user('test-2', 5000), user('test_oidc_1'), user('bob')];
+    keycloakAdmin = require('../../config/keycloak-admin');
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+    delete global.fetch;
+  });
+
+  const tokenCalls = () => fetchMock.mock.calls.filter(([url]) => url.endsWith('/token')).length;
+  const userPageCalls = () => fetchMock.mock.calls.filter(([url]) => url.includes('/users?')).map(([url]) => new URL(url).searchParams);
+
+  test('getAllUsers() pages through the whole realm with one cached admin token', async () => {
+    const users = await keycloakAdmin.getAllUsers();
+
+    expect(users.map(u => u.username)).toEqual(['alice', 'test-1', 'test-2', 'test_oidc_1', 'bob']);
+    expect(userPageCalls().map(params => params.get('first'))).toEqual(['0', '2', '4']);
+    expect(tokenCalls()).toBe(1);
+
+    await keycloakAdmin.getAllUsers({ first: 0, max: 1 });
+    expect(tokenCalls()).toBe(1);
+
+    keycloakAdmin.clearAdminTokenCache();
+    await keycloakAdmin.getAllUsers({ max: 1 });
+    expect(tokenCalls()).toBe(2);
+  });
+
+  test('iterateUsers() searches per username prefix and filters by creation time', async () => {
+    realmUsers.push({ ...user('carol'), email: 'test-carol@example.com' });
+    const seen = [];
+    for await (const u of keycloakAdmin.iterateUsers({ usernamePrefixes: ['test-', 'test_oidc_'], createdBefore: 2000 })) {
+      seen.push(u.username);
+    }
+
+    // test-2 is too new; carol only matched on email
+    expect(seen).toEqual(['test-1', 'test_oidc_1']);
+    expect(userPageCalls().map(params => params.get('search'))).toEqual(['test-*', 'test-*', 'test_oidc_*']);
+  });
+
+  test('concurrent callers share one token request', async () => {
+    await Promise.all([keycloakAdmin.getAdminToken(), keycloakAdmin.getAdminToken(), keycloakAdmin.getAdminToken()]);
+    expect(tokenCalls()).toBe(1);
+  });
+});
@@ -0,0 +1,78 @@
+const path = require('path');
+const ejs = require('ejs');
+
+describe('federated logout plan', () => {
+  const envBackup = { ...process.env };
+  const user = { username: 'alice', email: 'alice@example.com' };
+
+  function loadPlan(env) {
+    jest.resetModules();
+    process.env = { ...envBackup, ...env };
+    return require('../../services/logout-plan');
+  }
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('SOGo + Stalwart: webmail logoff path appended to a bare origin, Stalwart URL filled in', () => {
+    const { buildLogoutPlan } = loadPlan({
+      DEMO_MAIL_PROVIDER: 'stalwart',
+      DEMO_SSO_MAIL_CLIENT_NAME: 'sogo',
+      DEMO_SSO_MAIL_CLIENT_LOGOUT_URL: 'https://webmail.example.com',
+      STALWART_LOGOUT_URL: 'https://mail.example.com/logout?u={email}',
+      LOGOUT_STEP_TIMEOUT_MS: '3000'
+    });
+
+    const steps = buildLogoutPlan(user);
+    expect(steps).toEqual([
+      expect.objectContaining({ id: 'webmail', url: 'https://webmail.example.com/SOGo/so/alice%40example.com/logoff', timeoutMs: 3000, skipped: false }),
+      expect.objectContaining({ id: 'mailserver', url: 'https://mail.example.com/logout?u=alice%40example.com', skipped: false })
+    ]);
+  });
+
+  test('Roundcube from the client URL; mail server without logout URL is skipped', () => {
+    const { buildLogoutPlan } = loadPlan({
+      DEMO_MAIL_PROVIDER: 'stalwart',
+      DEMO_SSO_MAIL_CLIENT_NAME: 'roundcube',
+      DEMO_SSO_MAIL_CLIENT_URL: 'https://rc.example.com/',
+      DEMO_SSO_MAIL_CLIENT_LOGOUT_URL: '',
+      STALWART_LOGOUT_URL: ''
+    });
+
+    const [webmail, mailserver] = buildLogoutPlan(user);
+    expect(webmail.url).toBe('https://rc.example.com/?_task=logout');
+    expect(mailserver).toMatchObject({ url: null, skipped: true });
+  });
+
+  test('Keycloak end-session URL carries the id_token_hint', () => {
+    const { buildKeycloakLogoutUrl } = loadPlan({
+      KEYCLOAK_URL: 'https://kc.example.com',
+      KEYCLOAK_REALM: 'demo',
+      KEYCLOAK_CLIENT_ID: 'demo-client',
+      POST_LOGOUT_REDIRECT_URI: 'https://app.example.com'
+    });
+
+    const url = new URL(buildKeycloakLogoutUrl({ idTokenHint: 'id.token.value' }));
+    expect(url.origin + url.pathname).toBe('https://kc.example.com/realms/demo/protocol/openid-connect/logout');
+    expect(url.searchParams.get('id_token_hint')).toBe('id.token.value');
+    expect(url.searchParams.get('client_id')).toBe('demo-client');
+    expect(url.searchParams.get('post_logout_redirect_uri')).toBe('https://app.example.com');
+  });
+
+  test('progress page lists every step and embeds the plan safely', async () => {
+    const html = await ejs.renderFile(path.join(__dirname, '../../views/logout-progress.ejs'), {
+      title: 'Signing out…',
+      steps: [
+        { id: 'webmail', label: 'SOGo', url: 'https://webmail.example.com/</script>', timeoutMs: 5000, skipped: false },
+        { id: 'mailserver', label: 'Stalwart', url: null, timeoutMs: 5000, skipped: true }
+      ],
+      keycloakLogoutUrl: 'https://kc.example.com/logout?id_token_hint=abc'
+    });
+
+    expect(html).toContain('id="status-webmail"');
+    expect(html).toContain('no logout URL configured');
+    expect(html).toContain('id="status-keycloak"');
+    expect(html).not.toContain('https://webmail.example.com/</script>');
+  });
+});
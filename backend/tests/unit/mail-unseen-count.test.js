@@ -0,0 +1,81 @@
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn(), create: jest.fn(() => ({ get: jest.fn() })) }));
+jest.mock('../../services/email/imap-client', () => ({ getInboxStatus: jest.fn() }));
+
+describe('Mail abstraction unseen count', () => {
+  const envBackup = { ...process.env };
+  let axios;
+  let imapClient;
+
+  function load(provider) {
+    jest.resetModules();
+    process.env.DEMO_MAIL_PROVIDER = provider;
+    axios = require('axios');
+    imapClient = require('../../services/email/imap-client');
+    imapClient.getInboxStatus.mockResolvedValue({ messages: 9, unseen: 4 });
+    return require('../../services/email/mail-service-abstraction');
+  }
+
+  beforeEach(() => {
+    process.env.DEMO_MAIL_API_URL = 'http://localhost:8082/api';
+    process.env.DEMO_MAIL_API_TOKEN = 'test-token';
+    process.env.DEMO_INTERNAL_EMAIL_DOMAIN = 'example.com';
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('Mailcow has no JMAP and reads STATUS over IMAP with the user token', async () => {
+    const mailService = load('mailcow');
+
+    expect(mailService.getCapabilities()).toEqual({ jmap: false, imap: true });
+    expect(await mailService.getUnseenCount('demo1', 'user-token')).toEqual({ success: true, unseen_count: 4, total_count: 9, source: 'imap' });
+    expect(imapClient.getInboxStatus).toHaveBeenCalledWith('demo1@example.com', 'user-token');
+    expect(axios.get).not.toHaveBeenCalled();
+
+    // The abstraction's IMAP path is the only implementation
+    expect(mailService.service.getUnseenCount).toBeUndefined();
+  });
+
+  test('Mailcow mailbox status reads an empty domain as no rows and wraps a single mailbox', async () => {
+    const mailService = load('mailcow');
+    const { mailcowClient, imap } = mailService.service;
+    imap.masterLogin = jest.fn(() => null);
+    jest.spyOn(mailcowClient, 'getMailboxes').mockResolvedValueOnce({ success: true, status: 200, mailboxes: {} });
+
+    expect(await mailService.getUsersStatus()).toEqual({ success: true, total: 0, position: 0, limit: 50, users: [] });
+
+    mailcowClient.getMailboxes.mockResolvedValueOnce({
+      success: true, status: 200, mailboxes: { username: 'demo1@example.com', local_part: 'demo1', messages: 3 }
+    });
+    const single = await mailService.getUsersStatus();
+    expect(single.users).toEqual([{ username: 'demo1', email: 'demo1@example.com', total_count: 3, unseen_count: null }]);
+  });
+
+  test('Stalwart uses JMAP and falls back to IMAP only when JMAP is unreachable', async () => {
+    const mailService = load('stalwart');
+    axios.get.mockResolvedValue({ status: 200, data: { primaryAccounts: { 'urn:ietf:params:jmap:mail': 'acc1' } } });
+    axios.post.mockResolvedValue({ status: 200, data: { methodResponses: [['Mailbox/get', { list: [{ role: 'inbox', unreadEmails: 2 }] }, 'c1']] } });
+
+    expect(await mailService.getUnseenCount('demo1', 'user-token')).toEqual({ success: true, unseen_count: 2, source: 'jmap' });
+    expect(imapClient.getInboxStatus).not.toHaveBeenCalled();
+
+    axios.get.mockRejectedValueOnce(new Error('connect ECONNREFUSED 127.0.0.1:443'));
+    expect(await mailService.getUnseenCount('demo1', 'user-token')).toEqual({ success: true, unseen_count: 4, total_count: 9, source: 'imap' });
+    expect(imapClient.getInboxStatus).toHaveBeenCalledWith('demo1@example.com', 'user-token');
+
+    // A rejected token is not an outage - IMAP would refuse it too
+    axios.get.mockResolvedValueOnce({ status: 401, data: '' });
+    expect(await mailService.getUnseenCount('demo1', 'user-token')).toMatchObject({ success: false, code: 'http_error' });
+    expect(imapClient.getInboxStatus).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports IMAP failures with their code', async () => {
+    const mailService = load('mailcow');
+    imapClient.getInboxStatus.mockRejectedValue(Object.assign(new Error('Authentication failed for demo1@example.com: 401'), { code: 'auth_failed' }));
+
+    expect(await mailService.getUnseenCount('demo1', 'expired')).toEqual({
+      success: false, error: 'Authentication failed for demo1@example.com: 401', code: 'auth_failed', unseen_count: 0
+    });
+  });
+});
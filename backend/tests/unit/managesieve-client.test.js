@@ -0,0 +1,144 @@
+const net = require('net');
+const { ManageSieveClient } = require('../../services/email/managesieve-client');
+const sieveTemplates = require('../../services/email/sieve-templates');
+
+describe('ManageSieve client', () => {
+  let server;
+  let port;
+  let scripts; // name -> content
+  let active;
+  let commands;
+  let sasl;
+
+  // Minimal RFC 5804 server: quoted strings and {n+} literals, one command per line
+  function handle(socket, line, literalValue) {
+    const [, command, rest = ''] = /^(\S+)\s*(.*)$/.exec(line);
+    const args = [...rest.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1].replace(/\\(.)/g, '$1'));
+    commands.push(command);
+    const reply = (text) => socket.write(text);
+
+    switch (command) {
+      case 'AUTHENTICATE': {
+        const initial = Buffer.from(args[1], 'base64').toString();
+        sasl = { mechanism: args[0], initial };
+        if (initial.includes('auth=Bearer good-token')) return reply('OK "Authenticated"\r\n');
+        socket.awaitingSaslReply = true;
+        return reply(`"${Buffer.from('{"status":"invalid_token"}').toString('base64')}"\r\n`);
+      }
+      case 'LISTSCRIPTS':
+        return reply(Object.keys(scripts).map(name => `"${name}"${name === active ? ' ACTIVE' : ''}\r\n`).join('') + 'OK\r\n');
+      case 'GETSCRIPT':
+        if (!(args[0] in scripts)) return reply('NO (NONEXISTENT) "There is no script by that name"\r\n');
+        return reply(`{${Buffer.byteLength(scripts[args[0]])}}\r\n${scripts[args[0]]}\r\nOK\r\n`);
+      case 'PUTSCRIPT':
+        if (literalValue.includes('syntax error')) return reply('NO "line 1: syntax error"\r\n');
+        scripts[args[0]] = literalValue;
+        return reply('OK\r\n');
+      case 'SETACTIVE':
+        active = args[0] || null;
+        return reply('OK\r\n');
+      case 'DELETESCRIPT':
+        if (args[0] === active) return reply('NO (ACTIVE) "You may not delete an active script"\r\n');
+        delete scripts[args[0]];
+        return reply('OK\r\n');
+      case 'LOGOUT':
+        reply('OK "Bye"\r\n');
+        return socket.end();
+      default:
+        return reply('NO "Unknown command"\r\n');
+    }
+  }
+
+  beforeAll(async () => {
+    server = net.createServer((socket) => {
+      let buffer = '';
+      socket.write('"IMPLEMENTATION" "Test Sieve"\r\n"SASL" "PLAIN OAUTHBEARER"\r\n"SIEVE" "fileinto vacation copy"\r\nOK "Ready"\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk.toString();
+        for (;;) {
+          const end = buffer.indexOf('\r\n');
+          if (end === -1) return;
+          let line = buffer.slice(0, end);
+          let next = end + 2;
+          let literalValue = null;
+          const literal = /\{(\d+)\+\}$/.exec(line);
+          if (literal) {
+            const size = Number(literal[1]);
+            if (buffer.length < next + size + 2) return;
+            literalValue = buffer.slice(next, next + size);
+            next += size + 2;
+            line = line.slice(0, literal.index);
+          }
+          buffer = buffer.slice(next);
+          if (socket.awaitingSaslReply) {
+            socket.awaitingSaslReply = false;
+            socket.write('NO "Authentication failed"\r\n');
+          } else {
+            handle(socket, line, literalValue);
+          }
+        }
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    scripts = { 'wip-email-proxy': 'redirect "x@example.org";\r\n' };
+    active = 'wip-email-proxy';
+    commands = [];
+    sasl = null;
+  });
+
+  const client = () => new ManageSieveClient({ host: '127.0.0.1', port, security: 'none', timeoutMs: 2000 });
+
+  test('authenticates with OAUTHBEARER and manages scripts', async () => {
+    const vacation = sieveTemplates.renderTemplate('vacation', { message: 'Away until "Monday"', days: 3 });
+    expect(vacation.success).toBe(true);
+
+    const result = await client().withConnection('demo1@example.com', 'good-token', async (connection) => {
+      expect(connection.capabilities).toMatchObject({ IMPLEMENTATION: 'Test Sieve', SIEVE: 'fileinto vacation copy' });
+      await connection.putScript('vacation', vacation.script);
+      await connection.setActive('vacation');
+      return {
+        list: await connection.listScripts(),
+        script: await connection.getScript('vacation')
+      };
+    });
+
+    expect(sasl.mechanism).toBe('OAUTHBEARER');
+    expect(sasl.initial).toBe(`n,a=demo1@example.com,\x01host=127.0.0.1\x01port=${port}\x01auth=Bearer good-token\x01\x01`);
+    expect(result.list).toEqual([{ name: 'wip-email-proxy', active: false }, { name: 'vacation', active: true }]);
+    expect(result.script).toBe(vacation.script);
+    expect(result.script).toContain('vacation :days 3\n  "Away until \\"Monday\\"";');
+    expect(commands[commands.length - 1]).toBe('LOGOUT');
+  });
+
+  test('maps NO responses and failed authentication to error codes', async () => {
+    await expect(client().withConnection('demo1@example.com', 'good-token', connection => connection.getScript('missing')))
+      .rejects.toMatchObject({ name: 'ManageSieveError', code: 'not_found', responseCode: 'NONEXISTENT' });
+    await expect(client().withConnection('demo1@example.com', 'good-token', connection => connection.deleteScript('wip-email-proxy')))
+      .rejects.toMatchObject({ code: 'active', message: expect.stringMatching(/not delete an active script/) });
+    await expect(client().withConnection('demo1@example.com', 'good-token', connection => connection.putScript('bad', 'syntax error')))
+      .rejects.toMatchObject({ code: 'rejected', message: 'PUTSCRIPT bad failed: line 1: syntax error' });
+
+    await expect(client().connect('demo1@example.com', 'expired-token'))
+      .rejects.toMatchObject({ code: 'auth_failed', message: 'Authentication failed for demo1@example.com: invalid_token' });
+    await expect(new ManageSieveClient({ host: '127.0.0.1', port, security: 'none', mechanism: 'xoauth2' }).connect('demo1@example.com', 'good-token'))
+      .rejects.toMatchObject({ code: 'unsupported' });
+  });
+
+  test('templates validate their parameters', () => {
+    expect(sieveTemplates.renderTemplate('forward', { to: 'me@home.example', keepCopy: false }).script)
+      .toBe('# Template: forward\nredirect "me@home.example";\n');
+    expect(sieveTemplates.renderTemplate('file-into-folder', { folder: 'News', from: 'news@', subject: 'Weekly' }).script)
+      .toContain('if allof (address :contains "from" "news@", header :contains "subject" "Weekly") {\n  fileinto :create "News";');
+    expect(sieveTemplates.renderTemplate('file-into-folder', { folder: 'News' })).toEqual({ success: false, error: 'At least one of from, to or subject is required' });
+    expect(sieveTemplates.renderTemplate('forward', {})).toEqual({ success: false, error: 'Missing parameter: to' });
+    expect(sieveTemplates.renderTemplate('nope').success).toBe(false);
+  });
+});
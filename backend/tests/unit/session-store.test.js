@@ -0,0 +1,164 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+function storeApi(store) {
+  return {
+    get: promisify(store.get.bind(store)),
+    set: promisify(store.set.bind(store)),
+    touch: promisify(store.touch.bind(store)),
+    destroy: promisify(store.destroy.bind(store)),
+    all: promisify(store.all.bind(store)),
+    length: promisify(store.length.bind(store))
+  };
+}
+
+function sessionData(expiresInMs, extra = {}) {
+  return { cookie: { expires: new Date(Date.now() + expiresInMs).toISOString(), originalMaxAge: expiresInMs }, ...extra };
+}
+
+describe('session stores', () => {
+  const envBackup = { ...process.env };
+  const dbPath = path.join(os.tmpdir(), `test-session-db-${process.pid}-${Date.now()}.sqlite`);
+  const dir = path.join(os.tmpdir(), `test-sessions-${process.pid}-${Date.now()}`);
+
+  beforeAll(() => {
+    jest.resetModules();
+    process.env.DEMO_DB_CLIENT = 'sqlite';
+    process.env.DEMO_DB_PATH = dbPath;
+  });
+
+  afterAll(async () => {
+    await require('../../services/databaseService').close();
+    process.env = envBackup;
+    try { fs.unlinkSync(dbPath); } catch (_) {}
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const cases = [
+    ['database', () => new (require('../../services/session-store').DatabaseSessionStore)()],
+    ['file', () => new (require('../../services/session-store').FileSessionStore)({ dir })]
+  ];
+
+  describe.each(cases)('%s store', (name, createStore) => {
+    let store;
+    let api;
+
+    beforeAll(() => {
+      store = createStore();
+      api = storeApi(store);
+    });
+
+    test('set/get/destroy round-trip', async () => {
+      await api.set('sid-1', sessionData(60000, { passport: { user: 'kc-1' } }));
+      expect((await api.get('sid-1')).passport.user).toBe('kc-1');
+      expect(await api.length()).toBe(1);
+
+      await api.destroy('sid-1');
+      expect(await api.get('sid-1')).toBeNull();
+    });
+
+    test('expired sessions are hidden and swept', async () => {
+      await api.set('live', sessionData(60000));
+      await api.set('dead', sessionData(-1000));
+
+      expect(await api.get('dead')).toBeNull();
+      await api.set('dead', sessionData(-1000));
+      expect(Object.keys(await api.all())).toEqual(['live']);
+      expect(await store.sweep()).toBe(1);
+
+      // touch extends expiry
+      await api.touch('live', sessionData(120000));
+      expect(await api.get('live')).not.toBeNull();
+      await api.destroy('live');
+    });
+
+    test('a throwing callback runs once, outside the store promise', async () => {
+      const thrown = [];
+      const nextTick = jest.spyOn(process, 'nextTick').mockImplementation((fn, ...args) => {
+        try {
+          fn(...args);
+        } catch (error) {
+          thrown.push(error.message);
+        }
+      });
+      const callback = jest.fn(() => { throw new Error('boom in express-session'); });
+
+      try {
+        store.get('sid-none', callback);
+        await new Promise(resolve => setTimeout(resolve, 50));
+      } finally {
+        nextTick.mockRestore();
+      }
+      expect(thrown).toEqual(['boom in express-session']);
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(null, null);
+    });
+  });
+});
+
+describe('session cookie options', () => {
+  const envBackup = { ...process.env };
+  const { getSessionCookieOptions, getSessionOptions, clearSessionCookie, getTrustProxy } = require('../../config/session');
+
+  beforeEach(() => {
+    process.env = { ...envBackup };
+    for (const key of ['SESSION_COOKIE_SECURE', 'SESSION_COOKIE_HTTPONLY', 'SESSION_COOKIE_SAMESITE', 'SESSION_COOKIE_DOMAIN', 'SESSION_COOKIE_NAME', 'SESSION_MAX_AGE_MS', 'TRUST_PROXY']) {
+      delete process.env[key];
+    }
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('defaults: secure in production only, httpOnly, lax', () => {
+    process.env.NODE_ENV = 'development';
+    expect(getSessionCookieOptions()).toEqual({ secure: false, httpOnly: true, sameSite: 'lax', maxAge: 86400000 });
+    process.env.NODE_ENV = 'production';
+    expect(getSessionCookieOptions().secure).toBe(true);
+  });
+
+  test('env overrides, domain, and SameSite=None forcing secure', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.SESSION_COOKIE_SAMESITE = 'none';
+    process.env.SESSION_COOKIE_DOMAIN = '.example.com';
+    process.env.SESSION_COOKIE_HTTPONLY = 'false';
+    expect(getSessionCookieOptions()).toMatchObject({ secure: true, sameSite: 'none', domain: '.example.com', httpOnly: false });
+
+    process.env.SESSION_COOKIE_SAMESITE = 'strict';
+    process.env.SESSION_COOKIE_SECURE = 'auto';
+    expect(getSessionCookieOptions()).toMatchObject({ secure: 'auto', sameSite: 'strict' });
+  });
+
+  test('clears the cookie with the name and attributes it was set with', () => {
+    const res = { clearCookie: jest.fn() };
+    process.env.SESSION_COOKIE_NAME = 'wip.sid';
+    process.env.SESSION_COOKIE_DOMAIN = '.example.com';
+    process.env.SESSION_COOKIE_SECURE = 'auto';
+
+    clearSessionCookie({ secure: true }, res);
+    expect(res.clearCookie).toHaveBeenCalledWith('wip.sid', {
+      domain: '.example.com', path: '/', secure: true, httpOnly: true, sameSite: 'lax'
+    });
+  });
+
+  test('TRUST_PROXY is parsed into a value Express accepts', () => {
+    const express = require('express');
+    const app = express();
+    const cases = [['false', false], ['TRUE', true], ['2', 2], ['loopback, 10.0.0.0/8', 'loopback, 10.0.0.0/8']];
+
+    expect(getTrustProxy()).toBeUndefined();
+    for (const [value, expected] of cases) {
+      process.env.TRUST_PROXY = value;
+      expect(getTrustProxy()).toBe(expected);
+      expect(() => app.set('trust proxy', getTrustProxy())).not.toThrow();
+    }
+
+    process.env.TRUST_PROXY = 'false';
+    expect(getSessionOptions({}).proxy).toBe(false);
+    process.env.TRUST_PROXY = '1';
+    expect(getSessionOptions({}).proxy).toBe(true);
+  });
+});
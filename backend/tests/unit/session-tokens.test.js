@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken');
+
+// Test tokens are HMAC-signed; JWKS verification is covered in jwt-verification.test.js
+jest.mock('../../services/jwt-verifier', () => ({
+  verify: jest.fn(async token => require('jsonwebtoken').decode(token))
+}));
+
+function makeToken(claims, expSecondsFromNow) {
+  return jwt.sign({ ...claims, exp: Math.floor(Date.now() / 1000) + expSecondsFromNow }, 'kc-secret');
+}
+
+describe('session-tokens', () => {
+  const envBackup = { ...process.env };
+  let sessionTokens;
+  let tokenService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    process.env.TOKEN_STORE_BACKEND = 'memory';
+    process.env.TOKEN_SERVICE_ENCRYPTION_KEYS = 'k1:secret-one';
+    tokenService = require('../../services/tokenService');
+    sessionTokens = require('../../services/session-tokens');
+  });
+
+  afterEach(async () => {
+    await tokenService.close();
+    process.env = { ...envBackup };
+  });
+
+  test('establish stores tokens by keycloak_id, mirrors session fields and strips the user object', async () => {
+    const user = {
+      keycloak_id: 'kc-1',
+      username: 'test-1',
+      accessToken: makeToken({ sub: 'kc-1' }, 300),
+      refreshToken: makeToken({ typ: 'Refresh' }, 1800),
+      id_token: makeToken({ typ: 'ID' }, 300)
+    };
+    const { accessToken, id_token: idToken } = user;
+    const req = { user, session: {} };
+
+    expect(await sessionTokens.establish(req)).toBe(true);
+    expect(req.session.keycloakAccessToken).toBe(accessToken);
+    expect(req.session.idToken).toBe(idToken);
+    expect(req.session.tokenService['kc-1'].accessToken).toBe(accessToken);
+    expect(user).not.toHaveProperty('refreshToken');
+    expect(await tokenService.refreshTokenStore.get('kc-1')).not.toBeNull();
+
+    expect(await sessionTokens.getAccessToken(req)).toBe(accessToken);
+    expect(sessionTokens.getIdToken(req)).toBe(idToken);
+  });
+
+  test('getAccessToken refreshes expiring tokens and keeps session fields in sync', async () => {
+    const req = {
+      user: {
+        keycloak_id: 'kc-2',
+        accessToken: makeToken({ sub: 'kc-2' }, 10),
+        refreshToken: makeToken({ typ: 'Refresh' }, 1800)
+      },
+      session: {}
+    };
+    await sessionTokens.establish(req);
+
+    const refreshed = makeToken({ sub: 'kc-2', refreshed: true }, 300);
+    jest.spyOn(tokenService, '_refreshAccessToken').mockResolvedValue({ accessToken: refreshed, refreshToken: null, idToken: null });
+
+    expect(await sessionTokens.getAccessToken(req)).toBe(refreshed);
+    expect(req.session.keycloakAccessToken).toBe(refreshed);
+  });
+
+  test('clear removes session copies and the stored refresh token', async () => {
+    const req = {
+      user: {
+        keycloak_id: 'kc-3',
+        accessToken: makeToken({ sub: 'kc-3' }, 300),
+        refreshToken: makeToken({ typ: 'Refresh' }, 1800)
+      },
+      session: {}
+    };
+    await sessionTokens.establish(req);
+
+    sessionTokens.clear(req);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(req.session.keycloakAccessToken).toBeUndefined();
+    expect(req.session.tokenService['kc-3']).toBeUndefined();
+    expect(await tokenService.refreshTokenStore.get('kc-3')).toBeNull();
+  });
+
+  test('getAccessToken returns null without a logged-in user', async () => {
+    expect(await sessionTokens.getAccessToken({ session: {} })).toBeNull();
+  });
+});
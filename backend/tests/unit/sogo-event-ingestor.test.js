@@ -0,0 +1,108 @@
+jest.mock('../../config/keycloak-admin', () => ({
+  adminClient: { listEvents: jest.fn(), listAdminEvents: jest.fn() },
+  getUserById: jest.fn()
+}));
+jest.mock('../../services/databaseService', () => ({ db: jest.fn() }));
+jest.mock('../../services/sogo/sogo-user-service', () => ({ ensureUserInSogo: jest.fn() }));
+jest.mock('../../services/sogo/sogo-sync-daemon', () => ({
+  dryRun: false,
+  removeRow: jest.fn(),
+  requestFullSync: jest.fn()
+}));
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const databaseService = require('../../services/databaseService');
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+const sogoSyncDaemon = require('../../services/sogo/sogo-sync-daemon');
+const { SogoEventIngestor } = require('../../services/sogo/sogo-event-ingestor');
+
+describe('SOGo event ingestor', () => {
+  let cursors;
+  const T = Date.parse('2026-03-01T10:00:00Z');
+
+  // event_cursors table stand-in
+  const db = {
+    get: jest.fn(async (sql, [name]) => cursors[name] || undefined),
+    run: jest.fn(async (sql, [name, position, seen]) => {
+      cursors[name] = { position: String(position), seen };
+    })
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cursors = {
+      'keycloak-user-events': { position: String(T), seen: JSON.stringify(['e-0']) },
+      'keycloak-admin-events': { position: String(T), seen: '[]' }
+    };
+    databaseService.db.mockResolvedValue(db);
+    keycloakAdmin.adminClient.listEvents.mockResolvedValue([]);
+    keycloakAdmin.adminClient.listAdminEvents.mockResolvedValue([]);
+    keycloakAdmin.getUserById.mockImplementation(async (id) => ({ id, username: id.replace('kc-', ''), email: `${id}@example.com`, enabled: id !== 'kc-off' }));
+    sogoUserService.ensureUserInSogo.mockResolvedValue({ success: true, action: 'created' });
+    sogoSyncDaemon.removeRow.mockResolvedValue({ success: true, deleted: true, message: 'moved' });
+    sogoSyncDaemon.dryRun = false;
+  });
+
+  test('handles new user events oldest first and persists the cursor', async () => {
+    // Keycloak returns newest first; e-0 was handled in the previous poll
+    keycloakAdmin.adminClient.listEvents.mockResolvedValue([
+      { id: 'e-3', time: T + 20, type: 'DELETE_ACCOUNT', userId: 'kc-bob', details: { username: 'bob' } },
+      { id: 'e-2', time: T + 10, type: 'UPDATE_PROFILE', userId: 'kc-off' },
+      { id: 'e-1', time: T, type: 'REGISTER', userId: 'kc-alice' },
+      { id: 'e-0', time: T, type: 'REGISTER', userId: 'kc-old' },
+      { id: 'e-x', time: T - 1, type: 'REGISTER', userId: 'kc-older' }
+    ]);
+    const ingestor = new SogoEventIngestor();
+
+    await ingestor.poll();
+
+    expect(keycloakAdmin.adminClient.listEvents).toHaveBeenCalledWith(expect.objectContaining({
+      type: ['REGISTER', 'UPDATE_PROFILE', 'UPDATE_EMAIL', 'DELETE_ACCOUNT'], dateFrom: '2026-03-01'
+    }));
+    expect(sogoUserService.ensureUserInSogo).toHaveBeenCalledTimes(1);
+    expect(sogoUserService.ensureUserInSogo).toHaveBeenCalledWith({ username: 'alice', email: 'kc-alice@example.com', firstName: undefined, lastName: undefined });
+    // kc-off is disabled, bob deleted his account
+    expect(sogoSyncDaemon.removeRow.mock.calls.map(([uid]) => uid)).toEqual(['off', 'bob']);
+    expect(cursors['keycloak-user-events']).toEqual({ position: String(T + 20), seen: JSON.stringify(['e-3']) });
+    expect(ingestor.getStatus().stats).toMatchObject({ events: 3, provisioned: 1, removed: 2 });
+
+    // Nothing new - nothing handled twice
+    await ingestor.poll();
+    expect(sogoUserService.ensureUserInSogo).toHaveBeenCalledTimes(1);
+  });
+
+  test('admin events provision users and ask for a full sync on delete', async () => {
+    keycloakAdmin.adminClient.listAdminEvents.mockResolvedValue([
+      { time: T + 3, operationType: 'DELETE', resourceType: 'USER', resourcePath: 'users/kc-gone' },
+      { time: T + 2, operationType: 'ACTION', resourceType: 'USER', resourcePath: 'users/kc-carol/reset-password' },
+      { time: T + 1, operationType: 'CREATE', resourceType: 'USER', resourcePath: 'users/kc-carol' }
+    ]);
+
+    await new SogoEventIngestor().poll();
+
+    expect(keycloakAdmin.getUserById).toHaveBeenCalledWith('kc-carol');
+    expect(sogoUserService.ensureUserInSogo).toHaveBeenCalledTimes(1);
+    expect(sogoSyncDaemon.requestFullSync).toHaveBeenCalledTimes(1);
+    expect(Number(cursors['keycloak-admin-events'].position)).toBe(T + 3);
+  });
+
+  test('starts at the current time without a cursor and retries a failed event', async () => {
+    delete cursors['keycloak-admin-events'];
+    keycloakAdmin.adminClient.listEvents.mockResolvedValue([
+      { id: 'e-2', time: T + 2, type: 'REGISTER', userId: 'kc-b' },
+      { id: 'e-1', time: T + 1, type: 'REGISTER', userId: 'kc-a' }
+    ]);
+    sogoUserService.ensureUserInSogo
+      .mockResolvedValueOnce({ success: true, action: 'created' })
+      .mockResolvedValueOnce({ success: false, error: 'PostgreSQL pool not initialized' });
+    const ingestor = new SogoEventIngestor();
+
+    await ingestor.poll();
+
+    expect(keycloakAdmin.adminClient.listAdminEvents).not.toHaveBeenCalled();
+    expect(Number(cursors['keycloak-admin-events'].position)).toBeGreaterThan(T);
+    // e-1 done, e-2 failed: the cursor stops after e-1
+    expect(cursors['keycloak-user-events']).toEqual({ position: String(T + 1), seen: JSON.stringify(['e-1']) });
+    expect(ingestor.getStatus().lastError).toMatch(/Provisioning b failed/);
+  });
+});
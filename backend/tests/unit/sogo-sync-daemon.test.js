@@ -0,0 +1,156 @@
+jest.mock('../../config/keycloak-admin', () => ({
+  iterateUsers: jest.fn(),
+  getUserByUsername: jest.fn()
+}));
+jest.mock('../../config/mail-service-config', () => ({
+  isSogoSelected: jest.fn(() => true),
+  getProvider: jest.fn(() => 'stalwart')
+}));
+jest.mock('../../services/sogo/sogo-user-service', () => {
+  const actual = jest.requireActual('../../services/sogo/sogo-user-service');
+  return {
+    toSogoRow: actual.toSogoRow.bind(actual),
+    listSogoUsers: jest.fn(),
+    ensureUserInSogo: jest.fn(),
+    deleteUser: jest.fn(),
+    softDeleteUser: jest.fn()
+  };
+});
+jest.mock('../../services/sogo/sogo-event-ingestor', () => ({
+  start: jest.fn(() => true),
+  stop: jest.fn(() => true),
+  getStatus: jest.fn(() => ({ enabled: true, running: true }))
+}));
+
+const keycloakAdmin = require('../../config/keycloak-admin');
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+const sogoEventIngestor = require('../../services/sogo/sogo-event-ingestor');
+const { SogoSyncDaemon } = require('../../services/sogo/sogo-sync-daemon');
+
+describe('SOGo sync daemon', () => {
+  const envBackup = { ...process.env };
+
+  // keycloakAdmin.iterateUsers() stand-in
+  async function* stream(users) {
+    yield* users;
+  }
+
+  function buildDaemon(env = {}) {
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('SOGO_SYNC_')) delete process.env[key];
+    }
+    Object.assign(process.env, { DEMO_INTERNAL_EMAIL_DOMAIN: 'example.com' }, env);
+    return new SogoSyncDaemon();
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    keycloakAdmin.iterateUsers.mockImplementation(() => stream([
+      { id: 'kc-1', username: 'alice', email: 'alice@example.com', firstName: 'Alice', enabled: true },
+      { id: 'kc-2', username: 'bob', email: 'bob@new.example.com', enabled: true },
+      { id: 'kc-3', username: 'carol', email: 'carol@example.com', lastName: 'C', enabled: true },
+      { id: 'kc-4', username: 'dave', email: 'dave@example.com', enabled: false }
+    ]));
+    keycloakAdmin.getUserByUsername.mockImplementation(async username => (
+      username === 'dave' ? { id: 'kc-4', username, enabled: false } : null
+    ));
+    sogoUserService.listSogoUsers.mockResolvedValue([
+      { c_uid: 'alice', c_name: 'alice@example.com', mail: 'alice@example.com', c_cn: 'Alice' },
+      { c_uid: 'bob', c_name: 'bob@example.com', mail: 'bob@example.com', c_cn: 'bob' },
+      { c_uid: 'dave', c_name: 'dave@example.com', mail: 'dave@example.com', c_cn: 'dave' },
+      { c_uid: 'ghost', c_name: 'ghost@example.com', mail: 'ghost@example.com', c_cn: 'ghost' },
+      { c_uid: 'admin', c_name: 'admin@example.com', mail: 'admin@example.com', c_cn: 'admin' }
+    ]);
+    sogoUserService.ensureUserInSogo.mockImplementation(async (user) => ({
+      success: true,
+      action: user.username === 'carol' ? 'created' : 'updated'
+    }));
+    sogoUserService.softDeleteUser.mockImplementation(async (cUid) => ({ success: true, deleted: true, message: `User ${cUid} moved` }));
+    sogoUserService.deleteUser.mockImplementation(async (cUid) => ({ success: true, deleted: true, message: `User ${cUid} deleted` }));
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('inserts, updates and soft-deletes, skipping unchanged and protected rows', async () => {
+    const daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true', SOGO_SYNC_PROTECTED_UIDS: 'admin' });
+
+    await daemon.tick();
+
+    expect(sogoUserService.ensureUserInSogo.mock.calls.map(([user]) => user.username)).toEqual(['carol', 'bob']);
+    // dave is disabled in Keycloak, ghost is gone
+    expect(sogoUserService.softDeleteUser.mock.calls.map(([cUid]) => cUid)).toEqual(['dave', 'ghost']);
+    expect(sogoUserService.deleteUser).not.toHaveBeenCalled();
+    expect(daemon.getStatus().lastTick).toMatchObject({
+      scanned: 4, disabled: 1, created: 1, updated: 1, deleted: 2, unchanged: 1, protected: 1, errors: 0, deleteMode: 'soft'
+    });
+    expect(daemon.getStatus().stats).toMatchObject({ totalScanned: 4, totalCreated: 1, totalUpdated: 1, totalDeleted: 2 });
+  });
+
+  test('dry run reports the diff without writing', async () => {
+    const daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true', SOGO_SYNC_DRY_RUN: 'true', SOGO_SYNC_DELETE_MODE: 'hard' });
+
+    await daemon.tick();
+
+    expect(sogoUserService.ensureUserInSogo).not.toHaveBeenCalled();
+    expect(sogoUserService.deleteUser).not.toHaveBeenCalled();
+    const { lastTick, stats, dryRun } = daemon.getStatus();
+    expect(dryRun).toBe(true);
+    expect(lastTick.plan).toEqual({
+      insert: ['carol'],
+      update: [{ c_uid: 'bob', changed: ['c_name', 'mail'] }],
+      delete: ['dave', 'ghost', 'admin']
+    });
+    expect(lastTick).toMatchObject({ created: 1, updated: 1, deleted: 3 });
+    expect(stats.totalDeleted).toBe(0);
+  });
+
+  test('deletes nothing beyond the limit, in off mode or when Keycloak fails', async () => {
+    let daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true', SOGO_SYNC_DELETE_MODE: 'hard', SOGO_SYNC_MAX_DELETES: '2' });
+    await daemon.tick();
+    expect(sogoUserService.deleteUser).not.toHaveBeenCalled();
+    expect(daemon.getStatus().lastTick).toMatchObject({ deleted: 0, deletesSkipped: 3 });
+
+    daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true', SOGO_SYNC_DELETE_MODE: 'off' });
+    await daemon.tick();
+    expect(sogoUserService.softDeleteUser).not.toHaveBeenCalled();
+
+    keycloakAdmin.iterateUsers.mockImplementation(async function* () {
+      throw new Error('Get all users error 503: down');
+    });
+    daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true' });
+    await daemon.tick();
+    expect(sogoUserService.listSogoUsers).toHaveBeenCalledTimes(2);
+    expect(daemon.getStatus().lastTick).toMatchObject({ error: 'Get all users error 503: down', errors: 1 });
+  });
+
+  test('keeps rows whose user Keycloak still has enabled or could not be looked up', async () => {
+    keycloakAdmin.getUserByUsername.mockImplementation(async (username) => {
+      if (username === 'ghost') return { id: 'kc-5', username, enabled: true };
+      if (username === 'dave') throw new Error('Get user by username error 503: down');
+      return null;
+    });
+    const daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true' });
+
+    await daemon.tick();
+
+    expect(keycloakAdmin.getUserByUsername.mock.calls.map(([username]) => username)).toEqual(['dave', 'ghost', 'admin']);
+    expect(sogoUserService.softDeleteUser.mock.calls.map(([cUid]) => cUid)).toEqual(['admin']);
+    expect(daemon.getStatus().lastTick).toMatchObject({ deleted: 1, deletesUnconfirmed: 2, errors: 1 });
+  });
+
+  test('starting the daemon starts the event ingestor, stopping it stops both', () => {
+    const daemon = buildDaemon({ SOGO_SYNC_ENABLED: 'true' });
+    jest.spyOn(daemon, 'tick').mockResolvedValue();
+
+    expect(daemon.start()).toBe(true);
+    expect(sogoEventIngestor.start).toHaveBeenCalledTimes(1);
+    expect(daemon.tick).toHaveBeenCalledTimes(1);
+    expect(daemon.getStatus()).toMatchObject({ running: true, events: { running: true } });
+
+    expect(daemon.stop()).toBe(true);
+    expect(sogoEventIngestor.stop).toHaveBeenCalledTimes(1);
+    expect(daemon.getStatus().running).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+jest.mock('../../config/mail-service-config', () => ({
+  getProvider: jest.fn(() => 'stalwart'),
+  getBaseUrl: jest.fn(() => 'https://mail.example.com'),
+  isConfigured: jest.fn(() => true),
+  getConfig: jest.fn(() => ({}))
+}));
+jest.mock('../../services/email/stalwart-client.js', () => ({ isConfigured: jest.fn(() => true) }));
+jest.mock('../../services/databaseService.js', () => ({
+  upsertUserSettings: jest.fn(),
+  getUserSettings: jest.fn(async () => ({ wip_email_proxy: true })),
+  getUserAccount: jest.fn(async () => ({ email: 'demo1@example.com', personal_email: 'me@home.example' }))
+}));
+
+const axios = require('axios');
+const database = require('../../services/databaseService.js');
+const forwarding = require('../../services/email/stalwart-forwarding');
+const mailService = require('../../services/email/mail-service-abstraction');
+
+describe('Stalwart email proxy', () => {
+  const envBackup = { ...process.env };
+  let scripts; // id -> { id, name, blobId, isActive }
+  let blobs; // blobId -> text
+  let authHeaders;
+
+  // Minimal JMAP for Sieve server
+  function sieveSet(args) {
+    const result = { created: {}, notDestroyed: {} };
+    for (const [key, script] of Object.entries(args.create || {})) {
+      const id = `s${Object.keys(scripts).length + 1}`;
+      scripts[id] = { id, ...script, isActive: false };
+      result.created[key] = { id };
+    }
+    for (const [id, patch] of Object.entries(args.update || {})) Object.assign(scripts[id], patch);
+    for (const id of args.destroy || []) {
+      if (scripts[id].isActive) result.notDestroyed[id] = { type: 'scriptIsActive' };
+      else delete scripts[id];
+    }
+    if (args.onSuccessDeactivateScript) Object.values(scripts).forEach(s => { s.isActive = false; });
+    if (args.onSuccessActivateScript) {
+      const id = args.onSuccessActivateScript.startsWith('#')
+        ? result.created[args.onSuccessActivateScript.slice(1)].id
+        : args.onSuccessActivateScript;
+      Object.values(scripts).forEach(s => { s.isActive = s.id === id; });
+    }
+    return result;
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.STALWART_MASTER_USER = 'master';
+    process.env.STALWART_MASTER_SECRET = 'secret';
+    process.env.DEMO_INTERNAL_EMAIL_DOMAIN = 'example.com';
+    scripts = {};
+    blobs = {};
+    authHeaders = [];
+
+    axios.get.mockImplementation(async (url, { headers }) => {
+      authHeaders.push(headers.Authorization);
+      if (url.endsWith('/jmap/session')) {
+        return {
+          status: 200,
+          data: {
+            primaryAccounts: { 'urn:ietf:params:jmap:sieve': 'acc1' },
+            apiUrl: 'https://mail.example.com/jmap',
+            uploadUrl: 'https://mail.example.com/jmap/upload/{accountId}',
+            downloadUrl: 'https://mail.example.com/jmap/download/{accountId}/{blobId}/{name}?type={type}'
+          }
+        };
+      }
+      return { status: 200, data: blobs[url.split('/')[6]] };
+    });
+    axios.post.mockImplementation(async (url, body) => {
+      if (url.includes('/upload/')) {
+        const blobId = `b${Object.keys(blobs).length + 1}`;
+        blobs[blobId] = body;
+        return { status: 201, data: { blobId } };
+      }
+      const [[method, args]] = body.methodCalls;
+      if (method === 'SieveScript/get') return { status: 200, data: { methodResponses: [[method, { list: Object.values(scripts) }, 'c1']] } };
+      return { status: 200, data: { methodResponses: [[method, sieveSet(args), 'c1']] } };
+    });
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('mailService.configureProxy copies mail to the personal address and reads it back', async () => {
+    const result = await mailService.configureProxy(7, 'me@home.example', 'demo1', true);
+
+    expect(result).toMatchObject({ success: true, enabled: true, internalEmail: 'demo1@example.com' });
+    expect(Buffer.from(authHeaders[0].replace('Basic ', ''), 'base64').toString()).toBe('demo1@example.com%master:secret');
+    const [script] = Object.values(scripts);
+    expect(script).toMatchObject({ name: 'wip-email-proxy', isActive: true });
+    expect(blobs[script.blobId]).toContain('redirect :copy "me@home.example";');
+    expect(database.upsertUserSettings).toHaveBeenCalledWith(7, { wip_email_proxy: 1 });
+
+    const status = await mailService.getProxyStatus(7, 'demo1');
+    expect(status.forwarding).toEqual({ success: true, enabled: true, active: true, mode: 'copy', targetEmail: 'me@home.example' });
+
+    // Re-enabling updates the same script
+    await forwarding.enable('demo1@example.com', 'other@home.example', 'forward');
+    expect(Object.keys(scripts)).toEqual(['s1']);
+    expect(await forwarding.getStatus('demo1@example.com')).toMatchObject({ mode: 'forward', targetEmail: 'other@home.example' });
+  });
+
+  test('disable deactivates and removes the script', async () => {
+    await forwarding.enable('demo1@example.com', 'me@home.example');
+
+    const result = await mailService.configureProxy(7, 'me@home.example', 'demo1', false);
+
+    expect(result).toMatchObject({ success: true, enabled: false, results: { forwarding: { removed: true } } });
+    expect(scripts).toEqual({});
+    expect(database.upsertUserSettings).toHaveBeenCalledWith(7, { wip_email_proxy: 0 });
+    expect(await forwarding.getStatus('demo1@example.com')).toMatchObject({ enabled: false, targetEmail: null });
+  });
+
+  test("never replaces the user's own active script and needs the master user", async () => {
+    scripts.s9 = { id: 's9', name: 'vacation', blobId: 'bx', isActive: true };
+
+    const result = await mailService.configureProxy(7, 'me@home.example', 'demo1', true);
+    expect(result).toMatchObject({ success: false, details: expect.stringMatching(/"vacation" is active/) });
+    expect(scripts.s9.isActive).toBe(true);
+    expect(database.upsertUserSettings).not.toHaveBeenCalled();
+
+    delete process.env.STALWART_MASTER_SECRET;
+    expect(await mailService.configureProxy(7, 'me@home.example', 'demo1', true)).toMatchObject({ success: false, error: 'Stalwart forwarding not configured' });
+  });
+});
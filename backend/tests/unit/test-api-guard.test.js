@@ -0,0 +1,103 @@
+const express = require('express');
+const request = require('supertest');
+const { testApiGuard, signTestApiRequest, computeSignature } = require('../../middleware/test-api-guard');
+
+function buildApp(user) {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    req.isAuthenticated = () => !!user;
+    next();
+  });
+  const router = express.Router();
+  router.use('/test', testApiGuard);
+  router.get('/test/config-info', (req, res) => res.json({ ok: true, keyId: req.testApiKeyId || null }));
+  router.delete('/test/delete-mailbox/:email', (req, res) => res.json({ ok: true, keyId: req.testApiKeyId || null }));
+  app.use('/api', router);
+  return app;
+}
+
+describe('testApiGuard', () => {
+  const envBackup = { ...process.env };
+
+  beforeEach(() => {
+    process.env = { ...envBackup };
+    delete process.env.DEMO_TEST_API_ENABLED;
+    delete process.env.DEMO_TEST_API_ALLOWLIST;
+    delete process.env.DEMO_TEST_API_CLIENT_KEY_ID;
+    process.env.NODE_ENV = 'test';
+    process.env.DEMO_ADMIN_ROLE = 'demo-admin';
+    process.env.DEMO_TEST_API_KEYS = 'cleanup-daemon:daemon-secret,ci:ci-secret';
+  });
+
+  afterAll(() => {
+    process.env = envBackup;
+  });
+
+  test('rejects anonymous requests', async () => {
+    const res = await request(buildApp(null)).get('/api/test/config-info');
+    expect(res.status).toBe(401);
+  });
+
+  test('rejects sessions without the admin role', async () => {
+    const res = await request(buildApp({ username: 'u', roles: [] })).get('/api/test/config-info');
+    expect(res.status).toBe(403);
+  });
+
+  test('allows admin sessions', async () => {
+    const res = await request(buildApp({ username: 'op', roles: ['demo-admin'] })).get('/api/test/config-info');
+    expect(res.status).toBe(200);
+  });
+
+  test('allows requests signed with a service key', async () => {
+    const path = '/api/test/delete-mailbox/test-1%40example.com';
+    const res = await request(buildApp(null)).delete(path).set(signTestApiRequest('DELETE', path));
+    expect(res.status).toBe(200);
+    expect(res.body.keyId).toBe('cleanup-daemon');
+  });
+
+  test('rejects signatures for another path, stale timestamps and unknown keys', async () => {
+    const app = buildApp(null);
+    const signedForOther = signTestApiRequest('DELETE', '/api/test/delete-mailbox/other');
+    expect((await request(app).delete('/api/test/delete-mailbox/victim').set(signedForOther)).status).toBe(401);
+
+    const stale = Math.floor(Date.now() / 1000) - 3600;
+    const staleHeaders = {
+      'X-Test-Api-Key-Id': 'ci',
+      'X-Test-Api-Timestamp': String(stale),
+      'X-Test-Api-Signature': computeSignature('ci-secret', 'GET', '/api/test/config-info', stale)
+    };
+    expect((await request(app).get('/api/test/config-info').set(staleHeaders)).status).toBe(401);
+
+    const now = Math.floor(Date.now() / 1000);
+    const unknownKey = {
+      'X-Test-Api-Key-Id': 'nobody',
+      'X-Test-Api-Timestamp': String(now),
+      'X-Test-Api-Signature': computeSignature('x', 'GET', '/api/test/config-info', now)
+    };
+    expect((await request(app).get('/api/test/config-info').set(unknownKey)).status).toBe(401);
+  });
+
+  test('honors the per-route allowlist by method and prefix', async () => {
+    process.env.DEMO_TEST_API_ALLOWLIST = 'GET /api/test/config-info, /api/test/delete-mailbox/*';
+    const app = buildApp(null);
+    expect((await request(app).get('/api/test/config-info')).status).toBe(200);
+    expect((await request(app).delete('/api/test/delete-mailbox/a')).status).toBe(200);
+
+    process.env.DEMO_TEST_API_ALLOWLIST = 'POST /api/test/config-info';
+    expect((await request(app).get('/api/test/config-info')).status).toBe(401);
+  });
+
+  test('kill switch disables the surface, including for admins', async () => {
+    process.env.DEMO_TEST_API_ENABLED = 'false';
+    const admin = buildApp({ username: 'op', roles: ['demo-admin'] });
+    expect((await request(admin).get('/api/test/config-info')).status).toBe(404);
+
+    delete process.env.DEMO_TEST_API_ENABLED;
+    process.env.NODE_ENV = 'production';
+    expect((await request(admin).get('/api/test/config-info')).status).toBe(404);
+
+    process.env.DEMO_TEST_API_ENABLED = 'true';
+    expect((await request(admin).get('/api/test/config-info')).status).toBe(200);
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Test tokens are HMAC-signed; JWKS verification is covered in jwt-verification.test.js
+jest.mock('../../services/jwt-verifier', () => ({
+  verify: jest.fn(async token => require('jsonwebtoken').decode(token))
+}));
+
+function makeRefreshToken(expSecondsFromNow) {
+  return jwt.sign({ typ: 'Refresh', exp: Math.floor(Date.now() / 1000) + expSecondsFromNow }, 'kc-secret');
+}
+
+function loadTokenService(env) {
+  jest.resetModules();
+  Object.assign(process.env, env);
+  return require('../../services/tokenService');
+}
+
+describe('TokenService refresh-token store', () => {
+  const envBackup = { ...process.env };
+  const tmpFiles = [];
+
+  afterEach(async () => {
+    process.env = { ...envBackup };
+  });
+
+  afterAll(async () => {
+    for (const file of tmpFiles) {
+      try { fs.unlinkSync(file); } catch (_) {}
+    }
+    try { await require('../../services/databaseService').close(); } catch (_) {}
+  });
+
+  test('stores tokens encrypted with expiry taken from the refresh token', async () => {
+    const tokenService = loadTokenService({ TOKEN_STORE_BACKEND: 'memory', TOKEN_SERVICE_ENCRYPTION_KEYS: 'k1:secret-one' });
+    const refreshToken = makeRefreshToken(1800);
+    const session = {};
+
+    expect(await tokenService.initializeUserTokens('kc-1', { accessToken: makeRefreshToken(300), refreshToken }, session)).toBe(true);
+
+    const record = await tokenService.refreshTokenStore.get('kc-1');
+    expect(record.keyId).toBe('k1');
+    expect(record.ciphertext.startsWith('k1:')).toBe(true);
+    expect(record.ciphertext).not.toContain(refreshToken);
+    expect(Math.abs(record.expiresAt - (Date.now() + 1800 * 1000))).toBeLessThan(5000);
+    expect(await tokenService._loadRefreshToken('kc-1')).toBe(refreshToken);
+    await tokenService.close();
+  });
+
+  test('expired tokens are not returned and are evicted', async () => {
+    const tokenService = loadTokenService({ TOKEN_STORE_BACKEND: 'memory', TOKEN_SERVICE_ENCRYPTION_KEYS: 'k1:secret-one' });
+    await tokenService._storeRefreshToken('fresh', makeRefreshToken(600));
+    await tokenService._storeRefreshToken('stale', makeRefreshToken(-10));
+
+    expect(await tokenService._loadRefreshToken('stale')).toBeNull();
+    await tokenService._storeRefreshToken('stale', makeRefreshToken(-10));
+    expect(await tokenService.evictExpiredTokens()).toBe(1);
+    expect((await tokenService.refreshTokenStore.entries()).map(([key]) => key)).toEqual(['fresh']);
+    await tokenService.close();
+  });
+
+  test('rotateKeys re-encrypts with the new active key and old keys still decrypt', async () => {
+    const file = path.join(os.tmpdir(), `test-token-store-${process.pid}-${Date.now()}.json`);
+    tmpFiles.push(file);
+    const refreshToken = makeRefreshToken(600);
+
+    let tokenService = loadTokenService({ TOKEN_STORE_BACKEND: 'file', TOKEN_STORE_FILE: file, TOKEN_SERVICE_ENCRYPTION_KEYS: 'k1:secret-one' });
+    await tokenService._storeRefreshToken('kc-1', refreshToken);
+    await tokenService.close();
+
+    // Restart with a new active key - the old one stays configured for decryption
+    tokenService = loadTokenService({ TOKEN_STORE_BACKEND: 'file', TOKEN_STORE_FILE: file, TOKEN_SERVICE_ENCRYPTION_KEYS: 'k2:secret-two,k1:secret-one' });
+    expect(await tokenService._loadRefreshToken('kc-1')).toBe(refreshToken);
+    expect(await tokenService.rotateKeys()).toEqual({ rotated: 1, removed: 0, unchanged: 0 });
+    await tokenService.close();
+
+    // Old key dropped - rotated token is still readable
+    tokenService = loadTokenService({ TOKEN_STORE_BACKEND: 'file', TOKEN_STORE_FILE: file, TOKEN_SERVICE_ENCRYPTION_KEYS: 'k2:secret-two' });
+    expect((await tokenService.refreshTokenStore.get('kc-1')).keyId).toBe('k2');
+    expect(await tokenService._loadRefreshToken('kc-1')).toBe(refreshToken);
+    await tokenService.close();
+  });
+
+  test('migrateFrom imports the legacy Map format into the database store', async () => {
+    const dbPath = path.join(os.tmpdir(), `test-token-db-${process.pid}-${Date.now()}.sqlite`);
+    tmpFiles.push(dbPath);
+    const tokenService = loadTokenService({
+      TOKEN_STORE_BACKEND: 'database',
+      DEMO_DB_CLIENT: 'sqlite',
+      DEMO_DB_PATH: dbPath,
+      TOKEN_SERVICE_ENCRYPTION_KEY: 'legacy-secret'
+    });
+
+    // Original format: Map of key -> "iv:tag:data" encrypted with TOKEN_SERVICE_ENCRYPTION_KEY
+    const refreshToken = makeRefreshToken(600);
+    const legacyCiphertext = tokenService._encryptRefreshToken(refreshToken).split(':').slice(1).join(':');
+    const legacy = new Map([['kc-legacy', legacyCiphertext], ['kc-garbage', 'not:valid:ciphertext']]);
+
+    expect(await tokenService.migrateFrom(legacy)).toEqual({ migrated: 1, skipped: 1 });
+    expect(await tokenService._loadRefreshToken('kc-legacy')).toBe(refreshToken);
+
+    await tokenService.close();
+    await require('../../services/databaseService').close();
+  });
+});
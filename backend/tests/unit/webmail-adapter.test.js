@@ -0,0 +1,80 @@
+jest.mock('../../config/mail-service-config', () => ({
+  getWebmailClientName: jest.fn(() => 'roundcube')
+}));
+jest.mock('../../services/sogo/sogo-user-service', () => ({
+  pool: {},
+  userExistsInSogo: jest.fn(),
+  listSogoUsers: jest.fn(),
+  deleteUser: jest.fn()
+}));
+jest.mock('../../services/roundcube/roundcube-user-service', () => ({
+  pool: {},
+  userExists: jest.fn(),
+  listUsers: jest.fn(),
+  deleteUser: jest.fn()
+}));
+
+const sogoUserService = require('../../services/sogo/sogo-user-service');
+const roundcubeUserService = require('../../services/roundcube/roundcube-user-service');
+const { createWebmailAdapter } = require('../../services/webmail');
+
+const identity = { username: 'demo1', email: 'demo1@example.com' };
+
+describe('webmail adapters', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sogoUserService.pool = {};
+    roundcubeUserService.pool = {};
+  });
+
+  test('resolves the adapter for the configured client', () => {
+    expect(createWebmailAdapter().name).toBe('roundcube');
+    expect(createWebmailAdapter('sogo').name).toBe('sogo');
+    expect(createWebmailAdapter('none')).toBeNull();
+  });
+
+  test('exists() checks both identifiers, primary key first', async () => {
+    sogoUserService.userExistsInSogo.mockResolvedValue(false);
+    roundcubeUserService.userExists.mockImplementation(async (login) => login === 'demo1');
+
+    expect(await createWebmailAdapter('sogo').exists(identity)).toBe(false);
+    expect(sogoUserService.userExistsInSogo.mock.calls.map(call => call[0])).toEqual(['demo1', 'demo1@example.com']);
+
+    expect(await createWebmailAdapter('roundcube').exists(identity)).toBe(true);
+    expect(roundcubeUserService.userExists.mock.calls.map(call => call[0])).toEqual(['demo1@example.com', 'demo1']);
+  });
+
+  test('delete() merges per-identifier results and stops at the first failure', async () => {
+    roundcubeUserService.deleteUser.mockImplementation(async (login) => ({
+      success: true,
+      deleted: login.includes('@'),
+      message: `User ${login} ${login.includes('@') ? 'deleted from' : 'not found in'} Roundcube`
+    }));
+    expect(await createWebmailAdapter('roundcube').delete(identity)).toEqual({
+      success: true,
+      deleted: true,
+      message: 'User demo1@example.com deleted from Roundcube; User demo1 not found in Roundcube'
+    });
+
+    sogoUserService.deleteUser.mockResolvedValue({ success: false, error: 'PostgreSQL pool not initialized' });
+    expect(await createWebmailAdapter('sogo').delete(identity)).toEqual({ success: false, error: 'PostgreSQL pool not initialized' });
+    expect(sogoUserService.deleteUser).toHaveBeenCalledTimes(1);
+  });
+
+  test('list() normalizes rows and fails when the database is unreachable', async () => {
+    sogoUserService.listSogoUsers.mockResolvedValue([{ c_uid: 'demo1', mail: 'demo1@example.com', c_cn: 'Demo' }]);
+    roundcubeUserService.listUsers.mockResolvedValue([{ user_id: 4, username: 'demo1@example.com' }, { user_id: 5, username: 'legacy' }]);
+
+    expect(await createWebmailAdapter('sogo').list()).toEqual([{ id: 'demo1', email: 'demo1@example.com' }]);
+    expect(await createWebmailAdapter('roundcube').list()).toEqual([
+      { id: 'demo1@example.com', email: 'demo1@example.com' },
+      { id: 'legacy', email: null }
+    ]);
+
+    // An unreadable database is an error, not an empty list
+    roundcubeUserService.listUsers.mockRejectedValue(new Error('MariaDB pool not initialized'));
+    await expect(createWebmailAdapter('roundcube').list()).rejects.toThrow('MariaDB pool not initialized');
+    sogoUserService.listSogoUsers.mockRejectedValue(new Error('relation "sogo_users" does not exist'));
+    await expect(createWebmailAdapter('sogo').list()).rejects.toThrow('relation "sogo_users" does not exist');
+  });
+});
@@ -7,16 +7,18 @@
  * - Get fresh access tokens (with automatic refresh if needed)
  */
 
-const jwt = require('jsonwebtoken');
+const jwtVerifier = require('../services/jwt-verifier');
 const axios = require('axios');
 
 /**
  * Check if a JWT token is expired or will expire soon
+ * The signature and issuer are verified against the realm JWKS; expiry is evaluated here
+ * (an expired but genuine token reports expired: true rather than an error).
  * @param {string} token - JWT token to check
  * @param {number} bufferSeconds - Buffer time in seconds before considering token "expiring soon" (default: 60)
- * @returns {Object} { expired: boolean, expiringSoon: boolean, expiresAt: number, expiresIn: number, error?: string }
+ * @returns {Promise<Object>} { expired: boolean, expiringSoon: boolean, expiresAt: number, expiresIn: number, error?: string }
  */
-function checkTokenExpiration(token, bufferSeconds = 60) {
+async function checkTokenExpiration(token, bufferSeconds = 60) {
   try {
     if (!token) {
       return {
@@ -28,15 +30,16 @@ function checkTokenExpiration(token, bufferSeconds = 60) {
       };
     }
 
-    const decoded = jwt.decode(token, { complete: false });
-    
-    if (!decoded) {
+    let decoded;
+    try {
+      decoded = await jwtVerifier.verify(token, { ignoreExpiration: true });
+    } catch (verifyError) {
       return {
         expired: true,
         expiringSoon: true,
         expiresAt: null,
         expiresIn: 0,
-        error: 'Failed to decode token'
+        error: `Token verification failed: ${verifyError.message}`
       };
     }
 
@@ -168,7 +171,7 @@ async function getFreshAccessToken(accessToken, refreshToken = null, bufferSecon
     }
 
     // Check if token is expired or expiring soon
-    const expirationCheck = checkTokenExpiration(accessToken, bufferSeconds);
+    const expirationCheck = await checkTokenExpiration(accessToken, bufferSeconds);
     
     if (!expirationCheck.expired && !expirationCheck.expiringSoon) {
       // Token is still fresh, return as-is
@@ -1,14 +1,15 @@
 // backend/utils/token-validator.js
 
-const jwt = require('jsonwebtoken');
+const jwtVerifier = require('../services/jwt-verifier');
 
 /**
  * Validates that a JWT token has at least the minimum required duration
+ * The token is verified against the realm JWKS first (signature, issuer, expiry).
  * @param {string} token - JWT token to validate
  * @param {number} minDurationSeconds - Minimum duration in seconds (default: 2 hours = 7200)
- * @returns {Object} { valid: boolean, duration: number, error?: string, iat?: number, exp?: number }
+ * @returns {Promise<Object>} { valid: boolean, duration: number, error?: string, iat?: number, exp?: number }
  */
-function validateTokenDuration(token, minDurationSeconds = null) {
+async function validateTokenDuration(token, minDurationSeconds = null) {
   try {
     if (!token) {
       return {
@@ -24,14 +25,15 @@ function validateTokenDuration(token, minDurationSeconds = null) {
                        parseInt(process.env.SESSION_TOKEN_MIN_DURATION_SECONDS, 10) || 
                        defaultMinDuration;
 
-    // Decode token without verification (we only need to read claims)
-    const decoded = jwt.decode(token, { complete: false });
-    
-    if (!decoded) {
+    let decoded;
+    try {
+      decoded = await jwtVerifier.verify(token);
+    } catch (verifyError) {
       return {
         valid: false,
         duration: 0,
-        error: 'Failed to decode token'
+        error: `Token verification failed: ${verifyError.message}`,
+        code: verifyError.code
       };
     }
 